@@ -22,32 +22,39 @@ const storage = multer.diskStorage({
   }
 });
 
-// File filter for PDFs and images
+// File filter for PDFs, images, Office documents and spreadsheets
 const fileFilter = (req, file, cb) => {
   const allowedTypes = [
     'application/pdf',
     'image/png',
     'image/jpeg',
-    'image/jpg'
+    'image/jpg',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+    'text/csv',
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
   ];
   
-  const allowedExtensions = ['.pdf', '.png', '.jpg', '.jpeg'];
+  const allowedExtensions = ['.pdf', '.png', '.jpg', '.jpeg', '.docx', '.pptx', '.csv', '.xlsx'];
   const fileExtension = path.extname(file.originalname).toLowerCase();
   
   if (allowedTypes.includes(file.mimetype) || allowedExtensions.includes(fileExtension)) {
     cb(null, true);
   } else {
-    cb(new Error('Only PDF and image files (PNG, JPG, JPEG) are allowed!'), false);
+    cb(new Error('Only PDF, image (PNG, JPG, JPEG), Office (DOCX, PPTX) and spreadsheet (CSV, XLSX) files are allowed!'), false);
   }
 };
 
+// Files accepted by one multi-file upload (MAX_FILES_PER_UPLOAD)
+const maxFiles = parseInt(process.env.MAX_FILES_PER_UPLOAD, 10) > 0 ? parseInt(process.env.MAX_FILES_PER_UPLOAD, 10) : 20;
+
 // Configure multer
 const upload = multer({
   storage: storage,
   fileFilter: fileFilter,
   limits: {
-    fileSize: 50 * 1024 * 1024, // 50MB for PDFs
-    files: 1 // Only one file at a time
+    fileSize: 50 * 1024 * 1024, // 50MB for PDFs and Office documents
+    files: maxFiles
   }
 });
 
@@ -57,21 +64,21 @@ const handleUploadError = (error, req, res, next) => {
     if (error.code === 'LIMIT_FILE_SIZE') {
       return res.status(400).json({
         success: false,
-        message: 'File too large. Maximum size is 50MB for PDFs and 20MB for images.'
+        message: 'File too large. Maximum size is 50MB for PDF and Office documents and 20MB for images and spreadsheets.'
       });
     }
     if (error.code === 'LIMIT_FILE_COUNT') {
       return res.status(400).json({
         success: false,
-        message: 'Too many files. Please upload one file at a time.'
+        message: `Too many files. Please upload at most ${maxFiles} files at a time.`
       });
     }
   }
   
-  if (error.message === 'Only PDF and image files (PNG, JPG, JPEG) are allowed!') {
+  if (error.message === 'Only PDF, image (PNG, JPG, JPEG), Office (DOCX, PPTX) and spreadsheet (CSV, XLSX) files are allowed!') {
     return res.status(400).json({
       success: false,
-      message: 'Invalid file type. Please upload PDF or image files only.'
+      message: 'Invalid file type. Please upload PDF, image, DOCX, PPTX, CSV or XLSX files only.'
     });
   }
   
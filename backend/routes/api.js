@@ -3,33 +3,48 @@ const express = require('express');
 const router = express.Router();
 
 // Import services
-let upload, documentProcessor, aiService, calculator;
+let upload, documentProcessor, aiService, calculator, datasetCombiner, reviewService, dashboardEditor, chatService, insightsEngine, filterEngine;
 
 try {
   upload = require('../middleware/upload');
   documentProcessor = require('../services/documentProcessor');
   aiService = require('../services/aiService');
   calculator = require('../services/calculator');
+  datasetCombiner = require('../services/datasetCombiner');
+  reviewService = require('../services/reviewService');
+  dashboardEditor = require('../services/dashboardEditor');
+  chatService = require('../services/chatService');
+  insightsEngine = require('../services/insightsEngine');
+  filterEngine = require('../services/filterEngine');
   console.log('✅ All services loaded successfully');
 } catch (error) {
   console.log('⚠️ Some services not found, using basic routes only');
 }
 
-// Store sessions in memory (use Redis in production)
-const sessions = new Map();
+// Uploads are processed in background jobs
+const jobManager = require('../services/jobManager');
 
-// Clean up old sessions periodically
-setInterval(() => {
-  const now = Date.now();
-  const maxAge = 24 * 60 * 60 * 1000; // 24 hours
-  
-  for (const [sessionId, sessionData] of sessions.entries()) {
-    if (now - new Date(sessionData.uploadTime).getTime() > maxAge) {
-      sessions.delete(sessionId);
-      console.log(`🗑️ Cleaned up expired session: ${sessionId}`);
-    }
+// Sessions are persisted through the store configured by SESSION_STORE (file by default)
+const { createSessionStore, scheduleCleanup } = require('../services/sessionStore');
+const sessions = createSessionStore();
+
+// Expired sessions are removed according to SESSION_RETENTION_HOURS
+scheduleCleanup(sessions);
+
+// KPIs, charts and calculated fields are addressed by id in the dashboard editor, so a config gets its ids
+// once, when it is stored, rather than each time it is read
+function withItemIds(dashboardConfig) {
+  return dashboardEditor && dashboardConfig ? dashboardEditor.withIds(dashboardConfig).config : dashboardConfig;
+}
+
+// Sessions stored before configs got ids on creation get them through a serialized update: requests racing
+// here all keep the ids the first one wrote. Resolves to null when the session no longer exists.
+async function ensureItemIds(sessionId, sessionData) {
+  if (!dashboardEditor || !sessionData.dashboardConfig || !dashboardEditor.withIds(sessionData.dashboardConfig).changed) {
+    return sessionData;
   }
-}, 60 * 60 * 1000); // Clean up every hour
+  return sessions.update(sessionId, current => ({ dashboardConfig: withItemIds(current.dashboardConfig) }));
+}
 
 // Test route
 router.get('/test', (req, res) => {
@@ -40,95 +55,165 @@ router.get('/test', (req, res) => {
     availableEndpoints: [
       'GET /api/test',
       'POST /api/upload',
+      'POST /api/upload/batch',
+      'GET /api/jobs/:jobId',
+      'GET /api/jobs/:jobId/events',
+      'POST /api/jobs/:jobId/cancel',
+      'GET /api/batches/:batchId',
+      'POST /api/batches/:batchId/cancel',
       'GET /api/session/:sessionId',
+      'POST /api/session/:sessionId/sheet',
+      'PUT /api/session/:sessionId/data',
+      'GET /api/session/:sessionId/dashboard-config',
+      'POST /api/session/:sessionId/dashboard-config/:section',
+      'PUT /api/session/:sessionId/dashboard-config/:section/order',
+      'PUT /api/session/:sessionId/dashboard-config/:section/:itemId',
+      'DELETE /api/session/:sessionId/dashboard-config/:section/:itemId',
+      'POST /api/session/:sessionId/chart-request',
+      'GET /api/session/:sessionId/chat',
+      'POST /api/session/:sessionId/chat',
+      'DELETE /api/session/:sessionId/chat',
+      'POST /api/sessions/combine',
       'POST /api/generate-dashboard'
     ]
   });
 });
 
-// File upload and processing
-if (upload && documentProcessor && aiService) {
-  router.post('/upload', upload.single('file'), async (req, res) => {
-    try {
-      if (!req.file) {
-        return res.status(400).json({
-          success: false,
-          message: 'No file uploaded'
-        });
-      }
+// The upload pipeline run inside a job; its return value is the job result
+async function processUpload(file, sheet) {
+  // Extract text from document
+  const extractionResult = await documentProcessor.processFile(file, { sheet });
 
-      console.log('📄 Processing uploaded file:', req.file.originalname);
-
-      // Extract text from document
-      const extractionResult = await documentProcessor.processFile(req.file);
-      
-      // Analyze document with AI
-      const analysisResult = await aiService.analyzeDocument(
-        extractionResult.extractedText, 
-        extractionResult.fileName
-      );
-
-      // Create session
-      const sessionId = 'session_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
-      
-      if (analysisResult.hasData) {
-        // Store successful analysis in session
-        sessions.set(sessionId, {
-          fileName: extractionResult.fileName,
-          fileType: extractionResult.fileType,
-          extractedText: extractionResult.extractedText,
-          contentLength: extractionResult.contentLength,
-          data: analysisResult.data.data,
-          schema: analysisResult.data.schema,
-          metadata: analysisResult.data.metadata,
-          dashboardConfig: analysisResult.dashboard,
-          uploadTime: new Date().toISOString(),
-          hasData: true
-        });
+  // Analyze document with AI (spreadsheets skip extraction and only get a dashboard proposed)
+  const analysisResult = await aiService.analyzeDocument(
+    extractionResult.extractedText,
+    extractionResult.fileName,
+    { pages: extractionResult.pages, structuredData: extractionResult.structuredData }
+  );
 
-        console.log(`✅ Document processed successfully. Session ID: ${sessionId}`);
-
-        res.json({
-          success: true,
-          sessionId,
-          hasData: true,
-          message: 'Document processed successfully',
-          preview: {
-            fileName: extractionResult.fileName,
-            fileType: extractionResult.fileType,
-            dataRecords: analysisResult.data.data.length,
-            confidence: analysisResult.data.metadata.extractionConfidence,
-            summary: analysisResult.dashboard.summary
-          }
-        });
-      } else {
-        // Store failed analysis for debugging
-        sessions.set(sessionId, {
-          fileName: extractionResult.fileName,
-          fileType: extractionResult.fileType,
-          extractedText: extractionResult.extractedText,
-          contentLength: extractionResult.contentLength,
-          uploadTime: new Date().toISOString(),
-          hasData: false,
-          reason: analysisResult.reason
-        });
+  jobManager.setStage('saving');
 
-        res.json({
-          success: true,
-          sessionId,
-          hasData: false,
-          message: 'Document processed but no dashboard data found',
-          reason: analysisResult.reason
-        });
+  // Create session
+  const sessionId = 'session_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+
+  if (analysisResult.hasData) {
+    // Store successful analysis in session
+    await sessions.set(sessionId, {
+      fileName: extractionResult.fileName,
+      fileType: extractionResult.fileType,
+      extractedText: extractionResult.extractedText,
+      contentLength: extractionResult.contentLength,
+      pages: extractionResult.pages,
+      pageMethods: extractionResult.pageMethods,
+      sheets: extractionResult.sheets,
+      selectedSheet: extractionResult.selectedSheet,
+      sheetData: extractionResult.sheetData,
+      data: analysisResult.data.data,
+      provenance: analysisResult.provenance,
+      schema: analysisResult.data.schema,
+      metadata: analysisResult.data.metadata,
+      dashboardConfig: withItemIds(analysisResult.dashboard),
+      processingInfo: analysisResult.processingInfo,
+      uploadTime: new Date().toISOString(),
+      hasData: true
+    });
+
+    console.log(`✅ Document processed successfully. Session ID: ${sessionId}`);
+
+    return {
+      success: true,
+      sessionId,
+      hasData: true,
+      message: 'Document processed successfully',
+      preview: {
+        fileName: extractionResult.fileName,
+        fileType: extractionResult.fileType,
+        dataRecords: analysisResult.data.data.length,
+        confidence: analysisResult.data.metadata.extractionConfidence,
+        summary: analysisResult.dashboard.summary,
+        sheets: extractionResult.sheets,
+        selectedSheet: extractionResult.selectedSheet
       }
+    };
+  }
 
-    } catch (error) {
-      console.error('❌ Upload error:', error);
-      res.status(500).json({
+  // Store failed analysis for debugging
+  await sessions.set(sessionId, {
+    fileName: extractionResult.fileName,
+    fileType: extractionResult.fileType,
+    extractedText: extractionResult.extractedText,
+    contentLength: extractionResult.contentLength,
+    pages: extractionResult.pages,
+    pageMethods: extractionResult.pageMethods,
+    sheets: extractionResult.sheets,
+    selectedSheet: extractionResult.selectedSheet,
+    sheetData: extractionResult.sheetData,
+    uploadTime: new Date().toISOString(),
+    hasData: false,
+    reason: analysisResult.reason
+  });
+
+  return {
+    success: true,
+    sessionId,
+    hasData: false,
+    message: 'Document processed but no dashboard data found',
+    reason: analysisResult.reason,
+    sheets: extractionResult.sheets,
+    selectedSheet: extractionResult.selectedSheet
+  };
+}
+
+// File upload and processing: runs as a background job, poll GET /api/jobs/:jobId for its progress
+if (upload && documentProcessor && aiService) {
+  router.post('/upload', upload.single('file'), (req, res) => {
+    if (!req.file) {
+      return res.status(400).json({
         success: false,
-        message: 'Error processing document: ' + error.message
+        message: 'No file uploaded'
       });
     }
+
+    console.log('📄 Processing uploaded file:', req.file.originalname);
+
+    const file = req.file;
+    const sheet = req.body?.sheet;
+    const job = jobManager.start(() => processUpload(file, sheet), {
+      fileName: file.originalname,
+      cleanup: () => documentProcessor.cleanupFile(file.path)
+    });
+
+    res.status(202).json({
+      success: true,
+      jobId: job.id,
+      status: job.status,
+      message: 'Document accepted for processing'
+    });
+  });
+
+  // Multi-file upload: one job per file, processed JOB_CONCURRENCY at a time, followed through GET /api/batches/:batchId
+  router.post('/upload/batch', upload.array('files'), (req, res) => {
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No files uploaded'
+      });
+    }
+
+    console.log(`📚 Processing batch of ${req.files.length} files`);
+
+    const jobs = req.files.map(file => jobManager.start(() => processUpload(file), {
+      fileName: file.originalname,
+      cleanup: () => documentProcessor.cleanupFile(file.path)
+    }));
+    const batch = jobManager.createBatch(jobs);
+
+    res.status(202).json({
+      success: true,
+      batchId: batch.id,
+      jobs: jobs.map(job => ({ jobId: job.id, fileName: job.fileName, status: job.status })),
+      message: `${jobs.length} documents accepted for processing`
+    });
   });
 } else {
   router.post('/upload', (req, res) => {
@@ -139,11 +224,179 @@ if (upload && documentProcessor && aiService) {
   });
 }
 
+// Upload job status: stage, percent, error, and the upload result once completed
+router.get('/jobs/:jobId', (req, res) => {
+  const job = jobManager.get(req.params.jobId);
+
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      message: 'Job not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    job: jobManager.toJSON(job)
+  });
+});
+
+// Live pipeline events of an upload job as Server-Sent Events; the stream ends with the job
+router.get('/jobs/:jobId/events', (req, res) => {
+  const job = jobManager.get(req.params.jobId);
+
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      message: 'Job not found'
+    });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+  res.flushHeaders();
+
+  const terminal = ['completed', 'failed', 'cancelled'];
+  let unsubscribe = () => {};
+  let heartbeat = null;
+  let closed = false;
+
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    unsubscribe();
+    clearInterval(heartbeat);
+    res.end();
+  };
+
+  const send = (event) => {
+    res.write(`id: ${event.id}\ndata: ${JSON.stringify(event)}\n\n`);
+    if (terminal.includes(event.type)) {
+      setImmediate(close);
+    }
+  };
+
+  // A reconnecting EventSource sends the last id it saw, so it only gets what it missed
+  const lastEventId = parseInt(req.get('Last-Event-ID'), 10) || 0;
+  unsubscribe = jobManager.subscribe(job, send, lastEventId);
+
+  if (!jobManager.isActive(job)) {
+    return close();
+  }
+
+  // Comment lines keep proxies from closing an idle stream during long AI calls
+  heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+  req.on('close', close);
+});
+
+// Cancel a running upload job
+router.post('/jobs/:jobId/cancel', (req, res) => {
+  const job = jobManager.get(req.params.jobId);
+
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      message: 'Job not found'
+    });
+  }
+
+  if (!jobManager.cancel(job.id)) {
+    return res.status(409).json({
+      success: false,
+      message: `Job already ${job.status}`
+    });
+  }
+
+  res.json({
+    success: true,
+    message: 'Job cancellation requested',
+    job: jobManager.toJSON(job)
+  });
+});
+
+// Per-file status of a multi-file upload, and once every file is done which ones produced dashboard data
+function buildBatchSummary(batch) {
+  const files = jobManager.getBatchJobs(batch).map(job => ({
+    jobId: job.id,
+    fileName: job.fileName,
+    status: job.status,
+    stage: job.stage,
+    stageLabel: jobManager.STAGES[job.stage]?.label || job.stage,
+    percent: job.percent,
+    message: job.message,
+    queuePosition: jobManager.queuePosition(job),
+    error: job.error,
+    sessionId: job.result?.sessionId || null,
+    hasData: job.result ? job.result.hasData : null,
+    reason: job.result?.reason || null,
+    result: job.result
+  }));
+
+  const countStatus = status => files.filter(file => file.status === status).length;
+  const finished = files.every(file => !['queued', 'running'].includes(file.status));
+
+  return {
+    id: batch.id,
+    status: finished ? 'completed' : 'running',
+    createdAt: batch.createdAt,
+    totals: {
+      files: files.length,
+      queued: countStatus('queued'),
+      running: countStatus('running'),
+      completed: countStatus('completed'),
+      failed: countStatus('failed'),
+      cancelled: countStatus('cancelled'),
+      withData: files.filter(file => file.hasData === true).length,
+      withoutData: files.filter(file => file.hasData === false).length
+    },
+    files
+  };
+}
+
+router.get('/batches/:batchId', (req, res) => {
+  const batch = jobManager.getBatch(req.params.batchId);
+
+  if (!batch) {
+    return res.status(404).json({
+      success: false,
+      message: 'Batch not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    batch: buildBatchSummary(batch)
+  });
+});
+
+// Cancel every file of a batch that is still queued or running
+router.post('/batches/:batchId/cancel', (req, res) => {
+  const batch = jobManager.getBatch(req.params.batchId);
+
+  if (!batch) {
+    return res.status(404).json({
+      success: false,
+      message: 'Batch not found'
+    });
+  }
+
+  const cancelled = batch.jobIds.filter(jobId => jobManager.cancel(jobId)).length;
+
+  res.json({
+    success: true,
+    message: `Cancelled ${cancelled} file(s)`,
+    batch: buildBatchSummary(batch)
+  });
+});
+
 // Get session data
-router.get('/session/:sessionId', (req, res) => {
+router.get('/session/:sessionId', async (req, res) => {
   try {
     const { sessionId } = req.params;
-    const sessionData = sessions.get(sessionId);
+    const sessionData = await sessions.get(sessionId);
 
     if (!sessionData) {
       return res.status(404).json({
@@ -166,12 +419,583 @@ router.get('/session/:sessionId', (req, res) => {
   }
 });
 
+// Rebuilds the dashboard of a spreadsheet session from another sheet inside a job; returns the job result
+async function switchSheet(sessionId, sessionData, sheet) {
+  const analysisResult = await aiService.analyzeDocument(
+    sessionData.extractedText,
+    sessionData.fileName,
+    { pages: sessionData.pages, structuredData: sessionData.sheetData[sheet] }
+  );
+
+  jobManager.setStage('saving');
+
+  // The review and the conversation were about the previous sheet's rows
+  const changes = {
+    selectedSheet: sheet,
+    hasData: analysisResult.hasData,
+    originalData: undefined,
+    review: undefined,
+    chatHistory: []
+  };
+  if (analysisResult.hasData) {
+    Object.assign(changes, {
+      data: analysisResult.data.data,
+      provenance: analysisResult.provenance,
+      schema: analysisResult.data.schema,
+      metadata: analysisResult.data.metadata,
+      dashboardConfig: withItemIds(analysisResult.dashboard),
+      processingInfo: analysisResult.processingInfo,
+      reason: undefined
+    });
+  } else {
+    changes.reason = analysisResult.reason;
+  }
+
+  if (!(await sessions.update(sessionId, changes))) {
+    throw new Error('Session was deleted while the sheet was being processed');
+  }
+
+  return {
+    success: true,
+    sessionId,
+    hasData: analysisResult.hasData,
+    selectedSheet: sheet,
+    sheets: sessionData.sheets,
+    reason: analysisResult.reason
+  };
+}
+
+// Switch a spreadsheet session to another sheet: rows are already parsed, only the dashboard is rebuilt.
+// Runs as a background job like an upload, follow it through GET /api/jobs/:jobId.
+if (aiService) {
+  router.post('/session/:sessionId/sheet', async (req, res) => {
+    try {
+      const { sessionId } = req.params;
+      const sheet = req.body?.sheet;
+      const sessionData = await sessions.get(sessionId);
+
+      if (!sessionData) {
+        return res.status(404).json({
+          success: false,
+          message: 'Session not found'
+        });
+      }
+
+      if (!sessionData.sheetData) {
+        return res.status(400).json({
+          success: false,
+          message: 'This session was not created from a spreadsheet'
+        });
+      }
+
+      if (!sheet || !Object.prototype.hasOwnProperty.call(sessionData.sheetData, sheet)) {
+        return res.status(400).json({
+          success: false,
+          message: `Unknown sheet "${sheet}". Available sheets: ${Object.keys(sessionData.sheetData).join(', ')}`
+        });
+      }
+
+      console.log(`📑 Switching session ${sessionId} to sheet "${sheet}"`);
+
+      const job = jobManager.start(() => switchSheet(sessionId, sessionData, sheet), { fileName: sessionData.fileName });
+
+      res.status(202).json({
+        success: true,
+        jobId: job.id,
+        status: job.status,
+        message: `Sheet "${sheet}" accepted for processing`
+      });
+
+    } catch (error) {
+      console.error('❌ Sheet selection error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error switching sheet: ' + error.message
+      });
+    }
+  });
+}
+
+// Save the rows corrected in the review step; the dashboard is then generated from the corrected data
+if (reviewService) {
+  router.put('/session/:sessionId/data', async (req, res) => {
+    try {
+      const { sessionId } = req.params;
+      const sessionData = await sessions.get(sessionId);
+
+      if (!sessionData) {
+        return res.status(404).json({
+          success: false,
+          message: 'Session not found'
+        });
+      }
+
+      if (!sessionData.hasData) {
+        return res.status(400).json({
+          success: false,
+          message: 'No extracted data to review for this session'
+        });
+      }
+
+      // Corrected against the session as stored when the write happens, so a dashboard edit or chat
+      // answer saved since it was read is carried over rather than overwritten
+      let errors = null;
+      let changes = null;
+      await sessions.update(sessionId, current => {
+        ({ errors, changes } = reviewService.applyCorrections(current, req.body || {}));
+        return errors ? {} : { ...changes, dashboardConfig: withItemIds(changes.dashboardConfig) };
+      });
+
+      if (errors) {
+        return res.status(400).json({
+          success: false,
+          message: 'The corrected data is not valid',
+          errors
+        });
+      }
+
+      if (!changes) {
+        return res.status(404).json({
+          success: false,
+          message: 'Session not found'
+        });
+      }
+
+      console.log(`✏️ Saved reviewed data for session ${sessionId}: ${changes.data.length} records`);
+
+      res.json({
+        success: true,
+        sessionId,
+        dataRecords: changes.data.length,
+        schema: changes.schema,
+        review: changes.review
+      });
+
+    } catch (error) {
+      console.error('❌ Review save error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error saving reviewed data: ' + error.message
+      });
+    }
+  });
+}
+
+// Edit the KPIs, charts and calculated fields of a session's dashboard; :section is "kpis", "charts" or "calculatedFields"
+if (dashboardEditor) {
+  // Responds with the error itself and returns null when the session's dashboard cannot be edited
+  const loadEditableSession = async (req, res) => {
+    const { sessionId, section } = req.params;
+    const sessionData = await sessions.get(sessionId);
+
+    if (!sessionData) {
+      res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+      return null;
+    }
+
+    if (!sessionData.hasData || !sessionData.dashboardConfig) {
+      res.status(400).json({
+        success: false,
+        message: 'No dashboard available for this session'
+      });
+      return null;
+    }
+
+    if (section !== undefined && !dashboardEditor.SECTIONS.includes(section)) {
+      res.status(404).json({
+        success: false,
+        message: `Unknown section "${section}". Use one of: ${dashboardEditor.SECTIONS.join(', ')}`
+      });
+      return null;
+    }
+
+    const withIds = await ensureItemIds(sessionId, sessionData);
+    if (!withIds) {
+      res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    return withIds;
+  };
+
+  // The edit is applied to the config as stored when the write happens, so edits racing each other build on
+  // one another instead of the last one overwriting the rest. Only the config is written, so a chat answer
+  // or review saved meanwhile is kept.
+  const saveDashboardConfig = async (req, res, edit, status = 200) => {
+    let result = null;
+    const updated = await sessions.update(req.params.sessionId, current => {
+      result = current.dashboardConfig
+        ? edit({ ...current, dashboardConfig: withItemIds(current.dashboardConfig) })
+        : { errors: ['No dashboard available for this session'] };
+      return result.config ? { dashboardConfig: result.config } : {};
+    });
+
+    if (!updated || result.notFound) {
+      return res.status(404).json({
+        success: false,
+        message: updated ? result.notFound : 'Session not found'
+      });
+    }
+
+    if (result.errors) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid dashboard configuration',
+        errors: result.errors
+      });
+    }
+
+    res.status(status).json({
+      success: true,
+      ...(result.section && { section: result.section }),
+      ...(result.item && { item: result.item }),
+      dashboardConfig: result.config
+    });
+  };
+
+  // An item deleted meanwhile (e.g. from another tab) cannot be edited
+  const withItem = (section, itemId, edit) => session => (
+    dashboardEditor.findItem(session.dashboardConfig, section, itemId)
+      ? edit(session)
+      : { notFound: `Item ${itemId} not found in ${section}` }
+  );
+
+  const handleEditorError = (res, error) => {
+    console.error('❌ Dashboard config error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating dashboard configuration: ' + error.message
+    });
+  };
+
+  router.get('/session/:sessionId/dashboard-config', async (req, res) => {
+    try {
+      const sessionData = await loadEditableSession(req, res);
+      if (!sessionData) return;
+
+      res.json({
+        success: true,
+        dashboardConfig: sessionData.dashboardConfig,
+        options: dashboardEditor.getOptions(sessionData.schema, sessionData.dashboardConfig)
+      });
+    } catch (error) {
+      handleEditorError(res, error);
+    }
+  });
+
+  router.post('/session/:sessionId/dashboard-config/:section', async (req, res) => {
+    try {
+      const sessionData = await loadEditableSession(req, res);
+      if (!sessionData) return;
+
+      await saveDashboardConfig(req, res, session =>
+        dashboardEditor.createItem(session.dashboardConfig, req.params.section, req.body || {}, session.schema), 201);
+    } catch (error) {
+      handleEditorError(res, error);
+    }
+  });
+
+  // Registered before /:itemId so "order" is not taken for an item id
+  router.put('/session/:sessionId/dashboard-config/:section/order', async (req, res) => {
+    try {
+      const sessionData = await loadEditableSession(req, res);
+      if (!sessionData) return;
+
+      await saveDashboardConfig(req, res, session =>
+        dashboardEditor.reorder(session.dashboardConfig, req.params.section, req.body?.ids, session.schema));
+    } catch (error) {
+      handleEditorError(res, error);
+    }
+  });
+
+  router.put('/session/:sessionId/dashboard-config/:section/:itemId', async (req, res) => {
+    try {
+      const sessionData = await loadEditableSession(req, res);
+      if (!sessionData) return;
+
+      const { section, itemId } = req.params;
+      await saveDashboardConfig(req, res, withItem(section, itemId, session =>
+        dashboardEditor.updateItem(session.dashboardConfig, section, itemId, req.body || {}, session.schema)));
+    } catch (error) {
+      handleEditorError(res, error);
+    }
+  });
+
+  router.delete('/session/:sessionId/dashboard-config/:section/:itemId', async (req, res) => {
+    try {
+      const sessionData = await loadEditableSession(req, res);
+      if (!sessionData) return;
+
+      const { section, itemId } = req.params;
+      await saveDashboardConfig(req, res, withItem(section, itemId, session =>
+        dashboardEditor.deleteItem(session.dashboardConfig, section, itemId)));
+    } catch (error) {
+      handleEditorError(res, error);
+    }
+  });
+
+  // Add a chart or KPI described in plain language ("show revenue by region as a pie")
+  if (aiService) {
+    router.post('/session/:sessionId/chart-request', async (req, res) => {
+      try {
+        const request = typeof req.body?.request === 'string' ? req.body.request.trim() : '';
+
+        if (!request || request.length > 500) {
+          return res.status(400).json({
+            success: false,
+            message: 'Describe the chart in 1 to 500 characters'
+          });
+        }
+
+        const sessionData = await loadEditableSession(req, res);
+        if (!sessionData) return;
+
+        console.log(`💬 Chart request for session ${req.params.sessionId}: "${request}"`);
+
+        let proposal;
+        try {
+          proposal = await aiService.generateChartFromRequest(request, dashboardEditor.datasetWithFields(sessionData));
+        } catch (error) {
+          return res.status(422).json({
+            success: false,
+            message: error.message
+          });
+        }
+
+        await saveDashboardConfig(req, res, session => {
+          const result = dashboardEditor.createItem(session.dashboardConfig, proposal.section, proposal.item, session.schema);
+          return result.errors ? result : { ...result, section: proposal.section };
+        }, 201);
+      } catch (error) {
+        handleEditorError(res, error);
+      }
+    });
+  }
+}
+
+// Questions about a session, answered from its extracted data and text; the history is kept with the session
+if (chatService) {
+  router.get('/session/:sessionId/chat', async (req, res) => {
+    try {
+      const sessionData = await sessions.get(req.params.sessionId);
+
+      if (!sessionData) {
+        return res.status(404).json({
+          success: false,
+          message: 'Session not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        history: sessionData.chatHistory || []
+      });
+    } catch (error) {
+      console.error('❌ Chat history error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error retrieving chat history'
+      });
+    }
+  });
+
+  router.post('/session/:sessionId/chat', async (req, res) => {
+    try {
+      const { sessionId } = req.params;
+      const question = typeof req.body?.question === 'string' ? req.body.question.trim() : '';
+
+      if (!question || question.length > 1000) {
+        return res.status(400).json({
+          success: false,
+          message: 'Ask a question of 1 to 1000 characters'
+        });
+      }
+
+      const sessionData = await sessions.get(sessionId);
+
+      if (!sessionData) {
+        return res.status(404).json({
+          success: false,
+          message: 'Session not found'
+        });
+      }
+
+      console.log(`💬 Question for session ${sessionId}: "${question}"`);
+
+      let answer;
+      try {
+        answer = await chatService.ask(sessionData, question);
+      } catch (error) {
+        return res.status(502).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      await sessions.update(sessionId, { chatHistory: answer.history });
+
+      res.json({
+        success: true,
+        message: answer.message,
+        history: answer.history
+      });
+    } catch (error) {
+      console.error('❌ Chat error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error answering question: ' + error.message
+      });
+    }
+  });
+
+  router.delete('/session/:sessionId/chat', async (req, res) => {
+    try {
+      const { sessionId } = req.params;
+
+      if (!(await sessions.get(sessionId))) {
+        return res.status(404).json({
+          success: false,
+          message: 'Session not found'
+        });
+      }
+
+      await sessions.update(sessionId, { chatHistory: [] });
+
+      res.json({
+        success: true,
+        history: []
+      });
+    } catch (error) {
+      console.error('❌ Chat clear error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error clearing chat history'
+      });
+    }
+  });
+}
+
+// Merges the sources into a new session and proposes one dashboard over all of them; the job result
+// has the same shape as an upload's
+async function combineSessions(sources, columnMapping, fileName) {
+  console.log(`🔗 Combining ${sources.length} sessions: ${sources.map(source => source.sessionData.fileName).join(', ')}`);
+
+  const combined = datasetCombiner.combine(sources, columnMapping);
+  const extractedText = datasetCombiner.buildText(sources);
+
+  // Same path as spreadsheets: the rows are known, only the dashboard is proposed
+  const analysisResult = await aiService.analyzeDocument(extractedText, fileName, { structuredData: combined.structuredData });
+  const dashboardConfig = datasetCombiner.addComparisonChart(analysisResult.dashboard, combined.structuredData.schema);
+
+  jobManager.setStage('saving');
+
+  const sessionId = 'session_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+
+  await sessions.set(sessionId, {
+    fileName,
+    fileType: 'combined',
+    extractedText,
+    contentLength: extractedText.length,
+    pages: null,
+    data: combined.structuredData.data,
+    // Carried over from the source sessions, each entry names the document it points into
+    provenance: combined.provenance,
+    schema: combined.structuredData.schema,
+    metadata: combined.structuredData.metadata,
+    dashboardConfig: withItemIds(dashboardConfig),
+    processingInfo: { ...analysisResult.processingInfo, columnMapping: combined.columnMapping },
+    combinedFrom: combined.sources,
+    uploadTime: new Date().toISOString(),
+    hasData: true
+  });
+
+  console.log(`✅ Combined ${combined.structuredData.data.length} records. Session ID: ${sessionId}`);
+
+  return {
+    success: true,
+    sessionId,
+    hasData: true,
+    message: 'Documents combined successfully',
+    preview: {
+      fileName,
+      fileType: 'combined',
+      dataRecords: combined.structuredData.data.length,
+      confidence: combined.structuredData.metadata.extractionConfidence,
+      summary: dashboardConfig.summary,
+      sources: combined.sources,
+      columnMapping: combined.columnMapping
+    }
+  };
+}
+
+// Merge the extracted data of several sessions into a new session with one dashboard over all of them.
+// Runs as a background job like an upload, follow it through GET /api/jobs/:jobId.
+if (aiService && datasetCombiner) {
+  router.post('/sessions/combine', async (req, res) => {
+    try {
+      const { sessionIds, columnMapping } = req.body || {};
+
+      if (!Array.isArray(sessionIds) || new Set(sessionIds).size < 2) {
+        return res.status(400).json({
+          success: false,
+          message: 'Select at least two sessions to combine'
+        });
+      }
+
+      const sources = [];
+      for (let sessionId of new Set(sessionIds)) {
+        sources.push({ sessionId, sessionData: await sessions.get(sessionId) });
+      }
+
+      const missing = sources.filter(source => !source.sessionData).map(source => source.sessionId);
+      if (missing.length > 0) {
+        return res.status(404).json({
+          success: false,
+          message: `Session not found: ${missing.join(', ')}`
+        });
+      }
+
+      const withoutData = sources.filter(source => !source.sessionData.hasData).map(source => source.sessionData.fileName);
+      if (withoutData.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: `No dashboard data available for: ${withoutData.join(', ')}`
+        });
+      }
+
+      const fileName = `Combined (${sources.length} documents)`;
+      const job = jobManager.start(() => combineSessions(sources, columnMapping || {}, fileName), { fileName });
+
+      res.status(202).json({
+        success: true,
+        jobId: job.id,
+        status: job.status,
+        message: `${sources.length} documents accepted for combining`
+      });
+
+    } catch (error) {
+      console.error('❌ Combine error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error combining sessions: ' + error.message
+      });
+    }
+  });
+}
+
 // Generate dashboard
 if (calculator) {
   router.post('/generate-dashboard', async (req, res) => {
     try {
-      const { sessionId } = req.body;
-      const sessionData = sessions.get(sessionId);
+      // filters: optional global filter (see filterEngine) applied to every KPI, chart and insight
+      const { sessionId, filters = null } = req.body;
+      const storedSession = await sessions.get(sessionId);
+      const sessionData = storedSession && await ensureItemIds(sessionId, storedSession);
 
       if (!sessionData) {
         return res.status(404).json({
@@ -188,27 +1012,68 @@ if (calculator) {
         });
       }
 
+      const { calculatedFields = [] } = sessionData.dashboardConfig;
+      const columns = [
+        ...sessionData.schema.measures,
+        ...sessionData.schema.dimensions,
+        ...calculatedFields
+      ].map(column => column.name);
+      const filterErrors = filters && filterEngine ? filterEngine.validate(filters, columns, 'filters') : [];
+
+      if (filterErrors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid filters',
+          errors: filterErrors
+        });
+      }
+
       console.log(`📊 Generating dashboard for session: ${sessionId}`);
 
       // Calculate KPIs
-      const kpis = calculator.calculateKPIs(sessionData.data, sessionData.dashboardConfig.kpis);
+      const allRows = calculator.prepareRows(sessionData.data, calculatedFields);
+      const rows = filterEngine ? filterEngine.apply(allRows, filters) : allRows;
+      const kpis = calculator.calculateKPIs(rows, sessionData.dashboardConfig.kpis, [], sessionData.schema);
 
       // Generate charts
-      const charts = calculator.generateChartConfigs(sessionData.data, sessionData.dashboardConfig.charts);
+      const charts = calculator.generateChartConfigs(rows, sessionData.dashboardConfig.charts);
 
-      console.log(`✅ Dashboard generated with ${kpis.length} KPIs and ${charts.length} charts`);
+      console.log(`✅ Dashboard generated with ${kpis.length} KPIs and ${charts.length} charts${rows.length < allRows.length ? ` from ${rows.length} of ${allRows.length} rows` : ''}`);
 
       res.json({
         success: true,
         dashboard: {
           kpis,
           charts,
-          insights: sessionData.dashboardConfig.insights || [],
+          // Recomputed for the current rows (after review or other edits); wordings are kept for unchanged facts
+          insights: insightsEngine
+            ? insightsEngine.refresh({ data: rows, schema: sessionData.schema }, sessionData.dashboardConfig.insights)
+            : sessionData.dashboardConfig.insights || [],
           summary: sessionData.dashboardConfig.summary,
+          // What the global filters can choose from, always taken from all rows
+          filterOptions: filterEngine
+            ? filterEngine.getOptions(allRows, {
+                measures: [...sessionData.schema.measures, ...calculatedFields],
+                dimensions: sessionData.schema.dimensions
+              })
+            : null,
           dataInfo: {
             totalRecords: sessionData.data.length,
+            filteredRecords: rows.length,
+            filters: filters && filterEngine?.isActive(filters) ? filterEngine.describe(filters) : null,
             dataSource: sessionData.metadata?.dataSource || 'document extraction',
-            confidence: sessionData.metadata?.extractionConfidence || 'unknown'
+            confidence: sessionData.metadata?.extractionConfidence || 'unknown',
+            // Cells that were not numbers and are left out of every figure until fixed in the review
+            normalization: sessionData.metadata?.normalization
+              ? {
+                  unparseableCount: sessionData.metadata.normalization.unparseableCount,
+                  warnings: sessionData.metadata.normalization.warnings
+                }
+              : null,
+            sheets: sessionData.sheets || null,
+            selectedSheet: sessionData.selectedSheet || null,
+            sources: sessionData.combinedFrom || null,
+            review: sessionData.review || null
           }
         }
       });
@@ -231,42 +1096,58 @@ if (calculator) {
 }
 
 // Get all sessions (for debugging)
-router.get('/sessions', (req, res) => {
-  const sessionList = Array.from(sessions.keys()).map(key => {
-    const sessionData = sessions.get(key);
-    return {
-      sessionId: key,
+router.get('/sessions', async (req, res) => {
+  try {
+    const sessionList = (await sessions.list()).map(({ sessionId, sessionData }) => ({
+      sessionId,
       fileName: sessionData?.fileName,
       fileType: sessionData?.fileType,
       uploadTime: sessionData?.uploadTime,
       hasData: sessionData?.hasData,
-      dataRecords: sessionData?.data?.length || 0
-    };
-  });
+      dataRecords: sessionData?.data?.length || 0,
+      columns: sessionData?.schema
+        ? [...sessionData.schema.measures, ...sessionData.schema.dimensions].map(column => column.name)
+        : [],
+      combinedFrom: sessionData?.combinedFrom || null
+    }));
 
-  res.json({
-    success: true,
-    sessions: sessionList,
-    totalSessions: sessionList.length
-  });
+    res.json({
+      success: true,
+      sessions: sessionList,
+      totalSessions: sessionList.length
+    });
+  } catch (error) {
+    console.error('❌ Session list error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error listing sessions'
+    });
+  }
 });
 
 // Clear all sessions (for debugging)
-router.delete('/sessions', (req, res) => {
-  const count = sessions.size;
-  sessions.clear();
-  
-  res.json({
-    success: true,
-    message: `Cleared ${count} sessions`
-  });
+router.delete('/sessions', async (req, res) => {
+  try {
+    const count = await sessions.clear();
+
+    res.json({
+      success: true,
+      message: `Cleared ${count} sessions`
+    });
+  } catch (error) {
+    console.error('❌ Session clear error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error clearing sessions'
+    });
+  }
 });
 
 
-router.get('/raw-data/:sessionId', (req, res) => {
+router.get('/raw-data/:sessionId', async (req, res) => {
     try {
       const { sessionId } = req.params;
-      const sessionData = sessions.get(sessionId);
+      const sessionData = await sessions.get(sessionId);
   
       if (!sessionData) {
         return res.status(404).json({
@@ -291,12 +1172,30 @@ router.get('/raw-data/:sessionId', (req, res) => {
         structuredData: sessionData.data || null,
         dataRecords: sessionData.data?.length || 0,
         
+        // Per-record source location and confidence, aligned with structuredData by recordIndex
+        recordProvenance: sessionData.provenance || null,
+        pages: sessionData.pages || null,
+        
+        // Per PDF page: text layer or OCR (scanned pages), with the OCR confidence
+        pageMethods: sessionData.pageMethods || null,
+        
+        // Worksheets of a spreadsheet upload and the one the dashboard is built from
+        sheets: sessionData.sheets || null,
+        selectedSheet: sessionData.selectedSheet || null,
+        
+        // Corrections saved in the review step, with the rows as originally extracted
+        review: sessionData.review || null,
+        originalData: sessionData.originalData || null,
+        
         // Schema information
         schema: sessionData.schema || null,
         
         // AI analysis metadata
         metadata: sessionData.metadata || null,
         
+        // Chunking/extraction statistics
+        processingInfo: sessionData.processingInfo || null,
+        
         // Dashboard configuration
         dashboardConfig: sessionData.dashboardConfig || null,
         
@@ -324,10 +1223,10 @@ router.get('/raw-data/:sessionId', (req, res) => {
   });
   
   // Get just the extracted text (useful for debugging OCR)
-  router.get('/extracted-text/:sessionId', (req, res) => {
+  router.get('/extracted-text/:sessionId', async (req, res) => {
     try {
       const { sessionId } = req.params;
-      const sessionData = sessions.get(sessionId);
+      const sessionData = await sessions.get(sessionId);
   
       if (!sessionData) {
         return res.status(404).json({
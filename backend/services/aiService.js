@@ -1,11 +1,20 @@
 // backend/services/aiService.js - Enhanced with chunking and token management
-const axios = require('axios');
+const { createProvider } = require('./llmProviders');
+const { normalizeResponse, validateResponse, CHART_TYPES, KPI_CALCULATIONS, KPI_FORMATS, COMPARISON_TYPES, COMPARISON_PERIODS } = require('./responseSchemas');
+const tableExtractor = require('./tableExtractor');
+const provenanceTracker = require('./provenanceTracker');
+const localeDetector = require('./localeDetector');
+const jobManager = require('./jobManager');
+const dashboardEditor = require('./dashboardEditor');
+const formulaEngine = require('./formulaEngine');
+const filterEngine = require('./filterEngine');
+const insightsEngine = require('./insightsEngine');
+const valueNormalizer = require('./valueNormalizer');
 
 class AIService {
   constructor() {
-    this.apiKey = process.env.OPENROUTER_API_KEY;
-    this.baseUrl = process.env.OPENROUTER_API_URL;
-    this.model = process.env.OPENROUTER_API_MODEL;
+    // LLM backend selected per deployment (AI_PROVIDER=openrouter|openai-compatible|stub)
+    this.provider = createProvider();
     
     // Token limits for different operations
     this.TOKEN_LIMITS = {
@@ -15,6 +24,23 @@ class AIService {
       chunkOverlap: 200,           // Overlap between chunks
       summaryTokens: 1000          // Tokens for summary operations
     };
+
+    // How often a response that fails schema validation is sent back to the model for repair
+    const repairAttempts = parseInt(process.env.AI_MAX_REPAIR_ATTEMPTS, 10);
+    this.MAX_REPAIR_ATTEMPTS = isNaN(repairAttempts) ? 2 : repairAttempts;
+
+    // selective: extract from the best-scoring chunks that fit one prompt
+    // map-reduce: extract every chunk on its own and merge the records
+    // rule-based: skip the AI and only use the heuristic table extractor
+    this.EXTRACTION_MODE = process.env.AI_EXTRACTION_MODE || 'selective';
+
+    // Build the dashboard from detected tables when the AI is not configured or fails
+    this.RULE_BASED_FALLBACK = process.env.RULE_BASED_FALLBACK !== 'false';
+    this.MAP_REDUCE = {
+      chunkSize: 4000,             // Characters per map chunk, small enough for the answer to fit maxTokens
+      maxChunks: 40,               // Upper bound on AI calls per document
+      concurrency: 3               // Chunks extracted in parallel
+    };
   }
 
   // Estimate token count (rough approximation: 1 token ≈ 4 characters)
@@ -22,26 +48,56 @@ class AIService {
     return Math.ceil(text.length / 4);
   }
 
-  // Split text into manageable chunks
-  chunkText(text, maxChunkSize = 5000) {
-    const chunks = [];
-    const sentences = text.split(/[.!?]+/).filter(s => s.trim().length > 0);
-    let currentChunk = '';
-    
-    for (let sentence of sentences) {
-      if ((currentChunk + sentence).length > maxChunkSize && currentChunk.length > 0) {
-        chunks.push(currentChunk.trim());
-        currentChunk = sentence;
-      } else {
-        currentChunk += sentence + '. ';
+  // Split text into manageable chunks, keeping lines (and therefore table rows) intact
+  chunkText(text, maxChunkSize = 5000, overlap = 0) {
+    const lines = [];
+
+    // Only lines longer than a chunk are broken up, at sentence ends so decimals like 37.5 survive
+    for (let line of text.split('\n')) {
+      if (line.length <= maxChunkSize) {
+        lines.push(line);
+        continue;
+      }
+
+      let currentSentences = '';
+      for (let sentence of line.split(/(?<=[.!?])\s+/)) {
+        if ((currentSentences + ' ' + sentence).length > maxChunkSize && currentSentences.length > 0) {
+          lines.push(currentSentences);
+          currentSentences = sentence;
+        } else {
+          currentSentences = currentSentences ? currentSentences + ' ' + sentence : sentence;
+        }
       }
+      lines.push(currentSentences);
     }
-    
-    if (currentChunk.trim().length > 0) {
-      chunks.push(currentChunk.trim());
+
+    const chunks = [];
+    let currentLines = [];
+    let currentLength = 0;
+
+    for (let line of lines) {
+      if (currentLength + line.length + 1 > maxChunkSize && currentLength > 0) {
+        chunks.push(currentLines.join('\n').trim());
+
+        // Repeat the tail of the previous chunk so rows near the boundary keep their context
+        const carried = [];
+        let carriedLength = 0;
+        for (let i = currentLines.length - 1; i >= 0 && carriedLength + currentLines[i].length + 1 <= overlap; i--) {
+          carried.unshift(currentLines[i]);
+          carriedLength += currentLines[i].length + 1;
+        }
+
+        currentLines = carried;
+        currentLength = carriedLength;
+      }
+
+      currentLines.push(line);
+      currentLength += line.length + 1;
     }
-    
-    return chunks;
+
+    chunks.push(currentLines.join('\n').trim());
+
+    return chunks.filter(chunk => chunk.length > 0);
   }
 
   // Extract numerical data from text chunks
@@ -62,52 +118,85 @@ class AIService {
 
   containsNumericalData(line) {
     const numericalPatterns = [
-      /\$[\d,]+\.?\d*/,              // Currency
-      /\d+\.?\d*%/,                 // Percentages  
-      /\d{1,3}(,\d{3})*/,          // Large numbers with commas
-      /\b\d+\.?\d*\s*(million|billion|thousand|k|m|b)\b/i, // Abbreviated numbers
-      /\b(revenue|sales|profit|cost|price|total|amount|quantity)\b.*\d/i, // Financial terms with numbers
+      localeDetector.regex('currencyAmount'),   // Currency ($1,200 or 1.234,56 €)
+      localeDetector.regex('percentage'),       // Percentages  
+      /\d{1,3}([,.]\d{3})*/,       // Large numbers with separators
+      localeDetector.regex('abbreviatedNumber'), // Abbreviated numbers
+      new RegExp(`${localeDetector.PATTERNS.financialTerm}.*\\d`, 'i'), // Financial terms with numbers
       /\|\s*\d+/,                   // Table-like structures
       /\d+\s*\|\s*\d+/,            // Table rows
-      /\b(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)\b.*\d/i, // Dates with numbers
-      /\b(q1|q2|q3|q4|quarter)\b.*\d/i, // Quarterly data
+      new RegExp(`${localeDetector.PATTERNS.month}.*\\d`, 'i'), // Dates with numbers
+      new RegExp(`${localeDetector.PATTERNS.quarter}.*\\d`, 'i'), // Quarterly data
       /\b\d+\s*(units|items|customers|employees|hours|days|months|years)\b/i // Quantities
     ];
     
     return numericalPatterns.some(pattern => pattern.test(line));
   }
 
-  async analyzeDocument(extractedText, fileName) {
+  // options.pages: character ranges per page from DocumentProcessor, used for record provenance
+  async analyzeDocument(extractedText, fileName, options = {}) {
+    // Spreadsheets come with their rows already parsed, only the dashboard is left to propose
+    if (options.structuredData !== undefined) {
+      return this.analyzeStructuredData(options.structuredData, extractedText, fileName, options.pages);
+    }
+
+    // Cheap and deterministic, so always run it: as fallback and as a cross-check of the AI output
+    const ruleBasedData = tableExtractor.extract(extractedText);
+
+    if (this.EXTRACTION_MODE === 'rule-based') {
+      console.log(`Analyzing document with rule-based table extraction: ${fileName}`);
+      return this.buildRuleBasedResult(extractedText, ruleBasedData, 'rule-based extraction mode', options.pages);
+    }
+
     try {
-      if (!this.apiKey) {
-        throw new Error('OpenRouter API key not configured');
-      }
+      this.provider.assertConfigured();
 
-      console.log(`Analyzing document with AI: ${fileName} (${extractedText.length} characters)`);
+      console.log(`Analyzing document with AI (${this.provider.name}): ${fileName} (${extractedText.length} characters)`);
       
+      // Chunk counts for processingInfo, filled in by the preprocessing/extraction steps
+      const chunkStats = this.createChunkStats();
+
       // Handle large text by preprocessing and chunking
-      const processedText = await this.preprocessLargeText(extractedText);
+      const processedText = await this.preprocessLargeText(extractedText, chunkStats);
       
       // Check if document contains numerical/tabular data
+      jobManager.setStage('checking data');
       const analysisResult = await this.checkDataAvailability(processedText);
       
       if (analysisResult.hasData) {
         // Extract and structure the data using chunked approach
-        const structuredData = await this.extractStructuredDataWithChunking(extractedText, analysisResult);
+        jobManager.setStage('extracting structure');
+        // The model is asked for plain numbers but still returns "$1,200" or "1.2M" at times
+        const structuredData = valueNormalizer.normalize(
+          await this.extractStructuredDataWithChunking(extractedText, analysisResult, chunkStats),
+          localeDetector.detectNumberFormat(extractedText)
+        );
         
         // Generate dashboard configuration
+        jobManager.setStage('configuring dashboard');
         const dashboardConfig = await this.generateDashboardConfig(structuredData);
+
+        // The model's own insights are not checked against the data, computed ones replace them
+        dashboardConfig.insights = await this.buildInsights(structuredData);
+        
+        // Trace every record back to the text it came from
+        const provenance = provenanceTracker.locateRecords(structuredData.data, extractedText, options.pages);
         
         return {
           success: true,
           hasData: true,
           data: structuredData,
           dashboard: dashboardConfig,
+          provenance,
           insights: analysisResult.insights || [],
           processingInfo: {
             originalLength: extractedText.length,
             processedLength: processedText.length,
-            tokenEstimate: this.estimateTokens(processedText)
+            tokenEstimate: this.estimateTokens(processedText),
+            extractionMode: this.EXTRACTION_MODE,
+            chunks: chunkStats,
+            crossCheck: ruleBasedData ? tableExtractor.compareWithExtraction(ruleBasedData, structuredData) : null,
+            provenance: provenanceTracker.summarize(provenance)
           }
         };
       } else {
@@ -119,12 +208,121 @@ class AIService {
       }
 
     } catch (error) {
+      // A cancelled upload must stop here, not carry on with the rule-based fallback
+      jobManager.throwIfCancelled();
+
       console.error('AI analysis error:', error);
+
+      if (this.RULE_BASED_FALLBACK && ruleBasedData) {
+        console.warn(`Falling back to rule-based table extraction (${ruleBasedData.data.length} records)`);
+        return this.buildRuleBasedResult(extractedText, ruleBasedData, error.message, options.pages);
+      }
+
       throw error;
     }
   }
 
-  async preprocessLargeText(text) {
+  async analyzeStructuredData(structuredData, extractedText, fileName, pages = null) {
+    if (!structuredData) {
+      return {
+        success: true,
+        hasData: false,
+        reason: 'The selected sheet has no numerical columns suitable for dashboard creation'
+      };
+    }
+
+    let dashboardConfig = null;
+    let fallbackReason = null;
+
+    if (this.EXTRACTION_MODE === 'rule-based') {
+      fallbackReason = 'rule-based extraction mode';
+    } else {
+      try {
+        this.provider.assertConfigured();
+        jobManager.setStage('configuring dashboard');
+        console.log(`Generating dashboard for structured data with AI (${this.provider.name}): ${fileName} (${structuredData.data.length} records)`);
+        dashboardConfig = await this.generateDashboardConfig(structuredData);
+      } catch (error) {
+        jobManager.throwIfCancelled();
+        if (!this.RULE_BASED_FALLBACK) {
+          throw error;
+        }
+        console.warn(`Using rule-based dashboard configuration: ${error.message}`);
+        fallbackReason = error.message;
+      }
+    }
+
+    if (!dashboardConfig) {
+      dashboardConfig = tableExtractor.buildDashboardConfig(structuredData);
+    }
+
+    dashboardConfig.insights = await this.buildInsights(structuredData, !fallbackReason);
+
+    const provenance = provenanceTracker.locateRecords(structuredData.data, extractedText, pages);
+
+    return {
+      success: true,
+      hasData: true,
+      data: structuredData,
+      dashboard: dashboardConfig,
+      provenance,
+      insights: [],
+      processingInfo: {
+        originalLength: extractedText.length,
+        processedLength: extractedText.length,
+        tokenEstimate: 0,
+        extractionMode: 'structured',
+        fallbackReason,
+        provenance: provenanceTracker.summarize(provenance)
+      }
+    };
+  }
+
+  buildRuleBasedResult(extractedText, ruleBasedData, reason, pages = null) {
+    if (!ruleBasedData) {
+      return {
+        success: true,
+        hasData: false,
+        reason: 'No table with numerical columns was detected in the document'
+      };
+    }
+
+    const provenance = provenanceTracker.locateRecords(ruleBasedData.data, extractedText, pages);
+
+    return {
+      success: true,
+      hasData: true,
+      data: ruleBasedData,
+      dashboard: {
+        ...tableExtractor.buildDashboardConfig(ruleBasedData),
+        insights: insightsEngine.toInsights(insightsEngine.computeFacts(ruleBasedData))
+      },
+      provenance,
+      insights: [],
+      processingInfo: {
+        originalLength: extractedText.length,
+        processedLength: extractedText.length,
+        tokenEstimate: 0,
+        extractionMode: 'rule-based',
+        fallbackReason: reason,
+        provenance: provenanceTracker.summarize(provenance)
+      }
+    };
+  }
+
+  createChunkStats() {
+    return {
+      total: 1,                    // Chunks the document was split into
+      processed: 1,                // Chunks whose content reached the AI
+      dropped: 0,                  // Chunks left out to stay within token limits
+      failed: 0,                   // Chunks whose extraction errored (map-reduce)
+      withData: 0,                 // Chunks that yielded records (map-reduce)
+      truncatedChars: 0,           // Characters cut off before summarization
+      duplicateRecords: 0          // Records removed while merging chunks (map-reduce)
+    };
+  }
+
+  async preprocessLargeText(text, chunkStats = this.createChunkStats()) {
     const tokenCount = this.estimateTokens(text);
     
     console.log(`Text analysis: ${text.length} chars, ~${tokenCount} tokens`);
@@ -135,6 +333,7 @@ class AIService {
     }
     
     console.log('Large text detected, applying intelligent preprocessing...');
+    jobManager.progress(`Large document (~${tokenCount} tokens), reducing it to the data-bearing parts`);
     
     // Strategy 1: Extract only numerical/tabular content
     const numericalContent = this.extractNumericalContent(text);
@@ -146,15 +345,17 @@ class AIService {
     
     // Strategy 2: Use AI to summarize while preserving data
     if (numericalContent.length > 0) {
-      return await this.summarizePreservingData(numericalContent);
+      return await this.summarizePreservingData(numericalContent, chunkStats);
     }
     
     // Strategy 3: Chunk and analyze most promising sections
-    return await this.selectBestChunks(text);
+    return await this.selectBestChunks(text, chunkStats);
   }
 
-  async summarizePreservingData(text) {
+  async summarizePreservingData(text, chunkStats = this.createChunkStats()) {
     try {
+      chunkStats.truncatedChars = Math.max(0, text.length - 6000);
+
       const prompt = `Summarize this text while preserving ALL numerical data, tables, charts, financial information, and statistics. Keep exact numbers, percentages, dates, and quantitative information intact.
 
 Text to summarize:
@@ -171,17 +372,18 @@ Requirements:
 
 Provide the summary in plain text format.`;
 
-      const response = await this.callAI(prompt, 1500, 0.1);
+      const response = await this.callAI(prompt, 1500, 0.1, 'summary');
       console.log(`AI summarization: ${text.length} -> ${response.length} chars`);
       return response;
       
     } catch (error) {
       console.warn('AI summarization failed, using chunking fallback:', error.message);
-      return this.selectBestChunks(text);
+      chunkStats.truncatedChars = 0;
+      return this.selectBestChunks(text, chunkStats);
     }
   }
 
-  async selectBestChunks(text) {
+  async selectBestChunks(text, chunkStats = this.createChunkStats()) {
     // Split into chunks and select those most likely to contain dashboard data
     const chunks = this.chunkText(text, 4000);
     console.log(`Split into ${chunks.length} chunks`);
@@ -195,18 +397,25 @@ Provide the summary in plain text format.`;
     // Take top 2-3 chunks that fit within token limits
     let selectedContent = '';
     let totalTokens = 0;
+    let selectedCount = 0;
     
     for (let chunk of scoredChunks) {
       const chunkTokens = this.estimateTokens(chunk.content);
       if (totalTokens + chunkTokens <= this.TOKEN_LIMITS.safeTextLimit) {
         selectedContent += chunk.content + '\n\n';
         totalTokens += chunkTokens;
+        selectedCount++;
       } else {
         break;
       }
     }
     
-    console.log(`Selected best chunks: ${selectedContent.length} chars, ~${totalTokens} tokens`);
+    chunkStats.total = chunks.length;
+    chunkStats.processed = selectedCount;
+    chunkStats.dropped = chunks.length - selectedCount;
+    
+    console.log(`Selected best chunks: ${selectedCount}/${chunks.length}, ${selectedContent.length} chars, ~${totalTokens} tokens`);
+    jobManager.progress(`Selected ${selectedCount} of ${chunks.length} chunk(s) for analysis`);
     return selectedContent;
   }
 
@@ -215,12 +424,12 @@ Provide the summary in plain text format.`;
     
     // Count numerical patterns
     const numericalPatterns = [
-      /\$[\d,]+\.?\d*/g,           // Currency
-      /\d+\.?\d*%/g,              // Percentages
-      /\d{1,3}(,\d{3})*/g,        // Large numbers
-      /\b(revenue|sales|profit|cost|total|amount)\b/gi, // Financial terms
+      localeDetector.regex('currencyAmount', 'gi'), // Currency
+      localeDetector.regex('percentage', 'g'),      // Percentages
+      /\d{1,3}([,.]\d{3})*/g,     // Large numbers
+      localeDetector.regex('financialTerm', 'gi'),  // Financial terms
       /\|\s*\d+/g,                // Tables
-      /\b(q1|q2|q3|q4|quarter)\b/gi // Quarters
+      localeDetector.regex('quarter', 'gi')         // Quarters
     ];
     
     numericalPatterns.forEach(pattern => {
@@ -241,12 +450,16 @@ Provide the summary in plain text format.`;
     return score;
   }
 
-  async extractStructuredDataWithChunking(originalText, analysisResult) {
+  async extractStructuredDataWithChunking(originalText, analysisResult, chunkStats = this.createChunkStats()) {
     try {
+      if (this.EXTRACTION_MODE === 'map-reduce') {
+        return await this.extractWithMapReduce(originalText, analysisResult, chunkStats);
+      }
+
       // Use preprocessed text for extraction
-      const processedText = await this.preprocessLargeText(originalText);
+      const processedText = await this.preprocessLargeText(originalText, chunkStats);
       
-      const prompt = `Extract and structure numerical/tabular data from this text. Based on analysis finding: ${analysisResult.insights.join(', ')}
+      const prompt = `Extract and structure numerical/tabular data from this text. Based on analysis finding: ${(analysisResult.insights || []).join(', ')}
 
 Text:
 """
@@ -275,24 +488,209 @@ Requirements:
 - Extract ALL numerical data found
 - Create consistent column names
 - Include at least 3 data points
-- Convert text numbers to actual numbers
+- Convert text numbers to actual numbers${this.numberFormatHint(processedText)}
 - No markdown formatting, just JSON`;
 
-      const response = await this.callAI(prompt, 2000);
-      const result = this.parseJSONResponse(response);
-      
-      // Validate extracted data
-      if (!result.data || !Array.isArray(result.data) || result.data.length < 2) {
-        throw new Error('Insufficient data extracted for dashboard creation');
-      }
-      
-      return result;
+      return await this.callAIForJSON(prompt, 'extraction', 2000);
       
     } catch (error) {
       throw new Error('Failed to extract structured data: ' + error.message);
     }
   }
 
+  // Map: extract every chunk independently. Reduce: merge, de-duplicate and reconcile the schemas.
+  async extractWithMapReduce(originalText, analysisResult, chunkStats) {
+    const allChunks = this.chunkText(originalText, this.MAP_REDUCE.chunkSize, this.TOKEN_LIMITS.chunkOverlap);
+    const chunks = allChunks.slice(0, this.MAP_REDUCE.maxChunks);
+
+    chunkStats.total = allChunks.length;
+    chunkStats.processed = chunks.length;
+    chunkStats.dropped = allChunks.length - chunks.length;
+
+    console.log(`Map-reduce extraction over ${chunks.length}/${allChunks.length} chunks`);
+
+    const chunkResults = [];
+    let finishedChunks = 0;
+
+    jobManager.progress(`Analysing ${chunks.length} chunk(s)`, { current: 0, total: chunks.length });
+
+    for (let start = 0; start < chunks.length; start += this.MAP_REDUCE.concurrency) {
+      const batch = chunks.slice(start, start + this.MAP_REDUCE.concurrency);
+
+      const batchResults = await Promise.all(batch.map(async (chunk, offset) => {
+        const index = start + offset;
+        try {
+          return await this.callAIForJSON(
+            this.buildChunkExtractionPrompt(chunk, index, chunks.length, analysisResult),
+            'extractionChunk',
+            2000
+          );
+        } catch (error) {
+          // One unreadable chunk must not lose the rest of the document
+          console.warn(`Chunk ${index + 1}/${chunks.length} extraction failed:`, error.message);
+          chunkStats.failed++;
+          return null;
+        } finally {
+          finishedChunks++;
+          jobManager.progress(`Chunk ${finishedChunks} of ${chunks.length} analysed`, { current: finishedChunks, total: chunks.length });
+        }
+      }));
+
+      chunkResults.push(...batchResults);
+    }
+
+    const successful = chunkResults.filter(result => result && result.data.length > 0);
+    chunkStats.withData = successful.length;
+
+    // In chunk order, failed chunks included: only neighbouring chunks share text
+    const merged = this.mergeChunkResults(chunkResults, chunkStats);
+
+    const errors = validateResponse('extraction', merged);
+    if (errors.length > 0) {
+      throw new Error(`Insufficient data extracted for dashboard creation (${errors[0]})`);
+    }
+
+    console.log(`Map-reduce merged ${merged.data.length} records from ${successful.length} chunk(s)`);
+    return merged;
+  }
+
+  buildChunkExtractionPrompt(chunk, index, totalChunks, analysisResult) {
+    return `Extract and structure numerical/tabular data from part ${index + 1} of ${totalChunks} of a larger document. Based on analysis finding: ${(analysisResult.insights || []).join(', ')}
+
+Text:
+"""
+${chunk}
+"""
+
+Respond with ONLY a JSON object:
+{
+  "data": [
+    {"category": "Q1", "revenue": 50000, "date": "2024-01-01"},
+    {"category": "Q2", "revenue": 60000, "date": "2024-04-01"}
+  ],
+  "schema": {
+    "measures": [{"name": "revenue", "type": "number"}],
+    "dimensions": [{"name": "category", "type": "string"}]
+  },
+  "metadata": {
+    "totalRecords": 2,
+    "dataSource": "extracted from document",
+    "extractionConfidence": 85,
+    "processingMethod": "map_reduce"
+  }
+}
+
+Requirements:
+- Extract ALL numerical data found in this part
+- Use lowercase snake_case column names
+- Convert text numbers to actual numbers${this.numberFormatHint(chunk)}
+- If this part contains no numerical data, respond with "data": [] and empty measures/dimensions
+- No markdown formatting, just JSON`;
+  }
+
+  // Only added for European-formatted text, so prompts (and recordings) for other documents stay unchanged
+  numberFormatHint(text) {
+    return localeDetector.detectNumberFormat(text) === 'eu'
+      ? '\n- Numbers use European formatting (1.234,56 means 1234.56, 12,5 % means 12.5): output them as plain JSON numbers'
+      : '';
+  }
+
+  normalizeColumnName(name) {
+    return tableExtractor.normalizeColumnName(name);
+  }
+
+  // chunkResults are in chunk order; null or empty entries stand for chunks without data
+  mergeChunkResults(chunkResults, chunkStats) {
+    const columns = new Map();
+    const data = [];
+    let confidenceTotal = 0;
+    let previousKeys = [];
+
+    for (let result of chunkResults) {
+      if (!result || result.data.length === 0) {
+        // The chunks on either side of one without data do not overlap
+        previousKeys = [];
+        continue;
+      }
+
+      // Reconcile column names across chunks ("Revenue", "revenue ", "REVENUE" -> "revenue")
+      [...result.schema.measures, ...result.schema.dimensions].forEach(column => {
+        const name = this.normalizeColumnName(column.name);
+        if (!columns.has(name)) {
+          columns.set(name, { name, type: column.type });
+        }
+      });
+      result.schema.measures.forEach(column => {
+        columns.get(this.normalizeColumnName(column.name)).measure = true;
+      });
+
+      const records = result.data.map(row => {
+        const record = {};
+        Object.keys(row).forEach(key => {
+          record[this.normalizeColumnName(key)] = row[key];
+        });
+        return record;
+      });
+      const keys = records.map(record => JSON.stringify(Object.keys(record).sort().map(key => [key, record[key]])));
+
+      // Overlapping chunks repeat the rows at their boundary: the head of this chunk that repeats the tail of
+      // the previous one. Equal rows anywhere else are separate line items and are all kept.
+      const repeated = this.overlapLength(previousKeys, keys);
+      chunkStats.duplicateRecords += repeated;
+      data.push(...records.slice(repeated));
+
+      previousKeys = keys;
+      confidenceTotal += (result.metadata?.extractionConfidence ?? 50) * result.data.length;
+    }
+
+    // A column is a measure when every value it holds across all chunks is numeric. In a column a chunk declared
+    // as a measure, numbers written as in the document ("$1,200") count too; they are converted after the merge.
+    data.forEach(record => Object.keys(record).forEach(name => {
+      if (!columns.has(name)) {
+        columns.set(name, { name });
+      }
+    }));
+
+    const measures = [];
+    const dimensions = [];
+
+    columns.forEach(column => {
+      const values = data.map(record => record[column.name]).filter(value => !valueNormalizer.isEmpty(value));
+      if (values.length === 0) return;
+
+      const isNumber = value => typeof value === 'number' || (column.measure && valueNormalizer.parse(value) !== null);
+      if (values.every(isNumber)) {
+        measures.push({ name: column.name, type: 'number' });
+      } else {
+        dimensions.push({ name: column.name, type: column.type && column.type !== 'number' ? column.type : 'string' });
+      }
+    });
+
+    const totalChunkRecords = chunkResults.reduce((sum, result) => sum + (result ? result.data.length : 0), 0);
+
+    return {
+      data,
+      schema: { measures, dimensions },
+      metadata: {
+        totalRecords: data.length,
+        dataSource: 'extracted from document',
+        extractionConfidence: totalChunkRecords > 0 ? Math.round(confidenceTotal / totalChunkRecords) : 0,
+        processingMethod: 'map_reduce'
+      }
+    };
+  }
+
+  // The longest run of records that ends the previous chunk and starts this one
+  overlapLength(previousKeys, keys) {
+    for (let length = Math.min(previousKeys.length, keys.length); length > 0; length--) {
+      const tail = previousKeys.slice(-length);
+      if (tail.every((key, index) => key === keys[index])) {
+        return length;
+      }
+    }
+    return 0;
+  }
+
   async checkDataAvailability(text) {
     // Use processed/truncated text for availability check
     const checkText = text.length > 4000 ? text.substring(0, 4000) + '...[truncated]' : text;
@@ -316,16 +714,67 @@ Respond with ONLY this JSON format:
 }`;
 
     try {
-      const response = await this.callAI(prompt, 500);
-      return this.parseJSONResponse(response);
+      return await this.callAIForJSON(prompt, 'availability', 500);
     } catch (error) {
       throw new Error('Failed to analyze data availability: ' + error.message);
     }
   }
 
+  // Insights are computed from the rows by insightsEngine; the model only rewords them (phrase = false keeps
+  // the template sentences, e.g. when the AI is unavailable)
+  async buildInsights(structuredData, phrase = true) {
+    const facts = insightsEngine.computeFacts(structuredData);
+
+    if (!phrase || facts.length === 0) {
+      return insightsEngine.toInsights(facts);
+    }
+
+    try {
+      return insightsEngine.toInsights(facts, await this.phraseInsights(facts));
+    } catch (error) {
+      jobManager.throwIfCancelled();
+      console.warn(`Using template insights: ${error.message}`);
+      return insightsEngine.toInsights(facts);
+    }
+  }
+
+  // Returns { factId: text }; a wording that adds or changes a number is sent back for repair
+  async phraseInsights(facts) {
+    const prompt = `Rewrite these computed facts as short dashboard insights for a business reader.
+
+Facts: ${JSON.stringify(facts.map(fact => ({ id: fact.id, text: fact.text })))}
+
+Write one insight per fact, with the id of its fact. Keep every number exactly as written in the fact,
+and do not add numbers, causes or conclusions that the fact does not state.
+
+Respond with ONLY this JSON:
+{
+  "insights": [
+    { "id": "largest:revenue:region", "text": "North leads revenue with 1.2M, 41.3% of the 2.9M total." }
+  ]
+}`;
+
+    const factsById = new Map(facts.map(fact => [fact.id, fact]));
+
+    const checkNumbers = result => result.insights.flatMap((insight, index) => {
+      const fact = factsById.get(insight.id);
+      if (!fact) {
+        return [`insights[${index}].id: "${insight.id}" is not one of the fact ids`];
+      }
+
+      const allowed = new Set(insightsEngine.numbersIn(fact.text));
+      return insightsEngine.numbersIn(insight.text)
+        .filter(number => !allowed.has(number))
+        .map(number => `insights[${index}].text: ${number} does not appear in the fact "${fact.text}"`);
+    });
+
+    const result = await this.callAIForJSON(prompt, 'insightPhrasing', 1000, 0.3, checkNumbers);
+    return Object.fromEntries(result.insights.map(insight => [insight.id, insight.text.trim()]));
+  }
+
   async generateDashboardConfig(structuredData) {
     const { data, schema } = structuredData;
-    
+
     const prompt = `Create dashboard configuration for this data:
 
 Sample: ${JSON.stringify(data.slice(0, 3))}
@@ -350,77 +799,362 @@ Respond with ONLY this JSON:
       "dimensions": ["category"]
     }
   ],
+  "calculatedFields": [],
   "insights": ["Key business insights"],
   "summary": "Dashboard shows financial performance data"
-}`;
+}
+
+Derived metrics that are not columns can be added when the schema has their inputs:
+- calculatedFields are computed per row and then used like measures, e.g.
+  { "name": "gross_margin", "expression": "(revenue - cost) / revenue * 100", "format": "percent" }
+- a KPI with "calculation": "formula" combines aggregates instead of naming a column, e.g.
+  { "name": "Gross Margin", "calculation": "formula", "formula": "sum(revenue - cost) / sum(revenue) * 100", "format": "percent" }
+Formulas use + - * / and parentheses over schema column names; KPI formulas aggregate with
+${formulaEngine.AGGREGATES.join(', ')}. Percent values are percentage points (multiply fractions by 100).`;
+
+    // Formulas go back to the model like format errors do
+    const checkFormulas = result => dashboardEditor.formulaErrors(result, schema);
 
     try {
-      const response = await this.callAI(prompt, 1500);
-      return this.parseJSONResponse(response);
+      return await this.callAIForJSON(prompt, 'dashboard', 1500, 0.1, checkFormulas);
     } catch (error) {
       throw new Error('Failed to generate dashboard config: ' + error.message);
     }
   }
 
-  async callAI(prompt, maxTokens = 1000, temperature = 0.1) {
+  // Turn a plain-language request ("show revenue by region as a pie") into one chart or KPI definition
+  // in the format calculator consumes, using only the columns of the dataset
+  async generateChartFromRequest(request, structuredData) {
+    const { data, schema } = structuredData;
+    const sectionOf = kind => (kind.toLowerCase() === 'kpi' ? 'kpis' : 'charts');
+
+    const prompt = `Create a chart or KPI for this request about a dataset.
+
+Request: ${request.replace(/\s+/g, ' ').trim()}
+Schema: ${JSON.stringify(schema)}
+Sample: ${JSON.stringify(data.slice(0, 3))}
+
+Use only column names from the schema: measures are numeric columns, dimensions are the columns to group by.
+Chart types: ${CHART_TYPES.join(', ')}. KPI formats: ${KPI_FORMATS.join(', ')}.
+${this.describeCalculations()}
+A chart sums its measures per group unless it sets "aggregation" to one of these calculations.
+${this.describeFilters()}
+A single figure may be compared ("revenue vs last month", "year over year", "against the target") by adding "comparison":
+{ "type": "${COMPARISON_TYPES.join('" | "')}", "dateColumn": the column splitting the rows into periods,
+"period": ${COMPARISON_PERIODS.join(', ')} (optional, each distinct date is a period without it),
+"targetColumn": a measure holding the target (for "target"), "higherIsBetter": false when a decrease is good }.
+Answer with a chart unless the request asks for a single figure (a total, an average, a count...).
+
+Respond with ONLY this JSON for a chart:
+{
+  "kind": "chart",
+  "chart": { "title": "Revenue by Region", "type": "pie", "measures": ["revenue"], "dimensions": ["region"] }
+}
+or this JSON for a single figure:
+{
+  "kind": "kpi",
+  "kpi": { "name": "Total Revenue", "calculation": "sum", "column": "revenue", "format": "currency" }
+}`;
+
+    // Unknown columns go back to the model like format errors do
+    const checkColumns = result => {
+      const section = sectionOf(result.kind);
+      const item = dashboardEditor.normalize(section, result[result.kind.toLowerCase()], schema);
+      return dashboardEditor.validateItem(section, item, schema);
+    };
+
     try {
-      // Validate prompt size
-      const promptTokens = this.estimateTokens(prompt);
-      if (promptTokens > this.TOKEN_LIMITS.maxInputTokens) {
-        throw new Error(`Prompt too large: ${promptTokens} tokens (max: ${this.TOKEN_LIMITS.maxInputTokens})`);
+      const result = await this.callAIForJSON(prompt, 'chartRequest', 500, 0.1, checkColumns);
+      return { section: sectionOf(result.kind), item: result[result.kind.toLowerCase()] };
+    } catch (error) {
+      throw new Error('Failed to understand the chart request: ' + error.message);
+    }
+  }
+
+  // The calculations prompts may use, with the extra columns some of them need
+  describeCalculations() {
+    return `Calculations: ${KPI_CALCULATIONS.filter(calculation => calculation !== 'average').join(', ')}.
+count and distinct_count work on any column, the others on measures. weighted_avg needs "weightColumn" (a measure),
+ratio (sum of column / sum of "denominatorColumn") needs "denominatorColumn" (a measure), first and last take the
+value of the earliest/latest row by "dateColumn" (document order without it).`;
+  }
+
+  // The filter clause a chart, KPI or computation may add to restrict its rows
+  describeFilters() {
+    return `To use only some rows ("where region is EMEA"), add "filter": a condition such as
+{ "column": "region", "operator": "equals", "value": "EMEA" } with operator ${filterEngine.OPERATORS.join(', ')}
+("in" takes an array, "range" { "min", "max" }, "date_range" { "from", "to" } as YYYY-MM-DD), or { "and": [...] } / { "or": [...] } of conditions.`;
+  }
+
+  // First half of a chat answer: which aggregates of the extracted rows the question needs.
+  // The numbers themselves are computed by Calculator, never by the model.
+  async planChatComputations(question, structuredData, history = []) {
+    const { data, schema } = structuredData;
+
+    const prompt = `Plan the computations needed to answer a question about a dataset.
+
+Question: ${question.replace(/\s+/g, ' ').trim()}
+Schema: ${JSON.stringify(schema)}
+Sample: ${JSON.stringify(data.slice(0, 3))}
+Records: ${data.length}
+${this.formatChatHistory(history)}
+Each computation aggregates one measure column over all rows, optionally per value of a dimension
+column in groupBy (e.g. to find the quarter with the highest margin).
+${this.describeCalculations()}
+${this.describeFilters()}
+Use only column names from the schema. Return an empty list when the question is not about the numbers.
+
+Respond with ONLY this JSON:
+{
+  "computations": [
+    { "label": "Margin by quarter", "calculation": "avg", "column": "margin", "groupBy": "quarter" }
+  ]
+}`;
+
+    const measures = schema.measures.map(column => column.name);
+    const dimensions = schema.dimensions.map(column => column.name);
+
+    // Unknown columns go back to the model like format errors do
+    const checkColumns = result => result.computations.flatMap((computation, index) => {
+      const calculation = dashboardEditor.normalizeCalculation(computation.calculation);
+      const errors = dashboardEditor.calculationErrors(computation, calculation, measures, dimensions, `computations[${index}].`);
+
+      if (computation.filter !== undefined) {
+        errors.push(...filterEngine.validate(computation.filter, [...measures, ...dimensions], `computations[${index}].filter`));
       }
 
-      const response = await axios.post(this.baseUrl, {
-        model: this.model,
-        messages: [{ role: "user", content: prompt }],
-        max_tokens: maxTokens,
-        temperature: temperature
-      }, {
-        headers: {
-          "Authorization": `Bearer ${this.apiKey}`,
-          "Content-Type": "application/json"
-        },
-        timeout: 45000
-      });
+      if (computation.groupBy && !dimensions.includes(computation.groupBy)) {
+        errors.push(`computations[${index}].groupBy: "${computation.groupBy}" is not a dimension of this dataset`);
+      }
+      return errors;
+    });
+
+    try {
+      return await this.callAIForJSON(prompt, 'chatPlan', 500, 0.1, checkColumns);
+    } catch (error) {
+      throw new Error('Failed to plan the answer: ' + error.message);
+    }
+  }
+
+  // Second half: phrase the answer from the computed results and the relevant parts of the document
+  async answerChatQuestion(question, context) {
+    const { fileName, results, excerpts, history = [] } = context;
+
+    const prompt = `Answer the question about the document "${fileName}" using only the facts below.
+
+Question: ${question.replace(/\s+/g, ' ').trim()}
+${this.formatChatHistory(history)}
+Computed from the extracted data (exact values, quote them as they are):
+Results: ${JSON.stringify(results)}
+
+Excerpts of the document:
+"""
+${excerpts}
+"""
+
+Do not calculate or estimate numbers yourself. If the facts do not answer the question, say so.
+
+Respond with ONLY this JSON:
+{
+  "answer": "Q3 had the highest margin (42.1%), ahead of Q2 (38.4%)."
+}`;
+
+    try {
+      return await this.callAIForJSON(prompt, 'chatAnswer', 800, 0.2);
+    } catch (error) {
+      throw new Error('Failed to answer the question: ' + error.message);
+    }
+  }
+
+  formatChatHistory(history) {
+    if (history.length === 0) {
+      return '';
+    }
+
+    return `Conversation so far:\n${history.map(entry => `${entry.role}: ${entry.content}`).join('\n')}\n`;
+  }
+
+  // schemaName is the response schema the answer is validated against, or 'summary' for the plain-text
+  // summarization; providers that answer without a model (the stub) go by it
+  async callAI(prompt, maxTokens = 1000, temperature = 0.1, schemaName = null) {
+    // Validate prompt size
+    const promptTokens = this.estimateTokens(prompt);
+    if (promptTokens > this.TOKEN_LIMITS.maxInputTokens) {
+      throw new Error(`Prompt too large: ${promptTokens} tokens (max: ${this.TOKEN_LIMITS.maxInputTokens})`);
+    }
 
-      return response.data.choices[0]?.message?.content;
+    jobManager.throwIfCancelled();
+
+    const startedAt = Date.now();
+    jobManager.event('ai-call', { status: 'started', provider: this.provider.name, promptTokens });
+
+    try {
+      const response = await this.provider.complete(prompt, maxTokens, temperature, { signal: jobManager.currentSignal(), schemaName });
+      jobManager.event('ai-call', { status: 'finished', provider: this.provider.name, durationMs: Date.now() - startedAt });
+      return response;
     } catch (error) {
-      if (error.response?.status === 400 && error.response.data?.error?.message?.includes('token')) {
-        throw new Error('Text too long for AI processing. Document contains too much content.');
+      jobManager.event('ai-call', { status: 'failed', provider: this.provider.name, durationMs: Date.now() - startedAt, error: error.message });
+      throw error;
+    }
+  }
+
+  // Call the AI and validate its JSON answer against the declared schema (plus an optional check
+  // that needs context the schema lacks), re-prompting with the errors until it passes or attempts run out
+  async callAIForJSON(prompt, schemaName, maxTokens = 1000, temperature = 0.1, check = null) {
+    let currentPrompt = prompt;
+    let errors = [];
+
+    for (let attempt = 0; attempt <= this.MAX_REPAIR_ATTEMPTS; attempt++) {
+      const response = await this.callAI(currentPrompt, maxTokens, temperature, schemaName);
+      let result = null;
+
+      try {
+        result = normalizeResponse(schemaName, this.parseJSONResponse(response));
+        errors = validateResponse(schemaName, result);
+        if (errors.length === 0 && check) {
+          errors = check(result);
+        }
+      } catch (error) {
+        errors = [error.message];
       }
-      
-      if (error.response) {
-        throw new Error(`AI API error: ${error.response.status} - ${error.response.data?.error?.message || 'Unknown error'}`);
-      } else if (error.request) {
-        throw new Error('Network error: Could not reach AI service');
-      } else {
-        throw new Error('AI request failed: ' + error.message);
+
+      if (errors.length === 0) {
+        if (attempt > 0) {
+          console.log(`AI ${schemaName} response repaired after ${attempt} attempt(s)`);
+        }
+        return result;
       }
+
+      console.warn(`AI ${schemaName} response failed validation (attempt ${attempt + 1}):`, errors.slice(0, 5));
+      if (attempt < this.MAX_REPAIR_ATTEMPTS) {
+        jobManager.progress(`AI answer did not match the expected format, asking for a repair (attempt ${attempt + 1})`);
+      }
+      currentPrompt = this.buildRepairPrompt(prompt, response, errors);
     }
+
+    throw new Error(`AI response did not match the expected format: ${errors.slice(0, 5).join('; ')}`);
+  }
+
+  buildRepairPrompt(originalPrompt, previousResponse, errors) {
+    const previous = typeof previousResponse === 'string' ? previousResponse : '';
+
+    return `${originalPrompt}
+
+Your previous answer could not be used:
+"""
+${previous.substring(0, 1500)}${previous.length > 1500 ? '...[truncated]' : ''}
+"""
+
+Problems found:
+${errors.slice(0, 10).map(error => `- ${error}`).join('\n')}
+
+Respond again with ONLY the corrected JSON object, fixing every problem listed above.`;
   }
 
   parseJSONResponse(response) {
+    if (typeof response !== 'string' || response.trim().length === 0) {
+      throw new Error('Invalid JSON response from AI: empty response');
+    }
+
+    let cleanResponse = response.trim();
+    
+    // Remove markdown formatting
+    cleanResponse = cleanResponse.replace(/```json\s*/g, '');
+    cleanResponse = cleanResponse.replace(/```\s*/g, '');
+    
+    // Extract JSON from response
+    const jsonStart = cleanResponse.indexOf('{');
+    const jsonEnd = cleanResponse.lastIndexOf('}');
+    
     try {
-      let cleanResponse = response.trim();
-      
-      // Remove markdown formatting
-      cleanResponse = cleanResponse.replace(/```json\s*/g, '');
-      cleanResponse = cleanResponse.replace(/```\s*/g, '');
-      
-      // Extract JSON from response
-      const jsonStart = cleanResponse.indexOf('{');
-      const jsonEnd = cleanResponse.lastIndexOf('}');
-      
       if (jsonStart !== -1 && jsonEnd !== -1) {
-        cleanResponse = cleanResponse.substring(jsonStart, jsonEnd + 1);
+        return JSON.parse(cleanResponse.substring(jsonStart, jsonEnd + 1));
       }
-      
       return JSON.parse(cleanResponse);
     } catch (error) {
+      let repair = null;
+      if (jsonStart !== -1) {
+        try {
+          const { text, truncated } = this.repairJSON(cleanResponse.substring(jsonStart));
+          repair = { result: JSON.parse(text), truncated };
+        } catch (repairError) {
+          // Fall through to the original error
+        }
+      }
+
+      // A cut-off answer parses once closed, but it is missing elements, so it is reported
+      // like any other problem and the caller asks again
+      if (repair && repair.truncated) {
+        const records = Array.isArray(repair.result.data) ? ` after ${repair.result.data.length} records` : '';
+        throw new Error(`AI response was truncated${records}; respond with shorter values so the complete JSON fits`);
+      }
+
+      if (repair) {
+        console.warn('Repaired malformed JSON response from AI');
+        return repair.result;
+      }
+
       console.error('Raw AI response:', response.substring(0, 500));
       throw new Error('Invalid JSON response from AI: ' + error.message);
     }
   }
+
+  // Fix the usual model slips: trailing commas and answers cut off at max_tokens.
+  // Returns the repaired text and whether the answer had to be truncated to close it
+  repairJSON(text) {
+    const stack = [];
+    let output = '';
+    let inString = false;
+    let escaped = false;
+    let lastCut = null;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+
+      if (inString) {
+        output += char;
+        if (escaped) {
+          escaped = false;
+        } else if (char === '\\') {
+          escaped = true;
+        } else if (char === '"') {
+          inString = false;
+        }
+        continue;
+      }
+
+      if (char === ',') {
+        let next = i + 1;
+        while (next < text.length && /\s/.test(text[next])) next++;
+        // Trailing comma before a closer
+        if (text[next] === '}' || text[next] === ']') continue;
+        // Everything before a separator is complete
+        lastCut = { index: output.length, closers: [...stack] };
+      }
+
+      output += char;
+
+      if (char === '"') {
+        inString = true;
+      } else if (char === '{' || char === '[') {
+        stack.push(char === '{' ? '}' : ']');
+      } else if (char === '}' || char === ']') {
+        stack.pop();
+        // Everything up to a closed object/array is complete
+        lastCut = { index: output.length, closers: [...stack] };
+        if (stack.length === 0) {
+          return { text: output, truncated: false };
+        }
+      }
+    }
+
+    // Truncated: drop the incomplete trailing element and close what is still open
+    if ((stack.length > 0 || inString) && lastCut) {
+      return { text: output.substring(0, lastCut.index) + lastCut.closers.reverse().join(''), truncated: true };
+    }
+
+    return { text: output, truncated: false };
+  }
 }
 
-module.exports = new AIService();
+module.exports = new AIService();
\ No newline at end of file
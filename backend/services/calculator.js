@@ -1,12 +1,30 @@
 // backend/services/calculator.js
+const { CALCULATION_PARAMETERS } = require('./responseSchemas');
+const formulaEngine = require('./formulaEngine');
+const filterEngine = require('./filterEngine');
+const valueNormalizer = require('./valueNormalizer');
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
 class Calculator {
+    constructor() {
+      this.MAX_SPARKLINE_POINTS = 12;   // Latest periods drawn on a KPI card
+    }
   
-    calculateKPIs(data, kpiDefinitions) {
+    // The rows a dashboard is computed from: calculated fields added, then the global filter applied
+    prepareRows(data, calculatedFields = [], filter = null) {
+      return filterEngine.apply(formulaEngine.applyFields(data, calculatedFields), filter);
+    }
+    
+    // calculatedFields are added to every row first, so KPIs can aggregate them like any column.
+    // schema tells which currency KPIs in the currency format are shown in (see currencyOf).
+    calculateKPIs(data, kpiDefinitions, calculatedFields = [], schema = null) {
       const kpis = [];
+      const rows = this.prepareRows(data, calculatedFields);
       
       kpiDefinitions.forEach(def => {
         try {
-          const kpi = this.calculateSingleKPI(data, def);
+          const kpi = this.calculateSingleKPI(rows, { ...def, currency: this.currencyOf(def, schema) });
           if (kpi) {
             kpis.push(kpi);
           }
@@ -18,70 +36,418 @@ class Calculator {
       return kpis;
     }
     
+    // definition.filter, when given, selects the rows the KPI is computed from (see filterEngine).
+    // With a period comparison the value is that of the latest period, compared with an earlier one.
     calculateSingleKPI(data, definition) {
-      let value = 0;
+      const calculation = definition.calculation.toLowerCase();
+      const rows = filterEngine.apply(data, definition.filter);
+      const { comparison } = definition;
+      const periods = comparison?.dateColumn ? this.groupByPeriod(rows, comparison.dateColumn, this.periodOf(comparison)) : [];
+      const current = comparison && comparison.type !== 'target' ? periods[periods.length - 1] : null;
+      const value = this.kpiValue(current ? current.rows : rows, definition);
+      
+      if (value === undefined) {
+        console.warn(`Unknown calculation type: ${definition.calculation}`);
+        return null;
+      }
+      
+      const kpi = {
+        id: definition.id,
+        name: definition.name,
+        value: value,
+        formattedValue: this.formatValue(value, definition.format, definition.currency),
+        calculation: definition.calculation,
+        column: definition.column,
+        format: definition.format
+      };
+      
+      if (calculation === 'formula') {
+        kpi.formula = definition.formula;
+      }
+      if (filterEngine.isActive(definition.filter)) {
+        kpi.filter = definition.filter;
+        kpi.filterDescription = filterEngine.describe(definition.filter);
+        kpi.filteredRecords = rows.length;
+      }
+      
+      Object.keys(CALCULATION_PARAMETERS).filter(parameter => definition[parameter]).forEach(parameter => {
+        kpi[parameter] = definition[parameter];
+      });
+      
+      if (comparison) {
+        kpi.period = current ? current.label : null;
+        kpi.comparison = this.calculateComparison(rows, periods, value, definition);
+        kpi.sparkline = periods.slice(-this.MAX_SPARKLINE_POINTS).map(period => ({
+          period: period.label,
+          value: this.kpiValue(period.rows, definition)
+        }));
+      }
+      
+      return kpi;
+    }
+    
+    // The KPI's value over the given rows; undefined for an unknown calculation
+    kpiValue(rows, definition) {
+      const calculation = definition.calculation.toLowerCase();
+      const value = calculation === 'formula'
+        ? this.calculateFormula(rows, definition.formula)
+        : this.aggregate(rows, calculation, definition.column, definition);
+      
+      // Percent formatting expects percentage points, a ratio is a fraction
+      if (value !== undefined && calculation === 'ratio' && definition.format?.toLowerCase() === 'percent') {
+        return value * 100;
+      }
+      return value;
+    }
+    
+    // Year over year compares months unless another period is given
+    periodOf(comparison) {
+      return comparison.period || (comparison.type === 'year_over_year' ? 'month' : null);
+    }
+    
+    // The value a KPI is compared with, and the change from it. periods are the KPI's rows split by
+    // comparison.dateColumn, oldest first; the delta fields are null when there is nothing to compare with.
+    calculateComparison(rows, periods, value, definition) {
+      const { comparison } = definition;
+      const format = definition.format?.toLowerCase();
+      let previous = null;
+      let label;
+      
+      if (comparison.type === 'target') {
+        // Counting a target column means nothing, so counts are compared with its sum
+        const calculation = ['count', 'distinct_count'].includes(definition.calculation.toLowerCase())
+          ? 'sum'
+          : definition.calculation;
+        const target = this.kpiValue(rows, { ...definition, calculation, column: comparison.targetColumn });
+        previous = target === undefined ? null : { label: 'target', value: target };
+        label = previous ? `vs target ${this.formatValue(target, format, definition.currency)}` : 'no target';
+      } else if (comparison.type === 'year_over_year') {
+        // Period keys start with the year, so the same period a year earlier differs only there
+        const current = periods[periods.length - 1];
+        const key = current ? `${Number(current.key.slice(0, 4)) - 1}${current.key.slice(4)}` : null;
+        const match = periods.find(period => period.key === key);
+        previous = match ? { label: match.label, value: this.kpiValue(match.rows, definition) } : null;
+        label = previous ? `vs ${previous.label}` : 'no data a year earlier';
+      } else {
+        const match = periods[periods.length - 2];
+        previous = match ? { label: match.label, value: this.kpiValue(match.rows, definition) } : null;
+        label = previous ? `vs ${previous.label}` : 'no previous period';
+      }
       
-      switch (definition.calculation.toLowerCase()) {
+      const result = {
+        type: comparison.type,
+        label,
+        previousPeriod: previous && comparison.type !== 'target' ? previous.label : null,
+        previousValue: previous ? previous.value : null,
+        formattedPreviousValue: previous ? this.formatValue(previous.value, format, definition.currency) : null,
+        delta: null,
+        formattedDelta: null,
+        deltaPercent: null,
+        formattedDeltaPercent: null,
+        direction: null,
+        sentiment: 'neutral'
+      };
+      
+      if (!previous) {
+        return result;
+      }
+      
+      const delta = value - previous.value;
+      const deltaPercent = previous.value !== 0 ? (delta / Math.abs(previous.value)) * 100 : null;
+      const direction = delta > 0 ? 'up' : delta < 0 ? 'down' : 'flat';
+      const sign = delta > 0 ? '+' : delta < 0 ? '-' : '';
+      const better = comparison.higherIsBetter === false ? 'down' : 'up';
+      
+      return {
+        ...result,
+        delta,
+        // A change of a percentage is in percentage points
+        formattedDelta: format === 'percent'
+          ? `${sign}${this.round(Math.abs(delta))} pp`
+          : `${sign}${this.formatValue(Math.abs(delta), format, definition.currency)}`,
+        deltaPercent,
+        formattedDeltaPercent: deltaPercent !== null ? `${sign}${this.round(Math.abs(deltaPercent))}%` : null,
+        direction,
+        sentiment: direction === 'flat' ? 'neutral' : direction === better ? 'positive' : 'negative'
+      };
+    }
+    
+    // Rows split into periods, oldest first: [{ key, label, rows }]. Without a period each distinct value of
+    // dateColumn is one, ordered by date when every value parses and in document order otherwise. With a period,
+    // dates are bucketed into it (keys like "2024", "2024-Q1", "2024-03", "2024-W09", "2024-03-05") and rows
+    // whose date does not parse are left out.
+    groupByPeriod(data, dateColumn, period = null) {
+      const groups = new Map();
+      
+      data.forEach(row => {
+        const raw = row[dateColumn];
+        if (raw === null || raw === undefined || raw === '') return;
+        
+        const key = period ? this.periodKey(raw, period) : String(raw);
+        if (key === null) return;
+        
+        if (!groups.has(key)) {
+          groups.set(key, { key, label: period ? this.periodLabel(key, period) : key, timestamp: Date.parse(raw), rows: [] });
+        }
+        groups.get(key).rows.push(row);
+      });
+      
+      const periods = [...groups.values()];
+      if (period) {
+        return periods.sort((a, b) => a.key.localeCompare(b.key));
+      }
+      return periods.every(entry => !isNaN(entry.timestamp))
+        ? periods.sort((a, b) => a.timestamp - b.timestamp)
+        : periods;
+    }
+    
+    periodKey(value, period) {
+      const timestamp = Date.parse(value);
+      if (isNaN(timestamp)) {
+        return null;
+      }
+      
+      const date = new Date(timestamp);
+      const year = date.getUTCFullYear();
+      const month = date.getUTCMonth() + 1;
+      const pad = number => String(number).padStart(2, '0');
+      
+      switch (period) {
+        case 'year':
+          return `${year}`;
+        case 'quarter':
+          return `${year}-Q${Math.ceil(month / 3)}`;
+        case 'week': {
+          // ISO week: weeks start on Monday and belong to the year their Thursday falls in
+          const thursday = new Date(Date.UTC(year, month - 1, date.getUTCDate() + 3 - ((date.getUTCDay() + 6) % 7)));
+          const yearStart = Date.UTC(thursday.getUTCFullYear(), 0, 1);
+          const week = Math.floor((thursday - yearStart) / (7 * 24 * 60 * 60 * 1000)) + 1;
+          return `${thursday.getUTCFullYear()}-W${pad(week)}`;
+        }
+        case 'day':
+          return `${year}-${pad(month)}-${pad(date.getUTCDate())}`;
+        case 'month':
+        default:
+          return `${year}-${pad(month)}`;
+      }
+    }
+    
+    // "Mar 2024" for months, the key itself otherwise
+    periodLabel(key, period) {
+      if (period === 'month') {
+        return `${MONTHS[Number(key.slice(5, 7)) - 1]} ${key.slice(0, 4)}`;
+      }
+      if (period === 'quarter') {
+        return `${key.slice(5)} ${key.slice(0, 4)}`;
+      }
+      return key;
+    }
+    
+    round(value) {
+      return Math.round(value * 10) / 10;
+    }
+    
+    // One aggregate of column over the rows; undefined for an unknown calculation.
+    // options carries the extra columns some calculations need (weightColumn, dateColumn, denominatorColumn).
+    aggregate(data, calculation, column, options = {}) {
+      switch (calculation.toLowerCase()) {
         case 'sum':
-          value = this.calculateSum(data, definition.column);
-          break;
+          return this.calculateSum(data, column);
           
         case 'avg':
         case 'average':
-          value = this.calculateAverage(data, definition.column);
-          break;
+          return this.calculateAverage(data, column);
           
         case 'count':
-          value = data.length;
-          break;
+          return data.length;
           
         case 'max':
-          value = this.calculateMax(data, definition.column);
-          break;
+          return this.calculateMax(data, column);
           
         case 'min':
-          value = this.calculateMin(data, definition.column);
-          break;
+          return this.calculateMin(data, column);
+          
+        case 'median':
+          return this.calculatePercentile(data, column, 50);
+          
+        case 'p90':
+          return this.calculatePercentile(data, column, 90);
+          
+        case 'p95':
+          return this.calculatePercentile(data, column, 95);
+          
+        case 'stddev':
+          return this.calculateStdDev(data, column);
+          
+        case 'distinct_count':
+          return this.calculateDistinctCount(data, column);
+          
+        case 'weighted_avg':
+          return this.calculateWeightedAverage(data, column, options.weightColumn);
+          
+        case 'first':
+          return this.calculateFirst(data, column, options.dateColumn);
+          
+        case 'last':
+          return this.calculateLast(data, column, options.dateColumn);
+          
+        case 'ratio':
+          return this.calculateRatio(data, column, options.denominatorColumn);
           
         default:
-          console.warn(`Unknown calculation type: ${definition.calculation}`);
-          return null;
+          return undefined;
       }
-      
-      return {
-        name: definition.name,
-        value: value,
-        formattedValue: this.formatValue(value, definition.format),
-        calculation: definition.calculation,
-        column: definition.column,
-        format: definition.format
-      };
+    }
+  
+    // One KPI value per value of groupBy, largest first
+    calculateGrouped(data, definition, groupBy) {
+      const grouped = this.groupBy(data, groupBy);
+
+      return Object.keys(grouped)
+        .map(group => {
+          const kpi = this.calculateSingleKPI(grouped[group], definition);
+          return { group, value: kpi?.value ?? null, formattedValue: kpi?.formattedValue ?? null };
+        })
+        .sort((a, b) => (b.value ?? -Infinity) - (a.value ?? -Infinity));
     }
   
     calculateSum(data, column) {
       return data.reduce((sum, row) => {
-        const val = parseFloat(row[column]);
+        const val = this.toNumber(row[column]);
         return sum + (isNaN(val) ? 0 : val);
       }, 0);
     }
   
     calculateAverage(data, column) {
       const sum = this.calculateSum(data, column);
-      const count = data.filter(row => !isNaN(parseFloat(row[column]))).length;
+      const count = data.filter(row => !isNaN(this.toNumber(row[column]))).length;
       return count > 0 ? sum / count : 0;
     }
   
     calculateMax(data, column) {
-      const values = data.map(row => parseFloat(row[column])).filter(val => !isNaN(val));
+      const values = this.numericValues(data, column);
       return values.length > 0 ? Math.max(...values) : 0;
     }
   
     calculateMin(data, column) {
-      const values = data.map(row => parseFloat(row[column])).filter(val => !isNaN(val));
+      const values = this.numericValues(data, column);
       return values.length > 0 ? Math.min(...values) : 0;
     }
+  
+    // Linear interpolation between the closest ranks, as spreadsheets' PERCENTILE does
+    calculatePercentile(data, column, percentile) {
+      const values = this.numericValues(data, column).sort((a, b) => a - b);
+      if (values.length === 0) {
+        return 0;
+      }
+      
+      const rank = (percentile / 100) * (values.length - 1);
+      const lower = Math.floor(rank);
+      const upper = Math.ceil(rank);
+      return values[lower] + (values[upper] - values[lower]) * (rank - lower);
+    }
+  
+    // Sample standard deviation (n - 1), as spreadsheets' STDEV does
+    calculateStdDev(data, column) {
+      const values = this.numericValues(data, column);
+      if (values.length < 2) {
+        return 0;
+      }
+      
+      const mean = values.reduce((sum, val) => sum + val, 0) / values.length;
+      const variance = values.reduce((sum, val) => sum + (val - mean) ** 2, 0) / (values.length - 1);
+      return Math.sqrt(variance);
+    }
+  
+    calculateDistinctCount(data, column) {
+      return new Set(
+        data
+          .map(row => row[column])
+          .filter(val => val !== null && val !== undefined && val !== '')
+          .map(val => String(val).trim().toLowerCase())
+      ).size;
+    }
+  
+    // Rows missing either the value or the weight are left out
+    calculateWeightedAverage(data, column, weightColumn) {
+      let weightedSum = 0;
+      let totalWeight = 0;
+      
+      data.forEach(row => {
+        const val = this.toNumber(row[column]);
+        const weight = this.toNumber(row[weightColumn]);
+        if (!isNaN(val) && !isNaN(weight)) {
+          weightedSum += val * weight;
+          totalWeight += weight;
+        }
+      });
+      
+      return totalWeight !== 0 ? weightedSum / totalWeight : 0;
+    }
+  
+    calculateFirst(data, column, dateColumn) {
+      const values = this.chronologicalValues(data, column, dateColumn);
+      return values.length > 0 ? values[0] : 0;
+    }
+  
+    calculateLast(data, column, dateColumn) {
+      const values = this.chronologicalValues(data, column, dateColumn);
+      return values.length > 0 ? values[values.length - 1] : 0;
+    }
+  
+    // Aggregates combined by a formula, e.g. sum(revenue - cost) / sum(revenue) * 100.
+    // Throws when the formula does not parse; 0 when it cannot be computed, like the other calculations.
+    calculateFormula(data, formula) {
+      const ast = formulaEngine.parse(formula);
+      const value = formulaEngine.evaluateAggregate(ast, data, (rows, calculation, column, options) =>
+        this.aggregate(rows, calculation, column, options));
+      return value ?? 0;
+    }
+  
+    // Sum of column over sum of denominatorColumn, e.g. margin over revenue
+    calculateRatio(data, column, denominatorColumn) {
+      const denominator = this.calculateSum(data, denominatorColumn);
+      return denominator !== 0 ? this.calculateSum(data, column) / denominator : 0;
+    }
+  
+    // Cells are numbers once extracted; text such as "$1,200" left by older sessions or edits is still read as one.
+    // NaN for anything else, so callers can skip it like before.
+    toNumber(value) {
+      return valueNormalizer.toNumber(value) ?? NaN;
+    }
+  
+    numericValues(data, column) {
+      return data.map(row => this.toNumber(row[column])).filter(val => !isNaN(val));
+    }
+  
+    // Values ordered by dateColumn when every date parses, otherwise in document order
+    chronologicalValues(data, column, dateColumn) {
+      const rows = data
+        .map(row => ({ value: this.toNumber(row[column]), timestamp: dateColumn ? Date.parse(row[dateColumn]) : NaN }))
+        .filter(row => !isNaN(row.value));
+      
+      if (dateColumn && rows.length > 0 && rows.every(row => !isNaN(row.timestamp))) {
+        rows.sort((a, b) => a.timestamp - b.timestamp);
+      }
+      
+      return rows.map(row => row.value);
+    }
+    
+    // The currency valueNormalizer recorded for the KPI's column. A formula KPI has no column of its own and
+    // uses the currency of the data when every measure with one agrees. null leaves formatValue on USD.
+    currencyOf(definition, schema) {
+      const measures = schema?.measures || [];
+      const column = measures.find(measure => measure.name === definition.column);
+      if (column) {
+        return column.currency || null;
+      }
+      
+      const currencies = [...new Set(measures.map(measure => measure.currency).filter(Boolean))];
+      return currencies.length === 1 ? currencies[0] : null;
+    }
     
-    formatValue(value, format) {
+    // currency is an ISO code such as "EUR", for the currency format
+    formatValue(value, format, currency = null) {
       if (isNaN(value) || !isFinite(value)) {
         return '0';
       }
@@ -90,7 +456,7 @@ class Calculator {
         case 'currency':
           return new Intl.NumberFormat('en-US', {
             style: 'currency',
-            currency: 'USD',
+            currency: currency || 'USD',
             minimumFractionDigits: 0,
             maximumFractionDigits: 0
           }).format(value);
@@ -114,20 +480,23 @@ class Calculator {
       }
     }
     
-    generateChartConfigs(data, chartDefinitions) {
+    generateChartConfigs(data, chartDefinitions, calculatedFields = []) {
       const charts = [];
+      const rows = this.prepareRows(data, calculatedFields);
       
       chartDefinitions.forEach((def, index) => {
         try {
-          const chartData = this.prepareChartData(data, def);
+          const chartData = this.prepareChartData(rows, def);
           if (chartData && chartData.length > 0) {
             charts.push({
-              id: `chart_${index}`,
+              id: def.id || `chart_${index}`,
               title: def.title,
               type: def.type,
               data: chartData,
               measures: def.measures,
               dimensions: def.dimensions,
+              aggregation: def.aggregation || 'sum',
+              ...(filterEngine.isActive(def.filter) && { filter: def.filter, filterDescription: filterEngine.describe(def.filter) }),
               config: this.generateChartOption(def.type, chartData, def.measures, def.dimensions)
             });
           }
@@ -140,17 +509,19 @@ class Calculator {
     }
     
     prepareChartData(data, chartDef) {
-      const { measures, dimensions, type } = chartDef;
+      const { measures, dimensions } = chartDef;
+      const aggregation = chartDef.aggregation || 'sum';
+      const rows = filterEngine.apply(data, chartDef.filter);
       
       if (!measures || !dimensions || measures.length === 0 || dimensions.length === 0) {
-        return data.slice(0, 20); // Return first 20 rows if no aggregation needed
+        return rows.slice(0, 20); // Return first 20 rows if no aggregation needed
       }
       
       const primaryDimension = dimensions[0];
       const primaryMeasure = measures[0];
       
       // Group data by dimension
-      const grouped = this.groupBy(data, primaryDimension);
+      const grouped = this.groupBy(rows, primaryDimension);
       
       // Calculate aggregated values
       const chartData = Object.keys(grouped).map(key => {
@@ -158,7 +529,7 @@ class Calculator {
         const dataPoint = { [primaryDimension]: key };
         
         measures.forEach(measure => {
-          dataPoint[measure] = this.calculateSum(group, measure);
+          dataPoint[measure] = this.aggregate(group, aggregation, measure, chartDef) ?? 0;
         });
         
         return dataPoint;
@@ -0,0 +1,124 @@
+// backend/services/chatService.js - Answers questions about a session from its extracted data and text
+const aiService = require('./aiService');
+const calculator = require('./calculator');
+const dashboardEditor = require('./dashboardEditor');
+const filterEngine = require('./filterEngine');
+const { CALCULATION_PARAMETERS } = require('./responseSchemas');
+
+class ChatService {
+  constructor() {
+    this.MAX_HISTORY = 50;          // Messages kept per session
+    this.PROMPT_HISTORY = 6;        // Most recent messages sent along with a new question
+    this.MAX_COMPUTATIONS = 5;      // Aggregates computed per question
+    this.MAX_GROUPS = 20;           // Groups reported per grouped aggregate
+    this.EXCERPT_CHUNK = 800;       // Characters per candidate excerpt of the document
+    this.EXCERPT_LIMIT = 3000;      // Characters of the document quoted per question
+  }
+
+  // Returns the assistant message and the session's updated history
+  async ask(sessionData, question) {
+    const history = sessionData.chatHistory || [];
+    const recent = history.slice(-this.PROMPT_HISTORY).map(entry => ({ role: entry.role, content: entry.content }));
+    const askedAt = new Date().toISOString();
+
+    let results = [];
+    if (sessionData.hasData && sessionData.data?.length > 0) {
+      // Calculated fields can be asked about like any other column
+      const structuredData = dashboardEditor.datasetWithFields(sessionData);
+      const plan = await aiService.planChatComputations(question, structuredData, recent);
+      results = plan.computations
+        .slice(0, this.MAX_COMPUTATIONS)
+        .map(computation => this.compute(structuredData.data, computation));
+    }
+
+    const { answer } = await aiService.answerChatQuestion(question, {
+      fileName: sessionData.fileName,
+      results,
+      excerpts: this.selectExcerpts(sessionData.extractedText || '', question),
+      history: recent
+    });
+
+    const message = {
+      role: 'assistant',
+      content: answer.trim(),
+      computations: results,
+      createdAt: new Date().toISOString()
+    };
+
+    return {
+      message,
+      history: [...history, { role: 'user', content: question, createdAt: askedAt }, message].slice(-this.MAX_HISTORY)
+    };
+  }
+
+  // One aggregate over the rows, optionally per group
+  compute(data, computation) {
+    const calculation = computation.calculation.toLowerCase() === 'average' ? 'avg' : computation.calculation.toLowerCase();
+    const definition = {
+      name: computation.label || `${calculation} of ${computation.column}`,
+      calculation,
+      column: computation.column,
+      format: 'number'
+    };
+
+    const result = {
+      label: definition.name,
+      calculation,
+      column: computation.column,
+      groupBy: computation.groupBy || null
+    };
+
+    if (filterEngine.isActive(computation.filter)) {
+      definition.filter = computation.filter;
+      result.filter = filterEngine.describe(computation.filter);
+    }
+
+    // The weight, denominator or date column the calculation reads
+    Object.keys(CALCULATION_PARAMETERS)
+      .filter(parameter => computation[parameter])
+      .forEach(parameter => {
+        definition[parameter] = computation[parameter];
+        result[parameter] = computation[parameter];
+      });
+
+    if (!result.groupBy) {
+      const kpi = calculator.calculateSingleKPI(data, definition);
+      return { ...result, value: kpi.value, formattedValue: kpi.formattedValue };
+    }
+
+    const groups = calculator.calculateGrouped(data, definition, result.groupBy);
+    return { ...result, groups: groups.slice(0, this.MAX_GROUPS), totalGroups: groups.length };
+  }
+
+  // The parts of the document sharing the most words with the question, kept in document order
+  selectExcerpts(text, question) {
+    const terms = [...new Set(question.toLowerCase().match(/[\p{L}\d]{3,}/gu) || [])];
+    const chunks = aiService.chunkText(text, this.EXCERPT_CHUNK);
+
+    const scored = chunks
+      .map((chunk, index) => {
+        const lower = chunk.toLowerCase();
+        return { chunk, index, score: terms.filter(term => lower.includes(term)).length };
+      })
+      .sort((a, b) => b.score - a.score || a.index - b.index);
+
+    const selected = [];
+    let length = 0;
+
+    for (let candidate of scored) {
+      if (length + candidate.chunk.length > this.EXCERPT_LIMIT) {
+        if (selected.length > 0) break;
+        candidate = { ...candidate, chunk: candidate.chunk.substring(0, this.EXCERPT_LIMIT) };
+      }
+      selected.push(candidate);
+      length += candidate.chunk.length;
+    }
+
+    return selected
+      .sort((a, b) => a.index - b.index)
+      .map(candidate => candidate.chunk)
+      .join('\n...\n');
+  }
+}
+
+module.exports = new ChatService();
@@ -0,0 +1,469 @@
+// backend/services/dashboardEditor.js - Create, update, reorder and delete the KPIs and charts of a dashboard config
+const { randomUUID } = require('crypto');
+const {
+  normalizeResponse,
+  validateResponse,
+  CHART_TYPES,
+  KPI_CALCULATIONS,
+  CALCULATION_PARAMETERS,
+  KPI_FORMATS,
+  COMPARISON_TYPES,
+  COMPARISON_PERIODS
+} = require('./responseSchemas');
+const tableExtractor = require('./tableExtractor');
+const formulaEngine = require('./formulaEngine');
+const filterEngine = require('./filterEngine');
+
+const SECTIONS = {
+  kpis: { schema: 'kpi', prefix: 'kpi' },
+  charts: { schema: 'chart', prefix: 'chart' },
+  calculatedFields: { schema: 'calculatedField', prefix: 'field' }
+};
+
+// Default KPI names where the calculation id does not read well as a label
+const CALCULATION_NAMES = {
+  avg: 'Average',
+  p90: '90th Percentile of',
+  p95: '95th Percentile of',
+  stddev: 'Std Dev of',
+  distinct_count: 'Distinct Count of',
+  weighted_avg: 'Weighted Average',
+  first: 'First',
+  last: 'Latest'
+};
+
+// Calculations that count values rather than add them up, so they work on any column
+const COUNTING = ['count', 'distinct_count'];
+
+class DashboardEditor {
+  constructor() {
+    this.SECTIONS = Object.keys(SECTIONS);
+  }
+
+  // What the editor can offer for a session: the dataset columns (calculated fields count as measures)
+  // and the allowed values
+  getOptions(schema, dashboardConfig = {}) {
+    const fullSchema = formulaEngine.schemaWithFields(schema, dashboardConfig.calculatedFields);
+
+    return {
+      measures: fullSchema.measures.map(column => column.name),
+      dimensions: fullSchema.dimensions.map(column => column.name),
+      chartTypes: CHART_TYPES,
+      calculations: [...KPI_CALCULATIONS.filter(calculation => calculation !== 'average'), 'formula'],
+      calculationParameters: CALCULATION_PARAMETERS,
+      formats: KPI_FORMATS,
+      functions: { row: formulaEngine.ROW_FUNCTIONS, aggregate: formulaEngine.AGGREGATES },
+      filterOperators: filterEngine.OPERATORS,
+      comparisonTypes: COMPARISON_TYPES,
+      comparisonPeriods: COMPARISON_PERIODS
+    };
+  }
+
+  // Configs proposed by the AI have no ids; items need one to be edited, so they are assigned once and persisted
+  withIds(dashboardConfig) {
+    let changed = false;
+    const config = { ...dashboardConfig };
+
+    this.SECTIONS.forEach(section => {
+      config[section] = (config[section] || []).map(item => {
+        if (item.id) return item;
+        changed = true;
+        return { id: this.newId(section), ...item };
+      });
+    });
+
+    return { config, changed };
+  }
+
+  // A session's rows and schema with its calculated fields added, for features that read the dataset as a whole
+  datasetWithFields(sessionData) {
+    const fields = sessionData.dashboardConfig?.calculatedFields || [];
+    return {
+      data: formulaEngine.applyFields(sessionData.data, fields),
+      schema: formulaEngine.schemaWithFields(sessionData.schema, fields)
+    };
+  }
+
+  findItem(dashboardConfig, section, itemId) {
+    return (dashboardConfig[section] || []).find(item => item.id === itemId) || null;
+  }
+
+  createItem(dashboardConfig, section, values, schema) {
+    const item = this.normalize(section, { ...values, id: this.newId(section) }, schema);
+    const errors = this.validateItem(section, item, schema, dashboardConfig);
+
+    if (errors.length > 0) {
+      return { errors };
+    }
+
+    return {
+      item,
+      config: { ...dashboardConfig, [section]: [...(dashboardConfig[section] || []), item] }
+    };
+  }
+
+  // Only the given fields change; the result is validated as a whole
+  updateItem(dashboardConfig, section, itemId, changes, schema) {
+    const current = this.findItem(dashboardConfig, section, itemId);
+    const item = this.normalize(section, { ...current, ...changes, id: itemId }, schema);
+    const errors = this.validateItem(section, item, schema, dashboardConfig);
+
+    // Whatever reads a calculated field refers to it by name
+    if (section === 'calculatedFields' && item.name !== current.name) {
+      errors.push(...this.dependents(dashboardConfig, current.name)
+        .map(dependent => `name: "${current.name}" is used by ${dependent}, which would lose it`));
+    }
+
+    if (errors.length > 0) {
+      return { errors };
+    }
+
+    return {
+      item,
+      config: {
+        ...dashboardConfig,
+        [section]: dashboardConfig[section].map(existing => (existing.id === itemId ? item : existing))
+      }
+    };
+  }
+
+  // Calculated fields still used by a KPI, chart or other field are kept
+  deleteItem(dashboardConfig, section, itemId) {
+    if (section === 'calculatedFields') {
+      const { name } = this.findItem(dashboardConfig, section, itemId);
+      const dependents = this.dependents(dashboardConfig, name);
+
+      if (dependents.length > 0) {
+        return { errors: dependents.map(dependent => `"${name}" is used by ${dependent}`) };
+      }
+    }
+
+    return {
+      config: {
+        ...dashboardConfig,
+        [section]: dashboardConfig[section].filter(item => item.id !== itemId)
+      }
+    };
+  }
+
+  // The KPIs, charts and calculated fields that read the given column, e.g. 'KPI "Gross Margin"'
+  dependents(dashboardConfig, name) {
+    const reads = item => [
+      item.column,
+      ...(item.measures || []),
+      ...(item.dimensions || []),
+      ...Object.keys(CALCULATION_PARAMETERS).map(parameter => item[parameter]),
+      ...(item.formula ? formulaEngine.columnsIn(item.formula) : []),
+      ...filterEngine.columnsIn(item.filter),
+      ...this.comparisonColumns(item.comparison),
+      ...(item.expression ? formulaEngine.columnsIn(item.expression) : [])
+    ].includes(name);
+
+    return [
+      ...(dashboardConfig.kpis || []).filter(reads).map(kpi => `KPI "${kpi.name}"`),
+      ...(dashboardConfig.charts || []).filter(reads).map(chart => `chart "${chart.title}"`),
+      ...(dashboardConfig.calculatedFields || []).filter(reads).map(field => `calculated field "${field.name}"`)
+    ];
+  }
+
+  // itemIds must name every item of the section exactly once
+  reorder(dashboardConfig, section, itemIds, schema) {
+    const items = dashboardConfig[section] || [];
+    const current = items.map(item => item.id).sort();
+
+    if (!Array.isArray(itemIds) || JSON.stringify([...itemIds].sort()) !== JSON.stringify(current)) {
+      return { errors: [`ids must list each of the ${items.length} ${section} exactly once`] };
+    }
+
+    const reordered = itemIds.map(itemId => items.find(item => item.id === itemId));
+
+    // A calculated field can only build on the fields before it
+    if (section === 'calculatedFields') {
+      const errors = reordered.flatMap(field => this.fieldErrors(field, schema, reordered)
+        .map(error => `${field.name}: ${error}`));
+      if (errors.length > 0) {
+        return { errors };
+      }
+    }
+
+    return {
+      config: {
+        ...dashboardConfig,
+        [section]: reordered
+      }
+    };
+  }
+
+  normalize(section, values, schema) {
+    const item = normalizeResponse(SECTIONS[section].schema, values);
+
+    // A cleared filter (null or an empty and/or group) is removed rather than stored
+    if (item.filter !== undefined && !filterEngine.isActive(item.filter)) {
+      delete item.filter;
+    }
+
+    if (section === 'kpis' && item.comparison !== undefined) {
+      const comparison = this.normalizeComparison(item.comparison);
+      if (comparison) {
+        item.comparison = comparison;
+      } else {
+        delete item.comparison;
+      }
+    }
+
+    if (section === 'calculatedFields') {
+      return {
+        ...item,
+        name: typeof item.name === 'string' && item.name.trim() ? tableExtractor.normalizeColumnName(item.name) : item.name,
+        expression: typeof item.expression === 'string' ? item.expression.trim() : item.expression,
+        format: item.format || 'number'
+      };
+    }
+
+    // A formula KPI reads its columns from the formula, other KPIs have no formula
+    if (section === 'kpis' && this.normalizeCalculation(item.calculation) === 'formula') {
+      const formula = typeof item.formula === 'string' ? item.formula.trim() : item.formula;
+      const name = typeof item.name === 'string' && item.name.trim() ? item.name.trim() : formula;
+      const kpi = this.withParameters({ ...item, name, calculation: 'formula', formula }, 'formula');
+
+      delete kpi.column;
+      return kpi;
+    }
+
+    if (section === 'kpis') {
+      const calculation = this.normalizeCalculation(item.calculation);
+      // A count does not depend on a column, but the config format requires one
+      const column = item.column || (calculation === 'count' ? schema?.measures?.[0]?.name : item.column);
+      const name = typeof item.name === 'string' && item.name.trim()
+        ? item.name.trim()
+        : column && this.defaultName(calculation, column, item);
+      const kpi = this.withParameters({ ...item, name, calculation, column }, calculation);
+
+      delete kpi.formula;
+      return kpi;
+    }
+
+    const chart = {
+      ...item,
+      title: typeof item.title === 'string' ? item.title.trim() : item.title,
+      dimensions: item.dimensions === undefined ? [] : item.dimensions
+    };
+
+    // Charts sum by default; the field is only kept when it says something else
+    const aggregation = this.normalizeCalculation(item.aggregation);
+    if (!aggregation || aggregation === 'sum') {
+      delete chart.aggregation;
+      return this.withParameters(chart, 'sum');
+    }
+
+    return this.withParameters({ ...chart, aggregation }, aggregation);
+  }
+
+  // null clears the comparison; columns the comparison type does not read are dropped
+  normalizeComparison(comparison) {
+    // Anything else but an object is left for validation to reject
+    if (comparison === null || typeof comparison !== 'object' || Array.isArray(comparison)) {
+      return comparison;
+    }
+
+    const result = { ...comparison };
+    if (result.type !== 'target' || !result.targetColumn) {
+      delete result.targetColumn;
+    }
+    if (result.type === 'target' || !result.period) {
+      delete result.period;
+    }
+    ['dateColumn', 'higherIsBetter'].filter(key => result[key] === null || result[key] === '').forEach(key => {
+      delete result[key];
+    });
+    return result;
+  }
+
+  comparisonColumns(comparison) {
+    return comparison && typeof comparison === 'object'
+      ? [comparison.dateColumn, comparison.targetColumn].filter(Boolean)
+      : [];
+  }
+
+  normalizeCalculation(calculation) {
+    const normalized = typeof calculation === 'string' ? calculation.toLowerCase() : calculation;
+    return normalized === 'average' ? 'avg' : normalized;
+  }
+
+  // Drops parameter columns the calculation does not read, e.g. a weightColumn left over from a weighted average
+  withParameters(item, calculation) {
+    const result = { ...item };
+
+    Object.entries(CALCULATION_PARAMETERS).forEach(([parameter, { calculations }]) => {
+      if (!calculations.includes(calculation) || !result[parameter]) {
+        delete result[parameter];
+      }
+    });
+
+    return result;
+  }
+
+  defaultName(calculation, column, item) {
+    if (calculation === 'ratio' && item.denominatorColumn) {
+      return `${tableExtractor.toLabel(column)} per ${tableExtractor.toLabel(item.denominatorColumn)}`;
+    }
+    return `${CALCULATION_NAMES[calculation] || tableExtractor.toLabel(calculation || '')} ${tableExtractor.toLabel(column)}`;
+  }
+
+  // Structure first, then every referenced column must exist in the dataset with the right role.
+  // The calculated fields of dashboardConfig count as measures.
+  validateItem(section, item, schema, dashboardConfig = {}) {
+    const errors = validateResponse(SECTIONS[section].schema, item);
+    if (errors.length > 0) {
+      return errors;
+    }
+
+    if (section === 'calculatedFields') {
+      return this.fieldErrors(item, schema, dashboardConfig.calculatedFields || []);
+    }
+
+    const fullSchema = formulaEngine.schemaWithFields(schema, dashboardConfig.calculatedFields);
+    const measures = fullSchema.measures.map(column => column.name);
+    const dimensions = fullSchema.dimensions.map(column => column.name);
+
+    if (item.filter !== undefined) {
+      errors.push(...filterEngine.validate(item.filter, [...measures, ...dimensions]));
+    }
+    if (item.comparison !== undefined) {
+      errors.push(...this.comparisonErrors(item, measures, dimensions));
+    }
+
+    if (section === 'kpis' && item.calculation === 'formula') {
+      return [
+        ...errors,
+        ...(formulaEngine.compile(item.formula, { measures, dimensions, mode: 'aggregate' }).errors || [])
+          .map(error => `formula: ${error}`)
+      ];
+    }
+
+    if (section === 'kpis') {
+      return [...errors, ...this.calculationErrors(item, item.calculation, measures, dimensions)];
+    }
+
+    item.measures
+      .filter(name => !measures.includes(name))
+      .forEach(name => errors.push(`measures: "${name}" is not a measure of this dataset`));
+    item.dimensions
+      .filter(name => !dimensions.includes(name))
+      .forEach(name => errors.push(`dimensions: "${name}" is not a dimension of this dataset`));
+    errors.push(...this.parameterErrors(item, item.aggregation || 'sum', measures, dimensions));
+
+    if (item.type === 'pie' && item.dimensions.length === 0) {
+      errors.push('dimensions: a pie chart needs a dimension to split by');
+    }
+
+    return errors;
+  }
+
+  // A field's name must be new, and its expression may read the dataset's measures and the fields defined before it
+  fieldErrors(field, schema, fields) {
+    const errors = [];
+    const columns = [...(schema?.measures || []), ...(schema?.dimensions || [])].map(column => column.name);
+    const index = fields.findIndex(existing => existing.id === field.id);
+    const earlier = index === -1 ? fields : fields.slice(0, index);
+
+    if (columns.includes(field.name)) {
+      errors.push(`name: "${field.name}" is already a column of this dataset`);
+    } else if (fields.some(existing => existing.id !== field.id && existing.name === field.name)) {
+      errors.push(`name: there is already a calculated field named "${field.name}"`);
+    }
+
+    const { errors: formulaErrors = [] } = formulaEngine.compile(field.expression, {
+      measures: [...(schema?.measures || []).map(column => column.name), ...earlier.map(existing => existing.name)],
+      dimensions: (schema?.dimensions || []).map(column => column.name)
+    });
+
+    return [...errors, ...formulaErrors.map(error => `expression: ${error}`)];
+  }
+
+  // Calculated fields and formula KPIs of a whole config, e.g. one proposed by generateDashboardConfig
+  formulaErrors(dashboardConfig, schema) {
+    const fields = dashboardConfig.calculatedFields || [];
+    const errors = [];
+
+    fields.forEach((field, index) => {
+      this.fieldErrors({ ...field, id: index }, schema, fields.map((existing, position) => ({ ...existing, id: position })))
+        .forEach(error => errors.push(`calculatedFields[${index}].${error}`));
+    });
+
+    (dashboardConfig.kpis || []).forEach((kpi, index) => {
+      if (kpi.calculation === 'formula') {
+        this.validateItem('kpis', kpi, schema, dashboardConfig)
+          .forEach(error => errors.push(`kpis[${index}].${error}`));
+      }
+    });
+
+    return errors;
+  }
+
+  // The aggregated column and the parameter columns of one calculation; prefix locates them in error messages
+  calculationErrors(item, calculation, measures, dimensions, prefix = '') {
+    const counting = COUNTING.includes(calculation);
+    const columns = counting ? [...measures, ...dimensions] : measures;
+    const errors = [];
+
+    if (!columns.includes(item.column)) {
+      errors.push(`${prefix}column: "${item.column}" is not a ${counting ? 'column' : 'measure'} of this dataset`);
+    }
+
+    return [...errors, ...this.parameterErrors(item, calculation, measures, dimensions, prefix)];
+  }
+
+  // Periods need a date column (any column), targets a measure aggregated like the KPI's own column
+  comparisonErrors(kpi, measures, dimensions) {
+    const { type, dateColumn, targetColumn } = kpi.comparison;
+    const errors = [];
+
+    if (dateColumn && ![...measures, ...dimensions].includes(dateColumn)) {
+      errors.push(`comparison.dateColumn: "${dateColumn}" is not a column of this dataset`);
+    } else if (!dateColumn && type !== 'target') {
+      errors.push(`comparison.dateColumn: required for ${type}`);
+    }
+
+    if (type === 'target') {
+      if (!targetColumn) {
+        errors.push('comparison.targetColumn: required for target');
+      } else if (!measures.includes(targetColumn)) {
+        errors.push(`comparison.targetColumn: "${targetColumn}" is not a measure of this dataset`);
+      }
+      if (kpi.calculation === 'formula') {
+        errors.push('comparison.type: a formula KPI cannot be compared with a target column');
+      }
+    }
+
+    return errors;
+  }
+
+  // Weights and denominators are measures; dates may be any column
+  parameterErrors(item, calculation, measures, dimensions, prefix = '') {
+    const errors = [];
+
+    Object.entries(CALCULATION_PARAMETERS)
+      .filter(([, { calculations }]) => calculations.includes(calculation))
+      .forEach(([parameter, { required }]) => {
+        const value = item[parameter];
+        const allowed = parameter === 'dateColumn' ? [...measures, ...dimensions] : measures;
+
+        if (!value) {
+          if (required) {
+            errors.push(`${prefix}${parameter}: required for ${calculation}`);
+          }
+        } else if (!allowed.includes(value)) {
+          errors.push(`${prefix}${parameter}: "${value}" is not a ${parameter === 'dateColumn' ? 'column' : 'measure'} of this dataset`);
+        }
+      });
+
+    return errors;
+  }
+
+  newId(section) {
+    return `${SECTIONS[section].prefix}_${randomUUID().slice(0, 8)}`;
+  }
+}
+
+module.exports = new DashboardEditor();
@@ -0,0 +1,154 @@
+// backend/services/datasetCombiner.js - Merges the extracted data of several sessions into one dataset
+const tableExtractor = require('./tableExtractor');
+
+class DatasetCombiner {
+  constructor() {
+    this.SOURCE_COLUMN = 'source_document';
+  }
+
+  // sessions: [{ sessionId, sessionData }] with extracted data. columnMapping renames columns
+  // before reconciling ({ "sales": "revenue" }) for documents that name the same figure differently.
+  combine(sessions, columnMapping = {}) {
+    const mapping = {};
+    Object.entries(columnMapping).forEach(([from, to]) => {
+      mapping[this.normalizeColumnName(from)] = this.normalizeColumnName(to);
+    });
+
+    const columns = new Map();
+    const originalNames = {};
+    const data = [];
+    const provenance = [];
+    const sources = [];
+    let confidenceTotal = 0;
+
+    for (let { sessionId, sessionData } of sessions) {
+      const reconcile = name => {
+        const normalized = this.normalizeColumnName(name);
+        const target = mapping[normalized] || normalized;
+        originalNames[target] = originalNames[target] || new Set();
+        originalNames[target].add(String(name).trim());
+        return target;
+      };
+
+      // Reconcile column names across documents ("Revenue", "revenue ", "REVENUE" -> "revenue")
+      const schema = sessionData.schema || { measures: [], dimensions: [] };
+      [...schema.measures, ...schema.dimensions].forEach(column => {
+        const name = reconcile(column.name);
+        if (!columns.has(name)) {
+          columns.set(name, { name, type: column.type });
+        }
+      });
+
+      sessionData.data.forEach((row, rowIndex) => {
+        const record = {};
+        Object.keys(row).forEach(key => {
+          record[reconcile(key)] = row[key];
+        });
+
+        // Rows of an already combined session keep the document they originally came from
+        if (record[this.SOURCE_COLUMN] === undefined) {
+          record[this.SOURCE_COLUMN] = sessionData.fileName;
+        }
+
+        const source = sessionData.provenance?.[rowIndex];
+        provenance.push({
+          ...(source || { page: null, snippet: null, confidence: 0, status: 'unverified' }),
+          recordIndex: data.length,
+          sourceSessionId: sessionId,
+          sourceFileName: sessionData.fileName,
+          sourceRecordIndex: rowIndex
+        });
+
+        data.push(record);
+      });
+
+      confidenceTotal += (sessionData.metadata?.extractionConfidence ?? 50) * sessionData.data.length;
+      sources.push({ sessionId, fileName: sessionData.fileName, records: sessionData.data.length });
+    }
+
+    const schema = this.buildSchema(columns, data);
+
+    return {
+      structuredData: {
+        data,
+        schema,
+        metadata: {
+          totalRecords: data.length,
+          dataSource: `combined from ${sources.length} documents`,
+          extractionConfidence: data.length > 0 ? Math.round(confidenceTotal / data.length) : 0,
+          processingMethod: 'combined'
+        }
+      },
+      provenance,
+      sources,
+      // Which original column names were merged into each combined column
+      columnMapping: Object.fromEntries(Object.entries(originalNames).map(([name, names]) => [name, [...names]]))
+    };
+  }
+
+  // A column is a measure when every value it holds across all documents is numeric
+  buildSchema(columns, data) {
+    data.forEach(record => Object.keys(record).forEach(name => {
+      if (!columns.has(name)) {
+        columns.set(name, { name });
+      }
+    }));
+
+    const measures = [];
+    const dimensions = [];
+
+    columns.forEach(column => {
+      if (column.name === this.SOURCE_COLUMN) return;
+
+      const values = data.map(record => record[column.name]).filter(value => value !== undefined && value !== null);
+      if (values.length === 0) return;
+
+      if (values.every(value => typeof value === 'number')) {
+        measures.push({ name: column.name, type: 'number' });
+      } else {
+        dimensions.push({ name: column.name, type: column.type && column.type !== 'number' ? column.type : 'string' });
+      }
+    });
+
+    // Last, so the documents' own dimension (month, region...) stays the primary one
+    dimensions.push({ name: this.SOURCE_COLUMN, type: 'string' });
+
+    return { measures, dimensions };
+  }
+
+  // The combined text keeps each document under its own heading, for the AI dashboard prompt and raw-data views
+  buildText(sessions) {
+    return sessions
+      .map(({ sessionData }) => `=== ${sessionData.fileName} ===\n${sessionData.extractedText || ''}`)
+      .join('\n\n');
+  }
+
+  // Puts a per-document comparison first unless the dashboard already compares the documents
+  addComparisonChart(dashboardConfig, schema) {
+    const charts = dashboardConfig.charts || [];
+    const measure = schema.measures[0];
+
+    if (!measure || charts.some(chart => (chart.dimensions || []).includes(this.SOURCE_COLUMN))) {
+      return dashboardConfig;
+    }
+
+    return {
+      ...dashboardConfig,
+      charts: [
+        {
+          title: `${tableExtractor.toLabel(measure.name)} by Source Document`,
+          type: 'bar',
+          measures: schema.measures.slice(0, 2).map(column => column.name),
+          dimensions: [this.SOURCE_COLUMN]
+        },
+        ...charts
+      ]
+    };
+  }
+
+  normalizeColumnName(name) {
+    return tableExtractor.normalizeColumnName(name);
+  }
+}
+
+module.exports = new DatasetCombiner();
@@ -1,43 +1,142 @@
 // backend/services/documentProcessor.js - Enhanced with size limits
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
 const pdf = require('pdf-parse');
 const { createWorker } = require('tesseract.js');
 const sharp = require('sharp');
+const spreadsheetParser = require('./spreadsheetParser');
+const officeExtractor = require('./officeExtractor');
+const localeDetector = require('./localeDetector');
+const jobManager = require('./jobManager');
 
 class DocumentProcessor {
   constructor() {
     this.tesseractWorker = null;
+    this.ocrQueue = Promise.resolve();
     this.TEXT_SIZE_LIMITS = {
       maxChars: 100000,        // 100K characters max
       warningThreshold: 50000, // Warn at 50K characters
       chunkSize: 20000,        // Process in 20K chunks if needed
       maxPages: 50             // Limit PDF pages processed
     };
+    this.PDF_OCR = {
+      minTextChars: 20,        // Pages with less text than this are treated as scanned
+      maxPages: 20,            // OCR is slow, cap the pages rasterised per document
+      scale: 2                 // Render at 144 DPI, enough for Tesseract on typical scans
+    };
+    this.pdfjs = null;
+
+    // OCR_LANGUAGES: Tesseract codes joined by "+" (e.g. "eng+deu"), or "auto" to OCR in English
+    // first and re-run with the detected language (deu, fra, spa) when its traineddata is available
+    this.OCR_LANGUAGES = process.env.OCR_LANGUAGES || 'eng';
+    this.tesseractLanguages = null;
+    this.availableLanguages = undefined;
   }
 
-  async initTesseract() {
+  async initTesseract(languages = this.getDefaultOcrLanguages()) {
     if (!this.tesseractWorker) {
-      this.tesseractWorker = await createWorker();
-      await this.tesseractWorker.loadLanguage('eng');
-      await this.tesseractWorker.initialize('eng');
+      // TESSERACT_LANG_PATH points at a local traineddata folder so OCR works without network access
+      const langPath = process.env.TESSERACT_LANG_PATH;
+      const options = langPath ? { langPath, cacheMethod: 'none' } : {};
+
+      const missing = languages.split('+').filter(code => !this.isLanguageAvailable(code));
+      if (missing.length > 0) {
+        throw new Error(`OCR is unavailable: no traineddata for ${missing.join(', ')} in TESSERACT_LANG_PATH (${langPath})`);
+      }
+
+      // tesseract.js throws worker errors (e.g. a failed traineddata download) outside any promise when
+      // no errorHandler is set, which takes the whole process down. With one, a failure while the worker
+      // is being created is swallowed and createWorker never settles, so the handler fails the wait instead.
+      let failCreation;
+      const creationFailed = new Promise((resolve, reject) => {
+        failCreation = reject;
+      });
+      options.errorHandler = (error) => {
+        console.error('Tesseract worker error:', error);
+        failCreation(new Error(`OCR failed: ${error}`));
+      };
+
+      // tesseract.js v6 loads and initializes the language as part of worker creation
+      this.tesseractWorker = await Promise.race([createWorker(languages, 1, options), creationFailed]);
+    } else if (this.tesseractLanguages !== languages) {
+      await this.tesseractWorker.reinitialize(languages);
+    }
+
+    this.tesseractLanguages = languages;
+  }
+
+  // Language codes with a traineddata file in TESSERACT_LANG_PATH, or null when they are downloaded on demand
+  getAvailableLanguages() {
+    if (this.availableLanguages === undefined) {
+      const langPath = process.env.TESSERACT_LANG_PATH;
+      this.availableLanguages = null;
+
+      if (langPath) {
+        try {
+          this.availableLanguages = fs.readdirSync(langPath)
+            .map(fileName => fileName.match(/^([a-z_]+)\.traineddata(\.gz)?$/i))
+            .filter(Boolean)
+            .map(match => match[1]);
+        } catch (error) {
+          console.warn(`Could not read TESSERACT_LANG_PATH (${langPath}):`, error.message);
+          this.availableLanguages = [];
+        }
+      }
+    }
+
+    return this.availableLanguages;
+  }
+
+  isLanguageAvailable(code) {
+    const available = this.getAvailableLanguages();
+    return available === null || available.includes(code);
+  }
+
+  // The configured languages that can actually be loaded, English when nothing else is usable
+  getDefaultOcrLanguages() {
+    if (this.OCR_LANGUAGES === 'auto') {
+      return 'eng';
+    }
+
+    const requested = this.OCR_LANGUAGES.split('+').map(code => code.trim()).filter(Boolean);
+    const usable = requested.filter(code => this.isLanguageAvailable(code));
+
+    if (usable.length < requested.length) {
+      console.warn(`No traineddata for OCR language(s): ${requested.filter(code => !usable.includes(code)).join(', ')}`);
     }
+
+    return usable.length > 0 ? usable.join('+') : 'eng';
   }
 
-  async processFile(file) {
+  // options.sheet picks a worksheet of a spreadsheet upload by name
+  async processFile(file, options = {}) {
     try {
       console.log(`Processing file: ${file.originalname} (${this.formatFileSize(file.size)})`);
+      jobManager.setStage('extracting');
       
       const extension = path.extname(file.originalname).toLowerCase();
       let extractedText = '';
+      let pageTexts = [];
+      let spreadsheet = null;
+      let nativeTables = null;
+      let pageMethods = null;
+      let ocrLanguages = null;
       
       // Check file size before processing
       this.validateFileSize(file, extension);
       
       if (extension === '.pdf') {
-        extractedText = await this.processPDF(file.path);
+        ({ text: extractedText, pageTexts, pageMethods } = await this.processPDF(file.path));
       } else if (['.png', '.jpg', '.jpeg'].includes(extension)) {
-        extractedText = await this.processImage(file.path);
+        ({ text: extractedText, languages: ocrLanguages } = await this.processImage(file.path));
+        pageTexts = [extractedText];
+      } else if (['.docx', '.pptx'].includes(extension)) {
+        ({ text: extractedText, pageTexts, nativeTables } = await this.processOfficeDocument(file.path, extension));
+      } else if (['.csv', '.xlsx'].includes(extension)) {
+        spreadsheet = await this.processSpreadsheet(file.path, options.sheet);
+        extractedText = spreadsheet.text;
+        pageTexts = spreadsheet.pageTexts;
       } else {
         throw new Error('Unsupported file format');
       }
@@ -55,11 +154,34 @@ class DocumentProcessor {
         fileName: file.originalname,
         fileType: extension,
         contentLength: textInfo.chars,
+        // Truncation moves text around, so page offsets are only kept for untouched text
+        pages: textInfo.wasLimited ? null : this.buildPageRanges(extractedText, pageTexts),
+        // PDFs only: whether each page came from the text layer or from OCR
+        pageMethods,
+        // Spreadsheets arrive already structured: rows per sheet, no LLM extraction needed
+        ...(spreadsheet && {
+          structuredData: spreadsheet.selected.structuredData,
+          selectedSheet: spreadsheet.selected.name,
+          sheets: spreadsheet.sheets.map(sheet => ({
+            name: sheet.name,
+            rowCount: sheet.rowCount,
+            columnCount: sheet.columnCount,
+            hasData: Boolean(sheet.structuredData)
+          })),
+          sheetData: Object.fromEntries(spreadsheet.sheets.map(sheet => [sheet.name, sheet.structuredData]))
+        }),
         processingInfo: {
           originalLength: extractedText.length,
           processedLength: textInfo.processedText.length,
           wasLimited: textInfo.wasLimited,
-          estimatedTokens: textInfo.tokens
+          estimatedTokens: textInfo.tokens,
+          // Drives the number parsing of the extraction heuristics (1,234.56 vs 1.234,56)
+          locale: {
+            language: localeDetector.detectLanguage(textInfo.processedText),
+            numberFormat: localeDetector.detectNumberFormat(textInfo.processedText)
+          },
+          ...(nativeTables !== null && { nativeTables }),
+          ...(ocrLanguages && { ocrLanguages })
         }
       };
       
@@ -70,12 +192,36 @@ class DocumentProcessor {
     }
   }
 
+  // Character ranges of each page inside the extracted text, used for record provenance
+  buildPageRanges(text, pageTexts) {
+    const ranges = [];
+    let searchFrom = 0;
+
+    for (let i = 0; i < pageTexts.length; i++) {
+      const pageText = pageTexts[i];
+      const start = pageText.length > 0 ? text.indexOf(pageText, searchFrom) : -1;
+
+      if (start === -1) {
+        continue;
+      }
+
+      ranges.push({ page: i + 1, start, end: start + pageText.length });
+      searchFrom = start + pageText.length;
+    }
+
+    return ranges.length > 0 ? ranges : null;
+  }
+
   validateFileSize(file, extension) {
     const limits = {
       '.pdf': 50 * 1024 * 1024,  // 50MB for PDFs
       '.png': 20 * 1024 * 1024,  // 20MB for images
       '.jpg': 20 * 1024 * 1024,  // 20MB for images
-      '.jpeg': 20 * 1024 * 1024  // 20MB for images
+      '.jpeg': 20 * 1024 * 1024, // 20MB for images
+      '.docx': 50 * 1024 * 1024, // 50MB for Office documents
+      '.pptx': 50 * 1024 * 1024,
+      '.csv': 20 * 1024 * 1024,  // 20MB for spreadsheets
+      '.xlsx': 20 * 1024 * 1024
     };
 
     const maxSize = limits[extension] || 10 * 1024 * 1024;
@@ -162,15 +308,16 @@ class DocumentProcessor {
 
   sectionContainsData(section) {
     const dataPatterns = [
-      /\$[\d,]+\.?\d*/,              // Currency
-      /\d+\.?\d*%/,                 // Percentages
-      /\d{1,3}(,\d{3})*/,          // Large numbers with commas
-      /\b(revenue|sales|profit|cost|price|total|amount)\b.*\d/i, // Financial terms with numbers
+      localeDetector.regex('currencyAmount'),   // Currency ($1,200 or 1.234,56 €)
+      localeDetector.regex('percentage'),       // Percentages
+      /\d{1,3}([,.]\d{3})*/,       // Large numbers with separators
+      new RegExp(`${localeDetector.PATTERNS.financialTerm}.*\\d`, 'i'), // Financial terms with numbers
       /\|\s*\d+/,                   // Table structures
-      /\b(q1|q2|q3|q4|quarter)\b.*\d/i, // Quarterly data
-      /\b\d+\s*(million|billion|thousand|k|m|b)\b/i, // Abbreviated numbers
+      new RegExp(`${localeDetector.PATTERNS.quarter}.*\\d`, 'i'), // Quarterly data
+      localeDetector.regex('abbreviatedNumber'), // Abbreviated numbers
       /\b\d{4}[-\/]\d{2}[-\/]\d{2}/,   // Dates
-      /\b(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)\b.*\d/i // Month with numbers
+      /\b\d{1,2}\.\d{1,2}\.\d{2,4}\b/,  // European dates (31.12.2024)
+      new RegExp(`${localeDetector.PATTERNS.month}.*\\d`, 'i') // Month with numbers
     ];
     
     return dataPatterns.some(pattern => pattern.test(section));
@@ -179,55 +326,246 @@ class DocumentProcessor {
   async processPDF(filePath) {
     try {
       const dataBuffer = fs.readFileSync(filePath);
+      const pageTexts = [];
       const options = {
-        max: this.TEXT_SIZE_LIMITS.maxPages // Limit pages processed
+        max: this.TEXT_SIZE_LIMITS.maxPages, // Limit pages processed
+        // Keep each page's text so records can be traced back to their page
+        pagerender: async (pageData) => {
+          const pageText = await this.renderPageText(pageData);
+          pageTexts.push(pageText);
+          return pageText;
+        }
       };
       
       const pdfData = await pdf(dataBuffer, options);
-      
-      if (!pdfData.text || pdfData.text.trim().length === 0) {
-        throw new Error('PDF contains no readable text');
-      }
+      jobManager.progress(`Read the text layer of ${pageTexts.length} PDF page(s)`);
       
       if (pdfData.numpages > this.TEXT_SIZE_LIMITS.maxPages) {
         console.log(`PDF has ${pdfData.numpages} pages, processing first ${this.TEXT_SIZE_LIMITS.maxPages} pages`);
       }
       
-      return pdfData.text;
+      const pageMethods = pageTexts.map((pageText, index) => ({
+        page: index + 1,
+        method: 'text',
+        chars: pageText.trim().length
+      }));
+      
+      // Scanned pages have no (or almost no) text layer: rasterise and OCR them instead
+      const scannedPages = pageMethods.filter(page => page.chars < this.PDF_OCR.minTextChars);
+      
+      if (scannedPages.length === 0) {
+        return { text: pdfData.text, pageTexts, pageMethods };
+      }
+      
+      await this.ocrPdfPages(dataBuffer, scannedPages, pageTexts);
+      
+      // Same page joining as pdf-parse, so offsets line up with buildPageRanges
+      const text = pageTexts.map(pageText => '\n\n' + pageText).join('');
+      
+      if (text.trim().length === 0) {
+        throw new Error('PDF contains no readable text, neither in its text layer nor through OCR');
+      }
+      
+      return { text, pageTexts, pageMethods };
       
     } catch (error) {
       throw new Error('Failed to extract text from PDF: ' + error.message);
     }
   }
 
-  async processImage(filePath) {
+  // Replaces the text of the given pages (entries of pageMethods) with their OCR result
+  async ocrPdfPages(dataBuffer, pages, pageTexts) {
+    const toProcess = pages.slice(0, this.PDF_OCR.maxPages);
+
+    if (pages.length > toProcess.length) {
+      console.log(`${pages.length} scanned pages found, running OCR on the first ${toProcess.length}`);
+    }
+
+    console.log(`Running OCR on ${toProcess.length} scanned PDF page(s): ${toProcess.map(page => page.page).join(', ')}`);
+
+    const pdfjs = await this.loadPdfjs();
+    const document = await pdfjs.getDocument({ data: new Uint8Array(dataBuffer), verbosity: 0 }).promise;
+
     try {
-      await this.initTesseract();
-      
-      // Check image dimensions and resize if too large
-      const processedImagePath = await this.preprocessImage(filePath);
-      
-      // Perform OCR with progress logging for large images
-      console.log('Starting OCR processing...');
-      const { data: { text } } = await this.tesseractWorker.recognize(processedImagePath);
-      console.log('OCR processing complete');
-      
-      // Clean up processed image
-      if (processedImagePath !== filePath) {
-        this.cleanupFile(processedImagePath);
+      for (let [index, page] of toProcess.entries()) {
+        jobManager.throwIfCancelled();
+        jobManager.progress(`OCR page ${index + 1} of ${toProcess.length} (PDF page ${page.page})`, {
+          current: index,
+          total: toProcess.length
+        });
+        const imagePath = await this.renderPdfPage(document, page.page);
+
+        try {
+          const { text, confidence, languages } = await this.recognizeImage(imagePath);
+          const ocrText = text.trim();
+
+          // Keep whatever little text layer there was if OCR cannot do better
+          if (ocrText.length > page.chars) {
+            pageTexts[page.page - 1] = ocrText;
+            Object.assign(page, { method: 'ocr', chars: ocrText.length, confidence: Math.round(confidence), languages });
+          }
+        } catch (error) {
+          console.warn(`OCR failed for PDF page ${page.page}:`, error.message);
+          page.error = error.message;
+        } finally {
+          this.cleanupFile(imagePath);
+        }
       }
+    } finally {
+      await document.destroy();
+    }
+  }
+
+  // pdfjs-dist is an ES module, loaded on first use so text-only PDFs never pay for it
+  async loadPdfjs() {
+    if (!this.pdfjs) {
+      this.pdfjs = await import('pdfjs-dist/legacy/build/pdf.mjs');
+    }
+    return this.pdfjs;
+  }
+
+  async renderPdfPage(document, pageNumber) {
+    const page = await document.getPage(pageNumber);
+    const viewport = page.getViewport({ scale: this.PDF_OCR.scale });
+    const { canvas, context } = document.canvasFactory.create(Math.ceil(viewport.width), Math.ceil(viewport.height));
+
+    await page.render({ canvasContext: context, canvas, viewport }).promise;
+
+    const imagePath = path.join(os.tmpdir(), `pdf-page-${Date.now()}-${pageNumber}.png`);
+    fs.writeFileSync(imagePath, canvas.toBuffer('image/png'));
+    page.cleanup();
+
+    return imagePath;
+  }
+
+  // Native tables are rendered as pipe-separated rows, the same shape analyzeDocument sees for PDF tables
+  async processOfficeDocument(filePath, extension) {
+    try {
+      const result = extension === '.docx'
+        ? await officeExtractor.extractDocx(filePath)
+        : await officeExtractor.extractPptx(filePath);
+
+      if (result.text.trim().length === 0) {
+        throw new Error('Document contains no readable text');
+      }
+
+      console.log(`Extracted ${result.pageTexts.length} ${extension === '.pptx' ? 'slide(s)' : 'page(s)'} with ${result.tables.length} native table(s)`);
+      jobManager.progress(`Read ${result.pageTexts.length} ${extension === '.pptx' ? 'slide(s)' : 'page(s)'} and ${result.tables.length} table(s)`);
+
+      return { text: result.text, pageTexts: result.pageTexts, nativeTables: result.tables.length };
+
+    } catch (error) {
+      throw new Error(`Failed to extract text from ${extension.substring(1).toUpperCase()}: ` + error.message);
+    }
+  }
+
+  // Every sheet is kept (each one acts as a "page" of the text) so another sheet can be selected later
+  async processSpreadsheet(filePath, requestedSheet = null) {
+    let sheets;
+
+    try {
+      sheets = await spreadsheetParser.parse(filePath);
+    } catch (error) {
+      throw new Error('Failed to read spreadsheet: ' + error.message);
+    }
+
+    if (sheets.length === 0 || sheets.every(sheet => sheet.rowCount === 0)) {
+      throw new Error('Spreadsheet contains no rows');
+    }
+
+    const selected = spreadsheetParser.selectSheet(sheets, requestedSheet);
+    jobManager.progress(`Parsed ${sheets.length} sheet(s), using "${selected.name}"`);
+    const pageTexts = sheets.map(sheet => sheet.text);
+
+    console.log(`Spreadsheet has ${sheets.length} sheet(s), using "${selected.name}" (${selected.rowCount} rows)`);
+
+    return { sheets, selected, pageTexts, text: pageTexts.join('\n\n') };
+  }
+
+  // Same line grouping as pdf-parse's default page renderer
+  async renderPageText(pageData) {
+    const textContent = await pageData.getTextContent({
+      normalizeWhitespace: false,
+      disableCombineTextItems: false
+    });
+
+    let lastY;
+    let text = '';
+
+    for (let item of textContent.items) {
+      if (lastY == item.transform[5] || !lastY) {
+        text += item.str;
+      } else {
+        text += '\n' + item.str;
+      }
+      lastY = item.transform[5];
+    }
+
+    return text;
+  }
+
+  async processImage(filePath) {
+    try {
+      jobManager.progress('Running OCR on image');
+      const { text, languages } = await this.recognizeImage(filePath);
       
       if (!text || text.trim().length === 0) {
         throw new Error('No text found in image. Image may be unclear or contain no readable text.');
       }
       
-      return text;
+      return { text, languages };
       
     } catch (error) {
       throw new Error('Failed to extract text from image: ' + error.message);
     }
   }
 
+  // Shared by image uploads and scanned PDF pages
+  async recognizeImage(filePath) {
+    // Check image dimensions and resize if too large
+    const processedImagePath = await this.preprocessImage(filePath);
+    
+    try {
+      let result = await this.runOcr(processedImagePath, this.getDefaultOcrLanguages());
+      
+      if (this.OCR_LANGUAGES === 'auto') {
+        // Stopwords survive an English pass well enough to tell German, French or Spanish apart
+        const language = localeDetector.detectLanguage(result.text);
+        const code = localeDetector.tesseractLanguage(language);
+        
+        if (code !== 'eng' && this.isLanguageAvailable(code)) {
+          console.log(`Detected ${language} text, running OCR again with ${code}`);
+          result = await this.runOcr(processedImagePath, `${code}+eng`);
+        }
+      }
+      
+      return result;
+    } finally {
+      // Clean up processed image
+      if (processedImagePath !== filePath) {
+        this.cleanupFile(processedImagePath);
+      }
+    }
+  }
+
+  // Jobs run concurrently but share one tesseract worker that switches languages per call, so they take turns
+  runOcr(imagePath, languages) {
+    const run = this.ocrQueue.then(() => this.recognizeWith(imagePath, languages));
+    this.ocrQueue = run.catch(() => {});
+    return run;
+  }
+
+  async recognizeWith(imagePath, languages) {
+    await this.initTesseract(languages);
+    
+    // Perform OCR with progress logging for large images
+    console.log(`Starting OCR processing (${languages})...`);
+    const { data: { text, confidence } } = await this.tesseractWorker.recognize(imagePath);
+    console.log('OCR processing complete');
+    
+    return { text: text || '', confidence, languages };
+  }
+
   async preprocessImage(imagePath) {
     try {
       const metadata = await sharp(imagePath).metadata();
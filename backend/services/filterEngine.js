@@ -0,0 +1,274 @@
+// backend/services/filterEngine.js - Row filters for KPI and chart definitions and the global dashboard filters
+//
+// A filter is either a condition on one column or a group combining other filters:
+//   { "column": "region", "operator": "equals", "value": "EMEA" }
+//   { "column": "region", "operator": "in", "value": ["EMEA", "APAC"] }
+//   { "column": "revenue", "operator": "range", "value": { "min": 1000, "max": 5000 } }
+//   { "column": "customer", "operator": "contains", "value": "gmbh" }
+//   { "column": "date", "operator": "date_range", "value": { "from": "2024-01-01", "to": "2024-03-31" } }
+//   { "and": [filter, ...] }  /  { "or": [filter, ...] }
+// Text is compared case-insensitively; range and date_range bounds are inclusive and either may be left out.
+
+const valueNormalizer = require('./valueNormalizer');
+
+const OPERATORS = ['equals', 'not_equals', 'in', 'range', 'contains', 'date_range'];
+
+class FilterEngine {
+  constructor() {
+    this.OPERATORS = OPERATORS;
+    this.MAX_DEPTH = 4;             // Nesting of and/or groups
+    this.MAX_OPTIONS = 100;         // Distinct values offered per column by getOptions
+  }
+
+  // Errors for a filter, each prefixed with where it occurs (e.g. "filter.and[1].value: ...").
+  // columns are all column names the filter may refer to.
+  validate(filter, columns, path = 'filter', depth = 0) {
+    if (!filter || typeof filter !== 'object' || Array.isArray(filter)) {
+      return [`${path}: must be an object`];
+    }
+
+    const group = this.groupOf(filter);
+    if (group) {
+      if (depth >= this.MAX_DEPTH) {
+        return [`${path}: filters can be nested at most ${this.MAX_DEPTH} levels deep`];
+      }
+      if (!Array.isArray(filter[group]) || filter[group].length === 0) {
+        return [`${path}.${group}: must be a non-empty array of filters`];
+      }
+      return filter[group].flatMap((child, index) => this.validate(child, columns, `${path}.${group}[${index}]`, depth + 1));
+    }
+
+    const { column, operator, value } = filter;
+    const errors = [];
+
+    if (typeof column !== 'string' || !columns.includes(column)) {
+      errors.push(`${path}.column: ${column === undefined ? 'is required' : `"${column}" is not a column of this dataset`}`);
+    }
+    if (!OPERATORS.includes(operator)) {
+      errors.push(`${path}.operator: must be one of ${OPERATORS.join(', ')}`);
+      return errors;
+    }
+
+    return [...errors, ...this.valueErrors(operator, value).map(error => `${path}.value: ${error}`)];
+  }
+
+  valueErrors(operator, value) {
+    const isScalar = item => ['string', 'number', 'boolean'].includes(typeof item);
+
+    switch (operator) {
+      case 'equals':
+      case 'not_equals':
+        return isScalar(value) ? [] : ['must be a string, number or boolean'];
+
+      case 'contains':
+        return typeof value === 'string' && value !== '' ? [] : ['must be a non-empty string'];
+
+      case 'in':
+        return Array.isArray(value) && value.length > 0 && value.every(isScalar)
+          ? []
+          : ['must be a non-empty array of values'];
+
+      case 'range': {
+        if (!value || typeof value !== 'object' || (value.min == null && value.max == null)) {
+          return ['must be an object with min and/or max'];
+        }
+        const bounds = [value.min, value.max].filter(bound => bound != null);
+        if (bounds.some(bound => typeof bound !== 'number')) {
+          return ['min and max must be numbers'];
+        }
+        return value.min != null && value.max != null && value.min > value.max ? ['min must not be greater than max'] : [];
+      }
+
+      case 'date_range': {
+        if (!value || typeof value !== 'object' || (!value.from && !value.to)) {
+          return ['must be an object with from and/or to'];
+        }
+        const unparseable = ['from', 'to'].filter(bound => value[bound] && isNaN(Date.parse(value[bound])));
+        if (unparseable.length > 0) {
+          return unparseable.map(bound => `${bound} "${value[bound]}" is not a date`);
+        }
+        return value.from && value.to && Date.parse(value.from) > Date.parse(value.to) ? ['from must not be after to'] : [];
+      }
+
+      default:
+        return [];
+    }
+  }
+
+  // The rows the filter keeps; all of them without a filter
+  apply(data, filter) {
+    if (!this.isActive(filter)) {
+      return data;
+    }
+    return data.filter(row => this.matches(row, filter));
+  }
+
+  matches(row, filter) {
+    const group = this.groupOf(filter);
+    if (group === 'and') {
+      return filter.and.every(child => this.matches(row, child));
+    }
+    if (group === 'or') {
+      return filter.or.some(child => this.matches(row, child));
+    }
+
+    const cell = row[filter.column];
+    const { value } = filter;
+
+    switch (filter.operator) {
+      case 'equals':
+        return this.sameValue(cell, value);
+
+      case 'not_equals':
+        return !this.sameValue(cell, value);
+
+      case 'in':
+        return value.some(item => this.sameValue(cell, item));
+
+      case 'contains':
+        return cell != null && String(cell).toLowerCase().includes(String(value).toLowerCase());
+
+      case 'range': {
+        const number = valueNormalizer.toNumber(cell);
+        return number !== null && (value.min == null || number >= value.min) && (value.max == null || number <= value.max);
+      }
+
+      case 'date_range': {
+        const timestamp = Date.parse(cell);
+        return !isNaN(timestamp) &&
+          (!value.from || timestamp >= Date.parse(value.from)) &&
+          (!value.to || timestamp <= this.endOfDay(value.to));
+      }
+
+      default:
+        return true;
+    }
+  }
+
+  // Numbers compare as numbers ("1,200" is not parsed, only plain numeric strings), text case-insensitively
+  sameValue(cell, value) {
+    if (cell == null) {
+      return false;
+    }
+    if (typeof cell === 'number' || typeof value === 'number') {
+      return this.plainNumber(cell) === this.plainNumber(value);
+    }
+    return String(cell).trim().toLowerCase() === String(value).trim().toLowerCase();
+  }
+
+  // NaN (equal to nothing) for blank text, null and booleans, which Number() would read as 0 or 1
+  plainNumber(value) {
+    if (typeof value === 'number') {
+      return value;
+    }
+    const text = String(value).trim();
+    return text === '' ? NaN : Number(text);
+  }
+
+  // A bare date as "to" includes that whole day
+  endOfDay(date) {
+    return /^\d{4}-\d{2}-\d{2}$/.test(String(date).trim()) ? Date.parse(date) + 24 * 60 * 60 * 1000 - 1 : Date.parse(date);
+  }
+
+  groupOf(filter) {
+    return ['and', 'or'].find(group => filter && Object.prototype.hasOwnProperty.call(filter, group)) || null;
+  }
+
+  // An empty group ({ and: [] }) is treated like no filter, so the dashboard can send one when nothing is selected
+  isActive(filter) {
+    if (!filter) return false;
+    const group = this.groupOf(filter);
+    return group ? Array.isArray(filter[group]) && filter[group].length > 0 : true;
+  }
+
+  // Both filters must hold; either may be missing
+  combine(...filters) {
+    const active = filters.filter(filter => this.isActive(filter));
+    if (active.length <= 1) {
+      return active[0] || null;
+    }
+    return { and: active };
+  }
+
+  columnsIn(filter) {
+    if (!filter || typeof filter !== 'object') {
+      return [];
+    }
+    const group = this.groupOf(filter);
+    if (group) {
+      return [...new Set((filter[group] || []).flatMap(child => this.columnsIn(child)))];
+    }
+    return filter.column ? [filter.column] : [];
+  }
+
+  renameColumns(filter, rename) {
+    if (!filter || typeof filter !== 'object') {
+      return filter;
+    }
+    const group = this.groupOf(filter);
+    if (group) {
+      return { ...filter, [group]: (filter[group] || []).map(child => this.renameColumns(child, rename)) };
+    }
+    return filter.column ? { ...filter, column: rename(filter.column) } : filter;
+  }
+
+  // "region = EMEA and (status = overdue or amount 1000 to 5000)"
+  describe(filter) {
+    const group = this.groupOf(filter);
+    if (group) {
+      const parts = filter[group].map(child => (this.groupOf(child) ? `(${this.describe(child)})` : this.describe(child)));
+      return parts.join(` ${group} `);
+    }
+
+    const { column, operator, value } = filter;
+    switch (operator) {
+      case 'equals': return `${column} = ${value}`;
+      case 'not_equals': return `${column} ≠ ${value}`;
+      case 'in': return `${column} in ${value.join(', ')}`;
+      case 'contains': return `${column} contains "${value}"`;
+      case 'range':
+        if (value.min != null && value.max != null) return `${column} ${value.min} to ${value.max}`;
+        return value.min != null ? `${column} ≥ ${value.min}` : `${column} ≤ ${value.max}`;
+      case 'date_range':
+        if (value.from && value.to) return `${column} ${value.from} to ${value.to}`;
+        return value.from ? `${column} from ${value.from}` : `${column} until ${value.to}`;
+      default: return column;
+    }
+  }
+
+  // What the dashboard can offer as global filters: the values of each dimension, the span of each measure,
+  // and for date columns the earliest and latest date
+  getOptions(data, schema) {
+    const dimensions = (schema?.dimensions || []).map(column => {
+      const values = [...new Set(data.map(row => row[column.name]).filter(value => value != null && value !== ''))];
+      const timestamps = values.map(value => Date.parse(value));
+      const isDate = values.length > 0 && timestamps.every(timestamp => !isNaN(timestamp)) &&
+        (column.type === 'date' || values.some(value => typeof value === 'string' && /\d{4}/.test(value)));
+
+      return {
+        name: column.name,
+        type: isDate ? 'date' : 'category',
+        values: values.slice(0, this.MAX_OPTIONS),
+        totalValues: values.length,
+        ...(isDate && {
+          from: new Date(Math.min(...timestamps)).toISOString().slice(0, 10),
+          to: new Date(Math.max(...timestamps)).toISOString().slice(0, 10)
+        })
+      };
+    });
+
+    const measures = (schema?.measures || []).map(column => {
+      const values = data.map(row => row[column.name]).filter(value => typeof value === 'number' && isFinite(value));
+      return {
+        name: column.name,
+        type: 'number',
+        min: values.length > 0 ? Math.min(...values) : null,
+        max: values.length > 0 ? Math.max(...values) : null
+      };
+    });
+
+    return { dimensions, measures, operators: OPERATORS };
+  }
+}
+
+module.exports = new FilterEngine();
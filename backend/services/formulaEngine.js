@@ -0,0 +1,479 @@
+// backend/services/formulaEngine.js - Parses and evaluates the formulas of calculated fields and formula KPIs
+//
+// Formulas are arithmetic over column names, parsed into a tree and evaluated without eval:
+//   (revenue - cost) / revenue * 100           a calculated field, computed for every row
+//   sum(revenue - cost) / sum(revenue) * 100   a formula KPI, built from aggregates over all rows
+// Column names with spaces or symbols go in square brackets: [unit price] * units
+
+const valueNormalizer = require('./valueNormalizer');
+
+// Functions usable anywhere: [minimum, maximum] number of arguments
+const ROW_FUNCTIONS = {
+  abs: [1, 1],
+  round: [1, 2]
+};
+
+// Aggregates usable in KPI formulas, computed by calculator.aggregate. rawArguments are the argument
+// positions read as plain values rather than numbers, so they may name any column (e.g. a date).
+const AGGREGATES = {
+  sum: { arity: [1, 1] },
+  avg: { arity: [1, 1] },
+  average: { arity: [1, 1] },
+  min: { arity: [1, 1] },
+  max: { arity: [1, 1] },
+  median: { arity: [1, 1] },
+  p90: { arity: [1, 1] },
+  p95: { arity: [1, 1] },
+  stddev: { arity: [1, 1] },
+  count: { arity: [0, 1], rawArguments: [0] },
+  distinct_count: { arity: [1, 1], rawArguments: [0] },
+  weighted_avg: { arity: [2, 2] },
+  ratio: { arity: [2, 2] },
+  first: { arity: [1, 2], rawArguments: [1] },
+  last: { arity: [1, 2], rawArguments: [1] }
+};
+
+const TOKENS = [
+  ['space', /^\s+/],
+  ['number', /^(\d+\.?\d*|\.\d+)/],
+  ['name', /^[A-Za-z_][A-Za-z0-9_]*/],
+  ['column', /^\[[^\]]+\]/],
+  ['operator', /^[-+*/(),]/]
+];
+
+const PRECEDENCE = { '+': 1, '-': 1, '*': 2, '/': 2 };
+const MAX_ROUND_DIGITS = 15;
+
+class FormulaEngine {
+  constructor() {
+    this.MAX_LENGTH = 500;
+    this.ROW_FUNCTIONS = Object.keys(ROW_FUNCTIONS);
+    this.AGGREGATES = Object.keys(AGGREGATES).filter(name => name !== 'average');
+  }
+
+  // Checks a formula against the dataset columns. mode is 'row' for calculated fields and
+  // 'aggregate' for KPI formulas, where every column must be inside an aggregate.
+  // Returns { errors } or { ast, columns } with the columns the formula reads.
+  compile(expression, { measures = [], dimensions = [], mode = 'row' } = {}) {
+    if (typeof expression !== 'string' || !expression.trim()) {
+      return { errors: ['formula is empty'] };
+    }
+    if (expression.length > this.MAX_LENGTH) {
+      return { errors: [`formula is longer than ${this.MAX_LENGTH} characters`] };
+    }
+
+    let ast;
+    try {
+      ast = this.parse(expression);
+    } catch (error) {
+      return { errors: [error.message] };
+    }
+
+    const errors = [];
+    const columns = new Set();
+    this.check(ast, { measures, dimensions, mode, inAggregate: false, raw: false }, errors, columns);
+
+    return errors.length > 0 ? { errors } : { ast, columns: [...columns] };
+  }
+
+  tokenize(expression) {
+    const tokens = [];
+    let index = 0;
+
+    while (index < expression.length) {
+      const rest = expression.slice(index);
+      const [type, match] = TOKENS
+        .map(([tokenType, pattern]) => [tokenType, rest.match(pattern)])
+        .find(([, tokenMatch]) => tokenMatch) || [];
+
+      if (!match) {
+        throw new Error(`Unexpected "${rest[0]}" at position ${index + 1}`);
+      }
+
+      const text = match[0];
+      if (type !== 'space') {
+        const value = type === 'number' ? parseFloat(text)
+          : type === 'column' ? text.slice(1, -1).trim()
+            : text;
+        tokens.push({ type, value, position: index });
+      }
+      index += text.length;
+    }
+
+    return tokens;
+  }
+
+  // Recursive descent over: expression = term (+|- term)*, term = unary (*|/ unary)*,
+  // unary = -unary | primary, primary = number | column | name(arguments) | (expression)
+  parse(expression) {
+    const tokens = this.tokenize(expression);
+    let position = 0;
+
+    const peek = () => tokens[position];
+    const isOperator = (token, operators) => token?.type === 'operator' && operators.includes(token.value);
+    const describe = token => (token ? `"${token.value}" at position ${token.position + 1}` : 'end of formula');
+    const expect = value => {
+      const token = tokens[position++];
+      if (!isOperator(token, [value])) {
+        throw new Error(`Expected "${value}" but found ${describe(token)}`);
+      }
+    };
+
+    const parseExpression = () => {
+      let node = parseTerm();
+      while (isOperator(peek(), ['+', '-'])) {
+        const operator = tokens[position++].value;
+        node = { type: 'binary', operator, left: node, right: parseTerm() };
+      }
+      return node;
+    };
+
+    const parseTerm = () => {
+      let node = parseUnary();
+      while (isOperator(peek(), ['*', '/'])) {
+        const operator = tokens[position++].value;
+        node = { type: 'binary', operator, left: node, right: parseUnary() };
+      }
+      return node;
+    };
+
+    const parseUnary = () => {
+      if (isOperator(peek(), ['-'])) {
+        position++;
+        return { type: 'negate', operand: parseUnary() };
+      }
+      if (isOperator(peek(), ['+'])) {
+        position++;
+        return parseUnary();
+      }
+      return parsePrimary();
+    };
+
+    const parsePrimary = () => {
+      const token = tokens[position++];
+
+      if (token?.type === 'number') {
+        return { type: 'number', value: token.value };
+      }
+      if (token?.type === 'column') {
+        return { type: 'column', name: token.value };
+      }
+      if (token?.type === 'name') {
+        if (!isOperator(peek(), ['('])) {
+          return { type: 'column', name: token.value };
+        }
+
+        position++;
+        const args = [];
+        if (!isOperator(peek(), [')'])) {
+          args.push(parseExpression());
+          while (isOperator(peek(), [','])) {
+            position++;
+            args.push(parseExpression());
+          }
+        }
+        expect(')');
+        return { type: 'call', name: token.value.toLowerCase(), args };
+      }
+      if (isOperator(token, ['('])) {
+        const node = parseExpression();
+        expect(')');
+        return node;
+      }
+
+      throw new Error(`Unexpected ${describe(token)}`);
+    };
+
+    if (tokens.length === 0) {
+      throw new Error('formula is empty');
+    }
+
+    const ast = parseExpression();
+    if (position < tokens.length) {
+      throw new Error(`Unexpected ${describe(tokens[position])}`);
+    }
+
+    return ast;
+  }
+
+  check(node, context, errors, columns) {
+    switch (node.type) {
+      case 'number':
+        return;
+
+      case 'column': {
+        const { measures, dimensions, mode, inAggregate, raw } = context;
+        columns.add(node.name);
+
+        if (!measures.includes(node.name) && !dimensions.includes(node.name)) {
+          errors.push(`Unknown column "${node.name}"`);
+        } else if (mode === 'aggregate' && !inAggregate) {
+          errors.push(`"${node.name}" must be inside an aggregate, e.g. sum(${this.formatColumn(node.name)})`);
+        } else if (!raw && !measures.includes(node.name)) {
+          errors.push(`"${node.name}" is not a numeric column`);
+        }
+        return;
+      }
+
+      case 'negate':
+        return this.check(node.operand, { ...context, raw: false }, errors, columns);
+
+      case 'binary':
+        this.check(node.left, { ...context, raw: false }, errors, columns);
+        return this.check(node.right, { ...context, raw: false }, errors, columns);
+
+      case 'call': {
+        const aggregate = AGGREGATES[node.name];
+        const arity = aggregate ? aggregate.arity : ROW_FUNCTIONS[node.name];
+
+        if (!arity) {
+          errors.push(`Unknown function "${node.name}"`);
+          return;
+        }
+        if (aggregate && context.mode !== 'aggregate') {
+          errors.push(`${node.name}() is an aggregate and can only be used in KPI formulas`);
+          return;
+        }
+        if (aggregate && context.inAggregate) {
+          errors.push(`${node.name}() cannot be used inside another aggregate`);
+          return;
+        }
+        if (node.args.length < arity[0] || node.args.length > arity[1]) {
+          const expected = arity[0] === arity[1] ? arity[0] : `${arity[0]} to ${arity[1]}`;
+          errors.push(`${node.name}() takes ${expected} argument${arity[1] === 1 ? '' : 's'}, got ${node.args.length}`);
+          return;
+        }
+
+        node.args.forEach((arg, index) => {
+          this.check(arg, {
+            ...context,
+            inAggregate: context.inAggregate || Boolean(aggregate),
+            // Only a column given as it is can be read raw; anything computed needs numbers
+            raw: Boolean(aggregate?.rawArguments?.includes(index)) && arg.type === 'column'
+          }, errors, columns);
+        });
+        return;
+      }
+
+      default:
+        errors.push(`Unsupported expression "${node.type}"`);
+    }
+  }
+
+  // The value of a calculated field for one row; null when an input is missing or a division is by zero
+  evaluateRow(ast, row) {
+    return this.evaluate(ast, { row });
+  }
+
+  // The value of a KPI formula over all rows. aggregate(rows, calculation, column, options) computes
+  // the aggregates, so they match calculator's KPIs exactly.
+  evaluateAggregate(ast, data, aggregate) {
+    return this.evaluate(ast, { data, aggregate });
+  }
+
+  evaluate(node, scope) {
+    switch (node.type) {
+      case 'number':
+        return node.value;
+
+      case 'column':
+        return this.toNumber(scope.row?.[node.name]);
+
+      case 'negate': {
+        const value = this.evaluate(node.operand, scope);
+        return value === null ? null : -value;
+      }
+
+      case 'binary': {
+        const left = this.evaluate(node.left, scope);
+        const right = this.evaluate(node.right, scope);
+        if (left === null || right === null) {
+          return null;
+        }
+
+        switch (node.operator) {
+          case '+': return left + right;
+          case '-': return left - right;
+          case '*': return left * right;
+          case '/': return right !== 0 ? left / right : null;
+          default: return null;
+        }
+      }
+
+      case 'call': {
+        if (AGGREGATES[node.name] && scope.data) {
+          return this.evaluateCall(node, scope);
+        }
+
+        const args = node.args.map(arg => this.evaluate(arg, scope));
+        if (args.some(value => value === null)) {
+          return null;
+        }
+
+        switch (node.name) {
+          case 'abs':
+            return Math.abs(args[0]);
+          case 'round': {
+            // A double holds about 15 digits: rounding to more changes nothing, and 10 ** 400 overflows to NaN
+            const digits = Math.min(Math.max(Math.round(args[1] || 0), -MAX_ROUND_DIGITS), MAX_ROUND_DIGITS);
+            const factor = 10 ** digits;
+            const rounded = Math.round(args[0] * factor) / factor;
+            return isFinite(rounded) ? rounded : args[0];
+          }
+          default:
+            return null;
+        }
+      }
+
+      default:
+        return null;
+    }
+  }
+
+  // Each argument is evaluated per row into a column of its own, then aggregated like a plain column
+  evaluateCall(node, scope) {
+    const { rawArguments = [] } = AGGREGATES[node.name];
+    const calculation = node.name === 'average' ? 'avg' : node.name;
+    const valueOf = (arg, index, row) => (rawArguments.includes(index) && arg.type === 'column'
+      ? row[arg.name]
+      : this.evaluate(arg, { row }));
+
+    let rows = scope.data.map(row => ({
+      value: node.args[0] ? valueOf(node.args[0], 0, row) : null,
+      parameter: node.args[1] ? valueOf(node.args[1], 1, row) : null
+    }));
+
+    // count(column) counts the rows that have a value, count() all of them
+    if (calculation === 'count' && node.args.length > 0) {
+      rows = rows.filter(row => row.value !== null && row.value !== undefined && row.value !== '');
+    }
+
+    const parameter = node.args[1] ? 'parameter' : undefined;
+    const value = scope.aggregate(rows, calculation, 'value', {
+      weightColumn: parameter,
+      denominatorColumn: parameter,
+      dateColumn: parameter
+    });
+
+    return typeof value === 'number' && isFinite(value) ? value : null;
+  }
+
+  // Rows with every calculated field added as a column, in the order the fields are defined,
+  // so a field may build on the ones before it
+  applyFields(data, fields = []) {
+    const compiled = (fields || [])
+      .map(field => {
+        try {
+          return { name: field.name, ast: this.parse(field.expression) };
+        } catch (error) {
+          console.warn(`Warning: skipping calculated field ${field.name}:`, error.message);
+          return null;
+        }
+      })
+      .filter(Boolean);
+
+    if (compiled.length === 0) {
+      return data;
+    }
+
+    return data.map(row => {
+      const result = { ...row };
+      compiled.forEach(field => {
+        result[field.name] = this.evaluateRow(field.ast, result);
+      });
+      return result;
+    });
+  }
+
+  // The dataset schema with the calculated fields listed as measures
+  schemaWithFields(schema, fields = []) {
+    const names = new Set([...(schema?.measures || []), ...(schema?.dimensions || [])].map(column => column.name));
+    const calculated = (fields || [])
+      .filter(field => field?.name && !names.has(field.name))
+      .map(field => ({ name: field.name, type: 'number', format: field.format, calculated: true, expression: field.expression }));
+
+    return {
+      ...schema,
+      measures: [...(schema?.measures || []), ...calculated],
+      dimensions: schema?.dimensions || []
+    };
+  }
+
+  // Column names a formula reads, [] when it does not parse
+  columnsIn(expression) {
+    const columns = new Set();
+    const visit = node => {
+      if (node.type === 'column') columns.add(node.name);
+      if (node.operand) visit(node.operand);
+      if (node.left) visit(node.left);
+      if (node.right) visit(node.right);
+      (node.args || []).forEach(visit);
+    };
+
+    try {
+      visit(this.parse(expression));
+    } catch (error) {
+      return [];
+    }
+    return [...columns];
+  }
+
+  // The formula with its columns renamed, e.g. after the review step renamed them
+  renameColumns(expression, rename) {
+    try {
+      return this.format(this.rename(this.parse(expression), rename));
+    } catch (error) {
+      return expression;
+    }
+  }
+
+  rename(node, rename) {
+    switch (node.type) {
+      case 'column':
+        return { ...node, name: rename(node.name) };
+      case 'negate':
+        return { ...node, operand: this.rename(node.operand, rename) };
+      case 'binary':
+        return { ...node, left: this.rename(node.left, rename), right: this.rename(node.right, rename) };
+      case 'call':
+        return { ...node, args: node.args.map(arg => this.rename(arg, rename)) };
+      default:
+        return node;
+    }
+  }
+
+  // Back to formula text, with only the parentheses the precedence needs
+  format(node, parentPrecedence = 0, rightSide = false) {
+    switch (node.type) {
+      case 'number':
+        return String(node.value);
+      case 'column':
+        return this.formatColumn(node.name);
+      case 'negate':
+        return `-${this.format(node.operand, 3)}`;
+      case 'binary': {
+        const precedence = PRECEDENCE[node.operator];
+        const text = `${this.format(node.left, precedence)} ${node.operator} ${this.format(node.right, precedence, true)}`;
+        const needsParentheses = precedence < parentPrecedence || (rightSide && precedence === parentPrecedence);
+        return needsParentheses ? `(${text})` : text;
+      }
+      case 'call':
+        return `${node.name}(${node.args.map(arg => this.format(arg)).join(', ')})`;
+      default:
+        return '';
+    }
+  }
+
+  formatColumn(name) {
+    return /^[A-Za-z_][A-Za-z0-9_]*$/.test(name) ? name : `[${name}]`;
+  }
+
+  toNumber(value) {
+    if (typeof value === 'number') {
+      return isFinite(value) ? value : null;
+    }
+    return valueNormalizer.toNumber(value);
+  }
+}
+
+module.exports = new FormulaEngine();
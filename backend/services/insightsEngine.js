@@ -0,0 +1,250 @@
+// backend/services/insightsEngine.js - Deterministic insights computed from the extracted rows
+const calculator = require('./calculator');
+const tableExtractor = require('./tableExtractor');
+
+class InsightsEngine {
+  constructor() {
+    this.MAX_MEASURES = 2;          // Measures insights are computed for
+    this.MAX_INSIGHTS = 8;
+    this.MAX_CATEGORIES = 50;       // Dimensions with more distinct values are not compared as categories
+    this.MAX_ROWS = 50;             // Row references kept per insight
+    this.OUTLIER_Z_SCORE = 2;       // Standard deviations from the mean for a row to stand out
+    this.OUTLIER_MIN_ROWS = 5;
+    this.TEMPORAL_NAME = /date|day|week|month|quarter|year|period|time/i;
+  }
+
+  // Facts with a template sentence each: which figures they state and which rows (by index) they come from
+  computeFacts(structuredData) {
+    const { data, schema } = structuredData;
+    if (!data?.length || !schema?.measures?.length) {
+      return [];
+    }
+
+    const period = this.findDimension(data, schema, true);
+    // Periods are compared like categories when the data has nothing else to group by
+    const category = this.findDimension(data, schema, false) || period;
+    const facts = [];
+
+    schema.measures.slice(0, this.MAX_MEASURES).forEach(measure => {
+      const format = measure.format || 'number';
+      const context = { data, measure: measure.name, label: tableExtractor.toLabel(measure.name), format, currency: measure.currency };
+
+      if (category) {
+        facts.push(...this.compareCategories({ ...context, dimension: category }));
+      }
+      if (period) {
+        facts.push(...this.comparePeriods({ ...context, dimension: period }));
+      }
+      facts.push(...this.findOutliers({ ...context, dimension: category || period }));
+    });
+
+    return facts.slice(0, this.MAX_INSIGHTS);
+  }
+
+  // Largest and smallest category, and how concentrated the total is
+  compareCategories({ data, measure, label, format, currency, dimension }) {
+    const groups = calculator.calculateGrouped(data, { calculation: 'sum', column: measure, format, currency }, dimension);
+    if (groups.length < 2) {
+      return [];
+    }
+
+    const total = groups.reduce((sum, group) => sum + (group.value || 0), 0);
+    const share = value => (total !== 0 ? (value / total) * 100 : 0);
+    const dimensionLabel = tableExtractor.toLabel(dimension).toLowerCase();
+    const largest = groups[0];
+    const smallest = groups[groups.length - 1];
+    const facts = [];
+
+    facts.push(this.fact('largest', measure, dimension, {
+      text: `${largest.group} has the highest ${label.toLowerCase()} (${largest.formattedValue}, ${this.formatPercent(share(largest.value))} of the total ${this.format(total, format, currency)}).`,
+      values: { group: largest.group, value: largest.value, share: this.round(share(largest.value)), total },
+      rows: this.rowsWhere(data, dimension, largest.group)
+    }));
+
+    facts.push(this.fact('smallest', measure, dimension, {
+      text: `${smallest.group} has the lowest ${label.toLowerCase()} (${smallest.formattedValue}, ${this.formatPercent(share(smallest.value))} of the total).`,
+      values: { group: smallest.group, value: smallest.value, share: this.round(share(smallest.value)), total },
+      rows: this.rowsWhere(data, dimension, smallest.group)
+    }));
+
+    // Only telling when there are enough categories for a few of them to dominate
+    if (groups.length >= 4) {
+      const top = groups.slice(0, 3);
+      const topShare = share(top.reduce((sum, group) => sum + (group.value || 0), 0));
+
+      facts.push(this.fact('share', measure, dimension, {
+        text: `The top 3 of ${groups.length} ${dimensionLabel} values (${top.map(group => group.group).join(', ')}) account for ${this.formatPercent(topShare)} of the total ${label.toLowerCase()}.`,
+        values: { groups: top.map(group => group.group), share: this.round(topShare), categories: groups.length, total },
+        rows: top.flatMap(group => this.rowsWhere(data, dimension, group.group))
+      }));
+    }
+
+    return facts;
+  }
+
+  // Change from the previous to the latest period
+  comparePeriods({ data, measure, label, format, currency, dimension }) {
+    const periods = this.orderPeriods(data, dimension);
+    if (periods.length < 2) {
+      return [];
+    }
+
+    const [previous, latest] = periods.slice(-2);
+    const previousValue = calculator.calculateSum(data.filter(row => String(row[dimension]) === previous), measure);
+    const latestValue = calculator.calculateSum(data.filter(row => String(row[dimension]) === latest), measure);
+    const change = latestValue - previousValue;
+    const changePercent = previousValue !== 0 ? (change / Math.abs(previousValue)) * 100 : null;
+
+    const direction = change > 0 ? 'rose' : change < 0 ? 'fell' : 'was unchanged';
+    const amount = change !== 0
+      ? ` by ${this.format(Math.abs(change), format, currency)}${changePercent !== null ? ` (${this.formatPercent(Math.abs(changePercent))})` : ''}`
+      : '';
+
+    return [this.fact('change', measure, dimension, {
+      text: `${label} ${direction}${amount} from ${previous} (${this.format(previousValue, format, currency)}) to ${latest} (${this.format(latestValue, format, currency)}).`,
+      values: {
+        from: previous,
+        to: latest,
+        previousValue,
+        value: latestValue,
+        change,
+        changePercent: changePercent !== null ? this.round(changePercent) : null
+      },
+      rows: [...this.rowsWhere(data, dimension, previous), ...this.rowsWhere(data, dimension, latest)]
+    })];
+  }
+
+  // Rows whose value lies more than OUTLIER_Z_SCORE standard deviations from the mean
+  findOutliers({ data, measure, label, format, currency, dimension }) {
+    const values = data
+      .map((row, index) => ({ index, value: row[measure] }))
+      .filter(entry => typeof entry.value === 'number' && isFinite(entry.value));
+
+    if (values.length < this.OUTLIER_MIN_ROWS) {
+      return [];
+    }
+
+    const mean = values.reduce((sum, entry) => sum + entry.value, 0) / values.length;
+    const deviation = Math.sqrt(values.reduce((sum, entry) => sum + (entry.value - mean) ** 2, 0) / values.length);
+    if (deviation === 0) {
+      return [];
+    }
+
+    const outliers = values
+      .map(entry => ({ ...entry, zScore: (entry.value - mean) / deviation }))
+      .filter(entry => Math.abs(entry.zScore) > this.OUTLIER_Z_SCORE)
+      .sort((a, b) => Math.abs(b.zScore) - Math.abs(a.zScore))
+      .slice(0, 3);
+
+    if (outliers.length === 0) {
+      return [];
+    }
+
+    const describe = entry => {
+      const name = dimension && data[entry.index][dimension] != null ? data[entry.index][dimension] : `Row ${entry.index + 1}`;
+      return `${name} (${this.format(entry.value, format, currency)})`;
+    };
+
+    return [this.fact('outlier', measure, dimension, {
+      text: `${outliers.length === 1 ? 'One value stands' : `${outliers.length} values stand`} out from the average ${label.toLowerCase()} of ${this.format(mean, format, currency)}: ${outliers.map(describe).join(', ')}.`,
+      values: {
+        mean,
+        outliers: outliers.map(entry => ({ row: entry.index, value: entry.value, zScore: this.round(entry.zScore) }))
+      },
+      rows: outliers.map(entry => entry.index)
+    })];
+  }
+
+  // The first dimension that reads as categories (or as periods, when temporal is true)
+  findDimension(data, schema, temporal) {
+    return (schema.dimensions || [])
+      .map(column => ({ column, distinct: new Set(data.map(row => row[column.name]).filter(value => value != null)).size }))
+      .find(entry => entry.distinct >= 2 &&
+        entry.distinct <= this.MAX_CATEGORIES &&
+        (entry.column.type === 'date' || this.TEMPORAL_NAME.test(entry.column.name)) === temporal)
+      ?.column.name || null;
+  }
+
+  // Chronological when every period parses as a date, otherwise in document order
+  orderPeriods(data, dimension) {
+    const periods = [...new Set(data.map(row => row[dimension]).filter(value => value != null).map(String))];
+    const timestamps = periods.map(period => Date.parse(period));
+
+    if (timestamps.every(timestamp => !isNaN(timestamp))) {
+      return periods
+        .map((period, index) => ({ period, timestamp: timestamps[index] }))
+        .sort((a, b) => a.timestamp - b.timestamp)
+        .map(entry => entry.period);
+    }
+
+    return periods;
+  }
+
+  rowsWhere(data, dimension, value) {
+    return data
+      .map((row, index) => (String(row[dimension] ?? 'Unknown') === String(value) ? index : -1))
+      .filter(index => index !== -1);
+  }
+
+  fact(type, measure, dimension, { text, values, rows }) {
+    const id = [type, measure, dimension].filter(Boolean).join(':');
+
+    return {
+      id,
+      type,
+      measure,
+      dimension: dimension || null,
+      text,
+      values,
+      rows: rows.slice(0, this.MAX_ROWS),
+      totalRows: rows.length,
+      // Changes whenever the underlying figures change, so a stored wording is only reused for the same fact
+      key: `${id}:${JSON.stringify(values)}`
+    };
+  }
+
+  // Insights as stored in dashboardConfig: the fact plus its wording. phrasing maps fact ids to reworded text.
+  toInsights(facts, phrasing = {}) {
+    return facts.map(fact => ({
+      ...fact,
+      text: phrasing[fact.id] || fact.text,
+      phrasedBy: phrasing[fact.id] ? 'ai' : 'template'
+    }));
+  }
+
+  // Recompute the facts for the current rows, keeping an earlier wording only where its fact is unchanged
+  refresh(structuredData, previousInsights = []) {
+    const phrasing = {};
+
+    (previousInsights || [])
+      .filter(insight => insight && typeof insight === 'object' && insight.phrasedBy === 'ai')
+      .forEach(insight => {
+        phrasing[insight.key] = insight.text;
+      });
+
+    return this.computeFacts(structuredData).map(fact => ({
+      ...fact,
+      text: phrasing[fact.key] || fact.text,
+      phrasedBy: phrasing[fact.key] ? 'ai' : 'template'
+    }));
+  }
+
+  // Numbers a wording may contain: exactly those stated in the fact's template sentence
+  numbersIn(text) {
+    return (text.match(/\d[\d,.]*/g) || []).map(number => number.replace(/[.,]+$/, ''));
+  }
+
+  format(value, format, currency) {
+    return calculator.formatValue(value, format, currency);
+  }
+
+  formatPercent(value) {
+    return `${this.round(value)}%`;
+  }
+
+  round(value) {
+    return Math.round(value * 10) / 10;
+  }
+}
+
+module.exports = new InsightsEngine();
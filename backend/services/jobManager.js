@@ -0,0 +1,313 @@
+// backend/services/jobManager.js - Background processing jobs for uploads, with stage/percent status and cancellation
+const { AsyncLocalStorage } = require('async_hooks');
+const { EventEmitter } = require('events');
+const crypto = require('crypto');
+
+// Pipeline stages in order, with the overall percent reached when a stage starts
+const STAGES = {
+  queued: { label: 'Waiting to start', percent: 0 },
+  extracting: { label: 'Extracting text from document', percent: 5 },
+  'checking data': { label: 'Checking for numerical data', percent: 35 },
+  'extracting structure': { label: 'Extracting structured data', percent: 50 },
+  'configuring dashboard': { label: 'Configuring dashboard', percent: 80 },
+  saving: { label: 'Saving results', percent: 95 }
+};
+
+const STAGE_ORDER = Object.keys(STAGES);
+
+class JobCancelledError extends Error {
+  constructor(message = 'Job was cancelled') {
+    super(message);
+    this.name = 'JobCancelledError';
+  }
+}
+
+class JobManager {
+  constructor() {
+    this.STAGES = STAGES;
+    this.jobs = new Map();
+    this.batches = new Map();
+    this.pending = [];
+    this.running = 0;
+    // How many jobs run at the same time (JOB_CONCURRENCY), the rest wait in the queue
+    const concurrency = parseInt(process.env.JOB_CONCURRENCY, 10);
+    this.CONCURRENCY = concurrency > 0 ? concurrency : 2;
+    // The job a piece of pipeline code runs for, without passing it through every call
+    this.context = new AsyncLocalStorage();
+    this.FINISHED_JOB_TTL = 60 * 60 * 1000;  // Finished jobs stay pollable for an hour
+    this.MAX_EVENTS = 500;                    // Events kept per job for late or reconnecting listeners
+  }
+
+  // Queues task(job) to run in the background and returns the job right away.
+  // info.cleanup releases the task's input (e.g. an uploaded file) when the job is cancelled before it starts.
+  start(task, info = {}) {
+    this.pruneFinished();
+
+    const job = {
+      id: 'job_' + crypto.randomUUID(),
+      status: 'queued',
+      stage: 'queued',
+      percent: 0,
+      fileName: info.fileName || null,
+      cleanup: info.cleanup || null,
+      error: null,
+      result: null,
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+      finishedAt: null,
+      message: null,
+      stages: [],
+      events: [],
+      eventCount: 0,
+      emitter: new EventEmitter(),
+      controller: new AbortController()
+    };
+
+    this.jobs.set(job.id, job);
+    this.pending.push({ job, task });
+    this.drain();
+
+    return job;
+  }
+
+  // Starts queued jobs while workers are free
+  drain() {
+    while (this.running < this.CONCURRENCY && this.pending.length > 0) {
+      this.launch(this.pending.shift());
+    }
+  }
+
+  launch({ job, task }) {
+    this.running++;
+
+    setImmediate(() => this.context.run(job, () => this.run(job, task).finally(() => {
+      this.running--;
+      this.drain();
+    })));
+  }
+
+  async run(job, task) {
+    try {
+      job.status = 'running';
+      const result = await task(job);
+      this.finish(job, 'completed', { result, percent: 100 });
+    } catch (error) {
+      if (job.controller.signal.aborted) {
+        this.finish(job, 'cancelled', { error: 'Cancelled by user' });
+      } else {
+        console.error(`❌ Job ${job.id} failed:`, error);
+        this.finish(job, 'failed', { error: error.message });
+      }
+    }
+  }
+
+  finish(job, status, changes) {
+    Object.assign(job, changes, { status, updatedAt: new Date().toISOString(), finishedAt: new Date().toISOString() });
+    this.closeStage(job, status, job.error);
+    console.log(`Job ${job.id} ${status}${job.error ? `: ${job.error}` : ''}`);
+
+    this.emit(job, { type: status, job: this.toJSON(job) });
+    job.emitter.removeAllListeners();
+  }
+
+  get(jobId) {
+    return this.jobs.get(jobId) || null;
+  }
+
+  // Aborts a queued or running job; the pipeline stops at its next checkpoint or AI call
+  cancel(jobId) {
+    const job = this.get(jobId);
+
+    if (!job || !this.isActive(job)) {
+      return false;
+    }
+
+    job.controller.abort();
+    job.updatedAt = new Date().toISOString();
+
+    // A queued job never starts, so no worker is taken: it is finished here and its input released
+    const index = this.pending.findIndex(entry => entry.job === job);
+    if (index !== -1) {
+      this.pending.splice(index, 1);
+      this.finish(job, 'cancelled', { error: 'Cancelled by user' });
+      if (job.cleanup) {
+        job.cleanup();
+      }
+    }
+
+    return true;
+  }
+
+  // Groups the jobs of a multi-file upload
+  createBatch(jobs) {
+    const batch = {
+      id: 'batch_' + crypto.randomUUID(),
+      jobIds: jobs.map(job => job.id),
+      createdAt: new Date().toISOString()
+    };
+
+    jobs.forEach(job => {
+      job.batchId = batch.id;
+    });
+    this.batches.set(batch.id, batch);
+
+    return batch;
+  }
+
+  getBatch(batchId) {
+    return this.batches.get(batchId) || null;
+  }
+
+  // Jobs of a batch that are still known (finished jobs expire after FINISHED_JOB_TTL)
+  getBatchJobs(batch) {
+    return batch.jobIds.map(jobId => this.get(jobId)).filter(Boolean);
+  }
+
+  queuePosition(job) {
+    const index = this.pending.findIndex(entry => entry.job === job);
+    return index === -1 ? null : index + 1;
+  }
+
+  isActive(job) {
+    return job.status === 'queued' || job.status === 'running';
+  }
+
+  // Called by the pipeline when it moves on; a no-op outside of a job (fixture runs, scripts)
+  setStage(stage) {
+    const job = this.context.getStore();
+    if (!job) return;
+
+    this.throwIfCancelled();
+
+    this.closeStage(job, 'completed');
+
+    job.stage = stage;
+    job.percent = Math.max(job.percent, STAGES[stage]?.percent ?? job.percent);
+    job.message = null;
+    job.stages.push({
+      stage,
+      label: STAGES[stage]?.label || stage,
+      status: 'running',
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+      durationMs: null,
+      error: null
+    });
+
+    this.emit(job, { type: 'stage', stage, label: STAGES[stage]?.label || stage, status: 'running', percent: job.percent });
+  }
+
+  // Ends the running stage with its timing; failed/cancelled stages keep the reason
+  closeStage(job, status, error = null) {
+    const current = job.stages[job.stages.length - 1];
+    if (!current || current.status !== 'running') return;
+
+    current.status = status;
+    current.finishedAt = new Date().toISOString();
+    current.durationMs = new Date(current.finishedAt) - new Date(current.startedAt);
+    current.error = status === 'completed' ? null : error;
+
+    this.emit(job, { type: 'stage', ...current });
+  }
+
+  // Progress inside the current stage ("OCR page 2 of 5"); current/total move the percent within the stage
+  progress(message, details = {}) {
+    const job = this.context.getStore();
+    if (!job) return;
+
+    const { current, total } = details;
+    if (total > 0 && current !== undefined) {
+      const start = STAGES[job.stage]?.percent ?? job.percent;
+      const next = STAGES[STAGE_ORDER[STAGE_ORDER.indexOf(job.stage) + 1]]?.percent ?? 100;
+      job.percent = Math.max(job.percent, Math.round(start + (next - start) * Math.min(current / total, 1)));
+    }
+
+    job.message = message;
+    this.emit(job, { type: 'progress', stage: job.stage, message, percent: job.percent, ...details });
+  }
+
+  // Named pipeline events without a user-facing message (AI calls started/finished)
+  event(type, details = {}) {
+    const job = this.context.getStore();
+    if (!job) return;
+
+    this.emit(job, { type, stage: job.stage, ...details });
+  }
+
+  emit(job, event) {
+    const entry = { id: ++job.eventCount, at: new Date().toISOString(), ...event };
+
+    job.events.push(entry);
+    if (job.events.length > this.MAX_EVENTS) {
+      job.events.shift();
+    }
+
+    job.updatedAt = entry.at;
+    job.emitter.emit('event', entry);
+  }
+
+  // Events after lastEventId, then live ones until the job finishes; returns the unsubscribe function
+  subscribe(job, listener, lastEventId = 0) {
+    job.events.filter(event => event.id > lastEventId).forEach(listener);
+
+    if (!this.isActive(job)) {
+      return () => {};
+    }
+
+    job.emitter.on('event', listener);
+    return () => job.emitter.off('event', listener);
+  }
+
+  throwIfCancelled() {
+    if (this.currentSignal()?.aborted) {
+      throw new JobCancelledError();
+    }
+  }
+
+  // AbortSignal of the job the caller runs for, passed on to outgoing AI requests
+  currentSignal() {
+    return this.context.getStore()?.controller.signal || null;
+  }
+
+  // The public view of a job, as returned by GET /api/jobs/:id
+  toJSON(job) {
+    return {
+      id: job.id,
+      status: job.status,
+      stage: job.stage,
+      stageLabel: STAGES[job.stage]?.label || job.stage,
+      percent: job.percent,
+      message: job.message,
+      stages: job.stages,
+      queuePosition: this.queuePosition(job),
+      batchId: job.batchId || null,
+      fileName: job.fileName,
+      error: job.error,
+      result: job.result,
+      createdAt: job.createdAt,
+      updatedAt: job.updatedAt,
+      finishedAt: job.finishedAt
+    };
+  }
+
+  pruneFinished() {
+    const now = Date.now();
+
+    for (let [jobId, job] of this.jobs) {
+      if (job.finishedAt && now - new Date(job.finishedAt).getTime() > this.FINISHED_JOB_TTL) {
+        this.jobs.delete(jobId);
+      }
+    }
+
+    for (let [batchId, batch] of this.batches) {
+      if (this.getBatchJobs(batch).length === 0) {
+        this.batches.delete(batchId);
+      }
+    }
+  }
+}
+
+const jobManager = new JobManager();
+jobManager.JobCancelledError = JobCancelledError;
+
+module.exports = jobManager;
@@ -0,0 +1,432 @@
+// backend/services/llmProviders.js - Pluggable LLM backends for AIService
+const axios = require('axios');
+const { RecordingProvider } = require('./recordingProvider');
+const localeDetector = require('./localeDetector');
+
+// Any server speaking the OpenAI chat-completions protocol (llama.cpp, Ollama, vLLM, LM Studio...)
+class OpenAICompatibleProvider {
+  constructor(options = {}) {
+    this.name = options.name || 'openai-compatible';
+    this.apiKey = options.apiKey;
+    this.baseUrl = options.baseUrl;
+    this.model = options.model;
+    this.timeout = options.timeout || 45000;
+    this.requiresApiKey = options.requiresApiKey || false;
+    this.extraHeaders = options.extraHeaders || {};
+  }
+
+  assertConfigured() {
+    if (!this.baseUrl) {
+      throw new Error(`${this.name} API URL not configured`);
+    }
+    if (this.requiresApiKey && !this.apiKey) {
+      throw new Error(`${this.name} API key not configured`);
+    }
+  }
+
+  buildHeaders() {
+    const headers = {
+      "Content-Type": "application/json",
+      ...this.extraHeaders
+    };
+
+    // Local servers usually run without auth, so only send a key when one is set
+    if (this.apiKey) {
+      headers["Authorization"] = `Bearer ${this.apiKey}`;
+    }
+
+    return headers;
+  }
+
+  // options.signal aborts the request, e.g. when the upload job it belongs to is cancelled
+  async complete(prompt, maxTokens, temperature, options = {}) {
+    this.assertConfigured();
+
+    try {
+      const response = await axios.post(this.baseUrl, {
+        model: this.model,
+        messages: [{ role: "user", content: prompt }],
+        max_tokens: maxTokens,
+        temperature: temperature
+      }, {
+        headers: this.buildHeaders(),
+        timeout: this.timeout,
+        signal: options.signal || undefined
+      });
+
+      return this.extractContent(response.data);
+    } catch (error) {
+      if (axios.isCancel(error)) {
+        throw new Error('AI request cancelled');
+      }
+
+      if (error.response?.status === 400 && error.response.data?.error?.message?.includes('token')) {
+        throw new Error('Text too long for AI processing. Document contains too much content.');
+      }
+
+      if (error.response) {
+        throw new Error(`AI API error: ${error.response.status} - ${error.response.data?.error?.message || 'Unknown error'}`);
+      } else if (error.request) {
+        throw new Error(`Network error: Could not reach AI service (${this.name})`);
+      } else {
+        throw new Error('AI request failed: ' + error.message);
+      }
+    }
+  }
+
+  extractContent(responseData) {
+    const choice = responseData?.choices?.[0];
+
+    // Chat-completions shape, with a fallback for servers answering in the legacy completions shape
+    const content = choice?.message?.content ?? choice?.text;
+
+    if (typeof content !== 'string') {
+      throw new Error(`Unexpected response format from ${this.name}`);
+    }
+
+    return content;
+  }
+}
+
+class OpenRouterProvider extends OpenAICompatibleProvider {
+  constructor(options = {}) {
+    super({
+      ...options,
+      name: 'OpenRouter',
+      baseUrl: options.baseUrl || 'https://openrouter.ai/api/v1/chat/completions',
+      requiresApiKey: true
+    });
+  }
+}
+
+// In-process provider for air-gapped/offline runs: answers the AIService prompts heuristically
+class StubProvider {
+  constructor() {
+    this.name = 'stub';
+  }
+
+  assertConfigured() {
+    // Nothing to configure
+  }
+
+  // Answers by options.schemaName, the kind of answer aiService asks for (see callAI), not by prompt wording
+  async complete(prompt, maxTokens, temperature, options = {}) {
+    switch (options.schemaName) {
+      case 'availability':
+        return JSON.stringify(this.checkData(this.extractQuotedText(prompt)));
+
+      case 'extraction':
+      case 'extractionChunk':
+        return JSON.stringify(this.extractData(this.extractQuotedText(prompt)));
+
+      case 'dashboard':
+        return JSON.stringify(this.buildDashboardConfig(prompt));
+
+      case 'chartRequest':
+        return JSON.stringify(this.buildChartRequest(prompt));
+
+      case 'insightPhrasing': {
+        // The template sentences are already accurate, keep them word for word
+        const facts = JSON.parse(prompt.match(/^Facts: (.*)$/m)?.[1] || '[]');
+        return JSON.stringify({ insights: facts });
+      }
+
+      case 'chatPlan':
+        return JSON.stringify(this.planChat(prompt));
+
+      case 'chatAnswer':
+        return JSON.stringify(this.answerChat(prompt));
+
+      case 'summary':
+        // Preserving every number is trivially achieved by not summarizing
+        return this.extractQuotedText(prompt);
+
+      default:
+        return '{}';
+    }
+  }
+
+  extractQuotedText(prompt) {
+    const start = prompt.indexOf('"""');
+    const end = prompt.lastIndexOf('"""');
+
+    if (start === -1 || end <= start) {
+      return '';
+    }
+
+    return prompt.substring(start + 3, end).trim();
+  }
+
+  parseRows(text) {
+    const rows = [];
+    const numberFormat = localeDetector.detectNumberFormat(text);
+
+    for (let line of text.split('\n')) {
+      // Cells separated by pipes, colons or runs of 2+ spaces, e.g. "Q1 revenue: $50,000" or "Q1 | 125,000 | 82,000"
+      let cells = line.split(/\s*\|\s*|\s*:\s+|\s{2,}/).map(cell => cell.trim()).filter(Boolean);
+
+      if (cells.length < 2) {
+        // OCR output collapses column gaps to single spaces: leading words form the label
+        const match = line.trim().match(/^([A-Za-zÀ-ÿ][^\d$€£]*?)\s+((?:[$€£]?-?\d[\d,.]*(?:\s?[%€£$])?\s*)+)$/);
+        cells = match ? [match[1], ...match[2].trim().split(/\s+(?=[$€£]?-?\d)/)] : cells;
+      }
+
+      if (cells.length < 2) continue;
+
+      const category = cells[0];
+      const value = cells.slice(1)
+        .map(cell => localeDetector.parseNumber(cell, numberFormat))
+        .find(number => number !== null);
+
+      if (/[A-Za-zÀ-ÿ]/.test(category) && value !== undefined) {
+        rows.push({ category, value });
+      }
+    }
+
+    return rows;
+  }
+
+  checkData(text) {
+    const rows = this.parseRows(text);
+    const hasData = rows.length >= 2;
+
+    return {
+      hasData,
+      confidence: hasData ? 60 : 20,
+      reason: hasData
+        ? `Found ${rows.length} labelled numeric values`
+        : 'No labelled numeric values found',
+      insights: hasData ? ['labelled numeric values'] : [],
+      dataTypes: hasData ? ['numbers'] : []
+    };
+  }
+
+  extractData(text) {
+    const data = this.parseRows(text);
+
+    return {
+      data,
+      schema: {
+        measures: [{ name: 'value', type: 'number' }],
+        dimensions: [{ name: 'category', type: 'string' }]
+      },
+      metadata: {
+        totalRecords: data.length,
+        dataSource: 'extracted from document',
+        extractionConfidence: 60,
+        processingMethod: 'stub_provider'
+      }
+    };
+  }
+
+  parseSchemaLine(prompt) {
+    const schemaMatch = prompt.match(/^Schema: (.*)$/m);
+
+    if (schemaMatch) {
+      try {
+        return JSON.parse(schemaMatch[1]);
+      } catch (error) {
+        // Fall through to the empty schema
+      }
+    }
+
+    return { measures: [], dimensions: [] };
+  }
+
+  buildDashboardConfig(prompt) {
+    const schema = this.parseSchemaLine(prompt);
+
+    const measure = schema.measures?.[0]?.name || 'value';
+    const dimension = schema.dimensions?.[0]?.name || 'category';
+
+    return {
+      kpis: [
+        { name: `Total ${measure}`, calculation: 'sum', column: measure, format: 'number' },
+        { name: `Average ${measure}`, calculation: 'avg', column: measure, format: 'number' },
+        { name: 'Records', calculation: 'count', column: measure, format: 'number' }
+      ],
+      charts: [
+        { title: `${measure} by ${dimension}`, type: 'bar', measures: [measure], dimensions: [dimension] },
+        { title: `${measure} share`, type: 'pie', measures: [measure], dimensions: [dimension] }
+      ],
+      insights: [],
+      summary: `Dashboard generated offline from ${measure} by ${dimension}`
+    };
+  }
+
+  // The columns and calculation a plain-language request names, defaulting to the first measure
+  interpretRequest(request, schema) {
+    // "... where region is EMEA": the condition is taken out so its column is not read as the grouping
+    const columns = [...(schema.measures || []), ...(schema.dimensions || [])].map(column => column.name);
+    const condition = request.match(/\bwhere\s+(\w+)\s+(?:is|=|equals)\s+([^,.?]+)/i);
+    const filterColumn = condition && columns.find(name => name.toLowerCase() === condition[1].toLowerCase());
+    const filter = filterColumn ? { column: filterColumn, operator: 'equals', value: condition[2].trim() } : undefined;
+    const filtered = (filter ? request.replace(condition[0], '') : request).toLowerCase();
+    // "... vs last month", "... year over year": compared along the first date-like dimension, taken out like the filter
+    const compared = filtered.match(/\b(?:vs\.?|versus|compared (?:to|with))\s+(?:the\s+)?(?:last|previous|prior)\s+\w+|\b(?:year over year|yoy)\b/);
+    const dateColumn = (schema.dimensions || [])
+      .find(column => column.type === 'date' || /date|day|week|month|quarter|year|period|time/i.test(column.name))?.name;
+    const comparison = compared && dateColumn
+      ? { type: /year over year|yoy/.test(compared[0]) ? 'year_over_year' : 'previous_period', dateColumn }
+      : undefined;
+    const text = comparison ? filtered.replace(compared[0], '') : filtered;
+    const mentions = name => text.includes(name.toLowerCase().replace(/_/g, ' ')) || text.includes(name.toLowerCase());
+    const calculations = [
+      ['weighted_avg', /\bweighted\b/],
+      ['avg', /\b(average|avg|mean)\b/],
+      ['median', /\bmedian\b/],
+      ['p95', /\b(p95|95th percentile)\b/],
+      ['p90', /\b(p90|90th percentile)\b/],
+      ['stddev', /\b(standard deviation|std ?dev|volatility)\b/],
+      ['distinct_count', /\b(distinct|unique)\b/],
+      ['count', /\b(count|number of)\b/],
+      ['max', /\b(max|maximum|highest|largest)\b/],
+      ['min', /\b(min|minimum|lowest|smallest)\b/],
+      ['sum', /\b(total|sum)\b/]
+    ];
+
+    const named = (schema.measures || []).filter(column => mentions(column.name)).map(column => column.name);
+    const measure = named[0] || schema.measures?.[0]?.name || 'value';
+    const calculation = calculations.find(([, pattern]) => pattern.test(text))?.[0];
+    // "weighted by units": the second measure named is the weight; without one the plain average is meant
+    const weightColumn = named.find(name => name !== measure);
+
+    return {
+      text,
+      measure,
+      dimension: (schema.dimensions || []).find(column => mentions(column.name))?.name,
+      calculation: calculation === 'weighted_avg' && !weightColumn ? 'avg' : calculation,
+      weightColumn: calculation === 'weighted_avg' ? weightColumn : undefined,
+      filter,
+      comparison
+    };
+  }
+
+  // Picks the columns and chart type named in the request, falling back to the first columns and a bar chart
+  buildChartRequest(prompt) {
+    const schema = this.parseSchemaLine(prompt);
+    const { text, measure, dimension, calculation, weightColumn, filter, comparison } = this.interpretRequest(prompt.match(/^Request: (.*)$/m)?.[1] || '', schema);
+
+    // A comparison is always about a single figure, the sum unless another calculation is named
+    if ((calculation || comparison) && !dimension) {
+      return {
+        kind: 'kpi',
+        kpi: {
+          name: `${calculation || 'sum'} ${measure}${filter ? ` (${filter.value})` : ''}`,
+          calculation: calculation || 'sum',
+          column: measure,
+          format: 'number',
+          ...(weightColumn && { weightColumn }),
+          ...(filter && { filter }),
+          ...(comparison && { comparison })
+        }
+      };
+    }
+
+    const type = ['pie', 'line', 'area', 'bar'].find(chartType => text.includes(chartType)) ||
+      (/\b(trend|over time)\b/.test(text) ? 'line' : 'bar');
+    const groupBy = dimension || schema.dimensions?.[0]?.name;
+
+    return {
+      kind: 'chart',
+      chart: {
+        title: groupBy ? `${measure} by ${groupBy}` : measure,
+        type,
+        measures: [measure],
+        dimensions: groupBy ? [groupBy] : [],
+        ...(filter && { filter })
+      }
+    };
+  }
+
+  // One aggregate of the measure named in the question, per group when a dimension is named.
+  // "Highest"/"lowest" then rank the groups by their total rather than asking for a maximum.
+  planChat(prompt) {
+    const schema = this.parseSchemaLine(prompt);
+
+    if (!schema.measures?.length) {
+      return { computations: [] };
+    }
+
+    const { measure, dimension, calculation, weightColumn, filter } = this.interpretRequest(prompt.match(/^Question: (.*)$/m)?.[1] || '', schema);
+    const groupedCalculation = calculation && !['max', 'min'].includes(calculation) ? calculation : 'sum';
+
+    return {
+      computations: [{
+        label: dimension ? `${measure} by ${dimension}` : `${calculation || 'sum'} of ${measure}`,
+        calculation: dimension ? groupedCalculation : calculation || 'sum',
+        column: measure,
+        groupBy: dimension || null,
+        ...(weightColumn && { weightColumn }),
+        ...(filter && { filter })
+      }]
+    };
+  }
+
+  // Reads the computed results back, without any wording beyond the numbers
+  answerChat(prompt) {
+    let results = [];
+
+    try {
+      results = JSON.parse(prompt.match(/^Results: (.*)$/m)?.[1] || '[]');
+    } catch (error) {
+      // Answer without results
+    }
+
+    if (results.length === 0) {
+      return { answer: 'The extracted data does not answer this question.' };
+    }
+
+    return {
+      answer: results.map(result => (result.groups
+        ? `${result.label}: ${result.groups.map(group => `${group.group} ${group.formattedValue}`).join(', ')}`
+        : `${result.label}: ${result.formattedValue}`)).join('\n')
+    };
+  }
+}
+
+const PROVIDERS = {
+  'openrouter': () => new OpenRouterProvider({
+    apiKey: process.env.OPENROUTER_API_KEY,
+    baseUrl: process.env.OPENROUTER_API_URL,
+    model: process.env.OPENROUTER_API_MODEL,
+    timeout: parseInt(process.env.AI_REQUEST_TIMEOUT, 10) || undefined
+  }),
+  'openai-compatible': () => new OpenAICompatibleProvider({
+    name: 'openai-compatible',
+    apiKey: process.env.LOCAL_LLM_API_KEY,
+    baseUrl: process.env.LOCAL_LLM_API_URL || 'http://localhost:8080/v1/chat/completions',
+    model: process.env.LOCAL_LLM_MODEL,
+    // Local models on CPU are considerably slower than hosted ones
+    timeout: parseInt(process.env.AI_REQUEST_TIMEOUT, 10) || 180000
+  }),
+  'stub': () => new StubProvider()
+};
+
+// Select the provider for this deployment via AI_PROVIDER (defaults to OpenRouter),
+// optionally wrapped for record/replay via AI_RECORD_MODE and AI_RECORDINGS_DIR
+function createProvider(name = process.env.AI_PROVIDER || 'openrouter', recordMode = process.env.AI_RECORD_MODE) {
+  const factory = PROVIDERS[name.toLowerCase()];
+
+  if (!factory) {
+    throw new Error(`Unknown AI provider "${name}". Available providers: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+
+  const provider = factory();
+
+  if (recordMode && recordMode !== 'off') {
+    return new RecordingProvider(provider, {
+      mode: recordMode.toLowerCase(),
+      recordingsDir: process.env.AI_RECORDINGS_DIR
+    });
+  }
+
+  return provider;
+}
+
+module.exports = {
+  createProvider,
+  OpenAICompatibleProvider,
+  OpenRouterProvider,
+  StubProvider
+};
@@ -0,0 +1,161 @@
+// backend/services/localeDetector.js - Language, number format and locale-aware patterns for the extraction heuristics
+const LANGUAGES = {
+  en: {
+    tesseract: 'eng',
+    words: ['the', 'and', 'of', 'to', 'is', 'for', 'with', 'that', 'this', 'are', 'from', 'by', 'was', 'which'],
+    months: ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december',
+      'jan', 'feb', 'mar', 'apr', 'jun', 'jul', 'aug', 'sep', 'sept', 'oct', 'nov', 'dec']
+  },
+  de: {
+    tesseract: 'deu',
+    words: ['der', 'die', 'das', 'und', 'ist', 'nicht', 'mit', 'für', 'von', 'den', 'dem', 'ein', 'eine', 'im', 'auf', 'wurde', 'sind'],
+    months: ['januar', 'februar', 'märz', 'maerz', 'april', 'mai', 'juni', 'juli', 'august', 'september', 'oktober', 'november', 'dezember',
+      'jan', 'feb', 'mär', 'mrz', 'apr', 'jun', 'jul', 'aug', 'sep', 'okt', 'nov', 'dez']
+  },
+  fr: {
+    tesseract: 'fra',
+    words: ['le', 'la', 'les', 'et', 'du', 'est', 'une', 'pour', 'dans', 'par', 'sur', 'au', 'aux', 'sont', 'nous', 'été'],
+    months: ['janvier', 'février', 'fevrier', 'mars', 'avril', 'mai', 'juin', 'juillet', 'août', 'aout', 'septembre', 'octobre', 'novembre', 'décembre', 'decembre',
+      'janv', 'févr', 'fevr', 'avr', 'juil', 'sept', 'oct', 'nov', 'déc']
+  },
+  es: {
+    tesseract: 'spa',
+    words: ['el', 'los', 'las', 'y', 'es', 'una', 'para', 'con', 'por', 'del', 'se', 'al', 'como', 'fue', 'están'],
+    months: ['enero', 'febrero', 'marzo', 'abril', 'mayo', 'junio', 'julio', 'agosto', 'septiembre', 'setiembre', 'octubre', 'noviembre', 'diciembre',
+      'ene', 'feb', 'mar', 'abr', 'may', 'jun', 'jul', 'ago', 'sep', 'oct', 'nov', 'dic']
+  }
+};
+
+const FINANCIAL_TERMS = [
+  'revenue', 'sales', 'profit', 'cost', 'price', 'total', 'amount', 'quantity',
+  'umsatz', 'erlös', 'erlöse', 'gewinn', 'kosten', 'preis', 'gesamt', 'summe', 'betrag', 'menge',
+  "chiffre d'affaires", 'ventes', 'bénéfice', 'coût', 'coûts', 'prix', 'montant', 'quantité',
+  'ingresos', 'ventas', 'beneficio', 'costo', 'coste', 'precio', 'importe', 'cantidad'
+];
+
+// Longest first so "september" wins over "sep" inside the alternation
+const alternation = words => [...new Set(words)]
+  .sort((a, b) => b.length - a.length)
+  .map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+  .join('|');
+
+const MONTHS = alternation(Object.values(LANGUAGES).flatMap(language => language.months));
+
+// Sources of the patterns shared by the extraction heuristics; build them with localeDetector.regex()
+const PATTERNS = {
+  currencyAmount: '(?:[$€£¥]\\s*-?\\d[\\d.,]*|\\d[\\d.,]*\\s?(?:[€£¥$]|\\b(?:usd|eur|gbp|chf)\\b))',
+  percentage: '\\d+(?:[.,]\\d+)?\\s?%',
+  abbreviatedNumber: '\\b\\d+(?:[.,]\\d+)?\\s*(?:million|billion|thousand|mio|mrd|tsd|millions?|milliards?|millones|k|m|b)\\b',
+  financialTerm: `(?:${alternation(FINANCIAL_TERMS)})`,
+  month: `\\b(?:${MONTHS})\\b\\.?`,
+  quarter: '\\b(?:q[1-4]|quarter|quartal|trimestre|t[1-4])\\b'
+};
+
+const NUMBER_FORMATS = {
+  us: { thousands: /,/g, decimal: '.' },   // 1,234.56
+  eu: { thousands: /\./g, decimal: ',' }   // 1.234,56
+};
+
+class LocaleDetector {
+  constructor() {
+    this.LANGUAGES = LANGUAGES;
+    this.PATTERNS = PATTERNS;
+    this.MIN_LANGUAGE_HITS = 3;  // Stopword hits needed before trusting a language guess
+  }
+
+  regex(name, flags = 'i') {
+    return new RegExp(PATTERNS[name], flags);
+  }
+
+  // 'en' | 'de' | 'fr' | 'es' by stopword frequency; falls back to English for short or unclear text
+  detectLanguage(text) {
+    const words = (text.toLowerCase().match(/[a-zà-öø-ÿß]+/g) || []);
+    const scores = {};
+
+    for (let [code, language] of Object.entries(LANGUAGES)) {
+      const stopwords = new Set(language.words);
+      scores[code] = words.filter(word => stopwords.has(word)).length;
+    }
+
+    const [best, hits] = Object.entries(scores).sort((a, b) => b[1] - a[1])[0];
+    return hits >= this.MIN_LANGUAGE_HITS ? best : 'en';
+  }
+
+  tesseractLanguage(language) {
+    return LANGUAGES[language]?.tesseract || 'eng';
+  }
+
+  // 'us' (1,234.56) or 'eu' (1.234,56), decided by the numbers that are unambiguous
+  detectNumberFormat(text) {
+    // Dates and times look like decimals ("12.05.2024", "10:30") and would skew the vote
+    const cleaned = text
+      .replace(/\b\d{1,2}[./-]\d{1,2}[./-]\d{2,4}\b/g, ' ')
+      .replace(/\b\d{1,2}:\d{2}\b/g, ' ');
+
+    const count = pattern => (cleaned.match(pattern) || []).length;
+
+    const euScore =
+      count(/\b\d{1,3}(?:\.\d{3})+,\d+\b/g) * 2 +   // 1.234,56
+      count(/\b\d{1,3}(?:\.\d{3}){2,}\b/g) * 2 +    // 1.234.567
+      count(/(?<![\d.,])\d+,\d{1,2}(?![\d.,])/g);   // 12,5
+
+    const usScore =
+      count(/\b\d{1,3}(?:,\d{3})+\.\d+\b/g) * 2 +   // 1,234.56
+      count(/\b\d{1,3}(?:,\d{3}){2,}\b/g) * 2 +     // 1,234,567
+      count(/(?<![\d.,])\d+\.\d{1,2}(?![\d.,])/g);  // 12.5
+
+    return euScore > usScore ? 'eu' : 'us';
+  }
+
+  // "$1,200", "1.234,56 €", "(3,400)", "12,5 %", "1 234,56" -> number; anything else -> null
+  parseNumber(cell, numberFormat = 'us') {
+    if (cell === undefined || cell === null) return null;
+
+    let value = String(cell).trim().replace(/[−–]/g, '-');
+    let negative = false;
+
+    if (/^\(.*\)$/.test(value)) {
+      negative = true;
+      value = value.slice(1, -1).trim();
+    }
+
+    value = value
+      .replace(/^(?:[$€£¥]|(?:usd|eur|gbp|chf)\b)\s*/i, '')
+      .replace(/\s*(?:[$€£¥]|\b(?:usd|eur|gbp|chf))$/i, '')
+      .replace(/\s?%$/, '');
+
+    const number = this.parseNumericString(value, numberFormat);
+
+    if (number === null) {
+      return null;
+    }
+    return negative ? -number : number;
+  }
+
+  parseNumericString(value, numberFormat) {
+    // Space or apostrophe thousands ("1 234,56", "1'234.56") read the same in every locale
+    if (/^-?\d{1,3}(?:[ \u00a0\u202f']\d{3})+(?:[.,]\d+)?$/.test(value)) {
+      return parseFloat(value.replace(/[ \u00a0\u202f']/g, '').replace(',', '.'));
+    }
+
+    // The document's own convention first, the other one for stray values
+    const formats = numberFormat === 'eu' ? ['eu', 'us'] : ['us', 'eu'];
+
+    for (let format of formats) {
+      if (this.matchesFormat(value, format)) {
+        const { thousands, decimal } = NUMBER_FORMATS[format];
+        return parseFloat(value.replace(thousands, '').replace(decimal, '.'));
+      }
+    }
+
+    return null;
+  }
+
+  matchesFormat(value, format) {
+    return format === 'eu'
+      ? /^-?\d{1,3}(\.\d{3})*(,\d+)?$|^-?\d+(,\d+)?$/.test(value)
+      : /^-?\d{1,3}(,\d{3})*(\.\d+)?$|^-?\d+(\.\d+)?$/.test(value);
+  }
+}
+
+module.exports = new LocaleDetector();
@@ -0,0 +1,205 @@
+// backend/services/officeExtractor.js - Text and native tables from Word (.docx) and PowerPoint (.pptx) files
+const fs = require('fs');
+const JSZip = require('jszip');
+
+class OfficeExtractor {
+  constructor() {
+    this.MAX_SLIDES = 100;
+  }
+
+  // Returns { text, pageTexts, tables } with one page per document / per slide
+  async extractDocx(filePath) {
+    const zip = await this.loadZip(filePath);
+    const documentXml = await this.readEntry(zip, 'word/document.xml');
+
+    if (!documentXml) {
+      throw new Error('word/document.xml is missing, not a Word document');
+    }
+
+    const { lines, tables } = this.parseOfficeXml(documentXml, 'w');
+    const text = lines.join('\n').trim();
+
+    return { text, pageTexts: [text], tables };
+  }
+
+  async extractPptx(filePath) {
+    const zip = await this.loadZip(filePath);
+    const slidePaths = await this.getSlidePaths(zip);
+
+    if (slidePaths.length === 0) {
+      throw new Error('Presentation contains no slides');
+    }
+
+    if (slidePaths.length > this.MAX_SLIDES) {
+      console.log(`Presentation has ${slidePaths.length} slides, processing first ${this.MAX_SLIDES} slides`);
+    }
+
+    const pageTexts = [];
+    const tables = [];
+
+    for (let slidePath of slidePaths.slice(0, this.MAX_SLIDES)) {
+      const slide = this.parseOfficeXml(await this.readEntry(zip, slidePath) || '', 'a');
+      pageTexts.push(slide.lines.join('\n').trim());
+      tables.push(...slide.tables);
+    }
+
+    return { text: pageTexts.join('\n\n'), pageTexts, tables };
+  }
+
+  async loadZip(filePath) {
+    try {
+      return await JSZip.loadAsync(fs.readFileSync(filePath));
+    } catch (error) {
+      throw new Error('File is not a valid Office Open XML package: ' + error.message);
+    }
+  }
+
+  async readEntry(zip, entryPath) {
+    const entry = zip.file(entryPath);
+    return entry ? entry.async('string') : null;
+  }
+
+  // Slides in presentation order (presentation.xml), falling back to their file numbering
+  async getSlidePaths(zip) {
+    const presentation = await this.readEntry(zip, 'ppt/presentation.xml');
+    const rels = await this.readEntry(zip, 'ppt/_rels/presentation.xml.rels');
+
+    if (presentation && rels) {
+      const targets = {};
+      for (let match of rels.matchAll(/<Relationship\b[^>]*>/g)) {
+        const id = match[0].match(/\bId="([^"]+)"/);
+        const target = match[0].match(/\bTarget="([^"]+)"/);
+        if (id && target && /slides\/slide\d+\.xml$/.test(target[1])) {
+          targets[id[1]] = 'ppt/' + target[1].replace(/^\/?(ppt\/)?/, '');
+        }
+      }
+
+      const ordered = [...presentation.matchAll(/<p:sldId\b[^>]*\br:id="([^"]+)"/g)]
+        .map(match => targets[match[1]])
+        .filter(Boolean);
+
+      if (ordered.length > 0) {
+        return ordered;
+      }
+    }
+
+    return Object.keys(zip.files)
+      .filter(name => /^ppt\/slides\/slide\d+\.xml$/.test(name))
+      .sort((a, b) => parseInt(a.match(/(\d+)\.xml$/)[1], 10) - parseInt(b.match(/(\d+)\.xml$/)[1], 10));
+  }
+
+  // Walks the paragraph/table elements of WordprocessingML ("w") or DrawingML ("a") in document
+  // order. Paragraphs become lines, tables become pipe-separated rows like the ones in PDF text.
+  parseOfficeXml(xml, ns) {
+    const tagPattern = new RegExp(`<(/?)${ns}:(p|tbl|tr|tc|t|tab|br|gridSpan)\\b([^>]*?)(/?)>`, 'g');
+    const lines = [];
+    const tables = [];
+    const tableStack = [];
+    let paragraph = null;
+    let textStart = -1;
+
+    const currentCell = () => {
+      const table = tableStack[tableStack.length - 1];
+      return table?.row?.cell || null;
+    };
+
+    for (let match of xml.matchAll(tagPattern)) {
+      const [tag, closing, name, attributes, selfClosing] = match;
+
+      if (name === 't') {
+        if (!closing && !selfClosing) {
+          textStart = match.index + tag.length;
+        } else if (closing && textStart !== -1 && paragraph !== null) {
+          paragraph += this.decodeEntities(xml.substring(textStart, match.index));
+          textStart = -1;
+        }
+        continue;
+      }
+
+      if (name === 'tab' && paragraph !== null) {
+        paragraph += '\t';
+      } else if (name === 'br' && paragraph !== null) {
+        paragraph += ' ';
+      } else if (name === 'p') {
+        if (!closing && !selfClosing) {
+          paragraph = '';
+        } else {
+          const text = (paragraph || '').trim();
+          const cell = currentCell();
+          if (cell) {
+            if (text) cell.parts.push(text);
+          } else if (text) {
+            lines.push(text);
+          }
+          paragraph = null;
+        }
+      } else if (name === 'tbl') {
+        if (!closing) {
+          tableStack.push({ rows: [], row: null });
+        } else {
+          const table = tableStack.pop();
+          const rows = table.rows.filter(cells => cells.some(cell => cell.length > 0));
+          const outerCell = currentCell();
+
+          if (outerCell) {
+            // Nested tables are flattened into the surrounding cell
+            outerCell.parts.push(rows.map(cells => cells.join(' ')).join('; '));
+          } else if (rows.length > 0) {
+            tables.push(rows);
+            lines.push('', ...rows.map(cells => cells.join(' | ')), '');
+          }
+        }
+      } else if (name === 'tr' && tableStack.length > 0) {
+        const table = tableStack[tableStack.length - 1];
+        if (!closing) {
+          table.row = { cells: [], cell: null };
+        } else if (table.row) {
+          table.rows.push(table.row.cells);
+          table.row = null;
+        }
+      } else if (name === 'tc' && tableStack.length > 0) {
+        const row = tableStack[tableStack.length - 1].row;
+        if (!row) continue;
+
+        if (!closing && !selfClosing) {
+          // DrawingML puts the span on the cell itself, WordprocessingML in a <w:gridSpan> child
+          const span = attributes.match(/\bgridSpan="(\d+)"/);
+          row.cell = { parts: [], span: span ? parseInt(span[1], 10) : 1 };
+        } else if (row.cell) {
+          row.cells.push(this.cleanCell(row.cell.parts.join(' ')));
+          // Merged cells keep the columns aligned with the header row
+          if (ns === 'w') {
+            for (let i = 1; i < row.cell.span; i++) row.cells.push('');
+          }
+          row.cell = null;
+        } else if (selfClosing) {
+          row.cells.push('');
+        }
+      } else if (name === 'gridSpan') {
+        const cell = currentCell();
+        const span = attributes.match(/\bw:val="(\d+)"/);
+        if (cell && span) cell.span = parseInt(span[1], 10);
+      }
+    }
+
+    return { lines, tables };
+  }
+
+  // Pipes would split the cell when the rendered table is read back
+  cleanCell(text) {
+    return text.replace(/\s+/g, ' ').replace(/\|/g, '/').trim();
+  }
+
+  decodeEntities(text) {
+    return text
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&apos;/g, "'")
+      .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(parseInt(code, 10)))
+      .replace(/&#x([0-9a-f]+);/gi, (_, code) => String.fromCodePoint(parseInt(code, 16)))
+      .replace(/&amp;/g, '&');
+  }
+}
+
+module.exports = new OfficeExtractor();
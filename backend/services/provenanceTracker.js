@@ -0,0 +1,163 @@
+// backend/services/provenanceTracker.js - Links extracted records back to the source text
+class ProvenanceTracker {
+  constructor() {
+    this.WINDOW_LINES = 3;      // Records may span a few lines (e.g. "label:" on one line, value on the next)
+    this.SNIPPET_MAX = 300;     // Characters of source text kept per record
+  }
+
+  // One entry per record: where in extractedText its values were found and how confidently
+  locateRecords(records, text, pages = null) {
+    const lines = this.indexLines(text);
+
+    return records.map((record, recordIndex) => {
+      const values = this.getRecordValues(record);
+
+      if (values.length === 0 || lines.length === 0) {
+        return this.unverified(recordIndex, values.length);
+      }
+
+      const match = this.findBestMatch(values, lines);
+
+      if (!match || match.matched === 0) {
+        return this.unverified(recordIndex, values.length);
+      }
+
+      const confidence = Math.round((match.matched / values.length) * 100);
+      const snippet = text.substring(match.start, match.end);
+
+      return {
+        recordIndex,
+        page: this.findPage(match.start, pages),
+        start: match.start,
+        end: match.end,
+        snippet: snippet.length > this.SNIPPET_MAX ? snippet.substring(0, this.SNIPPET_MAX) + '...' : snippet,
+        matchedValues: match.matched,
+        totalValues: values.length,
+        confidence,
+        status: confidence === 100 ? 'verified' : 'partial'
+      };
+    });
+  }
+
+  unverified(recordIndex, totalValues) {
+    return {
+      recordIndex,
+      page: null,
+      start: null,
+      end: null,
+      snippet: null,
+      matchedValues: 0,
+      totalValues,
+      confidence: 0,
+      status: 'unverified'
+    };
+  }
+
+  indexLines(text) {
+    const lines = [];
+    let offset = 0;
+
+    for (let line of text.split('\n')) {
+      if (line.trim().length > 0) {
+        lines.push({
+          start: offset,
+          end: offset + line.length,
+          lower: line.toLowerCase(),
+          numbers: this.extractNumbers(line)
+        });
+      }
+      offset += line.length + 1;
+    }
+
+    return lines;
+  }
+
+  // Every number in the line under both US (1,234.5) and European (1.234,5) conventions
+  extractNumbers(line) {
+    const numbers = new Set();
+    const tokens = line.match(/\d[\d,.\s]*\d|\d/g) || [];
+
+    for (let token of tokens) {
+      const compact = token.replace(/\s/g, '');
+      const candidates = [
+        compact.replace(/,/g, ''),
+        compact.replace(/\./g, '').replace(',', '.'),
+        ...token.split(/\s+/)
+      ];
+
+      candidates.forEach(candidate => {
+        const value = parseFloat(candidate.replace(/,/g, ''));
+        if (!isNaN(value)) {
+          numbers.add(value);
+        }
+      });
+    }
+
+    return numbers;
+  }
+
+  getRecordValues(record) {
+    return Object.keys(record)
+      .map(key => record[key])
+      .filter(value =>
+        (typeof value === 'number' && isFinite(value)) ||
+        (typeof value === 'string' && value.trim().length > 0)
+      );
+  }
+
+  valueFoundIn(value, lineGroup) {
+    if (typeof value === 'number') {
+      // Accounting negatives "(3,400)" appear in the text without a minus sign
+      const target = Math.abs(value);
+      return lineGroup.some(line => line.numbers.has(target) || line.numbers.has(Number(target.toFixed(2))));
+    }
+
+    const needle = value.trim().toLowerCase();
+    return lineGroup.some(line => line.lower.includes(needle));
+  }
+
+  findBestMatch(values, lines) {
+    let best = null;
+
+    // Single lines first, so a wider window only wins when it explains more values
+    for (let size = 1; size <= this.WINDOW_LINES; size++) {
+      for (let i = 0; i + size <= lines.length; i++) {
+        const group = lines.slice(i, i + size);
+        const matched = values.filter(value => this.valueFoundIn(value, group)).length;
+
+        if (!best || matched > best.matched) {
+          best = { matched, start: group[0].start, end: group[group.length - 1].end };
+        }
+
+        if (matched === values.length) {
+          return best;
+        }
+      }
+    }
+
+    return best;
+  }
+
+  findPage(offset, pages) {
+    if (!pages) {
+      return null;
+    }
+
+    const page = pages.find(range => offset >= range.start && offset <= range.end);
+    return page ? page.page : null;
+  }
+
+  summarize(provenance) {
+    const summary = { verified: 0, partial: 0, unverified: 0, averageConfidence: 0 };
+
+    provenance.forEach(entry => {
+      summary[entry.status]++;
+      summary.averageConfidence += entry.confidence;
+    });
+
+    summary.averageConfidence = provenance.length > 0 ? Math.round(summary.averageConfidence / provenance.length) : 0;
+    return summary;
+  }
+}
+
+module.exports = new ProvenanceTracker();
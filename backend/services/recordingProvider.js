@@ -0,0 +1,96 @@
+// backend/services/recordingProvider.js - Record/replay wrapper around any LLM provider
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const RECORD_MODES = ['record', 'replay', 'auto'];
+
+// record: always call the wrapped provider and store the response
+// replay: only serve stored responses, never touch the network
+// auto:   serve stored responses, record the ones that are missing
+class RecordingProvider {
+  constructor(innerProvider, options = {}) {
+    if (!RECORD_MODES.includes(options.mode)) {
+      throw new Error(`Unknown AI record mode "${options.mode}". Available modes: ${RECORD_MODES.join(', ')}`);
+    }
+
+    this.inner = innerProvider;
+    this.mode = options.mode;
+    this.recordingsDir = options.recordingsDir || path.join(__dirname, '../fixtures/recordings');
+    this.name = `${innerProvider.name} (${this.mode})`;
+    // Prompt hashes replay found no recording for, also when the caller recovered from the error
+    this.missing = [];
+  }
+
+  assertConfigured() {
+    // Replaying needs nothing from the wrapped provider
+    if (this.mode !== 'replay') {
+      this.inner.assertConfigured();
+    }
+  }
+
+  hashPrompt(prompt) {
+    return crypto.createHash('sha256').update(prompt).digest('hex');
+  }
+
+  getRecordingPath(hash) {
+    return path.join(this.recordingsDir, `${hash}.json`);
+  }
+
+  loadRecording(hash) {
+    const recordingPath = this.getRecordingPath(hash);
+
+    if (!fs.existsSync(recordingPath)) {
+      return null;
+    }
+
+    return JSON.parse(fs.readFileSync(recordingPath, 'utf8'));
+  }
+
+  saveRecording(hash, recording) {
+    if (!fs.existsSync(this.recordingsDir)) {
+      fs.mkdirSync(this.recordingsDir, { recursive: true });
+    }
+
+    fs.writeFileSync(this.getRecordingPath(hash), JSON.stringify(recording, null, 2) + '\n');
+  }
+
+  async complete(prompt, maxTokens, temperature, options = {}) {
+    const hash = this.hashPrompt(prompt);
+
+    if (this.mode !== 'record') {
+      const recording = this.loadRecording(hash);
+
+      if (recording) {
+        console.log(`Replaying recorded AI response ${hash.substring(0, 12)}`);
+        return recording.response;
+      }
+
+      if (this.mode === 'replay') {
+        this.missing.push(hash);
+        throw new Error(`No recorded AI response for prompt ${hash.substring(0, 12)} in ${this.recordingsDir}`);
+      }
+    }
+
+    const response = await this.inner.complete(prompt, maxTokens, temperature, options);
+
+    // The prompt is stored alongside the response so recordings can be reviewed and diffed
+    this.saveRecording(hash, {
+      hash,
+      provider: this.inner.name,
+      model: this.inner.model || null,
+      maxTokens,
+      temperature,
+      prompt,
+      response
+    });
+    console.log(`Recorded AI response ${hash.substring(0, 12)}`);
+
+    return response;
+  }
+}
+
+module.exports = {
+  RecordingProvider,
+  RECORD_MODES
+};
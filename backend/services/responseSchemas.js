@@ -0,0 +1,417 @@
+// backend/services/responseSchemas.js - Declared JSON schemas for the AIService prompts
+const valueNormalizer = require('./valueNormalizer');
+
+const CHART_TYPES = ['bar', 'line', 'area', 'pie'];
+const KPI_CALCULATIONS = [
+  'sum', 'avg', 'average', 'count', 'max', 'min',
+  'median', 'p90', 'p95', 'stddev', 'distinct_count', 'weighted_avg', 'first', 'last', 'ratio'
+];
+// Columns besides the aggregated one that some calculations read
+const CALCULATION_PARAMETERS = {
+  weightColumn: { calculations: ['weighted_avg'], required: true },
+  denominatorColumn: { calculations: ['ratio'], required: true },
+  dateColumn: { calculations: ['first', 'last'], required: false }   // Document order without it
+};
+const KPI_FORMATS = ['currency', 'percent', 'number'];
+// What a KPI can be compared with: the period before the latest one, the same period a year earlier,
+// or the aggregate of a target column
+const COMPARISON_TYPES = ['previous_period', 'year_over_year', 'target'];
+const COMPARISON_PERIODS = ['day', 'week', 'month', 'quarter', 'year'];
+
+const columnSchema = {
+  type: 'object',
+  required: ['name'],
+  properties: {
+    name: { type: 'string', minLength: 1 },
+    type: { type: 'string' }
+  }
+};
+
+// dateColumn splits the rows into periods (each distinct value is one unless period is given), targetColumn
+// holds the target. higherIsBetter (default true) decides whether a rise is shown as good or bad.
+const comparisonSchema = {
+  type: 'object',
+  required: ['type'],
+  properties: {
+    type: { type: 'string', enum: COMPARISON_TYPES },
+    dateColumn: { type: 'string' },
+    period: { type: 'string', enum: COMPARISON_PERIODS },
+    targetColumn: { type: 'string' },
+    higherIsBetter: { type: 'boolean' }
+  }
+};
+
+// A KPI aggregates column, or computes formula (calculation "formula") from several aggregates
+const kpiSchema = {
+  type: 'object',
+  required: ['name', 'calculation'],
+  properties: {
+    name: { type: 'string', minLength: 1 },
+    calculation: { type: 'string', enum: [...KPI_CALCULATIONS, 'formula'] },
+    column: { type: 'string' },
+    formula: { type: 'string', minLength: 1 },
+    format: { type: 'string', enum: KPI_FORMATS },
+    weightColumn: { type: 'string' },
+    denominatorColumn: { type: 'string' },
+    dateColumn: { type: 'string' },
+    filter: { type: 'object' },        // Checked against the dataset by filterEngine.validate
+    comparison: comparisonSchema
+  }
+};
+
+const chartSchema = {
+  type: 'object',
+  required: ['title', 'type', 'measures', 'dimensions'],
+  properties: {
+    title: { type: 'string', minLength: 1 },
+    type: { type: 'string', enum: CHART_TYPES },
+    measures: { type: 'array', minItems: 1, items: { type: 'string' } },
+    dimensions: { type: 'array', items: { type: 'string' } },
+    aggregation: { type: 'string', enum: KPI_CALCULATIONS },
+    weightColumn: { type: 'string' },
+    denominatorColumn: { type: 'string' },
+    dateColumn: { type: 'string' },
+    filter: { type: 'object' }         // Checked against the dataset by filterEngine.validate
+  }
+};
+
+// A column computed for every row from a formula over the other columns
+const calculatedFieldSchema = {
+  type: 'object',
+  required: ['name', 'expression'],
+  properties: {
+    name: { type: 'string', minLength: 1 },
+    expression: { type: 'string', minLength: 1 },
+    format: { type: 'string', enum: KPI_FORMATS }
+  }
+};
+
+const SCHEMAS = {
+  // checkDataAvailability
+  availability: {
+    type: 'object',
+    required: ['hasData', 'reason'],
+    properties: {
+      hasData: { type: 'boolean' },
+      confidence: { type: 'number', minimum: 0, maximum: 100 },
+      reason: { type: 'string' },
+      insights: { type: 'array', items: { type: 'string' } },
+      dataTypes: { type: 'array', items: { type: 'string' } }
+    }
+  },
+
+  // extractStructuredDataWithChunking
+  extraction: {
+    type: 'object',
+    required: ['data', 'schema'],
+    properties: {
+      data: {
+        type: 'array',
+        minItems: 2,
+        items: {
+          type: 'object',
+          additionalProperties: { type: ['string', 'number', 'boolean', 'null'] }
+        }
+      },
+      schema: {
+        type: 'object',
+        required: ['measures', 'dimensions'],
+        properties: {
+          measures: { type: 'array', minItems: 1, items: columnSchema },
+          dimensions: { type: 'array', items: columnSchema }
+        }
+      },
+      metadata: {
+        type: 'object',
+        properties: {
+          totalRecords: { type: 'number' },
+          dataSource: { type: 'string' },
+          extractionConfidence: { type: 'number', minimum: 0, maximum: 100 },
+          processingMethod: { type: 'string' }
+        }
+      }
+    },
+    check: checkExtractionMeasures
+  },
+
+  // extractWithMapReduce: a single chunk may legitimately contain no data
+  extractionChunk: {
+    type: 'object',
+    required: ['data', 'schema'],
+    properties: {
+      data: {
+        type: 'array',
+        items: {
+          type: 'object',
+          additionalProperties: { type: ['string', 'number', 'boolean', 'null'] }
+        }
+      },
+      schema: {
+        type: 'object',
+        required: ['measures', 'dimensions'],
+        properties: {
+          measures: { type: 'array', items: columnSchema },
+          dimensions: { type: 'array', items: columnSchema }
+        }
+      },
+      metadata: {
+        type: 'object',
+        properties: {
+          extractionConfidence: { type: 'number', minimum: 0, maximum: 100 }
+        }
+      }
+    },
+    check: checkExtractionMeasures
+  },
+
+  // generateDashboardConfig
+  dashboard: {
+    type: 'object',
+    required: ['kpis', 'charts'],
+    properties: {
+      kpis: { type: 'array', items: kpiSchema },
+      charts: { type: 'array', items: chartSchema },
+      calculatedFields: { type: 'array', items: calculatedFieldSchema },
+      insights: { type: 'array', items: { type: 'string' } },
+      summary: { type: 'string' }
+    },
+    check: checkKpiSources
+  },
+
+  // dashboardEditor: single KPIs, charts and calculated fields edited by the user
+  kpi: { ...kpiSchema, check: kpi => checkKpiSources({ kpis: [kpi] }).map(error => error.replace(/^kpis\[0\]\./, '')) },
+  chart: chartSchema,
+  calculatedField: calculatedFieldSchema,
+
+  // generateChartFromRequest: one chart or KPI asked for in plain language
+  chartRequest: {
+    type: 'object',
+    required: ['kind'],
+    properties: {
+      kind: { type: 'string', enum: ['chart', 'kpi'] },
+      chart: chartSchema,
+      kpi: kpiSchema
+    },
+    check: checkChartRequest
+  },
+
+  // planChatComputations: the aggregates a question needs, computed afterwards by Calculator
+  chatPlan: {
+    type: 'object',
+    required: ['computations'],
+    properties: {
+      computations: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['calculation', 'column'],
+          properties: {
+            label: { type: 'string' },
+            calculation: { type: 'string', enum: KPI_CALCULATIONS },
+            column: { type: 'string' },
+            groupBy: { type: ['string', 'null'] },
+            weightColumn: { type: 'string' },
+            denominatorColumn: { type: 'string' },
+            dateColumn: { type: 'string' },
+            filter: { type: 'object' }
+          }
+        }
+      }
+    }
+  },
+
+  // phraseInsights: wording for facts computed by insightsEngine
+  insightPhrasing: {
+    type: 'object',
+    required: ['insights'],
+    properties: {
+      insights: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['id', 'text'],
+          properties: {
+            id: { type: 'string' },
+            text: { type: 'string', minLength: 1 }
+          }
+        }
+      }
+    }
+  },
+
+  // answerChatQuestion
+  chatAnswer: {
+    type: 'object',
+    required: ['answer'],
+    properties: {
+      answer: { type: 'string', minLength: 1 }
+    }
+  }
+};
+
+// Formula KPIs need a formula, all others a column
+function checkKpiSources(value) {
+  const errors = [];
+
+  value.kpis.forEach((kpi, index) => {
+    if (kpi.calculation === 'formula' && !kpi.formula) {
+      errors.push(`kpis[${index}].formula: is required when calculation is "formula"`);
+    } else if (kpi.calculation !== 'formula' && !kpi.column) {
+      errors.push(`kpis[${index}].column: is required`);
+    }
+  });
+
+  return errors;
+}
+
+// The definition named by kind must be present
+function checkChartRequest(value) {
+  const kind = value.kind.toLowerCase();
+  return value[kind] ? [] : [`${kind}: is required when kind is "${kind}"`];
+}
+
+// Measures must be columns that actually hold numbers in the extracted rows. They may be written as in the
+// document ("$1,200", "(3,400)", "1.2M"): valueNormalizer turns them into numbers once the answer is accepted.
+function checkExtractionMeasures(value) {
+  const errors = [];
+
+  // A map-reduce chunk without any data has nothing to check
+  if (value.data.length === 0) {
+    return errors;
+  }
+
+  value.schema.measures.forEach((measure, index) => {
+    const values = value.data
+      .map(row => row[measure.name])
+      .filter(cell => !valueNormalizer.isEmpty(cell));
+    const unreadable = values.find(cell => valueNormalizer.parse(cell) === null);
+
+    if (values.length === 0) {
+      errors.push(`schema.measures[${index}]: column "${measure.name}" does not appear in any data row`);
+    } else if (unreadable !== undefined) {
+      errors.push(`schema.measures[${index}]: column "${measure.name}" must contain numbers in data rows, not ${JSON.stringify(unreadable)}`);
+    }
+  });
+
+  return errors;
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+// Minimal JSON-schema subset: type, required, properties, additionalProperties,
+// items, minItems, enum, minLength, minimum, maximum, plus a custom `check` hook
+function validateValue(value, schema, pointer, errors) {
+  const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+  const actualType = typeOf(value);
+
+  if (schema.type && !types.includes(actualType)) {
+    errors.push(`${pointer || 'response'}: expected ${types.join(' or ')}, got ${actualType}`);
+    return;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${pointer}: "${value}" is not one of ${schema.enum.join(', ')}`);
+  }
+
+  if (actualType === 'string' && schema.minLength && value.trim().length < schema.minLength) {
+    errors.push(`${pointer}: must not be empty`);
+  }
+
+  if (actualType === 'number') {
+    if (!isFinite(value)) {
+      errors.push(`${pointer}: must be a finite number`);
+    } else if ((schema.minimum !== undefined && value < schema.minimum) ||
+               (schema.maximum !== undefined && value > schema.maximum)) {
+      errors.push(`${pointer}: ${value} is outside ${schema.minimum}..${schema.maximum}`);
+    }
+  }
+
+  if (actualType === 'array') {
+    if (schema.minItems && value.length < schema.minItems) {
+      errors.push(`${pointer}: expected at least ${schema.minItems} items, got ${value.length}`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => validateValue(item, schema.items, `${pointer}[${index}]`, errors));
+    }
+  }
+
+  if (actualType === 'object') {
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined) {
+        errors.push(`${pointer ? pointer + '.' : ''}${key}: is required`);
+      }
+    });
+
+    Object.keys(value).forEach(key => {
+      const propertySchema = schema.properties?.[key] || schema.additionalProperties;
+      if (propertySchema) {
+        validateValue(value[key], propertySchema, pointer ? `${pointer}.${key}` : key, errors);
+      }
+    });
+  }
+}
+
+function schemaFor(schemaName) {
+  const schema = SCHEMAS[schemaName];
+
+  if (!schema) {
+    throw new Error(`Unknown response schema: ${schemaName}`);
+  }
+
+  return schema;
+}
+
+// Models answer enum values in any case ("Bar", "SUM"); those are replaced with the declared value
+// so that validation and everything after it can compare exactly
+function normalizeValue(value, schema) {
+  if (!schema) return value;
+
+  if (schema.enum && typeof value === 'string') {
+    return schema.enum.find(option => typeof option === 'string' && option.toLowerCase() === value.toLowerCase()) ?? value;
+  }
+
+  const actualType = typeOf(value);
+  if (actualType === 'array' && schema.items) {
+    return value.map(item => normalizeValue(item, schema.items));
+  }
+  if (actualType === 'object' && (schema.properties || schema.additionalProperties)) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) =>
+      [key, normalizeValue(item, schema.properties?.[key] || schema.additionalProperties)]));
+  }
+
+  return value;
+}
+
+function normalizeResponse(schemaName, value) {
+  return normalizeValue(value, schemaFor(schemaName));
+}
+
+function validateResponse(schemaName, value) {
+  const schema = schemaFor(schemaName);
+
+  const errors = [];
+  validateValue(value, schema, '', errors);
+
+  // Semantic checks only make sense once the structure itself is valid
+  if (errors.length === 0 && schema.check) {
+    errors.push(...schema.check(value));
+  }
+
+  return errors;
+}
+
+module.exports = {
+  SCHEMAS,
+  CHART_TYPES,
+  KPI_CALCULATIONS,
+  CALCULATION_PARAMETERS,
+  KPI_FORMATS,
+  COMPARISON_TYPES,
+  COMPARISON_PERIODS,
+  normalizeResponse,
+  validateResponse
+};
@@ -0,0 +1,287 @@
+// backend/services/reviewService.js - Applies the corrections made in the review step to a session's extracted data
+const { validateResponse, CALCULATION_PARAMETERS } = require('./responseSchemas');
+const tableExtractor = require('./tableExtractor');
+const localeDetector = require('./localeDetector');
+const provenanceTracker = require('./provenanceTracker');
+const valueNormalizer = require('./valueNormalizer');
+const dashboardEditor = require('./dashboardEditor');
+const formulaEngine = require('./formulaEngine');
+const filterEngine = require('./filterEngine');
+
+class ReviewService {
+  // corrections: { data, schema, sourceIndexes, columnRenames }
+  //   sourceIndexes[i]: the extracted row data[i] was edited from, null for rows the user added
+  //   columnRenames: { oldName: newName }, so edits are compared per column and the dashboard follows renames
+  // Returns { errors } when the corrections cannot be applied, otherwise the updated session fields
+  applyCorrections(sessionData, corrections = {}) {
+    const errors = this.checkShape(corrections);
+    if (errors.length > 0) {
+      return { errors };
+    }
+
+    const renames = {};
+    Object.entries(corrections.columnRenames || {}).forEach(([from, to]) => {
+      renames[from] = this.normalizeColumnName(to);
+    });
+
+    const schema = {
+      measures: corrections.schema.measures.map(column => ({ ...column, name: this.normalizeColumnName(column.name), type: 'number' })),
+      dimensions: corrections.schema.dimensions.map(column => ({
+        ...column,
+        name: this.normalizeColumnName(column.name),
+        type: column.type && column.type !== 'number' ? column.type : 'string'
+      }))
+    };
+
+    const measureNames = new Set(schema.measures.map(column => column.name));
+    const columnNames = [...measureNames, ...schema.dimensions.map(column => column.name)];
+
+    if (new Set(columnNames).size !== columnNames.length) {
+      return { errors: ['Column names must be unique'] };
+    }
+
+    // Corrected numbers are typed the way the document writes them ("1.234,5" in German reports)
+    const numberFormat = localeDetector.detectNumberFormat(sessionData.extractedText || '');
+    const data = [];
+
+    corrections.data.forEach((row, rowIndex) => {
+      const record = {};
+
+      Object.entries(row).forEach(([key, cell]) => {
+        const name = this.normalizeColumnName(key);
+        if (!columnNames.includes(name)) return;
+
+        if (cell === undefined || cell === null || String(cell).trim() === '') {
+          record[name] = null;
+        } else if (measureNames.has(name)) {
+          const number = valueNormalizer.toNumber(cell, numberFormat);
+          if (number === null) {
+            errors.push(`Row ${rowIndex + 1}, column "${name}": "${cell}" is not a number`);
+          }
+          record[name] = number;
+        } else {
+          record[name] = typeof cell === 'string' ? cell.trim() : cell;
+        }
+      });
+
+      data.push(record);
+    });
+
+    if (errors.length > 0) {
+      return { errors: errors.slice(0, 20) };
+    }
+
+    errors.push(...validateResponse('extraction', { data, schema }));
+    if (errors.length > 0) {
+      return { errors };
+    }
+
+    const originalData = sessionData.originalData || sessionData.data;
+    const sourceIndexes = corrections.sourceIndexes || data.map(() => null);
+    const rename = key => renames[key] || this.normalizeColumnName(key);
+
+    let editedRows = 0;
+    let editedCells = 0;
+
+    const provenance = data.map((record, recordIndex) => {
+      const sourceIndex = sourceIndexes[recordIndex];
+      const original = Number.isInteger(sourceIndex) ? sessionData.data[sourceIndex] : null;
+
+      if (!original) {
+        return { ...provenanceTracker.unverified(recordIndex, Object.keys(record).length), status: 'manual' };
+      }
+
+      const renamedOriginal = {};
+      Object.entries(original).forEach(([key, value]) => {
+        renamedOriginal[rename(key)] = value;
+      });
+
+      const changed = columnNames.filter(name => (renamedOriginal[name] ?? null) !== (record[name] ?? null)).length;
+      if (changed > 0) {
+        editedRows++;
+        editedCells += changed;
+      }
+
+      return {
+        ...(sessionData.provenance?.[sourceIndex] || {}),
+        recordIndex,
+        sourceRecordIndex: sourceIndex,
+        ...(changed > 0 && { status: 'edited', editedValues: changed })
+      };
+    });
+
+    const keptSources = new Set(sourceIndexes.filter(Number.isInteger));
+    const reviewedAt = new Date().toISOString();
+
+    return {
+      changes: {
+        data,
+        schema,
+        provenance,
+        // The extraction as it came out of the pipeline, kept across reviews so corrections can be audited
+        originalData,
+        dashboardConfig: this.updateDashboardConfig(sessionData.dashboardConfig, { data, schema }, rename),
+        metadata: this.reviewedMetadata(sessionData.metadata, data.length, reviewedAt),
+        review: {
+          reviewedAt,
+          rowsAdded: sourceIndexes.filter(index => !Number.isInteger(index)).length,
+          rowsDeleted: sessionData.data.length - keptSources.size,
+          rowsEdited: editedRows,
+          cellsEdited: editedCells,
+          columnsRenamed: Object.entries(renames).filter(([from, to]) => this.normalizeColumnName(from) !== to).length
+        }
+      }
+    };
+  }
+
+  checkShape(corrections) {
+    const errors = [];
+
+    if (!Array.isArray(corrections.data) || corrections.data.some(row => !row || typeof row !== 'object' || Array.isArray(row))) {
+      errors.push('data must be an array of row objects');
+    }
+    if (!corrections.schema || !Array.isArray(corrections.schema.measures) || !Array.isArray(corrections.schema.dimensions)) {
+      errors.push('schema must have measures and dimensions arrays');
+    } else if ([...corrections.schema.measures, ...corrections.schema.dimensions].some(column => !column?.name || !String(column.name).trim())) {
+      errors.push('Every column needs a name');
+    }
+    if (corrections.sourceIndexes !== undefined &&
+        (!Array.isArray(corrections.sourceIndexes) || corrections.sourceIndexes.length !== corrections.data?.length)) {
+      errors.push('sourceIndexes must have one entry per data row');
+    }
+
+    return errors;
+  }
+
+  // Cells flagged as unreadable at extraction have been looked at (and typed) by the reviewer now
+  reviewedMetadata(metadata, totalRecords, reviewedAt) {
+    const result = { ...metadata, totalRecords, reviewed: true, reviewedAt };
+    delete result.normalization;
+    return result;
+  }
+
+  // Renamed columns are followed; KPIs, charts and calculated fields on columns that no longer exist or changed
+  // role are dropped
+  updateDashboardConfig(dashboardConfig, structuredData, rename) {
+    const measures = new Set(structuredData.schema.measures.map(column => column.name));
+    const dimensions = structuredData.schema.dimensions.map(column => column.name);
+    const columns = new Set([...measures, ...dimensions]);
+    // Weight, denominator and date columns must still exist too
+    const parametersExist = (item, calculation) =>
+      dashboardEditor.parameterErrors(item, calculation, [...measures], dimensions).length === 0;
+
+    const renamed = Object.keys(this.renamedColumns(dashboardConfig, rename));
+    const retitle = title => this.retitle(title, renamed, rename);
+
+    // Calculated fields follow renames inside their expressions and are dropped once they cannot be computed;
+    // the ones kept count as measures for the KPIs and charts below
+    const calculatedFields = [];
+    (dashboardConfig?.calculatedFields || []).forEach(field => {
+      const kept = { ...field, expression: formulaEngine.renameColumns(field.expression, rename) };
+      if (dashboardEditor.fieldErrors(kept, structuredData.schema, calculatedFields).length === 0) {
+        calculatedFields.push(kept);
+        measures.add(kept.name);
+        columns.add(kept.name);
+      }
+    });
+
+    // A filter on a column that is gone would silently select nothing
+    const filterExists = item => !item.filter || filterEngine.validate(item.filter, [...columns]).length === 0;
+
+    const kpis = (dashboardConfig?.kpis || [])
+      .map(kpi => ({
+        ...this.renameParameters(kpi, rename),
+        name: retitle(kpi.name),
+        column: kpi.column ? rename(kpi.column) : kpi.column,
+        ...(kpi.formula && { formula: formulaEngine.renameColumns(kpi.formula, rename) })
+      }))
+      .map(kpi => this.withoutBrokenComparison(kpi, [...measures], dimensions))
+      .filter(filterExists)
+      .filter(kpi => {
+        const calculation = kpi.calculation?.toLowerCase();
+        if (calculation === 'formula') {
+          return !formulaEngine.compile(kpi.formula, { measures: [...measures], dimensions, mode: 'aggregate' }).errors;
+        }
+        return calculation === 'count' ||
+          ((calculation === 'distinct_count' ? columns : measures).has(kpi.column) && parametersExist(kpi, calculation));
+      });
+
+    const charts = (dashboardConfig?.charts || [])
+      .map(chart => ({
+        ...this.renameParameters(chart, rename),
+        title: retitle(chart.title),
+        measures: (chart.measures || []).map(rename),
+        dimensions: (chart.dimensions || []).map(rename)
+      }))
+      .filter(filterExists)
+      .filter(chart => chart.measures.length > 0 &&
+        chart.measures.every(name => measures.has(name)) &&
+        chart.dimensions.every(name => columns.has(name)) &&
+        parametersExist(chart, chart.aggregation?.toLowerCase() || 'sum'));
+
+    if (kpis.length === 0 && charts.length === 0) {
+      return tableExtractor.buildDashboardConfig(structuredData);
+    }
+
+    return { ...dashboardConfig, kpis, charts, calculatedFields };
+  }
+
+  // A comparison on a column that is gone is dropped; the KPI itself still works without it
+  withoutBrokenComparison(kpi, measures, dimensions) {
+    if (!kpi.comparison || dashboardEditor.comparisonErrors(kpi, measures, dimensions).length === 0) {
+      return kpi;
+    }
+    const result = { ...kpi };
+    delete result.comparison;
+    return result;
+  }
+
+  // Parameter, filter and comparison columns follow renames like the aggregated column does
+  renameParameters(item, rename) {
+    const result = { ...item };
+    if (result.filter) {
+      result.filter = filterEngine.renameColumns(result.filter, rename);
+    }
+    if (result.comparison) {
+      result.comparison = {
+        ...result.comparison,
+        ...(result.comparison.dateColumn && { dateColumn: rename(result.comparison.dateColumn) }),
+        ...(result.comparison.targetColumn && { targetColumn: rename(result.comparison.targetColumn) })
+      };
+    }
+    Object.keys(CALCULATION_PARAMETERS)
+      .filter(parameter => result[parameter])
+      .forEach(parameter => {
+        result[parameter] = rename(result[parameter]);
+      });
+    return result;
+  }
+
+  // Columns of the dashboard config whose name changed in the review, old name -> new name
+  renamedColumns(dashboardConfig, rename) {
+    const names = new Set();
+    const parameters = item => Object.keys(CALCULATION_PARAMETERS).map(parameter => item[parameter]).filter(Boolean);
+    (dashboardConfig?.kpis || []).forEach(kpi =>
+      [kpi.column, ...parameters(kpi), ...dashboardEditor.comparisonColumns(kpi.comparison)].filter(Boolean).forEach(name => names.add(name)));
+    (dashboardConfig?.charts || []).forEach(chart =>
+      [...(chart.measures || []), ...(chart.dimensions || []), ...parameters(chart)].forEach(name => names.add(name)));
+
+    return Object.fromEntries([...names].filter(name => rename(name) !== name).map(name => [name, rename(name)]));
+  }
+
+  // "Total revenue" -> "Total Sales" when revenue was renamed to sales
+  retitle(title, renamed, rename) {
+    if (!title) return title;
+
+    return renamed.reduce((result, name) => {
+      const words = this.normalizeColumnName(name).split('_').join('[\\s_]+');
+      return result.replace(new RegExp(`\\b${words}\\b`, 'gi'), tableExtractor.toLabel(rename(name)));
+    }, title);
+  }
+
+  normalizeColumnName(name) {
+    return tableExtractor.normalizeColumnName(name);
+  }
+}
+
+module.exports = new ReviewService();
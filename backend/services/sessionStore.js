@@ -0,0 +1,247 @@
+// backend/services/sessionStore.js - Durable storage for processed documents (sessions)
+const fs = require('fs');
+const path = require('path');
+const { randomUUID } = require('crypto');
+
+// Applies update() changes: an object is shallow-merged, a function receives the current session and returns them
+function mergeChanges(sessionData, changes) {
+  return { ...sessionData, ...(typeof changes === 'function' ? changes(sessionData) : changes) };
+}
+
+// Every store exposes the same async interface: get, set, update, delete, list, clear, purgeExpired
+class MemorySessionStore {
+  constructor() {
+    this.name = 'memory';
+    this.sessions = new Map();
+  }
+
+  async get(sessionId) {
+    return this.sessions.get(sessionId) || null;
+  }
+
+  async set(sessionId, sessionData) {
+    this.sessions.set(sessionId, sessionData);
+    return sessionData;
+  }
+
+  // Merges changes into an existing session, returns null when it does not exist. Pass a function to
+  // derive the changes from the stored session (e.g. to append to a list) without losing concurrent writes.
+  async update(sessionId, changes) {
+    const sessionData = this.sessions.get(sessionId);
+    if (!sessionData) {
+      return null;
+    }
+    const updated = mergeChanges(sessionData, changes);
+    this.sessions.set(sessionId, updated);
+    return updated;
+  }
+
+  async delete(sessionId) {
+    return this.sessions.delete(sessionId);
+  }
+
+  async list() {
+    return Array.from(this.sessions.entries()).map(([sessionId, sessionData]) => ({ sessionId, sessionData }));
+  }
+
+  async clear() {
+    const count = this.sessions.size;
+    this.sessions.clear();
+    return count;
+  }
+
+  async purgeExpired(maxAgeMs) {
+    return purgeExpiredSessions(this, maxAgeMs);
+  }
+}
+
+// One JSON file per session, so sessions survive restarts and deploys
+class FileSessionStore {
+  constructor(options = {}) {
+    this.name = 'file';
+    this.directory = options.directory || path.join(__dirname, '../data/sessions');
+    fs.mkdirSync(this.directory, { recursive: true });
+    // Writes to one session run one after another, so update() cannot interleave with another write
+    this.queues = new Map();
+  }
+
+  // Runs task once every earlier write to the session has finished
+  enqueue(sessionId, task) {
+    const run = (this.queues.get(sessionId) || Promise.resolve()).then(task);
+    const tail = run.catch(() => {});
+
+    this.queues.set(sessionId, tail);
+    tail.then(() => {
+      if (this.queues.get(sessionId) === tail) {
+        this.queues.delete(sessionId);
+      }
+    });
+
+    return run;
+  }
+
+  // Session ids end up in file names: anything but the generated format is rejected
+  filePath(sessionId) {
+    if (typeof sessionId !== 'string' || !/^[A-Za-z0-9_-]+$/.test(sessionId)) {
+      return null;
+    }
+    return path.join(this.directory, `${sessionId}.json`);
+  }
+
+  async get(sessionId) {
+    const filePath = this.filePath(sessionId);
+    if (!filePath) {
+      return null;
+    }
+
+    try {
+      return JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`Could not read session ${sessionId}:`, error.message);
+      }
+      return null;
+    }
+  }
+
+  async set(sessionId, sessionData) {
+    const filePath = this.filePath(sessionId);
+    if (!filePath) {
+      throw new Error(`Invalid session id: ${sessionId}`);
+    }
+
+    return this.enqueue(sessionId, () => this.write(filePath, sessionData));
+  }
+
+  async update(sessionId, changes) {
+    const filePath = this.filePath(sessionId);
+    if (!filePath) {
+      return null;
+    }
+
+    return this.enqueue(sessionId, async () => {
+      const sessionData = await this.get(sessionId);
+      return sessionData ? this.write(filePath, mergeChanges(sessionData, changes)) : null;
+    });
+  }
+
+  // Write then rename, so a crash never leaves a half-written session behind. The temp name is unique
+  // per write: a name shared between writes lets one rename the other's file away.
+  async write(filePath, sessionData) {
+    const tempPath = `${filePath}.${randomUUID()}.tmp`;
+    try {
+      await fs.promises.writeFile(tempPath, JSON.stringify(sessionData));
+      await fs.promises.rename(tempPath, filePath);
+    } catch (error) {
+      await fs.promises.unlink(tempPath).catch(() => {});
+      throw error;
+    }
+
+    return sessionData;
+  }
+
+  async delete(sessionId) {
+    const filePath = this.filePath(sessionId);
+    if (!filePath) {
+      return false;
+    }
+
+    return this.enqueue(sessionId, async () => {
+      try {
+        await fs.promises.unlink(filePath);
+        return true;
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          return false;
+        }
+        throw error;
+      }
+    });
+  }
+
+  async list() {
+    const fileNames = (await fs.promises.readdir(this.directory)).filter(fileName => fileName.endsWith('.json'));
+    const sessions = [];
+
+    for (let fileName of fileNames) {
+      const sessionId = fileName.slice(0, -'.json'.length);
+      const sessionData = await this.get(sessionId);
+      if (sessionData) {
+        sessions.push({ sessionId, sessionData });
+      }
+    }
+
+    return sessions;
+  }
+
+  async clear() {
+    const sessions = await this.list();
+    await Promise.all(sessions.map(({ sessionId }) => this.delete(sessionId)));
+    return sessions.length;
+  }
+
+  async purgeExpired(maxAgeMs) {
+    return purgeExpiredSessions(this, maxAgeMs);
+  }
+}
+
+async function purgeExpiredSessions(store, maxAgeMs) {
+  const now = Date.now();
+  let purged = 0;
+
+  for (let { sessionId, sessionData } of await store.list()) {
+    if (now - new Date(sessionData.uploadTime).getTime() > maxAgeMs) {
+      await store.delete(sessionId);
+      purged++;
+      console.log(`🗑️ Cleaned up expired session: ${sessionId}`);
+    }
+  }
+
+  return purged;
+}
+
+const STORES = {
+  memory: () => new MemorySessionStore(),
+  file: () => new FileSessionStore({ directory: process.env.SESSION_STORE_DIR })
+};
+
+// SESSION_STORE=file (default) keeps sessions on disk in SESSION_STORE_DIR, memory loses them on restart
+function createSessionStore(name = process.env.SESSION_STORE || 'file') {
+  const factory = STORES[name];
+
+  if (!factory) {
+    throw new Error(`Unknown session store "${name}". Available: ${Object.keys(STORES).join(', ')}`);
+  }
+
+  return factory();
+}
+
+// SESSION_RETENTION_HOURS (default 24, 0 keeps sessions forever) checked every SESSION_CLEANUP_INTERVAL_MINUTES (default 60)
+function scheduleCleanup(store, options = {}) {
+  const retentionHours = parseFloat(options.retentionHours ?? process.env.SESSION_RETENTION_HOURS ?? 24);
+  const intervalMinutes = parseFloat(options.intervalMinutes ?? process.env.SESSION_CLEANUP_INTERVAL_MINUTES ?? 60);
+
+  if (!(retentionHours > 0) || !(intervalMinutes > 0)) {
+    console.log('Session retention disabled, sessions are kept until deleted');
+    return null;
+  }
+
+  const maxAgeMs = retentionHours * 60 * 60 * 1000;
+  const cleanup = () => store.purgeExpired(maxAgeMs).catch(error => {
+    console.error('Session cleanup failed:', error.message);
+  });
+
+  cleanup();
+  const timer = setInterval(cleanup, intervalMinutes * 60 * 1000);
+
+  // Cleanup alone should never keep the process alive
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  createSessionStore,
+  scheduleCleanup,
+  MemorySessionStore,
+  FileSessionStore
+};
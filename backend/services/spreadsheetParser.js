@@ -0,0 +1,167 @@
+// backend/services/spreadsheetParser.js - Reads CSV/XLSX files straight into rows and a schema
+const fs = require('fs');
+const JSZip = require('jszip');
+const XLSX = require('xlsx');
+const tableExtractor = require('./tableExtractor');
+const localeDetector = require('./localeDetector');
+
+const ZIP_SIGNATURE = Buffer.from([0x50, 0x4b, 0x03, 0x04]);   // XLSX
+const CFB_SIGNATURE = Buffer.from([0xd0, 0xcf, 0x11, 0xe0]);   // XLS and other OLE2 files
+
+// xlsx stays on 0.18.5, the last release on the npm registry; the fixed 0.20 releases are only published on
+// SheetJS's own CDN. Its known advisories (prototype pollution and a ReDoS on crafted files) are kept out of
+// reach by parsing less: files are size-capped, workbooks with formulas, macros or external links are refused
+// before SheetJS sees them, and only cell values of the rows that are used are read.
+class SpreadsheetParser {
+  constructor() {
+    this.MAX_ROWS_PER_SHEET = 10000;
+    this.MAX_FILE_SIZE = 20 * 1024 * 1024;
+  }
+
+  // One entry per sheet (a CSV is a single sheet); structuredData is null for sheets without numbers
+  async parse(filePath) {
+    const { size } = await fs.promises.stat(filePath);
+    if (size > this.MAX_FILE_SIZE) {
+      throw new Error(`Spreadsheet is larger than ${Math.round(this.MAX_FILE_SIZE / (1024 * 1024))}MB`);
+    }
+
+    // SheetJS goes by the content, not the name, so that is what is checked
+    const content = await fs.promises.readFile(filePath);
+    if (content.subarray(0, 4).equals(ZIP_SIGNATURE)) {
+      await this.checkWorkbook(content);
+    } else if (content.subarray(0, 4).equals(CFB_SIGNATURE)) {
+      throw new Error('Legacy binary workbooks are not supported, save the file as XLSX or CSV');
+    }
+
+    // The header row comes on top of the data rows
+    const workbook = XLSX.read(content, {
+      type: 'buffer',
+      sheetRows: this.MAX_ROWS_PER_SHEET + 1,
+      cellFormula: false,
+      cellHTML: false,
+      cellStyles: false
+    });
+
+    return workbook.SheetNames.map(name => {
+      // raw: false keeps the displayed text ("$1,200", "45%") so formats are detected like in documents
+      const rows = XLSX.utils.sheet_to_json(workbook.Sheets[name], {
+        header: 1,
+        raw: false,
+        defval: '',
+        blankrows: false
+      });
+
+      return this.parseSheet(name, rows);
+    });
+  }
+
+  // Reads the package without SheetJS and refuses what only a crafted or live workbook needs
+  async checkWorkbook(content) {
+    let zip;
+    try {
+      zip = await JSZip.loadAsync(content);
+    } catch (error) {
+      throw new Error('File is not a valid XLSX workbook: ' + error.message);
+    }
+
+    const entries = Object.keys(zip.files);
+    if (entries.some(entry => /^xl\/(vbaProject\.bin$|externalLinks\/)/i.test(entry))) {
+      throw new Error('Workbooks with macros or external links are not supported, save a copy without them');
+    }
+
+    for (const entry of entries.filter(name => /^xl\/worksheets\/[^/]+\.xml$/i.test(name))) {
+      // <f> holds a cell formula, with or without a namespace prefix
+      if (/<(\w+:)?f[\s/>]/.test(await zip.file(entry).async('string'))) {
+        throw new Error('Workbooks with formulas are not supported, paste the values into a new sheet first');
+      }
+    }
+  }
+
+  parseSheet(name, rows) {
+    const cleaned = this.trimEmptyColumns(
+      rows
+        .map(row => row.map(cell => String(cell).trim()))
+        .filter(row => row.some(cell => cell.length > 0))
+    );
+
+    // CSV exports from European systems keep "1.234,56" as text
+    const numberFormat = localeDetector.detectNumberFormat(cleaned.map(row => row.join(' | ')).join('\n'));
+
+    // A first row without any numbers is the header; blank header cells get generated names
+    const hasHeader = cleaned.length > 0 &&
+      cleaned[0].every(cell => tableExtractor.parseNumber(cell, numberFormat) === null);
+    const header = hasHeader ? cleaned[0] : null;
+    let body = cleaned.slice(hasHeader ? 1 : 0);
+
+    if (body.length > this.MAX_ROWS_PER_SHEET) {
+      console.log(`Sheet "${name}" has ${body.length} rows, using the first ${this.MAX_ROWS_PER_SHEET}`);
+      body = body.slice(0, this.MAX_ROWS_PER_SHEET);
+    }
+
+    const structuredData = body.length > 0
+      ? tableExtractor.fromRows(header, body, {
+          dataSource: `spreadsheet sheet "${name}"`,
+          extractionConfidence: 100,
+          processingMethod: 'spreadsheet',
+          sheetName: name
+        }, numberFormat)
+      : null;
+
+    return {
+      name,
+      rowCount: body.length,
+      columnCount: cleaned[0]?.length || 0,
+      text: this.toText(name, header, body),
+      structuredData
+    };
+  }
+
+  // Pads ragged rows and drops columns that are empty in every row
+  trimEmptyColumns(rows) {
+    const width = Math.max(0, ...rows.map(row => row.length));
+    const used = [];
+
+    for (let index = 0; index < width; index++) {
+      if (rows.some(row => (row[index] || '').length > 0)) {
+        used.push(index);
+      }
+    }
+
+    return rows.map(row => used.map(index => row[index] || ''));
+  }
+
+  // Pipe-separated rendering so the sheet reads like the tables found in documents
+  toText(name, header, rows) {
+    const lines = [`Sheet: ${name}`];
+
+    if (header) {
+      lines.push(header.join(' | '));
+    }
+    rows.forEach(row => lines.push(row.join(' | ')));
+
+    return lines.join('\n');
+  }
+
+  // The sheet holding the most numbers, unless the caller asked for one by name
+  selectSheet(sheets, requestedName = null) {
+    if (requestedName) {
+      const requested = sheets.find(sheet => sheet.name === requestedName);
+      if (!requested) {
+        throw new Error(`Sheet "${requestedName}" not found. Available sheets: ${sheets.map(sheet => sheet.name).join(', ')}`);
+      }
+      return requested;
+    }
+
+    const withData = sheets
+      .filter(sheet => sheet.structuredData)
+      .sort((a, b) => this.scoreSheet(b) - this.scoreSheet(a));
+
+    return withData[0] || sheets[0] || null;
+  }
+
+  scoreSheet(sheet) {
+    return sheet.structuredData.data.length * sheet.structuredData.schema.measures.length;
+  }
+}
+
+module.exports = new SpreadsheetParser();
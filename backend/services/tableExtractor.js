@@ -0,0 +1,359 @@
+// backend/services/tableExtractor.js - Rule-based table extraction that works without any LLM
+const localeDetector = require('./localeDetector');
+const valueNormalizer = require('./valueNormalizer');
+
+class TableExtractor {
+  constructor() {
+    this.MIN_DATA_ROWS = 2;
+    this.NUMERIC_COLUMN_RATIO = 0.8;   // Share of cells that must parse for a column to count as a measure
+    this.MONTH_PATTERN = new RegExp(`^${localeDetector.PATTERNS.month}(\\s+\\d{2,4})?$`, 'i');
+  }
+
+  // Returns { data, schema, metadata } like AIService.extractStructuredDataWithChunking, or null
+  extract(text) {
+    // "1.234,56" is 1234.56 in a German report but 1.23456 in an American one
+    const numberFormat = localeDetector.detectNumberFormat(text);
+    const tables = this.findTables(text, numberFormat);
+
+    if (tables.length === 0) {
+      return null;
+    }
+
+    // The same table split over several pages repeats its header: treat those as one table
+    const merged = this.mergeTablesWithSameHeader(tables);
+
+    // Prefer the table holding the most numbers
+    const best = merged
+      .map(table => ({ table, score: table.rows.length * table.numericColumns.length }))
+      .sort((a, b) => b.score - a.score)[0].table;
+
+    return this.toStructuredData(best, { tablesFound: merged.length });
+  }
+
+  // Rows of cell strings that are already known to form one table (e.g. a spreadsheet sheet)
+  fromRows(header, rows, metadata = {}, numberFormat = 'us') {
+    const table = this.buildTable(header, rows, 0, numberFormat);
+
+    if (table.rows.length === 0 || table.numericColumns.length === 0) {
+      return null;
+    }
+
+    return this.toStructuredData(table, metadata);
+  }
+
+  // Measure cells are typed by valueNormalizer, which also flags the ones that are not numbers
+  toStructuredData(table, metadata = {}) {
+    const data = table.rows.map(cells => {
+      const record = {};
+      table.columns.forEach((column, index) => {
+        record[column.name] = cells[index] ?? null;
+      });
+      return record;
+    });
+
+    return valueNormalizer.normalize({
+      data,
+      schema: {
+        measures: table.columns
+          .filter(column => column.type === 'number')
+          .map(column => ({ name: column.name, type: 'number', ...(column.format && { format: column.format }) })),
+        dimensions: table.columns
+          .filter(column => column.type !== 'number')
+          .map(column => ({ name: column.name, type: column.type }))
+      },
+      metadata: {
+        totalRecords: data.length,
+        dataSource: 'rule-based table extraction',
+        extractionConfidence: this.estimateConfidence(table),
+        processingMethod: 'rule_based',
+        tablesFound: 1,
+        excludedTotalRows: table.excludedTotalRows,
+        numberFormat: table.numberFormat,
+        ...metadata
+      }
+    }, table.numberFormat);
+  }
+
+  findTables(text, numberFormat = 'us') {
+    const lines = text.split('\n').map(line => line.trimEnd());
+    const tables = [];
+    let i = 0;
+
+    while (i < lines.length) {
+      const first = this.splitCells(lines[i]);
+
+      if (!first || !this.isDataRow(first, numberFormat)) {
+        i++;
+        continue;
+      }
+
+      // Collect consecutive rows with the same column count
+      const rows = [first];
+      let j = i + 1;
+      while (j < lines.length) {
+        const cells = this.splitCells(lines[j]);
+        if (!cells || cells.length !== first.length || !this.isDataRow(cells, numberFormat)) break;
+        rows.push(cells);
+        j++;
+      }
+
+      if (rows.length >= this.MIN_DATA_ROWS) {
+        const header = this.findHeader(lines, i, first.length, numberFormat);
+        tables.push(this.buildTable(header, rows, i, numberFormat));
+      }
+
+      i = j;
+    }
+
+    return tables.filter(table => table.rows.length >= this.MIN_DATA_ROWS && table.numericColumns.length > 0);
+  }
+
+  // Pipe-, tab- or wide-space-separated cells; single spaces only for "label  n  n" rows as OCR produces them
+  splitCells(line) {
+    const trimmed = line.trim();
+
+    if (trimmed.length === 0 || /^[|\s:+-]+$/.test(trimmed)) {
+      return null;
+    }
+
+    let cells;
+
+    if (trimmed.includes('|')) {
+      cells = trimmed.replace(/^\|/, '').replace(/\|$/, '').split('|');
+    } else if (trimmed.includes('\t')) {
+      cells = trimmed.split('\t');
+    } else if (/\S\s{2,}\S/.test(trimmed)) {
+      cells = trimmed.split(/\s{2,}/);
+    } else {
+      // Values may carry a trailing unit ("1.234,56 €", "12,5 %"), so only split where a number starts
+      const match = trimmed.match(/^([A-Za-zÀ-ÿ][^\d$€£(]*?)\s+((?:[$€£(]?-?\d[\d,.]*\)?(?:\s?[%€£$])?\s*)+)$/);
+      cells = match ? [match[1], ...match[2].trim().split(/\s+(?=[$€£(]?-?\d)/)] : trimmed.split(/\s+/);
+    }
+
+    cells = cells.map(cell => cell.trim());
+    return cells.length >= 2 ? cells : null;
+  }
+
+  isDataRow(cells, numberFormat = 'us') {
+    return cells.some(cell => this.parseNumber(cell, numberFormat) !== null);
+  }
+
+  // The line right above the first data row is the header when it has the same shape and no numbers
+  findHeader(lines, firstRowIndex, columnCount, numberFormat = 'us') {
+    for (let k = firstRowIndex - 1; k >= 0 && k >= firstRowIndex - 2; k--) {
+      if (lines[k].trim().length === 0) continue;
+
+      const cells = this.splitCells(lines[k]) || [];
+      const words = lines[k].trim().split(/\s+/);
+      const candidate = cells.length === columnCount ? cells : (words.length === columnCount ? words : null);
+
+      if (candidate && candidate.every(cell => cell.length > 0 && this.parseNumber(cell, numberFormat) === null)) {
+        return candidate;
+      }
+      return null;
+    }
+    return null;
+  }
+
+  buildTable(header, rows, startLine, numberFormat = 'us') {
+    const columnCount = rows[0].length;
+    const usedNames = new Set();
+    let excludedTotalRows = 0;
+
+    // Totals would double-count every sum built on top of the table
+    const dataRows = rows.filter(cells => {
+      const isTotal = /^((grand\s+)?(sub)?totals?|totaux|(zwischen)?summe|gesamt\w*|suma)\b/i.test(cells[0]);
+      if (isTotal) excludedTotalRows++;
+      return !isTotal;
+    });
+
+    const columns = [];
+    for (let index = 0; index < columnCount; index++) {
+      const cells = dataRows.map(row => row[index]).filter(cell => cell !== undefined && cell !== '');
+      const numericCells = cells.filter(cell => this.parseNumber(cell, numberFormat) !== null);
+
+      let type = 'string';
+      if (cells.length > 0 && numericCells.length / cells.length >= this.NUMERIC_COLUMN_RATIO && !this.isYearColumn(cells)) {
+        type = 'number';
+      } else if (cells.length > 0 && cells.every(cell => this.isDateLike(cell))) {
+        type = 'date';
+      }
+
+      let name = this.normalizeColumnName(header?.[index] || (index === 0 && type !== 'number' ? 'category' : `column_${index + 1}`));
+      while (usedNames.has(name)) {
+        name = `${name}_${index + 1}`;
+      }
+      usedNames.add(name);
+
+      columns.push({
+        name,
+        type,
+        format: type === 'number' ? this.detectFormat(header?.[index], numericCells) : undefined
+      });
+    }
+
+    return {
+      header,
+      headerKey: header ? header.map(cell => this.normalizeColumnName(cell)).join('|') : null,
+      columns,
+      rows: dataRows,
+      numericColumns: columns.filter(column => column.type === 'number'),
+      startLine,
+      excludedTotalRows,
+      numberFormat
+    };
+  }
+
+  mergeTablesWithSameHeader(tables) {
+    const merged = [];
+    const byHeader = new Map();
+
+    for (let table of tables) {
+      const existing = table.headerKey && byHeader.get(table.headerKey);
+      if (existing) {
+        existing.rows.push(...table.rows);
+        existing.excludedTotalRows += table.excludedTotalRows;
+      } else {
+        const copy = { ...table, rows: [...table.rows] };
+        merged.push(copy);
+        if (table.headerKey) byHeader.set(table.headerKey, copy);
+      }
+    }
+
+    return merged;
+  }
+
+  // "$1,200", "(3,400)", "-12.5", "45%", "1.234,56 €", "1.2M", "12 kg" -> number; anything else -> null
+  parseNumber(cell, numberFormat = 'us') {
+    return valueNormalizer.toNumber(cell, numberFormat);
+  }
+
+  // A column of plain years (2022, 2023...) is a time dimension, not something to sum
+  isYearColumn(cells) {
+    return cells.every(cell => /^(19|20)\d{2}$/.test(cell));
+  }
+
+  isDateLike(cell) {
+    return /^\d{4}-\d{2}(-\d{2})?$/.test(cell) ||
+      /^\d{1,2}[/.]\d{1,2}[/.]\d{2,4}$/.test(cell) ||
+      /^(19|20)\d{2}$/.test(cell) ||
+      /^[qt][1-4](\s+\d{4})?$/i.test(cell) ||
+      /^[1-4]\.\s*quartal(\s+\d{4})?$/i.test(cell) ||
+      this.MONTH_PATTERN.test(cell);
+  }
+
+  detectFormat(headerCell, numericCells) {
+    const label = (headerCell || '').toLowerCase();
+
+    if (numericCells.some(cell => /%/.test(cell)) || /(%|percent|rate|margin|share|anteil|quote|marge|taux|tasa|porcentaje)/.test(label)) {
+      return 'percent';
+    }
+    if (numericCells.some(cell => /[$€£¥]|\b(usd|eur|gbp|chf)\b/i.test(cell)) ||
+        /(revenue|sales|cost|price|amount|profit|income|expense|\$|€|umsatz|erlös|kosten|preis|betrag|gewinn|chiffre|ventes|coût|prix|montant|bénéfice|ingresos|ventas|costo|coste|precio|importe|beneficio)/.test(label)) {
+      return 'currency';
+    }
+    return 'number';
+  }
+
+  normalizeColumnName(name) {
+    // "Erlös", "Coût" -> "erlos", "cout" rather than losing the accented letters
+    return String(name).trim().toLowerCase()
+      .normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/ß/g, 'ss')
+      .replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '') || 'column';
+  }
+
+  estimateConfidence(table) {
+    let confidence = 50;
+
+    if (table.header) {
+      confidence += 15;
+    }
+
+    // Reward tables where the numeric columns parse cleanly in every row
+    const numericIndexes = table.columns
+      .map((column, index) => (column.type === 'number' ? index : -1))
+      .filter(index => index !== -1);
+    const cleanRows = table.rows.filter(cells =>
+      numericIndexes.every(index => this.parseNumber(cells[index], table.numberFormat) !== null)
+    ).length;
+    confidence += Math.round((cleanRows / table.rows.length) * 25);
+
+    return Math.min(confidence, 90);
+  }
+
+  // Dashboard configuration without an LLM, in the same shape as AIService.generateDashboardConfig
+  buildDashboardConfig(structuredData) {
+    const { data, schema } = structuredData;
+    const measures = schema.measures.slice(0, 4);
+    const dimension = schema.dimensions[0];
+
+    const kpis = measures.map(measure => ({
+      name: `Total ${this.toLabel(measure.name)}`,
+      calculation: 'sum',
+      column: measure.name,
+      format: measure.format || 'number'
+    }));
+
+    if (measures[0]) {
+      kpis.push({
+        name: `Average ${this.toLabel(measures[0].name)}`,
+        calculation: 'avg',
+        column: measures[0].name,
+        format: measures[0].format || 'number'
+      });
+    }
+
+    const charts = [];
+
+    if (dimension && measures.length > 0) {
+      const isTimeDimension = dimension.type === 'date' ||
+        /(date|month|quarter|year|period|week|day)/.test(dimension.name);
+
+      charts.push({
+        title: `${measures.slice(0, 2).map(measure => this.toLabel(measure.name)).join(' & ')} by ${this.toLabel(dimension.name)}`,
+        type: isTimeDimension ? 'line' : 'bar',
+        measures: measures.slice(0, 2).map(measure => measure.name),
+        dimensions: [dimension.name]
+      });
+
+      if (!isTimeDimension && data.length <= 8) {
+        charts.push({
+          title: `${this.toLabel(measures[0].name)} Share by ${this.toLabel(dimension.name)}`,
+          type: 'pie',
+          measures: [measures[0].name],
+          dimensions: [dimension.name]
+        });
+      }
+    }
+
+    return {
+      kpis,
+      charts,
+      insights: [],
+      summary: `Dashboard built from a ${data.length}-row table detected in the document (${schema.measures.map(measure => measure.name).join(', ')})`
+    };
+  }
+
+  toLabel(name) {
+    return name.replace(/_/g, ' ').replace(/\b\w/g, letter => letter.toUpperCase());
+  }
+
+  // Share of the numbers found by the rule-based extractor that also appear in another (AI) extraction
+  compareWithExtraction(ruleBased, other) {
+    const collectNumbers = rows => rows.flatMap(row => Object.values(row).filter(value => typeof value === 'number'));
+
+    const ruleNumbers = collectNumbers(ruleBased.data);
+    const otherNumbers = new Set(collectNumbers(other.data || []));
+    const matched = ruleNumbers.filter(value => otherNumbers.has(value)).length;
+
+    return {
+      ruleBasedRecords: ruleBased.data.length,
+      aiRecords: other.data?.length || 0,
+      ruleBasedValues: ruleNumbers.length,
+      matchedValues: matched,
+      agreement: ruleNumbers.length > 0 ? Math.round((matched / ruleNumbers.length) * 100) : null
+    };
+  }
+}
+
+module.exports = new TableExtractor();
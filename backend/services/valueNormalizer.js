@@ -0,0 +1,191 @@
+// backend/services/valueNormalizer.js - Reads numeric cells as they are written in documents and records their unit
+//
+// "$1,200" -> 1200 (USD), "(3,400)" -> -3400, "1.2M" -> 1200000, "12%" -> 12 (percent), "€ 5.000,00" -> 5000 (EUR),
+// "12.5 kg" -> 12.5 (kg). Percentages stay in percentage points, as the "percent" format expects.
+const localeDetector = require('./localeDetector');
+
+const CURRENCIES = {
+  '$': 'USD', 'us$': 'USD', usd: 'USD',
+  '€': 'EUR', eur: 'EUR',
+  '£': 'GBP', gbp: 'GBP',
+  '¥': 'JPY', jpy: 'JPY',
+  chf: 'CHF'
+};
+
+// A lone "m" is read as million rather than metres: the documents are mostly financial reports
+const MAGNITUDES = {
+  k: 1e3, thousand: 1e3, thousands: 1e3, tsd: 1e3,
+  m: 1e6, mm: 1e6, mn: 1e6, mio: 1e6, million: 1e6, millions: 1e6, millones: 1e6,
+  b: 1e9, bn: 1e9, mrd: 1e9, billion: 1e9, billions: 1e9, milliard: 1e9, milliards: 1e9
+};
+
+const CURRENCY_PATTERN = '(?:us\\$|[$€£¥]|usd|eur|gbp|jpy|chf)';
+const LEADING_CURRENCY = new RegExp(`^${CURRENCY_PATTERN}(?![a-z])\\s*`, 'i');
+const TRAILING_CURRENCY = new RegExp(`(?<![a-z])\\s*${CURRENCY_PATTERN}$`, 'i');
+const MAGNITUDE = new RegExp(`(?<=\\d)\\s*(${Object.keys(MAGNITUDES).sort((a, b) => b.length - a.length).join('|')})\\.?$`, 'i');
+const UNIT = /(?<=\d)\s*([a-zµ°][a-zµ°²³/]{0,11})\.?$/i;
+// Written in place of a value on purpose, so treated like an empty cell rather than flagged
+const MISSING = /^(?:-+|—|–|n\/?a|null|none|nil)$/i;
+
+class ValueNormalizer {
+  constructor() {
+    this.MAX_FLAGGED_CELLS = 200;   // Unparseable cells listed in metadata; all of them are counted
+  }
+
+  // { value, currency, unit, percent } for a cell holding a number, null when it holds none.
+  // Empty cells are null too; normalize() tells the two apart.
+  parse(cell, numberFormat = 'us') {
+    if (typeof cell === 'number') {
+      return isFinite(cell) ? { value: cell, currency: null, unit: null, percent: false } : null;
+    }
+    if (cell === undefined || cell === null || typeof cell === 'boolean') {
+      return null;
+    }
+
+    let text = String(cell).trim().replace(/[−–]/g, '-');
+    let negative = false;
+    let currency = null;
+    let unit = null;
+    let percent = false;
+    let multiplier = 1;
+
+    // Accounting negatives, also with the sign outside a currency symbol: "(3,400)", "-$1,200"
+    if (/^\(.*\)$/.test(text)) {
+      negative = true;
+      text = text.slice(1, -1).trim();
+    }
+    if (/^-\s*\D/.test(text)) {
+      negative = !negative;
+      text = text.slice(1).trim();
+    }
+    text = text.replace(/^\+/, '');
+
+    const leading = text.match(LEADING_CURRENCY);
+    const trailing = !leading && text.match(TRAILING_CURRENCY);
+    if (leading || trailing) {
+      currency = CURRENCIES[(leading || trailing)[0].trim().toLowerCase()];
+      text = text.replace(leading ? LEADING_CURRENCY : TRAILING_CURRENCY, '').trim();
+    }
+
+    if (/\s?%$/.test(text)) {
+      percent = true;
+      text = text.replace(/\s?%$/, '');
+    } else {
+      const magnitude = text.match(MAGNITUDE);
+      if (magnitude) {
+        multiplier = MAGNITUDES[magnitude[1].toLowerCase()];
+        text = text.slice(0, magnitude.index).trim();
+      } else {
+        const match = !currency && text.match(UNIT);
+        if (match) {
+          unit = match[1].toLowerCase();
+          text = text.slice(0, match.index).trim();
+        }
+      }
+    }
+
+    const number = localeDetector.parseNumericString(text, numberFormat);
+    if (number === null) {
+      return null;
+    }
+
+    // Scaling by a power of ten in floating point turns 1.2 into 1199999.9999999998
+    const value = multiplier === 1 ? number : parseFloat((number * multiplier).toPrecision(12));
+    return { value: negative ? -value : value, currency, unit, percent };
+  }
+
+  // The number in a cell, or null
+  toNumber(cell, numberFormat = 'us') {
+    const parsed = this.parse(cell, numberFormat);
+    return parsed ? parsed.value : null;
+  }
+
+  isEmpty(cell) {
+    return cell === undefined || cell === null || String(cell).trim() === '' || MISSING.test(String(cell).trim());
+  }
+
+  // Measure cells turned into numbers. What most cells of a column were written in is recorded on its schema
+  // entry (currency, unit, and the percent or currency format when none was set); cells that hold something
+  // other than a number are left empty and listed in metadata.normalization rather than counted as 0.
+  normalize(structuredData, numberFormat = 'us') {
+    const { data, schema } = structuredData;
+    const flagged = [];
+    const warnings = [];
+    let unparseableCount = 0;
+
+    const rows = data.map(row => ({ ...row }));
+
+    const measures = (schema?.measures || []).map(measure => {
+      const currencies = {};
+      const units = {};
+      let percentCells = 0;
+      let numberCells = 0;
+
+      rows.forEach((row, index) => {
+        const cell = row[measure.name];
+        if (this.isEmpty(cell)) {
+          row[measure.name] = null;
+          return;
+        }
+
+        const parsed = this.parse(cell, numberFormat);
+        if (!parsed) {
+          unparseableCount++;
+          if (flagged.length < this.MAX_FLAGGED_CELLS) {
+            flagged.push({ row: index, column: measure.name, value: String(cell) });
+          }
+          row[measure.name] = null;
+          return;
+        }
+
+        row[measure.name] = parsed.value;
+        numberCells++;
+        if (parsed.currency) currencies[parsed.currency] = (currencies[parsed.currency] || 0) + 1;
+        if (parsed.unit) units[parsed.unit] = (units[parsed.unit] || 0) + 1;
+        if (parsed.percent) percentCells++;
+      });
+
+      const currency = this.mostCommon(currencies);
+      const unit = this.mostCommon(units);
+      const mixed = [currencies, units].map(Object.keys).filter(found => found.length > 1);
+      mixed.forEach(found => {
+        warnings.push(`${measure.name} mixes ${found.join(', ')}; values are used as written, without conversion`);
+      });
+
+      const result = { ...measure };
+      if (currency) {
+        result.currency = currency;
+      }
+      if (unit) {
+        result.unit = unit;
+      }
+      if (!result.format && numberCells > 0) {
+        if (percentCells > numberCells / 2) {
+          result.format = 'percent';
+        } else if (currency) {
+          result.format = 'currency';
+        }
+      }
+      return result;
+    });
+
+    // Only reported when there is something to report, so clean data comes out exactly as it went in
+    const normalization = unparseableCount > 0 || warnings.length > 0
+      ? { unparseableCells: flagged, unparseableCount, warnings }
+      : null;
+
+    return {
+      ...structuredData,
+      data: rows,
+      schema: { ...schema, measures },
+      ...(normalization && { metadata: { ...structuredData.metadata, normalization } })
+    };
+  }
+
+  mostCommon(counts) {
+    const entries = Object.entries(counts).sort((a, b) => b[1] - a[1]);
+    return entries.length > 0 ? entries[0][0] : null;
+  }
+}
+
+module.exports = new ValueNormalizer();
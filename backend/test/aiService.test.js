@@ -0,0 +1,98 @@
+// backend/test/aiService.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+
+// The provider is created on require; the stub needs no network or key
+process.env.AI_PROVIDER = 'stub';
+delete process.env.AI_RECORD_MODE;
+const aiService = require('../services/aiService');
+
+const chunk = (rows) => ({
+  data: rows.map(([month, revenue]) => ({ month, revenue })),
+  schema: { measures: [{ name: 'revenue', type: 'number' }], dimensions: [{ name: 'month', type: 'string' }] },
+  metadata: { extractionConfidence: 80 }
+});
+
+const merge = (chunkResults) => {
+  const stats = aiService.createChunkStats();
+  return { merged: aiService.mergeChunkResults(chunkResults, stats), stats };
+};
+
+test('mergeChunkResults keeps identical rows inside a single chunk', () => {
+  const { merged, stats } = merge([chunk([['Jan', 100], ['Feb', 100], ['Feb', 100], ['Mar', 100]])]);
+
+  assert.strictEqual(merged.data.length, 4);
+  assert.strictEqual(stats.duplicateRecords, 0);
+});
+
+test('mergeChunkResults drops the rows repeated in the overlap of neighbouring chunks', () => {
+  const { merged, stats } = merge([
+    chunk([['Jan', 100], ['Feb', 200], ['Mar', 300]]),
+    chunk([['Feb', 200], ['Mar', 300], ['Apr', 400]])
+  ]);
+
+  assert.deepStrictEqual(merged.data.map(row => row.month), ['Jan', 'Feb', 'Mar', 'Apr']);
+  assert.strictEqual(stats.duplicateRecords, 2);
+});
+
+test('mergeChunkResults keeps equal rows that are far apart in the document', () => {
+  const { merged } = merge([
+    chunk([['Jan', 100], ['Feb', 200]]),
+    chunk([['Mar', 300], ['Jan', 100]])
+  ]);
+
+  assert.strictEqual(merged.data.length, 4);
+});
+
+test('mergeChunkResults does not de-duplicate across a chunk without data', () => {
+  const { merged } = merge([
+    chunk([['Jan', 100]]),
+    null,
+    chunk([['Jan', 100]])
+  ]);
+
+  assert.strictEqual(merged.data.length, 2);
+});
+
+test('mergeChunkResults reconciles column names across chunks', () => {
+  const second = chunk([['Feb', 200]]);
+  second.data = [{ Month: 'Feb', 'Revenue ': 200 }];
+  second.schema = { measures: [{ name: 'Revenue ', type: 'number' }], dimensions: [{ name: 'Month', type: 'string' }] };
+
+  const { merged } = merge([chunk([['Jan', 100]]), second]);
+
+  assert.deepStrictEqual(merged.data, [{ month: 'Jan', revenue: 100 }, { month: 'Feb', revenue: 200 }]);
+  assert.deepStrictEqual(merged.schema.measures.map(measure => measure.name), ['revenue']);
+});
+
+test('parseJSONResponse drops trailing commas but leaves string contents alone', () => {
+  const result = aiService.parseJSONResponse('{"labels": ["a,]", "b",], "note": "x, }",}');
+
+  assert.deepStrictEqual(result, { labels: ['a,]', 'b'], note: 'x, }' });
+});
+
+test('parseJSONResponse reports a cut-off answer with the records it kept', () => {
+  assert.throws(
+    () => aiService.parseJSONResponse('{"data": [{"month": "Jan"}, {"month": "Feb"}, {"mon'),
+    /truncated after 2 records/
+  );
+});
+
+test('callAIForJSON asks again when the answer was cut off', async () => {
+  const provider = aiService.provider;
+  const prompts = [];
+  const answers = [
+    '{"data": [{"month": "Jan"}, {"mon',
+    '{"data": [{"month": "Jan"}, {"month": "Feb"}], "schema": {"measures": [], "dimensions": []}}'
+  ];
+  aiService.provider = { name: 'test', complete: async (prompt) => { prompts.push(prompt); return answers.shift(); } };
+
+  try {
+    const result = await aiService.callAIForJSON('Extract the rows', 'extractionChunk');
+    assert.strictEqual(result.data.length, 2);
+    assert.strictEqual(prompts.length, 2);
+    assert.match(prompts[1], /truncated after 1 records/);
+  } finally {
+    aiService.provider = provider;
+  }
+});
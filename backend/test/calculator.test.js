@@ -0,0 +1,108 @@
+// backend/test/calculator.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const calculator = require('../services/calculator');
+
+const rows = [
+  { month: '2024-03-01', revenue: 30, units: 1, cost: 10 },
+  { month: '2024-01-01', revenue: 10, units: 3, cost: 5 },
+  { month: '2024-02-01', revenue: 20, units: 2, cost: 5 },
+  { month: '2024-04-01', revenue: 40, units: 4, cost: 20 }
+];
+
+test('median interpolates between the two middle values', () => {
+  assert.strictEqual(calculator.aggregate(rows, 'median', 'revenue'), 25);
+  assert.strictEqual(calculator.aggregate(rows.slice(0, 3), 'median', 'revenue'), 20);
+});
+
+test('p90 and p95 interpolate between the closest ranks', () => {
+  // Ranks 0.9 * 3 = 2.7 and 0.95 * 3 = 2.85 over 10, 20, 30, 40
+  assert.ok(Math.abs(calculator.aggregate(rows, 'p90', 'revenue') - 37) < 1e-9);
+  assert.ok(Math.abs(calculator.aggregate(rows, 'p95', 'revenue') - 38.5) < 1e-9);
+});
+
+test('stddev is the sample standard deviation', () => {
+  assert.ok(Math.abs(calculator.aggregate(rows, 'stddev', 'revenue') - Math.sqrt(500 / 3)) < 1e-9);
+  assert.strictEqual(calculator.aggregate(rows.slice(0, 1), 'stddev', 'revenue'), 0);
+});
+
+test('weighted_avg weighs each value and skips rows without a weight', () => {
+  assert.strictEqual(calculator.aggregate(rows, 'weighted_avg', 'revenue', { weightColumn: 'units' }), 26);
+  assert.strictEqual(
+    calculator.aggregate([...rows, { revenue: 1000, units: '' }], 'weighted_avg', 'revenue', { weightColumn: 'units' }),
+    26
+  );
+});
+
+test('first and last follow the date column, or document order without one', () => {
+  assert.strictEqual(calculator.aggregate(rows, 'first', 'revenue', { dateColumn: 'month' }), 10);
+  assert.strictEqual(calculator.aggregate(rows, 'last', 'revenue', { dateColumn: 'month' }), 40);
+  assert.strictEqual(calculator.aggregate(rows, 'first', 'revenue'), 30);
+});
+
+test('ratio divides the sums and is 0 without a denominator', () => {
+  assert.strictEqual(calculator.aggregate(rows, 'ratio', 'cost', { denominatorColumn: 'revenue' }), 0.4);
+  assert.strictEqual(calculator.aggregate([{ cost: 5, revenue: 0 }], 'ratio', 'cost', { denominatorColumn: 'revenue' }), 0);
+});
+
+test('distinct_count ignores case, surrounding spaces and empty cells', () => {
+  assert.strictEqual(calculator.aggregate([{ r: 'North' }, { r: ' north' }, { r: 'South' }, { r: '' }], 'distinct_count', 'r'), 2);
+});
+
+test('periodKey puts dates in ISO weeks, which belong to the year of their Thursday', () => {
+  assert.strictEqual(calculator.periodKey('2024-03-04', 'week'), '2024-W10');
+  assert.strictEqual(calculator.periodKey('2021-01-01', 'week'), '2020-W53');
+  assert.strictEqual(calculator.periodKey('2024-12-30', 'week'), '2025-W01');
+  assert.strictEqual(calculator.periodKey('2023-01-01', 'week'), '2022-W52');
+});
+
+test('periodKey buckets quarters, months and years, and skips what is not a date', () => {
+  assert.strictEqual(calculator.periodKey('2024-03-31', 'quarter'), '2024-Q1');
+  assert.strictEqual(calculator.periodKey('2024-10-01', 'quarter'), '2024-Q4');
+  assert.strictEqual(calculator.periodKey('2024-03-31', 'month'), '2024-03');
+  assert.strictEqual(calculator.periodKey('2024-03-31', 'year'), '2024');
+  assert.strictEqual(calculator.periodKey('next spring', 'month'), null);
+  assert.strictEqual(calculator.periodLabel('2024-03', 'month'), 'Mar 2024');
+  assert.strictEqual(calculator.periodLabel('2024-Q1', 'quarter'), 'Q1 2024');
+});
+
+const monthly = [
+  { date: '2023-02-10', revenue: 80 },
+  { date: '2023-03-10', revenue: 100 },
+  { date: '2024-02-10', revenue: 90 },
+  { date: '2024-03-05', revenue: 50 },
+  { date: '2024-03-20', revenue: 70 }
+];
+
+test('year_over_year compares the latest period with the same period a year earlier', () => {
+  const kpi = calculator.calculateSingleKPI(monthly, {
+    name: 'Revenue', calculation: 'sum', column: 'revenue', format: 'number',
+    comparison: { type: 'year_over_year', dateColumn: 'date' }
+  });
+
+  assert.strictEqual(kpi.value, 120);
+  assert.strictEqual(kpi.period, 'Mar 2024');
+  assert.strictEqual(kpi.comparison.previousPeriod, 'Mar 2023');
+  assert.strictEqual(kpi.comparison.delta, 20);
+  assert.strictEqual(kpi.comparison.deltaPercent, 20);
+  assert.strictEqual(kpi.comparison.sentiment, 'positive');
+});
+
+test('previous_period compares with the period before, and a fall is bad unless lower is better', () => {
+  const comparison = { type: 'previous_period', dateColumn: 'date', period: 'quarter', higherIsBetter: false };
+  const kpi = calculator.calculateSingleKPI(monthly, { name: 'Revenue', calculation: 'sum', column: 'revenue', comparison });
+
+  assert.strictEqual(kpi.period, 'Q1 2024');
+  assert.strictEqual(kpi.comparison.previousPeriod, 'Q1 2023');
+  assert.strictEqual(kpi.comparison.direction, 'up');
+  assert.strictEqual(kpi.comparison.sentiment, 'negative');
+});
+
+test('year_over_year without the same period a year earlier has nothing to compare with', () => {
+  const kpi = calculator.calculateSingleKPI(monthly.slice(2), {
+    name: 'Revenue', calculation: 'sum', column: 'revenue', comparison: { type: 'year_over_year', dateColumn: 'date' }
+  });
+
+  assert.strictEqual(kpi.comparison.label, 'no data a year earlier');
+  assert.strictEqual(kpi.comparison.delta, null);
+});
@@ -0,0 +1,31 @@
+// backend/test/dashboardEditor.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const dashboardEditor = require('../services/dashboardEditor');
+
+const schema = {
+  measures: [{ name: 'revenue', type: 'number' }],
+  dimensions: [{ name: 'month', type: 'string' }, { name: 'date', type: 'date' }]
+};
+
+test('createItem stores enum values in their declared case', () => {
+  const { item, errors } = dashboardEditor.createItem({ kpis: [], charts: [] }, 'kpis', {
+    name: 'Revenue', calculation: 'Sum', column: 'revenue', format: 'CURRENCY',
+    comparison: { type: 'Previous_Period', dateColumn: 'date', period: 'Month' }
+  }, schema);
+
+  assert.strictEqual(errors, undefined);
+  assert.strictEqual(item.calculation, 'sum');
+  assert.strictEqual(item.format, 'currency');
+  assert.deepStrictEqual([item.comparison.type, item.comparison.period], ['previous_period', 'month']);
+});
+
+test('updateItem lower-cases a changed chart type', () => {
+  const created = dashboardEditor.createItem({ kpis: [], charts: [] }, 'charts', {
+    title: 'Revenue by month', type: 'bar', measures: ['revenue'], dimensions: ['month']
+  }, schema);
+  const { item, errors } = dashboardEditor.updateItem(created.config, 'charts', created.item.id, { type: 'Line' }, schema);
+
+  assert.strictEqual(errors, undefined);
+  assert.strictEqual(item.type, 'line');
+});
@@ -0,0 +1,42 @@
+// backend/test/filterEngine.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const filterEngine = require('../services/filterEngine');
+
+const rows = [
+  { region: 'North', revenue: 0, month: '2024-01-31' },
+  { region: 'south ', revenue: 200, month: '2024-02-15' },
+  { region: '', revenue: 300, month: '2024-03-01' }
+];
+const regions = filter => filterEngine.apply(rows, filter).map(row => row.region);
+
+test('equals compares text case-insensitively and numbers as numbers', () => {
+  assert.deepStrictEqual(regions({ column: 'region', operator: 'equals', value: 'SOUTH' }), ['south ']);
+  assert.deepStrictEqual(regions({ column: 'revenue', operator: 'equals', value: '200' }), ['south ']);
+});
+
+test('equals with an empty value does not match 0', () => {
+  assert.deepStrictEqual(regions({ column: 'revenue', operator: 'equals', value: '' }), []);
+  assert.deepStrictEqual(regions({ column: 'revenue', operator: 'not_equals', value: ' ' }), ['North', 'south ', '']);
+  assert.strictEqual(filterEngine.sameValue('', 0), false);
+  assert.strictEqual(filterEngine.sameValue(0, false), false);
+});
+
+test('and/or groups combine their filters and an empty group keeps every row', () => {
+  assert.deepStrictEqual(regions({
+    or: [{ column: 'region', operator: 'equals', value: 'north' }, { column: 'revenue', operator: 'range', value: { min: 250 } }]
+  }), ['North', '']);
+  assert.strictEqual(filterEngine.apply(rows, { and: [] }), rows);
+});
+
+test('date_range includes the whole day given as "to"', () => {
+  assert.deepStrictEqual(regions({ column: 'month', operator: 'date_range', value: { from: '2024-01-31', to: '2024-02-15' } }),
+    ['North', 'south ']);
+});
+
+test('validate names the path of each problem', () => {
+  assert.deepStrictEqual(filterEngine.validate({ and: [{ column: 'region', operator: 'equals', value: 'x' }, { column: 'tax', operator: 'in', value: [] }] }, ['region']), [
+    'filter.and[1].column: "tax" is not a column of this dataset',
+    'filter.and[1].value: must be a non-empty array of values'
+  ]);
+});
@@ -0,0 +1,58 @@
+// backend/test/formulaEngine.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const formulaEngine = require('../services/formulaEngine');
+const calculator = require('../services/calculator');
+
+const columns = { measures: ['revenue', 'cost', 'unit price'], dimensions: ['region'] };
+const row = (expression, values) => formulaEngine.evaluateRow(formulaEngine.parse(expression), values);
+
+test('multiplication and division bind tighter than addition and subtraction', () => {
+  assert.strictEqual(row('2 + 3 * 4', {}), 14);
+  assert.strictEqual(row('(2 + 3) * 4', {}), 20);
+  assert.strictEqual(row('10 - 4 - 3', {}), 3);
+  assert.strictEqual(row('12 / 3 / 2', {}), 2);
+  assert.strictEqual(row('-2 * -3', {}), 6);
+});
+
+test('a division by zero or a missing input gives null', () => {
+  assert.strictEqual(row('revenue / cost', { revenue: 10, cost: 0 }), null);
+  assert.strictEqual(row('revenue - cost', { revenue: 10 }), null);
+});
+
+test('compile reports unknown columns and functions', () => {
+  assert.deepStrictEqual(formulaEngine.compile('revenue - tax', columns).errors, ['Unknown column "tax"']);
+  assert.deepStrictEqual(formulaEngine.compile('sqrt(revenue)', columns).errors, ['Unknown function "sqrt"']);
+  assert.deepStrictEqual(formulaEngine.compile('region * 2', columns).errors, ['"region" is not a numeric column']);
+  assert.deepStrictEqual(formulaEngine.compile('[unit price] * 2', columns).columns, ['unit price']);
+});
+
+test('compile reports syntax errors with their position', () => {
+  assert.deepStrictEqual(formulaEngine.compile('(revenue - cost', columns).errors, ['Expected ")" but found end of formula']);
+  assert.deepStrictEqual(formulaEngine.compile('revenue cost', columns).errors, ['Unexpected "cost" at position 9']);
+});
+
+test('KPI formulas need every column inside an aggregate', () => {
+  const aggregate = { ...columns, mode: 'aggregate' };
+
+  assert.deepStrictEqual(formulaEngine.compile('sum(revenue - cost) / sum(revenue)', aggregate).errors, undefined);
+  assert.deepStrictEqual(formulaEngine.compile('revenue / sum(cost)', aggregate).errors,
+    ['"revenue" must be inside an aggregate, e.g. sum(revenue)']);
+  assert.deepStrictEqual(formulaEngine.compile('sum(revenue)', columns).errors,
+    ['sum() is an aggregate and can only be used in KPI formulas']);
+});
+
+test('round rounds to the given digits and stays a number for any digits', () => {
+  assert.strictEqual(row('round(revenue, 1)', { revenue: 2.345 }), 2.3);
+  assert.strictEqual(row('round(revenue, -2)', { revenue: 1250 }), 1300);
+  assert.strictEqual(row('round(revenue, 400)', { revenue: 2.345 }), 2.345);
+  assert.strictEqual(row('round(revenue, -400)', { revenue: 1250 }), 0);
+  assert.strictEqual(row('round(revenue, 400)', { revenue: 1e300 }), 1e300);
+});
+
+test('formula KPIs aggregate like calculator KPIs', () => {
+  const data = [{ revenue: 100, cost: 60 }, { revenue: 300, cost: 140 }];
+
+  assert.strictEqual(calculator.calculateFormula(data, 'sum(revenue - cost) / sum(revenue) * 100'), 50);
+  assert.strictEqual(calculator.calculateFormula(data, 'sum(cost) / sum(revenue - revenue)'), 0);
+});
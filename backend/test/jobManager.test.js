@@ -0,0 +1,111 @@
+// backend/test/jobManager.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const jobManager = require('../services/jobManager');
+
+jobManager.CONCURRENCY = 2;
+
+// A task that runs until release() is called
+const blocker = () => {
+  let release;
+  const done = new Promise(resolve => { release = resolve; });
+  const started = [];
+  return { task: job => { started.push(job.id); return done.then(() => job.id); }, release, started };
+};
+
+const settled = job => new Promise(resolve => {
+  jobManager.subscribe(job, event => {
+    if (['completed', 'failed', 'cancelled'].includes(event.type)) resolve(job);
+  });
+});
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+test('jobs beyond the concurrency wait in the queue and start as workers free up', async () => {
+  const work = blocker();
+  const jobs = [1, 2, 3].map(() => jobManager.start(work.task));
+  await tick();
+
+  assert.deepStrictEqual(jobs.map(job => job.status), ['running', 'running', 'queued']);
+  assert.strictEqual(jobManager.queuePosition(jobs[2]), 1);
+
+  work.release();
+  await Promise.all(jobs.map(settled));
+  assert.deepStrictEqual(work.started, jobs.map(job => job.id));
+  assert.deepStrictEqual(jobs.map(job => job.result), jobs.map(job => job.id));
+  assert.strictEqual(jobManager.running, 0);
+});
+
+test('a cancelled queued job is finished without starting, and its input is released', async () => {
+  const work = blocker();
+  let cleanedUp = 0;
+  const running = [1, 2].map(() => jobManager.start(work.task));
+  const queued = jobManager.start(work.task, { cleanup: () => { cleanedUp++; } });
+  await tick();
+
+  assert.strictEqual(jobManager.cancel(queued.id), true);
+  assert.strictEqual(queued.status, 'cancelled');
+  assert.strictEqual(cleanedUp, 1);
+  assert.strictEqual(jobManager.running, 2);
+  assert.strictEqual(jobManager.pending.length, 0);
+  assert.strictEqual(jobManager.cancel(queued.id), false);
+
+  work.release();
+  await Promise.all(running.map(settled));
+  await tick();
+  assert.ok(!work.started.includes(queued.id));
+  assert.strictEqual(jobManager.running, 0);
+});
+
+test('a running job stops at its next checkpoint when cancelled', async () => {
+  const work = blocker();
+  const job = jobManager.start(async () => {
+    await work.task(job);
+    jobManager.setStage('saving');
+    return 'saved';
+  });
+  await tick();
+
+  jobManager.cancel(job.id);
+  work.release();
+  await settled(job);
+
+  assert.strictEqual(job.status, 'cancelled');
+  assert.strictEqual(job.result, null);
+});
+
+test('subscribe replays the events after lastEventId, then follows live ones', async () => {
+  const work = blocker();
+  const job = jobManager.start(async () => {
+    jobManager.setStage('extracting');
+    jobManager.progress('Page 1 of 2', { current: 1, total: 2 });
+    await work.task(job);
+    jobManager.progress('Page 2 of 2', { current: 2, total: 2 });
+    return 'done';
+  });
+  await tick();
+
+  const received = [];
+  const unsubscribe = jobManager.subscribe(job, event => received.push(event), 1);
+  assert.deepStrictEqual(received.map(event => event.type), ['progress']);
+
+  work.release();
+  await settled(job);
+  unsubscribe();
+
+  assert.deepStrictEqual(received.map(event => event.id), [2, 3, 4, 5]);
+  assert.deepStrictEqual(received.map(event => event.type), ['progress', 'progress', 'stage', 'completed']);
+  assert.strictEqual(received[1].percent, 35);
+});
+
+test('subscribe to a finished job replays its events and returns right away', async () => {
+  const job = jobManager.start(async () => 'done');
+  await settled(job);
+
+  const received = [];
+  const unsubscribe = jobManager.subscribe(job, event => received.push(event));
+
+  assert.deepStrictEqual(received.map(event => event.type), ['completed']);
+  assert.strictEqual(job.emitter.listenerCount('event'), 0);
+  unsubscribe();
+});
@@ -0,0 +1,18 @@
+// backend/test/llmProviders.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const { createProvider } = require('../services/llmProviders');
+
+const stub = createProvider('stub', 'off');
+
+test('the stub answers by the schema it is asked for, whatever the prompt says', async () => {
+  const prompt = 'Please reword these.\nFacts: ["Revenue rose 5%"]';
+
+  assert.deepStrictEqual(JSON.parse(await stub.complete(prompt, 500, 0.3, { schemaName: 'insightPhrasing' })),
+    { insights: ['Revenue rose 5%'] });
+  assert.strictEqual(await stub.complete('Shorten """Q1: 100"""', 1500, 0.1, { schemaName: 'summary' }), 'Q1: 100');
+});
+
+test('the stub answers an empty object to a prompt of unknown kind', async () => {
+  assert.strictEqual(await stub.complete('Analyze this text for numerical/tabular data """Q1: 100"""', 500, 0.1), '{}');
+});
@@ -0,0 +1,32 @@
+// backend/test/responseSchemas.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const { normalizeResponse, validateResponse } = require('../services/responseSchemas');
+
+test('validateResponse compares enum values exactly', () => {
+  const errors = validateResponse('chart', { title: 'Revenue', type: 'Bar', measures: ['revenue'], dimensions: [] });
+
+  assert.deepStrictEqual(errors, ['type: "Bar" is not one of bar, line, area, pie']);
+});
+
+test('normalizeResponse lower-cases enum values at any depth of the schema', () => {
+  const config = normalizeResponse('dashboard', {
+    kpis: [{ name: 'Revenue', calculation: 'SUM', column: 'revenue', format: 'Currency', comparison: { type: 'Previous_Period', period: 'MONTH' } }],
+    charts: [{ title: 'By month', type: 'Line', measures: ['revenue'], dimensions: ['month'], aggregation: 'Avg' }]
+  });
+
+  assert.deepStrictEqual(config.kpis[0], {
+    name: 'Revenue', calculation: 'sum', column: 'revenue', format: 'currency', comparison: { type: 'previous_period', period: 'month' }
+  });
+  assert.strictEqual(config.charts[0].type, 'line');
+  assert.strictEqual(config.charts[0].aggregation, 'avg');
+  assert.deepStrictEqual(validateResponse('dashboard', config), []);
+});
+
+test('normalizeResponse leaves unknown enum values and other strings alone', () => {
+  const chart = normalizeResponse('chart', { title: 'Revenue', type: 'Donut', measures: ['Revenue'], dimensions: [] });
+
+  assert.strictEqual(chart.type, 'Donut');
+  assert.deepStrictEqual(chart.measures, ['Revenue']);
+  assert.strictEqual(chart.title, 'Revenue');
+});
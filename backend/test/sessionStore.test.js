@@ -0,0 +1,88 @@
+// backend/test/sessionStore.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { FileSessionStore, MemorySessionStore } = require('../services/sessionStore');
+
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'session-store-test-'));
+test.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+const newStore = name => new FileSessionStore({ directory: fs.mkdtempSync(path.join(directory, name)) });
+
+test('concurrent updates to one session are applied one after another', async () => {
+  const store = newStore('queue');
+  await store.set('session_a', { count: 0, notes: [] });
+
+  await Promise.all(Array.from({ length: 20 }, (_, index) =>
+    store.update('session_a', current => ({ count: current.count + 1, notes: [...current.notes, index] }))));
+
+  const stored = await store.get('session_a');
+  assert.strictEqual(stored.count, 20);
+  assert.deepStrictEqual(stored.notes, Array.from({ length: 20 }, (_, index) => index));
+});
+
+test('a failed write does not block the writes queued after it', async () => {
+  const store = newStore('failure');
+  await store.set('session_a', { count: 0 });
+
+  const failing = store.update('session_a', () => { throw new Error('boom'); });
+  const next = store.update('session_a', current => ({ count: current.count + 1 }));
+
+  await assert.rejects(failing, /boom/);
+  assert.strictEqual((await next).count, 1);
+  assert.strictEqual(store.queues.size, 0);
+});
+
+test('writes go through a temp file that is renamed into place', async () => {
+  const store = newStore('rename');
+  const renames = [];
+  const rename = fs.promises.rename;
+  fs.promises.rename = async (from, to) => {
+    renames.push([path.basename(from), path.basename(to)]);
+    return rename(from, to);
+  };
+
+  try {
+    await Promise.all([store.set('session_a', { n: 1 }), store.update('session_a', { n: 2 })]);
+  } finally {
+    fs.promises.rename = rename;
+  }
+
+  assert.strictEqual(renames.length, 2);
+  renames.forEach(([from, to]) => {
+    assert.match(from, /^session_a\.json\.[0-9a-f-]{36}\.tmp$/);
+    assert.strictEqual(to, 'session_a.json');
+  });
+  assert.notStrictEqual(renames[0][0], renames[1][0]);
+  assert.deepStrictEqual(fs.readdirSync(store.directory), ['session_a.json']);
+  assert.strictEqual((await store.get('session_a')).n, 2);
+});
+
+test('update and delete of a missing session resolve without writing', async () => {
+  const store = newStore('missing');
+
+  assert.strictEqual(await store.update('session_b', { n: 1 }), null);
+  assert.strictEqual(await store.delete('session_b'), false);
+  assert.deepStrictEqual(fs.readdirSync(store.directory), []);
+});
+
+test('session ids that are not file-name safe are refused', async () => {
+  const store = newStore('ids');
+
+  await assert.rejects(store.set('../escape', {}), /Invalid session id/);
+  assert.strictEqual(await store.get('../escape'), null);
+});
+
+for (const [name, create] of [['file', () => newStore('retention')], ['memory', () => new MemorySessionStore()]]) {
+  test(`purgeExpired removes only sessions older than the retention (${name} store)`, async () => {
+    const store = create();
+    const hoursAgo = hours => new Date(Date.now() - hours * 60 * 60 * 1000).toISOString();
+    await store.set('session_old', { uploadTime: hoursAgo(30) });
+    await store.set('session_new', { uploadTime: hoursAgo(1) });
+
+    assert.strictEqual(await store.purgeExpired(24 * 60 * 60 * 1000), 1);
+    assert.deepStrictEqual((await store.list()).map(({ sessionId }) => sessionId), ['session_new']);
+  });
+}
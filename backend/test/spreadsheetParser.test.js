@@ -0,0 +1,78 @@
+// backend/test/spreadsheetParser.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const XLSX = require('xlsx');
+const spreadsheetParser = require('../services/spreadsheetParser');
+
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'spreadsheet-test-'));
+test.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+// Uploads are stored without their extension, so the parser must not rely on it
+const writeWorkbook = (name, sheet, bookType = 'xlsx') => {
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, sheet, 'Sales');
+  const filePath = path.join(directory, name);
+  fs.writeFileSync(filePath, XLSX.write(workbook, { type: 'buffer', bookType }));
+  return filePath;
+};
+
+test('parse reads the values of a workbook', async () => {
+  const filePath = writeWorkbook('values', XLSX.utils.aoa_to_sheet([['region', 'revenue'], ['North', 100], ['South', 200]]));
+
+  const [sheet] = await spreadsheetParser.parse(filePath);
+
+  assert.strictEqual(sheet.name, 'Sales');
+  assert.strictEqual(sheet.rowCount, 2);
+  assert.deepStrictEqual(sheet.structuredData.data.map(row => row.revenue), [100, 200]);
+});
+
+test('parse refuses workbooks with formulas', async () => {
+  const sheet = XLSX.utils.aoa_to_sheet([['region', 'revenue'], ['North', 100], ['Total', 100]]);
+  sheet.B3 = { t: 'n', v: 100, f: 'SUM(B2:B2)' };
+
+  await assert.rejects(spreadsheetParser.parse(writeWorkbook('formulas', sheet)), /formulas are not supported/);
+});
+
+test('parse refuses legacy binary workbooks', async () => {
+  const filePath = writeWorkbook('legacy', XLSX.utils.aoa_to_sheet([['region', 'revenue'], ['North', 100]]), 'biff8');
+
+  await assert.rejects(spreadsheetParser.parse(filePath), /Legacy binary workbooks/);
+});
+
+// Limits are lowered for a single test
+const withLimit = async (name, value, run) => {
+  const previous = spreadsheetParser[name];
+  spreadsheetParser[name] = value;
+  try {
+    await run();
+  } finally {
+    spreadsheetParser[name] = previous;
+  }
+};
+
+test('parse reads no more rows than a sheet may use', () => withLimit('MAX_ROWS_PER_SHEET', 3, async () => {
+  const rows = [['region', 'revenue'], ...Array.from({ length: 10 }, (_, index) => [`R${index}`, index])];
+
+  const [sheet] = await spreadsheetParser.parse(writeWorkbook('rows', XLSX.utils.aoa_to_sheet(rows)));
+
+  assert.strictEqual(sheet.rowCount, 3);
+}));
+
+test('parse refuses files above the size limit before reading them', () => withLimit('MAX_FILE_SIZE', 10, async () => {
+  const filePath = path.join(directory, 'large');
+  fs.writeFileSync(filePath, 'region,revenue\nNorth,100\n');
+
+  await assert.rejects(spreadsheetParser.parse(filePath), /larger than/);
+}));
+
+test('parse reads CSV text', async () => {
+  const filePath = path.join(directory, 'csv');
+  fs.writeFileSync(filePath, 'region,revenue\nNorth,100\nSouth,200\n');
+
+  const [sheet] = await spreadsheetParser.parse(filePath);
+
+  assert.deepStrictEqual(sheet.structuredData.data.map(row => row.region), ['North', 'South']);
+});
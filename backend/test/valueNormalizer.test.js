@@ -0,0 +1,62 @@
+// backend/test/valueNormalizer.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const valueNormalizer = require('../services/valueNormalizer');
+const calculator = require('../services/calculator');
+
+const parsed = (cell, numberFormat) => {
+  const { value, currency, unit, percent } = valueNormalizer.parse(cell, numberFormat);
+  return { value, currency, unit, percent };
+};
+
+test('parse reads accounting negatives, also around a currency symbol', () => {
+  assert.strictEqual(valueNormalizer.toNumber('(3,400)'), -3400);
+  assert.deepStrictEqual(parsed('-$1,200'), { value: -1200, currency: 'USD', unit: null, percent: false });
+  assert.deepStrictEqual(parsed('($1,200.50)'), { value: -1200.5, currency: 'USD', unit: null, percent: false });
+  assert.strictEqual(valueNormalizer.toNumber('−15'), -15);
+});
+
+test('parse scales magnitudes without floating point noise', () => {
+  assert.strictEqual(valueNormalizer.toNumber('1.2M'), 1200000);
+  assert.strictEqual(valueNormalizer.toNumber('$3.5 bn'), 3500000000);
+  assert.strictEqual(valueNormalizer.toNumber('12k'), 12000);
+  assert.strictEqual(valueNormalizer.toNumber('2,5 Mio.', 'eu'), 2500000);
+});
+
+test('parse records currencies before or after the number and in the document locale', () => {
+  assert.deepStrictEqual(parsed('€ 5.000,00', 'eu'), { value: 5000, currency: 'EUR', unit: null, percent: false });
+  assert.deepStrictEqual(parsed('1,200 CHF'), { value: 1200, currency: 'CHF', unit: null, percent: false });
+  assert.strictEqual(parsed('£40').currency, 'GBP');
+});
+
+test('parse keeps percentages in points and records units', () => {
+  assert.deepStrictEqual(parsed('12.5%'), { value: 12.5, currency: null, unit: null, percent: true });
+  assert.deepStrictEqual(parsed('12.5 kg'), { value: 12.5, currency: null, unit: 'kg', percent: false });
+});
+
+test('parse returns null for text, and isEmpty accepts the usual placeholders', () => {
+  assert.strictEqual(valueNormalizer.parse('pending'), null);
+  assert.strictEqual(valueNormalizer.parse(true), null);
+  assert.ok(['', ' ', '-', '—', 'n/a', 'N/A', null].every(cell => valueNormalizer.isEmpty(cell)));
+  assert.strictEqual(valueNormalizer.isEmpty('0'), false);
+});
+
+test('normalize records the most common currency and flags unreadable cells', () => {
+  const result = valueNormalizer.normalize({
+    data: [{ revenue: '€1.200' }, { revenue: '€300' }, { revenue: 'tbd' }, { revenue: 'n/a' }, { revenue: '$5' }],
+    schema: { measures: [{ name: 'revenue', type: 'number' }], dimensions: [] }
+  }, 'eu');
+
+  assert.deepStrictEqual(result.data.map(row => row.revenue), [1200, 300, null, null, 5]);
+  assert.deepStrictEqual(result.schema.measures[0], { name: 'revenue', type: 'number', currency: 'EUR', format: 'currency' });
+  assert.strictEqual(result.metadata.normalization.unparseableCount, 1);
+  assert.deepStrictEqual(result.metadata.normalization.unparseableCells, [{ row: 2, column: 'revenue', value: 'tbd' }]);
+  assert.deepStrictEqual(result.metadata.normalization.warnings, ['revenue mixes EUR, USD; values are used as written, without conversion']);
+});
+
+test('formatValue shows currency KPIs in the column currency', () => {
+  assert.strictEqual(calculator.formatValue(1200, 'currency', 'EUR'), '€1,200');
+  assert.strictEqual(calculator.formatValue(1200, 'currency'), '$1,200');
+  assert.strictEqual(calculator.currencyOf({ column: 'revenue' }, { measures: [{ name: 'revenue', currency: 'GBP' }] }), 'GBP');
+  assert.strictEqual(calculator.currencyOf({ calculation: 'formula' }, { measures: [{ name: 'a', currency: 'EUR' }, { name: 'b', currency: 'USD' }] }), null);
+});
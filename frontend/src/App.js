@@ -4,9 +4,10 @@ import { ConfigProvider, theme, message } from 'antd';
 import LandingPage from './components/LandingPage';
 import FileUpload from './components/FileUpload';
 import Dashboard from './components/Dashboard';
+import ReviewData from './components/ReviewData';
 
 function App() {
-  const [currentStep, setCurrentStep] = useState('landing'); // landing, upload, dashboard, no-data
+  const [currentStep, setCurrentStep] = useState('landing'); // landing, upload, review, dashboard, no-data
   const [sessionId, setSessionId] = useState(null);
   const [fileInfo, setFileInfo] = useState(null);
   const [isDarkMode, setIsDarkMode] = useState(false);
@@ -21,8 +22,8 @@ function App() {
     setFileInfo(uploadResult.preview);
     
     if (uploadResult.hasData) {
-      setCurrentStep('dashboard');
-      message.success('Dashboard data found! Generating visualizations...');
+      setCurrentStep('review');
+      message.success('Dashboard data found! Review the extracted data before generating the dashboard.');
     } else {
       setCurrentStep('no-data');
       setNoDataReason(uploadResult.reason);
@@ -30,6 +31,14 @@ function App() {
     }
   };
 
+  const handleReviewDone = () => {
+    setCurrentStep('dashboard');
+  };
+
+  const handleReview = () => {
+    setCurrentStep('review');
+  };
+
   const handleBackToUpload = () => {
     setCurrentStep('upload');
     setSessionId(null);
@@ -163,12 +172,25 @@ function App() {
         
         {currentStep === 'no-data' && renderNoDataPage()}
         
+        {currentStep === 'review' && sessionId && (
+          <ReviewData
+            sessionId={sessionId}
+            fileInfo={fileInfo}
+            onConfirm={handleReviewDone}
+            onSkip={handleReviewDone}
+            onBack={handleBackToUpload}
+            onToggleTheme={toggleTheme}
+            isDarkMode={isDarkMode}
+          />
+        )}
+        
         {currentStep === 'dashboard' && sessionId && (
           <Dashboard 
             sessionId={sessionId}
             fileInfo={fileInfo}
             onBack={handleBackToUpload}
             onNewFile={handleBackToLanding}
+            onReview={handleReview}
             onToggleTheme={toggleTheme}
             isDarkMode={isDarkMode}
           />
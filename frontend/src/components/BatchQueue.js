@@ -0,0 +1,128 @@
+// frontend/src/components/BatchQueue.js
+import React from 'react';
+import { List, Progress, Tag, Button, Typography, Space, Alert } from 'antd';
+import { RocketOutlined, StopOutlined, MergeCellsOutlined } from '@ant-design/icons';
+
+const { Text } = Typography;
+
+const STATUS_TAGS = {
+  queued: { color: 'default', label: 'Queued' },
+  running: { color: 'processing', label: 'Processing' },
+  completed: { color: 'success', label: 'Done' },
+  failed: { color: 'error', label: 'Failed' },
+  cancelled: { color: 'warning', label: 'Cancelled' }
+};
+
+// Per-file status of a multi-file upload, with the batch summary once every file is done
+const BatchQueue = ({ batch, isDarkMode, onOpenDashboard, onCancel, onCombine, cancelling }) => {
+  const textColor = isDarkMode ? '#fff' : '#000';
+  const mutedColor = isDarkMode ? '#a0a0a0' : '#666';
+  const { totals } = batch;
+  const finished = batch.status === 'completed';
+
+  const describe = (file) => {
+    if (file.status === 'queued') {
+      return file.queuePosition ? `Waiting in queue (position ${file.queuePosition})` : 'Waiting in queue';
+    }
+    if (file.status === 'running') {
+      return file.message || `${file.stageLabel}...`;
+    }
+    if (file.status === 'failed') {
+      return file.error;
+    }
+    if (file.status === 'cancelled') {
+      return 'Cancelled';
+    }
+    return file.hasData
+      ? `${file.result?.preview?.dataRecords ?? 0} records found`
+      : file.reason || 'No dashboard data found';
+  };
+
+  const fileNames = (files) => files.map(file => file.fileName).join(', ');
+  const withData = batch.files.filter(file => file.hasData === true);
+  const withoutData = batch.files.filter(file => file.hasData === false);
+  const unprocessed = batch.files.filter(file => file.status === 'failed' || file.status === 'cancelled');
+
+  return (
+    <div style={{ textAlign: 'left' }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '16px' }}>
+        <Text strong style={{ color: textColor }}>
+          {finished
+            ? `${totals.withData} of ${totals.files} files produced dashboard data`
+            : `Processing ${totals.files} files (${totals.completed + totals.failed + totals.cancelled} done)`}
+        </Text>
+        {!finished && (
+          <Button icon={<StopOutlined />} onClick={onCancel} loading={cancelling} danger size="small">
+            {cancelling ? 'Cancelling...' : 'Cancel all'}
+          </Button>
+        )}
+      </div>
+
+      <List
+        bordered
+        dataSource={batch.files}
+        style={{ marginBottom: '16px', background: isDarkMode ? '#262626' : '#fff' }}
+        renderItem={(file) => (
+          <List.Item
+            actions={file.hasData ? [
+              <Button
+                key="open"
+                type="link"
+                icon={<RocketOutlined />}
+                onClick={() => onOpenDashboard(file.result)}
+              >
+                View Dashboard
+              </Button>
+            ] : []}
+          >
+            <div style={{ width: '100%' }}>
+              <Space style={{ marginBottom: '4px' }}>
+                <Tag color={STATUS_TAGS[file.status]?.color}>{STATUS_TAGS[file.status]?.label || file.status}</Tag>
+                <Text style={{ color: textColor }}>{file.fileName}</Text>
+              </Space>
+              {file.status === 'running' && (
+                <Progress percent={file.percent} size="small" status="active" style={{ marginBottom: 0 }} />
+              )}
+              <div>
+                <Text style={{ fontSize: '12px', color: file.status === 'failed' ? '#ff4d4f' : mutedColor }}>
+                  {describe(file)}
+                </Text>
+              </div>
+            </div>
+          </List.Item>
+        )}
+      />
+
+      {finished && (
+        <Space direction="vertical" style={{ width: '100%' }}>
+          {withData.length > 0 && (
+            <Alert
+              type="success"
+              showIcon
+              message="Dashboard data found"
+              description={fileNames(withData)}
+              action={withData.length > 1 && onCombine && (
+                <Button
+                  size="small"
+                  type="primary"
+                  icon={<MergeCellsOutlined />}
+                  onClick={() => onCombine(withData.map(file => file.sessionId))}
+                >
+                  Combine into one dashboard
+                </Button>
+              )}
+            />
+          )}
+          {withoutData.length > 0 && (
+            <Alert type="warning" showIcon message="No dashboard data found" description={fileNames(withoutData)} />
+          )}
+          {unprocessed.length > 0 && (
+            <Alert type="error" showIcon message="Not processed" description={fileNames(unprocessed)} />
+          )}
+        </Space>
+      )}
+    </div>
+  );
+};
+
+export default BatchQueue;
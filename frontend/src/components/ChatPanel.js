@@ -0,0 +1,210 @@
+// frontend/src/components/ChatPanel.js
+import React, { useState, useEffect, useRef } from 'react';
+import { Drawer, Input, Button, Typography, Spin, Alert, Collapse, Popconfirm, Empty, Space } from 'antd';
+import { SendOutlined, DeleteOutlined, CalculatorOutlined } from '@ant-design/icons';
+import { apiService } from '../services/api';
+
+const { Text, Paragraph } = Typography;
+
+const EXAMPLE_QUESTIONS = [
+  'Which category has the highest total?',
+  'What is the average value?',
+  'Summarize the key figures'
+];
+
+// The aggregates an answer was based on, as computed on the server
+const renderComputation = (computation) => (
+  <div key={computation.label} style={{ marginBottom: '8px' }}>
+    <Text strong style={{ fontSize: '12px' }}>{computation.label}</Text>
+    {computation.filter && <Text type="secondary" style={{ fontSize: '12px' }}> where {computation.filter}</Text>}
+    {computation.groups ? (
+      <ul style={{ margin: '4px 0 0', paddingLeft: '18px', fontSize: '12px' }}>
+        {computation.groups.map(group => (
+          <li key={group.group}>{group.group}: {group.formattedValue}</li>
+        ))}
+        {computation.totalGroups > computation.groups.length && (
+          <li>... {computation.totalGroups - computation.groups.length} more</li>
+        )}
+      </ul>
+    ) : (
+      <div style={{ fontSize: '12px' }}>{computation.formattedValue}</div>
+    )}
+  </div>
+);
+
+// Side panel for follow-up questions about the document; numbers in answers are computed, not guessed
+const ChatPanel = ({ sessionId, open, onClose, isDarkMode }) => {
+  const [history, setHistory] = useState([]);
+  const [question, setQuestion] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [asking, setAsking] = useState(false);
+  const [error, setError] = useState(null);
+  const bottomRef = useRef(null);
+
+  useEffect(() => {
+    if (!open) return;
+    let active = true;
+
+    setLoading(true);
+    apiService.getChatHistory(sessionId)
+      .then(result => {
+        if (active) {
+          setHistory(result.history || []);
+        }
+      })
+      .catch(error => {
+        if (active) {
+          setError(error.response?.data?.message || error.message);
+        }
+      })
+      .finally(() => {
+        if (active) {
+          setLoading(false);
+        }
+      });
+
+    return () => {
+      active = false;
+    };
+  }, [open, sessionId]);
+
+  useEffect(() => {
+    bottomRef.current?.scrollIntoView({ behavior: 'smooth' });
+  }, [history, asking]);
+
+  const ask = async (text = question) => {
+    const trimmed = text.trim();
+    if (!trimmed || asking) return;
+
+    // Shown right away; replaced by the stored history once the answer arrives
+    setHistory(current => [...current, { role: 'user', content: trimmed, createdAt: new Date().toISOString() }]);
+    setQuestion('');
+    setError(null);
+    setAsking(true);
+
+    try {
+      const result = await apiService.askQuestion(sessionId, trimmed);
+      setHistory(result.history);
+    } catch (error) {
+      setHistory(current => current.slice(0, -1));
+      setQuestion(trimmed);
+      setError(error.response?.data?.message || error.message || 'Could not answer the question');
+    } finally {
+      setAsking(false);
+    }
+  };
+
+  const clearHistory = async () => {
+    try {
+      await apiService.clearChatHistory(sessionId);
+      setHistory([]);
+    } catch (error) {
+      setError(error.response?.data?.message || error.message);
+    }
+  };
+
+  const bubbleStyle = (role) => ({
+    maxWidth: '85%',
+    padding: '8px 12px',
+    borderRadius: '8px',
+    whiteSpace: 'pre-wrap',
+    background: role === 'user'
+      ? '#1890ff'
+      : isDarkMode ? '#262626' : '#f5f5f5',
+    color: role === 'user' ? '#fff' : isDarkMode ? '#fff' : '#000'
+  });
+
+  return (
+    <Drawer
+      title="Ask about this document"
+      placement="right"
+      width={420}
+      open={open}
+      onClose={onClose}
+      extra={history.length > 0 && (
+        <Popconfirm title="Clear the conversation?" onConfirm={clearHistory}>
+          <Button size="small" icon={<DeleteOutlined />}>Clear</Button>
+        </Popconfirm>
+      )}
+      styles={{ body: { display: 'flex', flexDirection: 'column', padding: 0 } }}
+    >
+      <div style={{ flex: 1, overflowY: 'auto', padding: '16px' }}>
+        {loading && <Spin style={{ display: 'block', margin: '40px auto' }} />}
+
+        {!loading && history.length === 0 && (
+          <Empty description="Ask a follow-up question about the figures in this document">
+            <Space direction="vertical">
+              {EXAMPLE_QUESTIONS.map(example => (
+                <Button key={example} size="small" onClick={() => ask(example)}>{example}</Button>
+              ))}
+            </Space>
+          </Empty>
+        )}
+
+        {history.map((entry, index) => (
+          <div
+            key={`${entry.createdAt}-${index}`}
+            style={{
+              display: 'flex',
+              flexDirection: 'column',
+              alignItems: entry.role === 'user' ? 'flex-end' : 'flex-start',
+              marginBottom: '12px'
+            }}
+          >
+            <div style={bubbleStyle(entry.role)}>
+              <Paragraph style={{ margin: 0, color: 'inherit' }}>{entry.content}</Paragraph>
+            </div>
+            {entry.computations?.length > 0 && (
+              <Collapse
+                size="small"
+                ghost
+                style={{ maxWidth: '85%' }}
+                items={[{
+                  key: 'computations',
+                  label: (
+                    <Text type="secondary" style={{ fontSize: '12px' }}>
+                      <CalculatorOutlined /> Computed from {entry.computations.length} aggregate{entry.computations.length > 1 ? 's' : ''}
+                    </Text>
+                  ),
+                  children: entry.computations.map(renderComputation)
+                }]}
+              />
+            )}
+          </div>
+        ))}
+
+        {asking && (
+          <div style={{ marginBottom: '12px' }}>
+            <Spin size="small" /> <Text type="secondary">Computing the answer...</Text>
+          </div>
+        )}
+        <div ref={bottomRef} />
+      </div>
+
+      <div style={{ padding: '12px 16px', borderTop: `1px solid ${isDarkMode ? '#434343' : '#f0f0f0'}` }}>
+        {error && (
+          <Alert type="error" showIcon closable message={error} onClose={() => setError(null)} style={{ marginBottom: '8px' }} />
+        )}
+        <Space.Compact style={{ width: '100%' }}>
+          <Input.TextArea
+            value={question}
+            onChange={(event) => setQuestion(event.target.value)}
+            onPressEnter={(event) => {
+              if (!event.shiftKey) {
+                event.preventDefault();
+                ask();
+              }
+            }}
+            placeholder="e.g. Which quarter had the highest margin?"
+            autoSize={{ minRows: 1, maxRows: 4 }}
+            maxLength={1000}
+            disabled={asking}
+          />
+          <Button type="primary" icon={<SendOutlined />} onClick={() => ask()} loading={asking} />
+        </Space.Compact>
+      </div>
+    </Drawer>
+  );
+};
+
+export default ChatPanel;
@@ -13,7 +13,13 @@ import {
   Spin,
   Alert,
   message,
-  Tag
+  Tag,
+  Select,
+  Popconfirm,
+  Tooltip,
+  Input,
+  Popover,
+  Progress
 } from 'antd';
 import { 
   ArrowLeftOutlined, 
@@ -22,18 +28,125 @@ import {
   MoonOutlined,
   BarChartOutlined,
   FileAddOutlined,
-  ReloadOutlined
+  ReloadOutlined,
+  EditOutlined,
+  PlusOutlined,
+  DeleteOutlined,
+  LeftOutlined,
+  RightOutlined,
+  CheckOutlined,
+  SettingOutlined,
+  MessageOutlined,
+  InfoCircleOutlined,
+  ArrowUpOutlined,
+  ArrowDownOutlined,
+  MinusOutlined,
+  StopOutlined
 } from '@ant-design/icons';
 import ChartContainer from './ChartContainer';
+import DashboardItemEditor from './DashboardItemEditor';
+import ChatPanel from './ChatPanel';
+import DashboardFilters from './DashboardFilters';
+import Sparkline from './Sparkline';
 import { apiService } from '../services/api';
 
 const { Header, Content } = Layout;
 const { Title, Text, Paragraph } = Typography;
 
-const Dashboard = ({ sessionId, fileInfo, onBack, onNewFile, onToggleTheme, isDarkMode }) => {
+// The figures an insight was computed from, e.g. "share: 41.3" or "outliers: row 8: 9,000"
+const formatInsightValue = (value) => {
+  if (Array.isArray(value)) {
+    return value.map(item => (item && typeof item === 'object'
+      ? `row ${item.row + 1}: ${item.value.toLocaleString()}`
+      : String(item))).join(', ');
+  }
+  return typeof value === 'number' ? value.toLocaleString(undefined, { maximumFractionDigits: 2 }) : String(value);
+};
+
+const renderInsightBasis = (insight) => (
+  <div style={{ maxWidth: '320px', fontSize: '12px' }}>
+    {Object.entries(insight.values || {})
+      .filter(([, value]) => value !== null && value !== undefined)
+      .map(([key, value]) => (
+        <div key={key}><Text strong>{key}</Text>: {formatInsightValue(value)}</div>
+      ))}
+    <div style={{ marginTop: '8px' }}>
+      Rows: {insight.rows.map(row => row + 1).join(', ')}
+      {insight.totalRows > insight.rows.length && ` and ${insight.totalRows - insight.rows.length} more`}
+    </div>
+  </div>
+);
+
+const SECTION_LABELS = { kpis: 'KPI', charts: 'chart', calculatedFields: 'calculated field' };
+
+// "median of revenue", "weighted_avg of price by units", "ratio of margin to revenue"
+const describeCalculation = (calculation, column, item) => {
+  if (calculation === 'formula') {
+    return item.formula;
+  }
+  if (calculation === 'ratio' && item.denominatorColumn) {
+    return `ratio of ${column} to ${item.denominatorColumn}`;
+  }
+  const by = item.weightColumn || item.dateColumn;
+  return `${calculation} of ${column}${by ? ` by ${by}` : ''}`;
+};
+
+const SENTIMENT_COLORS = { positive: '#52c41a', negative: '#ff4d4f', neutral: '#8c8c8c' };
+
+// "▲ +12.5% (+1.2K) vs Feb 2024", coloured by whether the change is good for this KPI
+const renderComparison = (comparison) => {
+  if (comparison.delta === null) {
+    return <Text type="secondary" style={{ fontSize: '12px' }}>{comparison.label}</Text>;
+  }
+
+  const Arrow = { up: ArrowUpOutlined, down: ArrowDownOutlined, flat: MinusOutlined }[comparison.direction];
+  const color = SENTIMENT_COLORS[comparison.sentiment];
+
+  return (
+    <Tooltip title={`Previous: ${comparison.formattedPreviousValue}`}>
+      <Text style={{ fontSize: '12px', color }}>
+        <Arrow /> {comparison.formattedDeltaPercent || comparison.formattedDelta}
+        {comparison.formattedDeltaPercent && ` (${comparison.formattedDelta})`}
+      </Text>
+      <Text type="secondary" style={{ fontSize: '12px' }}> {comparison.label}</Text>
+    </Tooltip>
+  );
+};
+
+// The progress line for a job event, null for events that do not change it
+const describeJobEvent = (event) => {
+  switch (event.type) {
+    case 'stage':
+      return event.status === 'running' ? `${event.label}...` : null;
+    case 'progress':
+      return event.message;
+    case 'ai-call':
+      return event.status === 'started' ? 'Waiting for the AI...' : null;
+    default:
+      // Polling fallback and final events carry the whole job
+      return event.job ? event.job.message || `${event.job.stageLabel}...` : null;
+  }
+};
+
+// The global filters as one filter for the API; null when nothing is selected
+const combineFilters = (filters) => {
+  const conditions = Object.values(filters);
+  return conditions.length > 0 ? { and: conditions } : null;
+};
+
+const Dashboard = ({ sessionId, fileInfo, onBack, onNewFile, onReview, onToggleTheme, isDarkMode }) => {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [dashboardData, setDashboardData] = useState(null);
+  const [editMode, setEditMode] = useState(false);
+  const [dashboardConfig, setDashboardConfig] = useState(null);
+  const [editorOptions, setEditorOptions] = useState(null);
+  const [editing, setEditing] = useState(null); // { section, item }, item is null when adding
+  const [chartRequest, setChartRequest] = useState('');
+  const [requestingChart, setRequestingChart] = useState(false);
+  const [chatOpen, setChatOpen] = useState(false);
+  const [filters, setFilters] = useState({}); // column -> condition, see DashboardFilters
+  const [sheetJob, setSheetJob] = useState(null); // { id, sheet, percent, message } while a sheet is processed
 
   useEffect(() => {
     if (sessionId) {
@@ -41,14 +154,14 @@ const Dashboard = ({ sessionId, fileInfo, onBack, onNewFile, onToggleTheme, isDa
     }
   }, [sessionId]);
 
-  const loadDashboard = async () => {
+  const loadDashboard = async (activeFilters = filters) => {
     try {
       setLoading(true);
       setError(null);
 
       console.log('Loading dashboard for session:', sessionId);
 
-      const result = await apiService.generateDashboard(sessionId);
+      const result = await fetchDashboard(activeFilters);
       
       if (result.success) {
         setDashboardData(result.dashboard);
@@ -66,6 +179,196 @@ const Dashboard = ({ sessionId, fileInfo, onBack, onNewFile, onToggleTheme, isDa
     }
   };
 
+  // Filters on a column that no longer exists (after a sheet switch or a deleted field) are dropped
+  const fetchDashboard = async (activeFilters) => {
+    try {
+      return await apiService.generateDashboard(sessionId, combineFilters(activeFilters));
+    } catch (error) {
+      if (error.response?.status !== 400 || !error.response.data?.errors) {
+        throw error;
+      }
+      setFilters({});
+      message.warning('Some filters no longer apply and were cleared');
+      return apiService.generateDashboard(sessionId);
+    }
+  };
+
+  // Recompute KPIs and charts after an edit without replacing the page with the loading screen
+  const refreshDashboard = async (activeFilters = filters) => {
+    const result = await fetchDashboard(activeFilters);
+    if (result.success) {
+      setDashboardData(result.dashboard);
+    }
+  };
+
+  const changeFilters = async (nextFilters) => {
+    setFilters(nextFilters);
+    try {
+      await refreshDashboard(nextFilters);
+    } catch (error) {
+      message.error(error.response?.data?.message || error.message || 'Could not apply the filters');
+    }
+  };
+
+  const toggleEditMode = async () => {
+    if (editMode) {
+      setEditMode(false);
+      return;
+    }
+
+    try {
+      const result = await apiService.getDashboardConfig(sessionId);
+      setDashboardConfig(result.dashboardConfig);
+      setEditorOptions(result.options);
+      setEditMode(true);
+    } catch (error) {
+      message.error('Failed to load the dashboard configuration: ' + (error.response?.data?.message || error.message));
+    }
+  };
+
+  // Calculated fields are offered as measures, so changing them changes the editor options too
+  const applyConfigChange = async (request, successMessage, section) => {
+    const result = await request;
+    setDashboardConfig(result.dashboardConfig);
+    if (section === 'calculatedFields') {
+      const config = await apiService.getDashboardConfig(sessionId);
+      setEditorOptions(config.options);
+    }
+    await refreshDashboard();
+    message.success(successMessage);
+  };
+
+  // Errors are shown by the editor dialog, so they are passed through
+  const saveItem = async (values) => {
+    const { section, item } = editing;
+    await applyConfigChange(
+      item
+        ? apiService.updateDashboardItem(sessionId, section, item.id, values)
+        : apiService.createDashboardItem(sessionId, section, values),
+      item ? 'Dashboard updated' : `Added ${SECTION_LABELS[section]}`,
+      section
+    );
+    setEditing(null);
+  };
+
+  const deleteItem = async (section, itemId) => {
+    try {
+      await applyConfigChange(apiService.deleteDashboardItem(sessionId, section, itemId), 'Removed from the dashboard', section);
+    } catch (error) {
+      message.error('Failed to remove: ' + (error.response?.data?.message || error.message));
+    }
+  };
+
+  const moveItem = async (section, itemId, offset) => {
+    const ids = dashboardConfig[section].map(item => item.id);
+    const index = ids.indexOf(itemId);
+    const target = index + offset;
+
+    if (index === -1 || target < 0 || target >= ids.length) return;
+
+    [ids[index], ids[target]] = [ids[target], ids[index]];
+
+    try {
+      await applyConfigChange(apiService.reorderDashboardItems(sessionId, section, ids), 'Dashboard reordered', section);
+    } catch (error) {
+      message.error('Failed to reorder: ' + (error.response?.data?.message || error.message));
+    }
+  };
+
+  const renderItemActions = (section, itemId) => {
+    const ids = dashboardConfig?.[section]?.map(item => item.id) || [];
+    const index = ids.indexOf(itemId);
+    const item = dashboardConfig?.[section]?.[index];
+
+    if (!item) {
+      return [];
+    }
+
+    return [
+      <Tooltip key="edit" title="Edit">
+        <EditOutlined onClick={() => setEditing({ section, item })} />
+      </Tooltip>,
+      <Tooltip key="earlier" title="Move earlier">
+        <LeftOutlined
+          onClick={() => moveItem(section, itemId, -1)}
+          style={index === 0 ? { opacity: 0.3, pointerEvents: 'none' } : undefined}
+        />
+      </Tooltip>,
+      <Tooltip key="later" title="Move later">
+        <RightOutlined
+          onClick={() => moveItem(section, itemId, 1)}
+          style={index === ids.length - 1 ? { opacity: 0.3, pointerEvents: 'none' } : undefined}
+        />
+      </Tooltip>,
+      <Popconfirm
+        key="delete"
+        title={`Remove this ${SECTION_LABELS[section]}?`}
+        onConfirm={() => deleteItem(section, itemId)}
+      >
+        <DeleteOutlined style={{ color: '#ff4d4f' }} />
+      </Popconfirm>
+    ];
+  };
+
+  const submitChartRequest = async (request) => {
+    if (!request.trim()) return;
+
+    try {
+      setRequestingChart(true);
+      const result = await apiService.requestChart(sessionId, request);
+      setDashboardConfig(result.dashboardConfig);
+      setChartRequest('');
+      await refreshDashboard();
+      message.success(`Added ${SECTION_LABELS[result.section]} "${result.item.title || result.item.name}"`);
+    } catch (error) {
+      message.error(error.response?.data?.message || error.message || 'Could not create the chart');
+    } finally {
+      setRequestingChart(false);
+    }
+  };
+
+  // The other sheet's dashboard is built in a background job, followed like an upload
+  const changeSheet = async (sheet) => {
+    try {
+      setLoading(true);
+      // The other sheet comes with its own dashboard configuration and columns
+      setEditMode(false);
+      setFilters({});
+      const { jobId } = await apiService.selectSheet(sessionId, sheet);
+      setSheetJob({ id: jobId, sheet, percent: 0, message: null });
+
+      const result = await apiService.watchJob(jobId, (event) => {
+        setSheetJob(current => current && {
+          ...current,
+          percent: event.percent ?? event.job?.percent ?? current.percent,
+          message: describeJobEvent(event) || current.message
+        });
+      });
+
+      if (!result.hasData) {
+        message.warning(result.reason || `Sheet "${sheet}" has no dashboard data`);
+      }
+    } catch (error) {
+      if (error.job?.status === 'cancelled') {
+        message.info(`Kept the current sheet, switching to "${sheet}" was cancelled`);
+      } else {
+        message.error('Failed to switch sheet: ' + (error.response?.data?.message || error.message));
+      }
+    } finally {
+      setSheetJob(null);
+      await loadDashboard({});
+    }
+  };
+
+  const cancelSheetChange = async () => {
+    try {
+      await apiService.cancelJob(sheetJob.id);
+    } catch (error) {
+      // The job finished before the cancellation reached it
+      console.error('Cancel error:', error);
+    }
+  };
+
   const exportDashboard = () => {
     try {
       const exportData = {
@@ -106,8 +409,18 @@ const Dashboard = ({ sessionId, fileInfo, onBack, onNewFile, onToggleTheme, isDa
             Generating your AI dashboard...
           </Title>
           <Text style={{ color: isDarkMode ? '#a0a0a0' : '#666' }}>
-            AI is creating intelligent visualizations from your document data
+            {sheetJob
+              ? sheetJob.message || `Processing sheet "${sheetJob.sheet}"...`
+              : 'AI is creating intelligent visualizations from your document data'}
           </Text>
+          {sheetJob && (
+            <div style={{ width: '320px', margin: '16px auto 0' }}>
+              <Progress percent={sheetJob.percent} status="active" />
+              <Button size="small" icon={<StopOutlined />} onClick={cancelSheetChange} style={{ marginTop: '8px' }}>
+                Cancel
+              </Button>
+            </div>
+          )}
         </div>
       </div>
     );
@@ -131,7 +444,7 @@ const Dashboard = ({ sessionId, fileInfo, onBack, onNewFile, onToggleTheme, isDa
           style={{ maxWidth: '600px' }}
           action={
             <Space>
-              <Button size="small" onClick={loadDashboard}>
+              <Button size="small" onClick={() => loadDashboard()}>
                 Retry
               </Button>
               <Button size="small" onClick={onBack}>
@@ -179,14 +492,65 @@ const Dashboard = ({ sessionId, fileInfo, onBack, onNewFile, onToggleTheme, isDa
         </div>
 
         <Space>
+          <Input.Search
+            value={chartRequest}
+            onChange={(event) => setChartRequest(event.target.value)}
+            onSearch={submitChartRequest}
+            placeholder='Ask for a chart, e.g. "revenue by region as a pie"'
+            enterButton={<><PlusOutlined /> Add</>}
+            loading={requestingChart}
+            maxLength={500}
+            style={{ width: '340px' }}
+          />
+
+          {dashboardData?.dataInfo?.sheets?.length > 1 && (
+            <Select
+              value={dashboardData.dataInfo.selectedSheet}
+              onChange={changeSheet}
+              style={{ minWidth: '160px' }}
+              options={dashboardData.dataInfo.sheets.map(sheet => ({
+                value: sheet.name,
+                label: `${sheet.name} (${sheet.rowCount} rows)`,
+                disabled: !sheet.hasData
+              }))}
+            />
+          )}
+
           <Button 
             icon={<ReloadOutlined />}
-            onClick={loadDashboard}
+            onClick={() => loadDashboard()}
             title="Refresh Dashboard"
           >
             Refresh
           </Button>
           
+          <Button 
+            icon={<MessageOutlined />}
+            onClick={() => setChatOpen(true)}
+            title="Ask questions about the document and its data"
+          >
+            Ask
+          </Button>
+
+          <Button 
+            icon={editMode ? <CheckOutlined /> : <SettingOutlined />}
+            onClick={toggleEditMode}
+            type={editMode ? 'primary' : 'default'}
+            title="Change the KPIs and charts of this dashboard"
+          >
+            {editMode ? 'Done Editing' : 'Edit Dashboard'}
+          </Button>
+
+          {onReview && (
+            <Button 
+              icon={<EditOutlined />}
+              onClick={onReview}
+              title="Review and correct the extracted data"
+            >
+              Review Data
+            </Button>
+          )}
+          
           <Button 
             icon={<DownloadOutlined />}
             onClick={exportDashboard}
@@ -227,11 +591,33 @@ const Dashboard = ({ sessionId, fileInfo, onBack, onNewFile, onToggleTheme, isDa
                   <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
                     <span>
                       Dashboard generated from {dashboardData.dataInfo.totalRecords} data records 
-                      extracted via AI analysis
+                      {dashboardData.dataInfo.sources
+                        ? ` combined from ${dashboardData.dataInfo.sources.map(source => source.fileName).join(', ')}`
+                        : ' extracted via AI analysis'}
                     </span>
-                    <Tag color="blue">
-                      Confidence: {dashboardData.dataInfo.confidence}
-                    </Tag>
+                    <Space size={4}>
+                      {dashboardData.dataInfo.review && (
+                        <Tag color="green">Reviewed</Tag>
+                      )}
+                      <Tag color="blue">
+                        Confidence: {dashboardData.dataInfo.confidence}
+                      </Tag>
+                      {dashboardData.dataInfo.normalization && (
+                        <Tooltip
+                          title={[
+                            dashboardData.dataInfo.normalization.unparseableCount > 0 &&
+                              `${dashboardData.dataInfo.normalization.unparseableCount} cell(s) could not be read as numbers and are left out of the figures. Fix them in the review.`,
+                            ...dashboardData.dataInfo.normalization.warnings
+                          ].filter(Boolean).join(' ')}
+                        >
+                          <Tag color="warning" style={{ cursor: onReview ? 'pointer' : 'default' }} onClick={onReview}>
+                            {dashboardData.dataInfo.normalization.unparseableCount > 0
+                              ? `${dashboardData.dataInfo.normalization.unparseableCount} unreadable value(s)`
+                              : 'Mixed units'}
+                          </Tag>
+                        </Tooltip>
+                      )}
+                    </Space>
                   </div>
                 }
                 type="info"
@@ -258,23 +644,76 @@ const Dashboard = ({ sessionId, fileInfo, onBack, onNewFile, onToggleTheme, isDa
               </Card>
             )}
 
+            <DashboardFilters
+              options={dashboardData.filterOptions}
+              filters={filters}
+              onChange={changeFilters}
+              filteredRecords={dashboardData.dataInfo?.filteredRecords}
+              totalRecords={dashboardData.dataInfo?.totalRecords}
+              isDarkMode={isDarkMode}
+            />
+
+            {/* Editor toolbar */}
+            {editMode && (
+              <Card
+                size="small"
+                style={{
+                  marginBottom: '24px',
+                  background: isDarkMode ? '#1f1f1f' : '#fff',
+                  borderColor: isDarkMode ? '#434343' : '#f0f0f0'
+                }}
+              >
+                <Space wrap style={{ width: '100%', justifyContent: 'space-between' }}>
+                  <Text style={{ color: isDarkMode ? '#a0a0a0' : '#666' }}>
+                    Edit, reorder or remove KPIs and charts using the controls on each card.
+                  </Text>
+                  <Space>
+                    <Button icon={<PlusOutlined />} onClick={() => setEditing({ section: 'kpis', item: null })}>
+                      Add KPI
+                    </Button>
+                    <Button icon={<PlusOutlined />} onClick={() => setEditing({ section: 'charts', item: null })}>
+                      Add Chart
+                    </Button>
+                    <Button icon={<PlusOutlined />} onClick={() => setEditing({ section: 'calculatedFields', item: null })}>
+                      Add Calculated Field
+                    </Button>
+                  </Space>
+                </Space>
+                {dashboardConfig?.calculatedFields?.length > 0 && (
+                  <div style={{ marginTop: '12px' }}>
+                    <Text strong style={{ color: isDarkMode ? '#fff' : '#000' }}>Calculated fields</Text>
+                    {dashboardConfig.calculatedFields.map(field => (
+                      <div key={field.id} style={{ display: 'flex', justifyContent: 'space-between', marginTop: '6px' }}>
+                        <Text style={{ color: isDarkMode ? '#a0a0a0' : '#666' }}>
+                          <Text code>{field.name}</Text> = {field.expression}
+                        </Text>
+                        <Space size="middle">{renderItemActions('calculatedFields', field.id)}</Space>
+                      </div>
+                    ))}
+                  </div>
+                )}
+              </Card>
+            )}
+
             {/* KPI Cards */}
             {dashboardData.kpis && dashboardData.kpis.length > 0 && (
               <Row gutter={[16, 16]} style={{ marginBottom: '24px' }}>
                 {dashboardData.kpis.map((kpi, index) => (
-                  <Col xs={24} sm={12} lg={6} key={index}>
+                  <Col xs={24} sm={12} lg={6} key={kpi.id || index}>
                     <Card 
                       size="small"
                       style={{ 
                         background: isDarkMode ? '#1f1f1f' : '#fff',
                         borderColor: isDarkMode ? '#434343' : '#f0f0f0'
                       }}
+                      actions={editMode ? renderItemActions('kpis', kpi.id) : undefined}
                       hoverable
                     >
                       <Statistic
                         title={
                           <span style={{ color: isDarkMode ? '#a0a0a0' : '#666' }}>
                             {kpi.name}
+                            {kpi.period && <Text type="secondary" style={{ fontSize: '12px' }}> · {kpi.period}</Text>}
                           </span>
                         }
                         value={kpi.formattedValue}
@@ -284,11 +723,23 @@ const Dashboard = ({ sessionId, fileInfo, onBack, onNewFile, onToggleTheme, isDa
                           fontWeight: 'bold'
                         }}
                       />
+                      {kpi.comparison && (
+                        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '8px', margin: '4px 0' }}>
+                          <div>{renderComparison(kpi.comparison)}</div>
+                          <Sparkline
+                            points={kpi.sparkline}
+                            color={kpi.comparison.sentiment === 'neutral' ? '#1890ff' : SENTIMENT_COLORS[kpi.comparison.sentiment]}
+                            width={80}
+                            height={24}
+                          />
+                        </div>
+                      )}
                       <Text style={{ 
                         fontSize: '11px', 
                         color: isDarkMode ? '#a0a0a0' : '#999'
                       }}>
-                        {kpi.calculation} of {kpi.column}
+                        {describeCalculation(kpi.calculation, kpi.column, kpi)}
+                        {kpi.filterDescription && ` where ${kpi.filterDescription}`}
                       </Text>
                     </Card>
                   </Col>
@@ -300,13 +751,24 @@ const Dashboard = ({ sessionId, fileInfo, onBack, onNewFile, onToggleTheme, isDa
             {dashboardData.charts && dashboardData.charts.length > 0 && (
               <Row gutter={[16, 16]}>
                 {dashboardData.charts.map((chart, index) => (
-                  <Col xs={24} lg={12} key={index}>
+                  <Col xs={24} lg={12} key={chart.id || index}>
                     <Card 
                       title={
                         <span style={{ color: isDarkMode ? '#fff' : '#000' }}>
                           {chart.title}
+                          {chart.aggregation && chart.aggregation !== 'sum' && (
+                            <Tag style={{ marginLeft: '8px', fontWeight: 'normal' }}>
+                              {describeCalculation(chart.aggregation, chart.measures.join(', '), chart)}
+                            </Tag>
+                          )}
+                          {chart.filterDescription && (
+                            <Tag color="purple" style={{ marginLeft: '8px', fontWeight: 'normal' }}>
+                              {chart.filterDescription}
+                            </Tag>
+                          )}
                         </span>
                       }
+                      extra={editMode ? <Space size="middle">{renderItemActions('charts', chart.id)}</Space> : null}
                       style={{ 
                         background: isDarkMode ? '#1f1f1f' : '#fff',
                         borderColor: isDarkMode ? '#434343' : '#f0f0f0'
@@ -333,7 +795,7 @@ const Dashboard = ({ sessionId, fileInfo, onBack, onNewFile, onToggleTheme, isDa
               <Card 
                 title={
                   <span style={{ color: isDarkMode ? '#fff' : '#000' }}>
-                    AI Insights
+                    Insights
                   </span>
                 }
                 style={{ 
@@ -352,8 +814,15 @@ const Dashboard = ({ sessionId, fileInfo, onBack, onNewFile, onToggleTheme, isDa
                   paddingLeft: '20px'
                 }}>
                   {dashboardData.insights.map((insight, index) => (
-                    <li key={index} style={{ marginBottom: '8px' }}>
-                      {insight}
+                    <li key={insight.id || index} style={{ marginBottom: '8px' }}>
+                      {typeof insight === 'string' ? insight : (
+                        <>
+                          {insight.text}{' '}
+                          <Popover title="Computed from the data" content={renderInsightBasis(insight)}>
+                            <InfoCircleOutlined style={{ color: '#1890ff', cursor: 'pointer' }} />
+                          </Popover>
+                        </>
+                      )}
                     </li>
                   ))}
                 </ul>
@@ -381,6 +850,23 @@ const Dashboard = ({ sessionId, fileInfo, onBack, onNewFile, onToggleTheme, isDa
           </>
         )}
       </Content>
+
+      <ChatPanel
+        sessionId={sessionId}
+        open={chatOpen}
+        onClose={() => setChatOpen(false)}
+        isDarkMode={isDarkMode}
+      />
+
+      {editing && editorOptions && (
+        <DashboardItemEditor
+          section={editing.section}
+          item={editing.item}
+          options={editorOptions}
+          onSave={saveItem}
+          onCancel={() => setEditing(null)}
+        />
+      )}
     </Layout>
   );
 };
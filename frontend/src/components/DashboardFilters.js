@@ -0,0 +1,156 @@
+// frontend/src/components/DashboardFilters.js
+import React from 'react';
+import { Card, Select, Input, InputNumber, Button, Space, Typography } from 'antd';
+import { FilterOutlined, CloseOutlined } from '@ant-design/icons';
+
+const { Text } = Typography;
+
+// Global filters over the whole dashboard. filters maps a column to its condition in the
+// backend filter model ({ column, operator, value }); the dashboard sends them combined with "and".
+const DashboardFilters = ({ options, filters, onChange, filteredRecords, totalRecords, isDarkMode }) => {
+  if (!options || (options.dimensions.length === 0 && options.measures.length === 0)) {
+    return null;
+  }
+
+  const setCondition = (column, condition) => {
+    const next = { ...filters };
+    if (condition) {
+      next[column] = condition;
+    } else {
+      delete next[column];
+    }
+    onChange(next);
+  };
+
+  // Keeps the other bound of a range; the condition is dropped once both bounds are empty
+  const setBound = (column, operator, bound, value) => {
+    const current = filters[column]?.value || {};
+    const next = { ...current, [bound]: value === '' || value === null ? undefined : value };
+    const hasBound = Object.values(next).some(item => item !== undefined);
+    setCondition(column, hasBound ? { column, operator, value: next } : null);
+  };
+
+  const labelStyle = { display: 'block', fontSize: '12px', color: isDarkMode ? '#a0a0a0' : '#666' };
+  const active = Object.keys(filters).length;
+
+  const renderDimension = (dimension) => {
+    if (dimension.type === 'date') {
+      const range = filters[dimension.name]?.value || {};
+      return (
+        <Space.Compact size="small">
+          <Input
+            type="date"
+            size="small"
+            value={range.from || ''}
+            min={dimension.from}
+            max={dimension.to}
+            onChange={(event) => setBound(dimension.name, 'date_range', 'from', event.target.value)}
+          />
+          <Input
+            type="date"
+            size="small"
+            value={range.to || ''}
+            min={dimension.from}
+            max={dimension.to}
+            onChange={(event) => setBound(dimension.name, 'date_range', 'to', event.target.value)}
+          />
+        </Space.Compact>
+      );
+    }
+
+    return (
+      <Select
+        mode="multiple"
+        size="small"
+        allowClear
+        maxTagCount="responsive"
+        placeholder={dimension.totalValues > dimension.values.length ? `First ${dimension.values.length} of ${dimension.totalValues}` : 'All'}
+        style={{ width: '200px' }}
+        value={filters[dimension.name]?.value || []}
+        onChange={(values) => setCondition(dimension.name, values.length > 0
+          ? { column: dimension.name, operator: 'in', value: values }
+          : null)}
+        options={dimension.values.map(value => ({ value, label: String(value) }))}
+      />
+    );
+  };
+
+  // Applied on blur or Enter, so the dashboard is not recomputed on every keystroke
+  const renderMeasure = (measure) => {
+    const range = filters[measure.name]?.value || {};
+    const commit = (bound) => (event) => {
+      const value = parseFloat(String(event.target.value).replace(/,/g, ''));
+      const next = isNaN(value) ? null : value;
+      if (next !== (range[bound] ?? null)) {
+        setBound(measure.name, 'range', bound, next);
+      }
+    };
+
+    return (
+      <Space.Compact size="small">
+        <InputNumber
+          key={`min-${range.min ?? ''}`}
+          size="small"
+          placeholder={measure.min !== null ? `Min ${measure.min.toLocaleString()}` : 'Min'}
+          defaultValue={range.min}
+          onBlur={commit('min')}
+          onPressEnter={commit('min')}
+          style={{ width: '110px' }}
+        />
+        <InputNumber
+          key={`max-${range.max ?? ''}`}
+          size="small"
+          placeholder={measure.max !== null ? `Max ${measure.max.toLocaleString()}` : 'Max'}
+          defaultValue={range.max}
+          onBlur={commit('max')}
+          onPressEnter={commit('max')}
+          style={{ width: '110px' }}
+        />
+      </Space.Compact>
+    );
+  };
+
+  return (
+    <Card
+      size="small"
+      style={{
+        marginBottom: '24px',
+        background: isDarkMode ? '#1f1f1f' : '#fff',
+        borderColor: isDarkMode ? '#434343' : '#f0f0f0'
+      }}
+      title={
+        <Space>
+          <FilterOutlined />
+          <span style={{ color: isDarkMode ? '#fff' : '#000' }}>Filters</span>
+          {active > 0 && (
+            <Text type="secondary" style={{ fontSize: '12px', fontWeight: 'normal' }}>
+              Showing {filteredRecords} of {totalRecords} rows
+            </Text>
+          )}
+        </Space>
+      }
+      extra={active > 0 && (
+        <Button size="small" icon={<CloseOutlined />} onClick={() => onChange({})}>
+          Clear filters
+        </Button>
+      )}
+    >
+      <Space wrap size="middle" align="start">
+        {options.dimensions.map(dimension => (
+          <div key={dimension.name}>
+            <span style={labelStyle}>{dimension.name}</span>
+            {renderDimension(dimension)}
+          </div>
+        ))}
+        {options.measures.map(measure => (
+          <div key={measure.name}>
+            <span style={labelStyle}>{measure.name}</span>
+            {renderMeasure(measure)}
+          </div>
+        ))}
+      </Space>
+    </Card>
+  );
+};
+
+export default DashboardFilters;
@@ -0,0 +1,444 @@
+// frontend/src/components/DashboardItemEditor.js
+import React, { useState } from 'react';
+import { Modal, Form, Input, InputNumber, Select, Alert, Radio, Button, Space, Divider, Typography } from 'antd';
+import { PlusOutlined, MinusCircleOutlined } from '@ant-design/icons';
+
+const { Text } = Typography;
+
+const CALCULATION_LABELS = {
+  sum: 'Sum',
+  avg: 'Average',
+  count: 'Count',
+  max: 'Maximum',
+  min: 'Minimum',
+  median: 'Median',
+  p90: '90th percentile',
+  p95: '95th percentile',
+  stddev: 'Standard deviation',
+  distinct_count: 'Distinct count',
+  weighted_avg: 'Weighted average',
+  first: 'First (earliest)',
+  last: 'Last (latest)',
+  ratio: 'Ratio of sums',
+  formula: 'Formula'
+};
+
+const SECTION_TITLES = { kpis: 'KPI', charts: 'chart', calculatedFields: 'calculated field' };
+
+const PARAMETER_FIELDS = {
+  weightColumn: { label: 'Weighted by', extra: 'Each value counts in proportion to this column' },
+  denominatorColumn: { label: 'Divided by', extra: 'Sum of the column divided by the sum of this one' },
+  dateColumn: { label: 'Ordered by', extra: 'Earliest and latest by this date column; document order when empty' }
+};
+
+const TYPE_LABELS = {
+  bar: 'Bar',
+  line: 'Line',
+  area: 'Area',
+  pie: 'Pie'
+};
+
+const FORMAT_LABELS = {
+  number: 'Number',
+  currency: 'Currency',
+  percent: 'Percent'
+};
+
+const COMPARISON_LABELS = {
+  previous_period: 'Previous period',
+  year_over_year: 'Same period a year earlier',
+  target: 'Target column'
+};
+
+const PERIOD_LABELS = {
+  day: 'Day',
+  week: 'Week',
+  month: 'Month',
+  quarter: 'Quarter',
+  year: 'Year'
+};
+
+const OPERATOR_LABELS = {
+  equals: 'equals',
+  not_equals: 'does not equal',
+  in: 'is one of',
+  range: 'between',
+  contains: 'contains',
+  date_range: 'date between'
+};
+
+// Form values for a filter: a flat list of conditions joined by "and" or "or".
+// Nested groups cannot be edited here; editable is false for them.
+const toFormFilter = (filter) => {
+  if (!filter) {
+    return { editable: true, match: 'and', conditions: [] };
+  }
+  const group = ['and', 'or'].find(key => Array.isArray(filter[key]));
+  const conditions = group ? filter[group] : [filter];
+  if (conditions.some(condition => !condition.column)) {
+    return { editable: false, match: 'and', conditions: [] };
+  }
+
+  return {
+    editable: true,
+    match: group || 'and',
+    conditions: conditions.map(({ column, operator, value }) => ({
+      column,
+      operator,
+      value: ['range', 'date_range'].includes(operator) ? undefined : value,
+      min: value?.min,
+      max: value?.max,
+      from: value?.from,
+      to: value?.to
+    }))
+  };
+};
+
+// Empty bounds are left out; null clears the filter
+const fromFormFilter = (match, conditions = []) => {
+  const filters = conditions.filter(Boolean).map(({ column, operator, value, min, max, from, to }) => {
+    if (operator === 'range') {
+      return { column, operator, value: { ...(min != null && { min }), ...(max != null && { max }) } };
+    }
+    if (operator === 'date_range') {
+      return { column, operator, value: { ...(from && { from }), ...(to && { to }) } };
+    }
+    return { column, operator, value };
+  });
+
+  if (filters.length === 0) return null;
+  return filters.length === 1 ? filters[0] : { [match]: filters };
+};
+
+// The value input for one condition, depending on its operator
+const renderConditionValue = (name, operator) => {
+  switch (operator) {
+    case 'in':
+      return (
+        <Form.Item name={[name, 'value']} noStyle rules={[{ required: true, message: 'Enter values' }]}>
+          <Select mode="tags" placeholder="Values" style={{ width: '180px' }} tokenSeparators={[',']} />
+        </Form.Item>
+      );
+    case 'range':
+      return (
+        <>
+          <Form.Item name={[name, 'min']} noStyle>
+            <InputNumber placeholder="Min" style={{ width: '90px' }} />
+          </Form.Item>
+          <Form.Item name={[name, 'max']} noStyle>
+            <InputNumber placeholder="Max" style={{ width: '90px' }} />
+          </Form.Item>
+        </>
+      );
+    case 'date_range':
+      return (
+        <>
+          <Form.Item name={[name, 'from']} noStyle>
+            <Input type="date" style={{ width: '140px' }} />
+          </Form.Item>
+          <Form.Item name={[name, 'to']} noStyle>
+            <Input type="date" style={{ width: '140px' }} />
+          </Form.Item>
+        </>
+      );
+    default:
+      return (
+        <Form.Item name={[name, 'value']} noStyle rules={[{ required: true, whitespace: true, message: 'Enter a value' }]}>
+          <Input placeholder="Value" style={{ width: '180px' }} />
+        </Form.Item>
+      );
+  }
+};
+
+const toOptions = (values, labels = {}) => values.map(value => ({ value, label: labels[value] || value }));
+
+// Create or edit one KPI, chart or calculated field of the dashboard. item is null when adding a new one.
+const DashboardItemEditor = ({ section, item, options, onSave, onCancel }) => {
+  const [form] = Form.useForm();
+  const [saving, setSaving] = useState(false);
+  const [errors, setErrors] = useState([]);
+  const isKpi = section === 'kpis';
+  const isField = section === 'calculatedFields';
+  const calculation = Form.useWatch(isKpi ? 'calculation' : 'aggregation', form);
+  const comparisonType = Form.useWatch(['comparison', 'type'], form);
+  const parameters = options.calculationParameters || {};
+  const parameterValues = Object.fromEntries(Object.keys(parameters).map(parameter => [parameter, item?.[parameter]]));
+  const formFilter = toFormFilter(item?.filter);
+  // A filter the form cannot show is kept as it is unless it is removed
+  const [keepFilter, setKeepFilter] = useState(!formFilter.editable);
+  const filterValues = { filterMatch: formFilter.match, filterConditions: formFilter.conditions };
+
+  const initialValues = isField
+    ? {
+        name: item?.name,
+        expression: item?.expression,
+        format: item?.format || 'number'
+      }
+    : isKpi
+    ? {
+        name: item?.name,
+        calculation: item?.calculation === 'average' ? 'avg' : item?.calculation || 'sum',
+        column: item?.column || options.measures[0],
+        formula: item?.formula,
+        format: item?.format || 'number',
+        comparison: { ...item?.comparison, higherIsBetter: item?.comparison?.higherIsBetter !== false },
+        ...parameterValues,
+        ...filterValues
+      }
+    : {
+        title: item?.title,
+        type: item?.type || 'bar',
+        measures: item?.measures || options.measures.slice(0, 1),
+        dimension: item?.dimensions?.[0] || options.dimensions[0],
+        aggregation: item?.aggregation || 'sum',
+        ...parameterValues,
+        ...filterValues
+      };
+
+  const handleOk = async () => {
+    try {
+      const values = await form.validateFields();
+      setSaving(true);
+      setErrors([]);
+
+      if (isField) {
+        await onSave(values);
+        return;
+      }
+
+      // Cleared parameters and filters are sent as null so an update removes them
+      const cleared = Object.fromEntries(Object.keys(parameters).map(parameter => [parameter, values[parameter] ?? null]));
+      const { dimension, filterMatch, filterConditions, ...rest } = { ...values, ...cleared };
+      rest.filter = keepFilter ? item.filter : fromFormFilter(filterMatch, filterConditions);
+      if (isKpi) {
+        // Only a rise that is bad is stored, higherIsBetter defaults to true
+        const { higherIsBetter, ...comparison } = rest.comparison || {};
+        rest.comparison = comparison.type ? { ...comparison, ...(higherIsBetter === false && { higherIsBetter }) } : null;
+      }
+      await onSave(isKpi ? rest : { ...rest, dimensions: dimension ? [dimension] : [] });
+    } catch (error) {
+      // Form validation errors are shown on the fields themselves
+      if (!error.errorFields) {
+        const response = error.response?.data;
+        setErrors(response?.errors || [response?.message || error.message]);
+      }
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const columnOptions = isKpi && ['count', 'distinct_count'].includes(calculation)
+    ? [...options.measures, ...options.dimensions]
+    : options.measures;
+
+  const comparisonSection = (
+    <>
+      <Divider orientation="left" plain style={{ margin: '8px 0 16px' }}>Compare with</Divider>
+      <Form.Item name={['comparison', 'type']}>
+        <Select allowClear placeholder="No comparison" options={toOptions(options.comparisonTypes || [], COMPARISON_LABELS)} />
+      </Form.Item>
+      {comparisonType && (
+        <>
+          {comparisonType === 'target' && (
+            <Form.Item
+              name={['comparison', 'targetColumn']}
+              label="Target column"
+              extra="Aggregated the same way as the KPI"
+              rules={[{ required: true, message: 'Select a column' }]}
+            >
+              <Select options={toOptions(options.measures)} />
+            </Form.Item>
+          )}
+          <Form.Item
+            name={['comparison', 'dateColumn']}
+            label="Period column"
+            extra={comparisonType === 'target' ? 'Optional, draws the trend on the card' : 'The latest period is compared'}
+            rules={[{ required: comparisonType !== 'target', message: 'Select a column' }]}
+          >
+            <Select allowClear options={toOptions([...options.dimensions, ...options.measures])} />
+          </Form.Item>
+          {comparisonType !== 'target' && (
+            <Form.Item
+              name={['comparison', 'period']}
+              label="Group dates by"
+              extra={comparisonType === 'year_over_year' ? 'Month when empty' : 'Each distinct value is a period when empty'}
+            >
+              <Select allowClear options={toOptions(options.comparisonPeriods || [], PERIOD_LABELS)} />
+            </Form.Item>
+          )}
+          <Form.Item name={['comparison', 'higherIsBetter']}>
+            <Radio.Group size="small">
+              <Radio.Button value>Higher is better</Radio.Button>
+              <Radio.Button value={false}>Lower is better</Radio.Button>
+            </Radio.Group>
+          </Form.Item>
+        </>
+      )}
+    </>
+  );
+
+  const filterSection = (
+    <>
+      <Divider orientation="left" plain style={{ margin: '8px 0 16px' }}>Only rows where</Divider>
+      {keepFilter ? (
+        <Alert
+          type="info"
+          message="This filter combines nested and/or groups and cannot be edited here."
+          description={<Text code style={{ fontSize: '12px' }}>{JSON.stringify(item.filter)}</Text>}
+          action={<Button size="small" onClick={() => setKeepFilter(false)}>Remove</Button>}
+          style={{ marginBottom: '16px' }}
+        />
+      ) : (
+        <>
+          <Form.Item name="filterMatch" style={{ marginBottom: '12px' }}>
+            <Radio.Group size="small">
+              <Radio.Button value="and">Match all</Radio.Button>
+              <Radio.Button value="or">Match any</Radio.Button>
+            </Radio.Group>
+          </Form.Item>
+          <Form.List name="filterConditions">
+            {(fields, { add, remove }) => (
+              <>
+                {fields.map(({ key, name }) => (
+                  <Space key={key} align="center" wrap style={{ display: 'flex', marginBottom: '8px' }}>
+                    <Form.Item name={[name, 'column']} noStyle rules={[{ required: true, message: 'Select a column' }]}>
+                      <Select placeholder="Column" style={{ width: '140px' }} options={toOptions([...options.dimensions, ...options.measures])} />
+                    </Form.Item>
+                    <Form.Item name={[name, 'operator']} noStyle rules={[{ required: true }]}>
+                      <Select
+                        style={{ width: '130px' }}
+                        options={toOptions(options.filterOperators || [], OPERATOR_LABELS)}
+                        onChange={() => form.setFieldValue(['filterConditions', name, 'value'], undefined)}
+                      />
+                    </Form.Item>
+                    <Form.Item noStyle dependencies={[['filterConditions', name, 'operator']]}>
+                      {() => renderConditionValue(name, form.getFieldValue(['filterConditions', name, 'operator']))}
+                    </Form.Item>
+                    <MinusCircleOutlined onClick={() => remove(name)} />
+                  </Space>
+                ))}
+                <Button type="dashed" size="small" icon={<PlusOutlined />} onClick={() => add({ operator: 'equals' })}>
+                  Add condition
+                </Button>
+              </>
+            )}
+          </Form.List>
+        </>
+      )}
+    </>
+  );
+
+  // The extra columns the selected calculation reads
+  const parameterItems = Object.entries(parameters)
+    .filter(([, parameter]) => parameter.calculations.includes(calculation))
+    .map(([name, parameter]) => (
+      <Form.Item
+        key={name}
+        name={name}
+        label={PARAMETER_FIELDS[name]?.label || name}
+        extra={PARAMETER_FIELDS[name]?.extra}
+        rules={[{ required: parameter.required, message: 'Select a column' }]}
+      >
+        <Select
+          allowClear={!parameter.required}
+          options={toOptions(name === 'dateColumn' ? [...options.dimensions, ...options.measures] : options.measures)}
+        />
+      </Form.Item>
+    ));
+
+  return (
+    <Modal
+      open
+      title={`${item ? 'Edit' : 'Add'} ${SECTION_TITLES[section]}`}
+      okText={item ? 'Save' : 'Add'}
+      onOk={handleOk}
+      onCancel={onCancel}
+      confirmLoading={saving}
+    >
+      <Form form={form} layout="vertical" initialValues={initialValues}>
+        {isField ? (
+          <>
+            <Form.Item name="name" label="Name" rules={[{ required: true, whitespace: true, message: 'Enter a name' }]}>
+              <Input placeholder="e.g. gross_margin" />
+            </Form.Item>
+            <Form.Item
+              name="expression"
+              label="Expression"
+              rules={[{ required: true, whitespace: true, message: 'Enter an expression' }]}
+              extra={`Computed for every row from the measures, e.g. (revenue - cost) / revenue * 100. Functions: ${(options.functions?.row || []).join(', ')}`}
+            >
+              <Input.TextArea autoSize={{ minRows: 2, maxRows: 4 }} placeholder="(revenue - cost) / revenue * 100" />
+            </Form.Item>
+            <Form.Item name="format" label="Format">
+              <Select options={toOptions(options.formats, FORMAT_LABELS)} />
+            </Form.Item>
+          </>
+        ) : isKpi ? (
+          <>
+            <Form.Item name="name" label="Name" extra="Leave empty to name it after the calculation">
+              <Input placeholder="e.g. Total Revenue" />
+            </Form.Item>
+            <Form.Item name="calculation" label="Calculation" rules={[{ required: true }]}>
+              <Select options={toOptions(options.calculations, CALCULATION_LABELS)} />
+            </Form.Item>
+            {calculation === 'formula' ? (
+              <Form.Item
+                name="formula"
+                label="Formula"
+                rules={[{ required: true, whitespace: true, message: 'Enter a formula' }]}
+                extra={`Combine aggregates of the columns: ${(options.functions?.aggregate || []).join(', ')}`}
+              >
+                <Input.TextArea autoSize={{ minRows: 2, maxRows: 4 }} placeholder="sum(revenue - cost) / sum(revenue) * 100" />
+              </Form.Item>
+            ) : (
+              <Form.Item name="column" label="Column" rules={[{ required: true, message: 'Select a column' }]}>
+                <Select options={toOptions(columnOptions)} />
+              </Form.Item>
+            )}
+            {parameterItems}
+            <Form.Item name="format" label="Format">
+              <Select options={toOptions(options.formats, FORMAT_LABELS)} />
+            </Form.Item>
+            {comparisonSection}
+            {filterSection}
+          </>
+        ) : (
+          <>
+            <Form.Item name="title" label="Title" rules={[{ required: true, whitespace: true, message: 'Enter a title' }]}>
+              <Input placeholder="e.g. Revenue by Month" />
+            </Form.Item>
+            <Form.Item name="type" label="Chart type" rules={[{ required: true }]}>
+              <Select options={toOptions(options.chartTypes, TYPE_LABELS)} />
+            </Form.Item>
+            <Form.Item name="measures" label="Measures" rules={[{ required: true, message: 'Select at least one measure' }]}>
+              <Select mode="multiple" options={toOptions(options.measures)} />
+            </Form.Item>
+            <Form.Item name="dimension" label="Group by" extra="Rows are aggregated per value of this column">
+              <Select allowClear options={toOptions(options.dimensions)} />
+            </Form.Item>
+            <Form.Item name="aggregation" label="Aggregation">
+              <Select options={toOptions(options.calculations, CALCULATION_LABELS)} />
+            </Form.Item>
+            {parameterItems}
+            {filterSection}
+          </>
+        )}
+      </Form>
+
+      {errors.length > 0 && (
+        <Alert
+          type="error"
+          showIcon
+          message="The change could not be saved"
+          description={
+            <ul style={{ margin: 0, paddingLeft: '20px' }}>
+              {errors.map((error, index) => <li key={index}>{error}</li>)}
+            </ul>
+          }
+        />
+      )}
+    </Modal>
+  );
+};
+
+export default DashboardItemEditor;
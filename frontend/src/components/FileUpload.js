@@ -1,5 +1,5 @@
 // frontend/src/components/FileUpload.js
-import React, { useState } from 'react';
+import React, { useEffect, useRef, useState } from 'react';
 import { 
   Upload, 
   Button, 
@@ -12,7 +12,8 @@ import {
   Col,
   Switch,
   Spin,
-  Descriptions
+  Descriptions,
+  Steps
 } from 'antd';
 import { 
   InboxOutlined, 
@@ -23,13 +24,35 @@ import {
   MoonOutlined,
   BarChartOutlined,
   RocketOutlined,
-  LoadingOutlined
+  LoadingOutlined,
+  StopOutlined,
+  CloseCircleOutlined
 } from '@ant-design/icons';
 import { apiService } from '../services/api';
+import BatchQueue from './BatchQueue';
+import SessionCombiner from './SessionCombiner';
 
 const { Title, Paragraph, Text } = Typography;
 const { Dragger } = Upload;
 
+const STEP_STATUS = {
+  running: 'process',
+  completed: 'finish',
+  failed: 'error',
+  cancelled: 'error'
+};
+
+const formatDuration = (ms) => (ms < 1000 ? `${ms} ms` : `${(ms / 1000).toFixed(1)} s`);
+
+// Stage entries arrive twice (started, then finished with timing): keep the latest per stage
+const mergeStage = (stages, update) => {
+  const index = stages.findIndex(stage => stage.stage === update.stage);
+  if (index === -1) {
+    return [...stages, update];
+  }
+  return stages.map((stage, i) => (i === index ? { ...stage, ...update } : stage));
+};
+
 const FileUpload = ({ onFileUploaded, onBack, onToggleTheme, isDarkMode }) => {
   const [uploading, setUploading] = useState(false);
   const [processing, setProcessing] = useState(false);
@@ -38,6 +61,21 @@ const FileUpload = ({ onFileUploaded, onBack, onToggleTheme, isDarkMode }) => {
   const [error, setError] = useState(null);
   const [success, setSuccess] = useState(false);
   const [uploadResult, setUploadResult] = useState(null);
+  const [jobId, setJobId] = useState(null);
+  const [processingPercent, setProcessingPercent] = useState(0);
+  const [cancelling, setCancelling] = useState(false);
+  const [stages, setStages] = useState([]);
+  const [batch, setBatch] = useState(null);
+  const [uploadCount, setUploadCount] = useState(1);
+  const [combining, setCombining] = useState(false);
+  // Aborted on unmount, so jobs are no longer followed once the screen is left
+  const watching = useRef(new AbortController());
+
+  useEffect(() => {
+    const controller = new AbortController();
+    watching.current = controller;
+    return () => controller.abort();
+  }, []);
 
   const handleUpload = async (file) => {
     try {
@@ -48,34 +86,34 @@ const FileUpload = ({ onFileUploaded, onBack, onToggleTheme, isDarkMode }) => {
       setSuccess(false);
       setUploadResult(null);
       setProcessingStage('');
+      setProcessingPercent(0);
+      setJobId(null);
+      setCancelling(false);
+      setStages([]);
+      setBatch(null);
+      setUploadCount(1);
 
       console.log('Starting file upload:', file.name);
 
-      // Upload file with progress
-      const result = await apiService.uploadFile(file, (progress) => {
+      // Upload file with progress, the server answers with a processing job
+      const { jobId: uploadJobId } = await apiService.uploadFile(file, (progress) => {
         setUploadProgress(progress);
         if (progress === 100) {
           setUploading(false);
           setProcessing(true);
-          setProcessingStage('Extracting text from document...');
+          setProcessingStage('Waiting to start...');
         }
       });
 
-      // Simulate processing stages for better UX
-      const stages = [
-        'Extracting text from document...',
-        'Analyzing content with AI...',
-        'Checking for numerical data...',
-        'Generating dashboard structure...',
-        'Finalizing results...'
-      ];
-
-      for (let i = 0; i < stages.length; i++) {
-        setProcessingStage(stages[i]);
-        await new Promise(resolve => setTimeout(resolve, 1000));
-      }
+      setUploading(false);
+      setProcessing(true);
+      setJobId(uploadJobId);
+
+      // Follow the live pipeline events until the result is ready
+      const result = await apiService.watchJob(uploadJobId, handleJobEvent, { signal: watching.current.signal });
 
       setProcessing(false);
+      setJobId(null);
       setSuccess(true);
       setUploadResult(result);
 
@@ -87,52 +125,244 @@ const FileUpload = ({ onFileUploaded, onBack, onToggleTheme, isDarkMode }) => {
       }, 2000);
 
     } catch (error) {
+      if (watching.current.signal.aborted) return;
       console.error('Upload error:', error);
-      setError(error.message || 'Upload failed. Please try again.');
       setUploading(false);
       setProcessing(false);
       setUploadProgress(0);
+      setJobId(null);
+      setCancelling(false);
+
+      if (error.job?.status !== 'cancelled') {
+        setError(error.response?.data?.message || error.message || 'Upload failed. Please try again.');
+      } else {
+        setStages([]);
+      }
+    }
+  };
+
+  // Several files at once: they are queued server-side and followed through the batch summary
+  const handleBatchUpload = async (files) => {
+    try {
+      setUploading(true);
+      setError(null);
+      setUploadProgress(0);
+      setSuccess(false);
+      setUploadResult(null);
+      setCancelling(false);
+      setStages([]);
+      setBatch(null);
+      setUploadCount(files.length);
+
+      console.log(`Starting batch upload of ${files.length} files`);
+
+      const { batchId } = await apiService.uploadFiles(files, setUploadProgress);
+
+      setUploading(false);
+      const summary = await apiService.waitForBatch(batchId, setBatch, { signal: watching.current.signal });
+
+      setCancelling(false);
+      console.log('Batch completed:', summary.totals);
+
+    } catch (error) {
+      if (watching.current.signal.aborted) return;
+      console.error('Batch upload error:', error);
+      setUploading(false);
+      setUploadProgress(0);
+      setCancelling(false);
+      setError(error.response?.data?.message || error.message || 'Upload failed. Please try again.');
+    }
+  };
+
+  // One dashboard over several processed documents (from a batch or picked in SessionCombiner),
+  // built by a job that is followed like an upload
+  const handleCombine = async (sessionIds) => {
+    try {
+      setError(null);
+      setSuccess(false);
+      setUploadResult(null);
+      setProcessingStage('');
+      setProcessingPercent(0);
+      setJobId(null);
+      setCancelling(false);
+      setStages([]);
+      setUploadCount(sessionIds.length);
+
+      const { jobId: combineJobId } = await apiService.combineSessions(sessionIds);
+
+      setCombining(true);
+      setProcessing(true);
+      setProcessingStage('Waiting to start...');
+      setJobId(combineJobId);
+
+      const result = await apiService.watchJob(combineJobId, handleJobEvent, { signal: watching.current.signal });
+
+      setProcessing(false);
+      setCombining(false);
+      setJobId(null);
+      onFileUploaded(result);
+    } catch (error) {
+      if (watching.current.signal.aborted) return;
+      console.error('Combine error:', error);
+      setProcessing(false);
+      setCombining(false);
+      setJobId(null);
+      setCancelling(false);
+
+      if (error.job?.status !== 'cancelled') {
+        setError(error.response?.data?.message || error.message || 'Could not combine the documents');
+      } else {
+        setStages([]);
+      }
+    }
+  };
+
+  const handleBatchCancel = async () => {
+    if (!batch) return;
+
+    try {
+      setCancelling(true);
+      await apiService.cancelBatch(batch.id);
+    } catch (error) {
+      console.error('Cancel error:', error);
+      setCancelling(false);
+    }
+  };
+
+  const handleJobEvent = (event) => {
+    if (event.percent !== undefined) {
+      setProcessingPercent(event.percent);
+    }
+
+    switch (event.type) {
+      case 'stage':
+        setStages(current => mergeStage(current, event));
+        if (event.status === 'running') {
+          setProcessingStage(`${event.label}...`);
+        }
+        break;
+      case 'progress':
+        setProcessingStage(event.message);
+        break;
+      case 'ai-call':
+        if (event.status === 'started') {
+          setProcessingStage(`Waiting for the AI (${event.provider})...`);
+        } else if (event.status === 'finished') {
+          setProcessingStage(`AI answered in ${formatDuration(event.durationMs)}`);
+        }
+        break;
+      default:
+        // Polling fallback and final events carry the whole job
+        if (event.job) {
+          setStages(event.job.stages || []);
+          setProcessingPercent(event.job.percent);
+          setProcessingStage(event.job.message || `${event.job.stageLabel}...`);
+        }
+    }
+  };
+
+  const renderStages = () => stages.length > 0 && (
+    <Steps
+      direction="vertical"
+      size="small"
+      style={{ textAlign: 'left', maxWidth: '420px', margin: '0 auto 16px' }}
+      items={stages.map(stage => ({
+        title: <span style={{ color: isDarkMode ? '#fff' : '#000' }}>{stage.label}</span>,
+        status: STEP_STATUS[stage.status],
+        icon: stage.status === 'running' ? <LoadingOutlined />
+          : stage.status === 'failed' ? <CloseCircleOutlined />
+          : undefined,
+        description: (
+          <span style={{ color: stage.status === 'failed' ? '#ff4d4f' : (isDarkMode ? '#a0a0a0' : '#666') }}>
+            {stage.durationMs !== null && stage.durationMs !== undefined && formatDuration(stage.durationMs)}
+            {stage.error && ` - ${stage.error}`}
+          </span>
+        )
+      }))}
+    />
+  );
+
+  const handleCancel = async () => {
+    if (!jobId) return;
+
+    try {
+      setCancelling(true);
+      await apiService.cancelJob(jobId);
+    } catch (error) {
+      // The job finished before the cancellation reached it
+      console.error('Cancel error:', error);
+      setCancelling(false);
     }
   };
 
   const uploadProps = {
     name: 'file',
-    multiple: false,
-    accept: '.pdf,.png,.jpg,.jpeg',
+    multiple: true,
+    accept: '.pdf,.png,.jpg,.jpeg,.docx,.pptx,.csv,.xlsx',
     showUploadList: false,
-    beforeUpload: (file) => {
-      // Validate file type
-      const isValidType = file.type === 'application/pdf' || 
-                         file.type === 'image/png' ||
-                         file.type === 'image/jpeg' ||
-                         file.type === 'image/jpg' ||
-                         file.name.toLowerCase().endsWith('.pdf') ||
-                         file.name.toLowerCase().endsWith('.png') ||
-                         file.name.toLowerCase().endsWith('.jpg') ||
-                         file.name.toLowerCase().endsWith('.jpeg');
-
-      if (!isValidType) {
-        setError('Please upload only PDF or image files (PNG, JPG, JPEG)');
+    beforeUpload: (file, fileList) => {
+      // Called once per selected file: the whole selection is handled with its first file
+      if (file.uid !== fileList[0].uid) {
         return false;
       }
 
-      // Validate file size (50MB for PDF, 20MB for images)
-      const maxSize = file.type === 'application/pdf' ? 50 * 1024 * 1024 : 20 * 1024 * 1024;
-      if (file.size > maxSize) {
-        const limit = file.type === 'application/pdf' ? '50MB' : '20MB';
-        setError(`File size must be less than ${limit}`);
-        return false;
-      }
+      const problems = [];
+      const accepted = fileList.filter(candidate => {
+        const problem = validateFile(candidate);
+        if (problem) {
+          problems.push(fileList.length > 1 ? `${candidate.name}: ${problem}` : problem);
+        }
+        return !problem;
+      });
+
+      setError(problems.length > 0 ? problems.join('; ') : null);
 
-      handleUpload(file);
+      if (accepted.length === 1) {
+        handleUpload(accepted[0]);
+      } else if (accepted.length > 1) {
+        handleBatchUpload(accepted);
+      }
       return false; // Prevent default upload
     }
   };
 
+  // Returns why a file cannot be uploaded, or null when it is fine
+  const validateFile = (file) => {
+    // Validate file type
+    const isValidType = file.type === 'application/pdf' || 
+                       file.type === 'image/png' ||
+                       file.type === 'image/jpeg' ||
+                       file.type === 'image/jpg' ||
+                       file.name.toLowerCase().endsWith('.pdf') ||
+                       file.name.toLowerCase().endsWith('.png') ||
+                       file.name.toLowerCase().endsWith('.jpg') ||
+                       file.name.toLowerCase().endsWith('.jpeg') ||
+                       file.name.toLowerCase().endsWith('.docx') ||
+                       file.name.toLowerCase().endsWith('.pptx') ||
+                       file.name.toLowerCase().endsWith('.csv') ||
+                       file.name.toLowerCase().endsWith('.xlsx');
+
+    if (!isValidType) {
+      return 'Please upload only PDF, image (PNG, JPG, JPEG), Office (DOCX, PPTX) or spreadsheet (CSV, XLSX) files';
+    }
+
+    // Validate file size (50MB for PDF and Office documents, 20MB for images and spreadsheets)
+    const isLargeFormat = file.type === 'application/pdf' || /\.(pdf|docx|pptx)$/i.test(file.name);
+    const maxSize = isLargeFormat ? 50 * 1024 * 1024 : 20 * 1024 * 1024;
+    if (file.size > maxSize) {
+      const limit = isLargeFormat ? '50MB' : '20MB';
+      return `File size must be less than ${limit}`;
+    }
+
+    return null;
+  };
+
   const supportedFormats = [
     { type: 'PDF', description: 'Documents with tables and data', icon: '📄', maxSize: '50MB' },
     { type: 'PNG', description: 'Screenshots of data tables', icon: '🖼️', maxSize: '20MB' },
-    { type: 'JPEG', description: 'Photos of documents', icon: '📸', maxSize: '20MB' }
+    { type: 'JPEG', description: 'Photos of documents', icon: '📸', maxSize: '20MB' },
+    { type: 'DOCX / PPTX', description: 'Reports and slide decks with tables', icon: '📝', maxSize: '50MB' },
+    { type: 'CSV / XLSX', description: 'Spreadsheets, read without AI extraction', icon: '📊', maxSize: '20MB' }
   ];
 
   return (
@@ -185,11 +415,11 @@ const FileUpload = ({ onFileUploaded, onBack, onToggleTheme, isDarkMode }) => {
                 Upload Your Document
               </Title>
               <Paragraph style={{ fontSize: '16px', color: isDarkMode ? '#a0a0a0' : '#666' }}>
-                Upload PDF documents or images containing numerical data for dashboard creation
+                Upload PDF, Word or PowerPoint documents, images or spreadsheets containing numerical data for dashboard creation
               </Paragraph>
             </div>
 
-            {!uploading && !processing && !success && (
+            {!uploading && !processing && !success && !batch && (
               <Dragger 
                 {...uploadProps}
                 style={{ 
@@ -202,12 +432,12 @@ const FileUpload = ({ onFileUploaded, onBack, onToggleTheme, isDarkMode }) => {
                   <InboxOutlined style={{ fontSize: '48px', color: '#1890ff' }} />
                 </p>
                 <Title level={4} style={{ color: isDarkMode ? '#fff' : '#000' }}>
-                  Click or drag document to this area to upload
+                  Click or drag documents to this area to upload
                 </Title>
                 <Paragraph style={{ color: isDarkMode ? '#a0a0a0' : '#666' }}>
-                  Support for PDF documents and images (PNG, JPG, JPEG).
+                  Support for PDF, Word and PowerPoint documents, images (PNG, JPG, JPEG) and spreadsheets (CSV, XLSX).
                   <br />
-                  AI will analyze the content for numerical data.
+                  AI will analyze the content for numerical data. Select several files to process them as a batch.
                 </Paragraph>
               </Dragger>
             )}
@@ -216,7 +446,7 @@ const FileUpload = ({ onFileUploaded, onBack, onToggleTheme, isDarkMode }) => {
               <div style={{ textAlign: 'center', padding: '40px' }}>
                 <Spin size="large" indicator={<LoadingOutlined style={{ fontSize: 24 }} />} />
                 <Title level={4} style={{ marginTop: '24px', marginBottom: '16px', color: isDarkMode ? '#fff' : '#000' }}>
-                  Uploading your document...
+                  {uploadCount > 1 ? `Uploading ${uploadCount} documents...` : 'Uploading your document...'}
                 </Title>
                 <Progress 
                   percent={uploadProgress} 
@@ -234,7 +464,7 @@ const FileUpload = ({ onFileUploaded, onBack, onToggleTheme, isDarkMode }) => {
               <div style={{ textAlign: 'center', padding: '40px' }}>
                 <Spin size="large" indicator={<LoadingOutlined style={{ fontSize: 24 }} />} />
                 <Title level={4} style={{ marginTop: '24px', marginBottom: '16px', color: isDarkMode ? '#fff' : '#000' }}>
-                  AI is analyzing your document...
+                  {combining ? `Combining ${uploadCount} documents...` : 'AI is analyzing your document...'}
                 </Title>
                 <Paragraph style={{ 
                   color: '#1890ff',
@@ -244,9 +474,46 @@ const FileUpload = ({ onFileUploaded, onBack, onToggleTheme, isDarkMode }) => {
                 }}>
                   {processingStage}
                 </Paragraph>
+                <Progress 
+                  percent={processingPercent} 
+                  status="active"
+                  strokeColor="#1890ff"
+                  style={{ marginBottom: '16px' }}
+                />
+                {renderStages()}
                 <Paragraph style={{ color: isDarkMode ? '#a0a0a0' : '#666' }}>
                   This may take a few moments for large documents
                 </Paragraph>
+                {jobId && (
+                  <Button 
+                    icon={<StopOutlined />} 
+                    onClick={handleCancel} 
+                    loading={cancelling}
+                    danger
+                  >
+                    {cancelling ? 'Cancelling...' : 'Cancel'}
+                  </Button>
+                )}
+              </div>
+            )}
+
+            {batch && !processing && (
+              <div style={{ padding: '8px 0' }}>
+                <BatchQueue
+                  batch={batch}
+                  isDarkMode={isDarkMode}
+                  onOpenDashboard={onFileUploaded}
+                  onCancel={handleBatchCancel}
+                  onCombine={handleCombine}
+                  cancelling={cancelling}
+                />
+                {batch.status === 'completed' && (
+                  <div style={{ textAlign: 'center', marginTop: '16px' }}>
+                    <Button icon={<InboxOutlined />} onClick={() => setBatch(null)}>
+                      Upload more documents
+                    </Button>
+                  </div>
+                )}
               </div>
             )}
 
@@ -332,6 +599,8 @@ const FileUpload = ({ onFileUploaded, onBack, onToggleTheme, isDarkMode }) => {
               </div>
             )}
 
+            {error && !processing && renderStages()}
+
             {error && (
               <Alert
                 message="Processing Error"
@@ -340,7 +609,7 @@ const FileUpload = ({ onFileUploaded, onBack, onToggleTheme, isDarkMode }) => {
                 showIcon
                 style={{ marginTop: '16px' }}
                 action={
-                  <Button size="small" onClick={() => setError(null)}>
+                  <Button size="small" onClick={() => { setError(null); setStages([]); }}>
                     Try Again
                   </Button>
                 }
@@ -348,6 +617,14 @@ const FileUpload = ({ onFileUploaded, onBack, onToggleTheme, isDarkMode }) => {
             )}
           </Card>
 
+          {!uploading && !processing && (
+            <SessionCombiner
+              isDarkMode={isDarkMode}
+              onCombine={handleCombine}
+              refreshKey={`${success}-${batch?.status}`}
+            />
+          )}
+
           {/* Supported Formats */}
           <Card 
             title={
@@ -0,0 +1,469 @@
+// frontend/src/components/ReviewData.js
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  Table,
+  Input,
+  Select,
+  Button,
+  Card,
+  Row,
+  Col,
+  Space,
+  Switch,
+  Spin,
+  Alert,
+  Tag,
+  Tooltip,
+  Typography,
+  message
+} from 'antd';
+import {
+  ArrowLeftOutlined,
+  SunOutlined,
+  MoonOutlined,
+  BarChartOutlined,
+  PlusOutlined,
+  DeleteOutlined,
+  CheckOutlined,
+  FileTextOutlined
+} from '@ant-design/icons';
+import { apiService } from '../services/api';
+
+const { Title, Text } = Typography;
+
+const TYPE_OPTIONS = [
+  { value: 'number', label: 'Number' },
+  { value: 'string', label: 'Text' },
+  { value: 'date', label: 'Date' }
+];
+
+const STATUS_TAGS = {
+  verified: { color: 'success', label: 'Verified' },
+  partial: { color: 'warning', label: 'Partial' },
+  unverified: { color: 'default', label: 'Not found' },
+  edited: { color: 'processing', label: 'Edited' },
+  manual: { color: 'purple', label: 'Added' }
+};
+
+// Columns are keyed by their extracted name so renaming one does not have to re-key every row.
+// The currency or unit detected for a measure is kept for as long as it stays a number column.
+const buildColumns = (schema) => [
+  ...(schema?.measures || []).map(column => ({
+    key: column.name,
+    name: column.name,
+    type: 'number',
+    currency: column.currency,
+    unit: column.unit
+  })),
+  ...(schema?.dimensions || []).map(column => ({ key: column.name, name: column.name, type: column.type || 'string' }))
+];
+
+const buildRows = (records) => (records || []).map((record, index) => ({
+  key: `row_${index}`,
+  sourceIndex: index,
+  edited: false,
+  values: { ...record }
+}));
+
+// Review what was extracted before the dashboard is generated: fix values, rename/retype columns,
+// delete junk rows and add missing ones, with the source text alongside
+const ReviewData = ({ sessionId, fileInfo, onConfirm, onSkip, onBack, onToggleTheme, isDarkMode }) => {
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [validationErrors, setValidationErrors] = useState([]);
+  const [rawData, setRawData] = useState(null);
+  const [columns, setColumns] = useState([]);
+  const [rows, setRows] = useState([]);
+  const [selectedKey, setSelectedKey] = useState(null);
+  const [nextRowId, setNextRowId] = useState(0);
+  const highlightRef = useRef(null);
+
+  const textColor = isDarkMode ? '#fff' : '#000';
+  const mutedColor = isDarkMode ? '#a0a0a0' : '#666';
+
+  useEffect(() => {
+    let active = true;
+
+    apiService.getRawData(sessionId)
+      .then(result => {
+        if (!active) return;
+        const data = result.rawData;
+        setRawData(data);
+        setColumns(buildColumns(data.schema));
+        setRows(buildRows(data.structuredData));
+        setNextRowId(data.structuredData?.length || 0);
+      })
+      .catch(error => {
+        if (active) {
+          setError(error.response?.data?.message || error.message || 'Could not load the extracted data');
+        }
+      })
+      .finally(() => {
+        if (active) {
+          setLoading(false);
+        }
+      });
+
+    return () => {
+      active = false;
+    };
+  }, [sessionId]);
+
+  const selectedRow = rows.find(row => row.key === selectedKey);
+  const provenance = selectedRow && selectedRow.sourceIndex !== null
+    ? rawData?.recordProvenance?.[selectedRow.sourceIndex]
+    : null;
+
+  // Offsets of combined sessions point into the source documents' text, so only the snippet is shown for them
+  const highlight = provenance && provenance.start !== null && provenance.start !== undefined && !provenance.sourceSessionId
+    ? { start: provenance.start, end: provenance.end }
+    : null;
+
+  useEffect(() => {
+    highlightRef.current?.scrollIntoView({ block: 'center', behavior: 'smooth' });
+  }, [selectedKey]);
+
+  // Extracted cells that were not numbers, by "sourceIndex:column", with the text they held
+  const normalization = rawData?.metadata?.normalization;
+  const unreadable = Object.fromEntries(
+    (normalization?.unparseableCells || []).map(cell => [`${cell.row}:${cell.column}`, cell.value])
+  );
+
+  const updateCell = (rowKey, columnKey, value) => {
+    setRows(rows.map(row => (row.key === rowKey
+      ? { ...row, edited: true, values: { ...row.values, [columnKey]: value } }
+      : row)));
+  };
+
+  const updateColumn = (columnKey, changes) => {
+    setColumns(columns.map(column => (column.key === columnKey ? { ...column, ...changes } : column)));
+  };
+
+  const addRow = () => {
+    const key = `row_${nextRowId}`;
+    setRows([...rows, { key, sourceIndex: null, edited: true, values: {} }]);
+    setNextRowId(nextRowId + 1);
+    setSelectedKey(key);
+  };
+
+  const deleteRow = (rowKey) => {
+    setRows(rows.filter(row => row.key !== rowKey));
+    if (selectedKey === rowKey) {
+      setSelectedKey(null);
+    }
+  };
+
+  const handleSave = async () => {
+    try {
+      setSaving(true);
+      setValidationErrors([]);
+
+      const schema = {
+        measures: columns.filter(column => column.type === 'number').map(column => ({
+          name: column.name,
+          type: 'number',
+          ...(column.currency && { currency: column.currency }),
+          ...(column.unit && { unit: column.unit })
+        })),
+        dimensions: columns.filter(column => column.type !== 'number').map(column => ({ name: column.name, type: column.type }))
+      };
+
+      const data = rows.map(row => Object.fromEntries(
+        columns.map(column => [column.name, row.values[column.key] ?? null])
+      ));
+
+      // Renames are sent by extracted name so the server can carry them into the proposed dashboard
+      const columnRenames = Object.fromEntries(
+        columns.filter(column => column.name !== column.key).map(column => [column.key, column.name])
+      );
+
+      const result = await apiService.saveSessionData(sessionId, {
+        data,
+        schema,
+        sourceIndexes: rows.map(row => row.sourceIndex),
+        columnRenames
+      });
+
+      message.success(`Saved ${result.dataRecords} reviewed records`);
+      onConfirm(result);
+    } catch (error) {
+      const response = error.response?.data;
+      if (response?.errors) {
+        setValidationErrors(response.errors);
+      } else {
+        message.error(response?.message || error.message || 'Could not save the reviewed data');
+      }
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const renderRowStatus = (row) => {
+    const status = row.sourceIndex === null
+      ? 'manual'
+      : row.edited ? 'edited' : rawData?.recordProvenance?.[row.sourceIndex]?.status;
+    const tag = STATUS_TAGS[status];
+    return tag ? <Tag color={tag.color}>{tag.label}</Tag> : null;
+  };
+
+  const tableColumns = [
+    ...columns.map(column => ({
+      key: column.key,
+      width: 180,
+      title: (
+        <Space direction="vertical" size={4} style={{ width: '100%' }}>
+          <Input
+            size="small"
+            value={column.name}
+            onChange={(event) => updateColumn(column.key, { name: event.target.value })}
+            status={column.name.trim() ? '' : 'error'}
+          />
+          <Space.Compact size="small" style={{ width: '100%' }}>
+            <Select
+              size="small"
+              value={column.type}
+              options={TYPE_OPTIONS}
+              onChange={(type) => updateColumn(column.key, { type })}
+              style={{ width: '100%' }}
+            />
+            {column.type === 'number' && (column.currency || column.unit) && (
+              <Tooltip title={column.currency ? 'Detected currency' : 'Detected unit'}>
+                <Tag style={{ margin: 0, lineHeight: '22px' }}>{column.currency || column.unit}</Tag>
+              </Tooltip>
+            )}
+          </Space.Compact>
+        </Space>
+      ),
+      render: (_, row) => {
+        const value = row.values[column.key] ?? '';
+        // Shown until the cell is filled in; the original text is the placeholder
+        const original = row.sourceIndex !== null && value === '' ? unreadable[`${row.sourceIndex}:${column.key}`] : undefined;
+        const input = (
+          <Input
+            size="small"
+            value={value}
+            placeholder={original}
+            status={original !== undefined ? 'warning' : ''}
+            onChange={(event) => updateCell(row.key, column.key, event.target.value)}
+            onFocus={() => setSelectedKey(row.key)}
+          />
+        );
+        return original !== undefined
+          ? <Tooltip title={`Extracted as "${original}", which is not a number`}>{input}</Tooltip>
+          : input;
+      }
+    })),
+    {
+      key: 'status',
+      title: 'Source',
+      width: 100,
+      render: (_, row) => renderRowStatus(row)
+    },
+    {
+      key: 'actions',
+      width: 50,
+      render: (_, row) => (
+        <Tooltip title="Delete row">
+          <Button type="text" danger size="small" icon={<DeleteOutlined />} onClick={() => deleteRow(row.key)} />
+        </Tooltip>
+      )
+    }
+  ];
+
+  const renderSourceText = () => {
+    const text = rawData?.extractedText || '';
+
+    if (!highlight) {
+      return text;
+    }
+
+    return (
+      <>
+        {text.substring(0, highlight.start)}
+        <mark ref={highlightRef} style={{ background: '#ffe58f', padding: 0 }}>
+          {text.substring(highlight.start, highlight.end)}
+        </mark>
+        {text.substring(highlight.end)}
+      </>
+    );
+  };
+
+  const cardStyle = {
+    background: isDarkMode ? '#1f1f1f' : '#fff',
+    borderColor: isDarkMode ? '#434343' : '#f0f0f0'
+  };
+
+  return (
+    <div style={{ minHeight: '100vh', background: isDarkMode ? '#141414' : '#f0f2f5' }}>
+      {/* Header */}
+      <div style={{
+        padding: '16px 24px',
+        background: isDarkMode ? '#001529' : '#fff',
+        borderBottom: `1px solid ${isDarkMode ? '#434343' : '#f0f0f0'}`,
+        display: 'flex',
+        justifyContent: 'space-between',
+        alignItems: 'center'
+      }}>
+        <div style={{ display: 'flex', alignItems: 'center', gap: '16px' }}>
+          <Button
+            type="text"
+            icon={<ArrowLeftOutlined />}
+            onClick={onBack}
+            style={{ color: textColor }}
+          >
+            Back
+          </Button>
+          <div style={{ display: 'flex', alignItems: 'center', gap: '12px' }}>
+            <BarChartOutlined style={{ fontSize: '24px', color: '#1890ff' }} />
+            <div>
+              <Title level={4} style={{ margin: 0, color: textColor }}>
+                Review Extracted Data
+              </Title>
+              <Text style={{ fontSize: '12px', color: mutedColor }}>
+                {fileInfo?.fileName || rawData?.fileName}
+              </Text>
+            </div>
+          </div>
+        </div>
+        <Space>
+          <Button onClick={onSkip} disabled={saving}>
+            Skip review
+          </Button>
+          <Button
+            type="primary"
+            icon={<CheckOutlined />}
+            onClick={handleSave}
+            loading={saving}
+            disabled={loading || !!error || rows.length === 0}
+          >
+            Save & generate dashboard
+          </Button>
+          <div style={{
+            borderLeft: `1px solid ${isDarkMode ? '#434343' : '#f0f0f0'}`,
+            paddingLeft: '16px',
+            marginLeft: '8px'
+          }}>
+            <Space>
+              <SunOutlined style={{ color: textColor }} />
+              <Switch checked={isDarkMode} onChange={onToggleTheme} />
+              <MoonOutlined style={{ color: textColor }} />
+            </Space>
+          </div>
+        </Space>
+      </div>
+
+      <div style={{ padding: '24px' }}>
+        {loading && (
+          <div style={{ textAlign: 'center', padding: '80px 0' }}>
+            <Spin size="large" />
+          </div>
+        )}
+
+        {error && (
+          <Alert type="error" showIcon message="Could not load the extracted data" description={error} />
+        )}
+
+        {normalization && (
+          <Alert
+            type="warning"
+            showIcon
+            message={normalization.unparseableCount > 0
+              ? `${normalization.unparseableCount} value(s) could not be read as numbers and were left empty`
+              : 'Some columns mix currencies or units'}
+            description={
+              <ul style={{ margin: 0, paddingLeft: '20px' }}>
+                {normalization.unparseableCount > 0 && <li>They are highlighted below with the extracted text as a hint.</li>}
+                {normalization.warnings.map((warning, index) => <li key={index}>{warning}</li>)}
+              </ul>
+            }
+            style={{ marginBottom: '16px' }}
+          />
+        )}
+
+        {validationErrors.length > 0 && (
+          <Alert
+            type="error"
+            showIcon
+            closable
+            onClose={() => setValidationErrors([])}
+            message="Some values need fixing before the dashboard can be generated"
+            description={
+              <ul style={{ margin: 0, paddingLeft: '20px' }}>
+                {validationErrors.map((validationError, index) => <li key={index}>{validationError}</li>)}
+              </ul>
+            }
+            style={{ marginBottom: '16px' }}
+          />
+        )}
+
+        {rawData && (
+          <Row gutter={[16, 16]}>
+            <Col xs={24} xl={15}>
+              <Card
+                style={cardStyle}
+                title={<span style={{ color: textColor }}>{rows.length} records</span>}
+                extra={
+                  <Button icon={<PlusOutlined />} onClick={addRow} size="small">
+                    Add row
+                  </Button>
+                }
+              >
+                <Table
+                  size="small"
+                  rowKey="key"
+                  columns={tableColumns}
+                  dataSource={rows}
+                  scroll={{ x: 'max-content' }}
+                  pagination={rows.length > 20 ? { pageSize: 20 } : false}
+                  onRow={(row) => ({
+                    onClick: () => setSelectedKey(row.key),
+                    style: row.key === selectedKey ? { background: isDarkMode ? '#111b26' : '#e6f4ff' } : undefined
+                  })}
+                />
+              </Card>
+            </Col>
+
+            <Col xs={24} xl={9}>
+              <Card
+                style={{ ...cardStyle, position: 'sticky', top: '16px' }}
+                title={
+                  <span style={{ color: textColor }}>
+                    <FileTextOutlined style={{ marginRight: '8px' }} />
+                    Source text
+                  </span>
+                }
+                extra={provenance?.page ? <Tag>Page {provenance.page}</Tag> : null}
+              >
+                {selectedRow && !highlight && (
+                  <Alert
+                    type="info"
+                    showIcon
+                    style={{ marginBottom: '12px' }}
+                    message={provenance?.snippet
+                      ? `From ${provenance.sourceFileName || 'the source document'}`
+                      : 'This row could not be located in the source text'}
+                    description={provenance?.snippet || null}
+                  />
+                )}
+                <pre style={{
+                  maxHeight: '70vh',
+                  overflow: 'auto',
+                  whiteSpace: 'pre-wrap',
+                  wordBreak: 'break-word',
+                  fontSize: '12px',
+                  margin: 0,
+                  color: textColor
+                }}>
+                  {renderSourceText()}
+                </pre>
+              </Card>
+            </Col>
+          </Row>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ReviewData;
@@ -0,0 +1,100 @@
+// frontend/src/components/SessionCombiner.js
+import React, { useEffect, useState } from 'react';
+import { Card, Table, Button, Typography } from 'antd';
+import { MergeCellsOutlined } from '@ant-design/icons';
+import { apiService } from '../services/api';
+
+const { Text } = Typography;
+
+// Pick previously processed documents and build one dashboard over their combined data;
+// onCombine(sessionIds) starts the job and follows it
+const SessionCombiner = ({ isDarkMode, onCombine, refreshKey }) => {
+  const [sessions, setSessions] = useState([]);
+  const [selectedIds, setSelectedIds] = useState([]);
+
+  useEffect(() => {
+    let active = true;
+
+    apiService.getSessions()
+      .then(result => {
+        if (active) {
+          setSessions((result.sessions || []).filter(session => session.hasData));
+        }
+      })
+      .catch(error => console.error('Could not load sessions:', error));
+
+    return () => {
+      active = false;
+    };
+  }, [refreshKey]);
+
+  if (sessions.length < 2) {
+    return null;
+  }
+
+  const columns = [
+    {
+      title: 'Document',
+      dataIndex: 'fileName',
+      key: 'fileName'
+    },
+    {
+      title: 'Records',
+      dataIndex: 'dataRecords',
+      key: 'dataRecords',
+      width: 90
+    },
+    {
+      title: 'Uploaded',
+      dataIndex: 'uploadTime',
+      key: 'uploadTime',
+      width: 180,
+      render: (uploadTime) => new Date(uploadTime).toLocaleString()
+    }
+  ];
+
+  return (
+    <Card
+      title={
+        <span style={{ color: isDarkMode ? '#fff' : '#000' }}>
+          <MergeCellsOutlined style={{ marginRight: '8px' }} />
+          Combine Documents
+        </span>
+      }
+      style={{
+        marginBottom: '32px',
+        background: isDarkMode ? '#1f1f1f' : '#fff',
+        borderColor: isDarkMode ? '#434343' : '#f0f0f0'
+      }}
+    >
+      <Text style={{ display: 'block', marginBottom: '16px', color: isDarkMode ? '#a0a0a0' : '#666' }}>
+        Select processed documents (e.g. monthly reports) to compare them side by side in one dashboard.
+        Matching columns are merged and every row keeps the document it came from.
+      </Text>
+
+      <Table
+        size="small"
+        rowKey="sessionId"
+        columns={columns}
+        dataSource={sessions}
+        pagination={sessions.length > 10 ? { pageSize: 10 } : false}
+        rowSelection={{
+          selectedRowKeys: selectedIds,
+          onChange: setSelectedIds
+        }}
+        style={{ marginBottom: '16px' }}
+      />
+
+      <Button
+        type="primary"
+        icon={<MergeCellsOutlined />}
+        disabled={selectedIds.length < 2}
+        onClick={() => onCombine(selectedIds)}
+      >
+        Combine {selectedIds.length > 1 ? `${selectedIds.length} documents` : 'documents'}
+      </Button>
+    </Card>
+  );
+};
+
+export default SessionCombiner;
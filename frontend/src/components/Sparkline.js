@@ -0,0 +1,36 @@
+// frontend/src/components/Sparkline.js
+import React from 'react';
+
+// A small trend line for KPI cards; points are { period, value }, oldest first
+const Sparkline = ({ points, color = '#1890ff', width = 120, height = 32 }) => {
+  const values = (points || []).map(point => point.value).filter(value => typeof value === 'number' && isFinite(value));
+  if (values.length < 2) {
+    return null;
+  }
+
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  const span = max - min || 1;
+  const padding = 2;
+  const coordinates = values.map((value, index) => [
+    padding + (index / (values.length - 1)) * (width - 2 * padding),
+    height - padding - ((value - min) / span) * (height - 2 * padding)
+  ]);
+  const [lastX, lastY] = coordinates[coordinates.length - 1];
+
+  return (
+    <svg width={width} height={height} viewBox={`0 0 ${width} ${height}`} style={{ display: 'block' }}>
+      <title>{points.map(point => `${point.period}: ${point.value?.toLocaleString()}`).join('\n')}</title>
+      <polyline
+        points={coordinates.map(([x, y]) => `${x},${y}`).join(' ')}
+        fill="none"
+        stroke={color}
+        strokeWidth="1.5"
+        strokeLinejoin="round"
+      />
+      <circle cx={lastX} cy={lastY} r="2.5" fill={color} />
+    </svg>
+  );
+};
+
+export default Sparkline;
@@ -32,6 +32,35 @@ api.interceptors.response.use(
   }
 );
 
+// Large scans take minutes; waiting for a job gives up after this long
+const JOB_TIMEOUT = 30 * 60 * 1000;
+
+// Thrown when the caller stops waiting through its AbortSignal (e.g. the component unmounted)
+const abortError = () => {
+  const error = new Error('Stopped waiting for processing');
+  error.name = 'AbortError';
+  return error;
+};
+
+const timeoutError = () => new Error('Processing is taking too long, please try again later');
+
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(abortError());
+    return;
+  }
+
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(abortError());
+  };
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  signal?.addEventListener('abort', onAbort, { once: true });
+});
+
 export const apiService = {
   // Health check
   healthCheck: async () => {
@@ -39,7 +68,7 @@ export const apiService = {
     return response.data;
   },
 
-  // File upload
+  // File upload: starts a processing job and returns its jobId
   uploadFile: async (file, onProgress) => {
     const formData = new FormData();
     formData.append('file', file);
@@ -61,16 +90,251 @@ export const apiService = {
     return response.data;
   },
 
+  // Multi-file upload: starts one processing job per file, grouped in a batch
+  uploadFiles: async (files, onProgress) => {
+    const formData = new FormData();
+    files.forEach(file => formData.append('files', file));
+
+    const response = await api.post('/api/upload/batch', formData, {
+      headers: {
+        'Content-Type': 'multipart/form-data',
+      },
+      onUploadProgress: (progressEvent) => {
+        if (onProgress) {
+          onProgress(Math.round((progressEvent.loaded * 100) / progressEvent.total));
+        }
+      },
+    });
+
+    return response.data;
+  },
+
+  getBatch: async (batchId, signal) => {
+    const response = await api.get(`/api/batches/${batchId}`, { signal });
+    return response.data;
+  },
+
+  cancelBatch: async (batchId) => {
+    const response = await api.post(`/api/batches/${batchId}/cancel`);
+    return response.data;
+  },
+
+  // Poll a batch until every file is done; onUpdate receives the per-file summary each time.
+  // Stops when signal aborts or after timeout ms.
+  waitForBatch: async (batchId, onUpdate, { signal, timeout = JOB_TIMEOUT, interval = 1500 } = {}) => {
+    const deadline = Date.now() + timeout;
+
+    for (;;) {
+      const { batch } = await apiService.getBatch(batchId, signal);
+
+      if (onUpdate) {
+        onUpdate(batch);
+      }
+
+      if (batch.status === 'completed') {
+        return batch;
+      }
+
+      if (Date.now() + interval > deadline) {
+        throw timeoutError();
+      }
+      await sleep(interval, signal);
+    }
+  },
+
+  // Status of a background upload job: stage, percent, error and the result once completed
+  getJob: async (jobId, signal) => {
+    const response = await api.get(`/api/jobs/${jobId}`, { signal });
+    return response.data;
+  },
+
+  cancelJob: async (jobId) => {
+    const response = await api.post(`/api/jobs/${jobId}/cancel`);
+    return response.data;
+  },
+
+  // Poll a job until it completes, fails or is cancelled; onUpdate receives every status.
+  // Stops when signal aborts or after timeout ms.
+  waitForJob: async (jobId, onUpdate, { signal, timeout = JOB_TIMEOUT, interval = 1000 } = {}) => {
+    const deadline = Date.now() + timeout;
+
+    for (;;) {
+      const { job } = await apiService.getJob(jobId, signal);
+
+      if (onUpdate) {
+        onUpdate(job);
+      }
+
+      if (job.status === 'completed') {
+        return job.result;
+      }
+
+      if (job.status === 'failed' || job.status === 'cancelled') {
+        const error = new Error(job.error || `Processing ${job.status}`);
+        error.job = job;
+        throw error;
+      }
+
+      if (Date.now() + interval > deadline) {
+        throw timeoutError();
+      }
+      await sleep(interval, signal);
+    }
+  },
+
+  // Follow a job through its Server-Sent Events (stages, OCR pages, chunks, AI calls).
+  // Falls back to polling when the stream is unavailable; resolves with the job result.
+  // The stream or polling stops when signal aborts or after timeout ms.
+  watchJob: (jobId, onEvent, { signal, timeout = JOB_TIMEOUT } = {}) => new Promise((resolve, reject) => {
+    const stopped = new AbortController();
+    let source = null;
+
+    const settle = (callback, value) => {
+      if (stopped.signal.aborted) return;
+      stopped.abort();
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+      if (source) {
+        source.close();
+      }
+      callback(value);
+    };
+    const onAbort = () => settle(reject, abortError());
+    const timer = setTimeout(() => settle(reject, timeoutError()), timeout);
+
+    if (signal?.aborted) {
+      onAbort();
+      return;
+    }
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    const poll = () => {
+      apiService.waitForJob(jobId, (job) => onEvent && onEvent({ type: 'status', job }), { signal: stopped.signal, timeout })
+        .then(result => settle(resolve, result), error => settle(reject, error));
+    };
+
+    if (typeof EventSource === 'undefined') {
+      poll();
+      return;
+    }
+
+    source = new EventSource(`${API_BASE_URL}/api/jobs/${jobId}/events`, { withCredentials: true });
+
+    source.onmessage = (message) => {
+      let event;
+      try {
+        event = JSON.parse(message.data);
+      } catch (error) {
+        console.warn('Ignoring malformed job event:', message.data);
+        return;
+      }
+
+      if (onEvent) {
+        onEvent(event);
+      }
+
+      if (event.type === 'completed') {
+        settle(resolve, event.job.result);
+      } else if (event.type === 'failed' || event.type === 'cancelled') {
+        const error = new Error(event.job.error || `Processing ${event.type}`);
+        error.job = event.job;
+        settle(reject, error);
+      }
+    };
+
+    source.onerror = () => {
+      // EventSource reconnects by itself unless the server refused the stream
+      if (source.readyState === EventSource.CLOSED) {
+        poll();
+      }
+    };
+  }),
+
   // Get session data
   getSession: async (sessionId) => {
     const response = await api.get(`/api/session/${sessionId}`);
     return response.data;
   },
 
+  // Build the dashboard from another sheet of a spreadsheet upload: starts a job and returns its jobId
+  selectSheet: async (sessionId, sheet) => {
+    const response = await api.post(`/api/session/${sessionId}/sheet`, {
+      sheet
+    });
+    return response.data;
+  },
+
+  // Save the rows corrected in the review step before the dashboard is generated
+  saveSessionData: async (sessionId, corrections) => {
+    const response = await api.put(`/api/session/${sessionId}/data`, corrections);
+    return response.data;
+  },
+
+  // Dashboard editor: the session's KPI and chart definitions and the columns they can use
+  getDashboardConfig: async (sessionId) => {
+    const response = await api.get(`/api/session/${sessionId}/dashboard-config`);
+    return response.data;
+  },
+
+  // section is 'kpis' or 'charts'
+  createDashboardItem: async (sessionId, section, item) => {
+    const response = await api.post(`/api/session/${sessionId}/dashboard-config/${section}`, item);
+    return response.data;
+  },
+
+  updateDashboardItem: async (sessionId, section, itemId, changes) => {
+    const response = await api.put(`/api/session/${sessionId}/dashboard-config/${section}/${itemId}`, changes);
+    return response.data;
+  },
+
+  deleteDashboardItem: async (sessionId, section, itemId) => {
+    const response = await api.delete(`/api/session/${sessionId}/dashboard-config/${section}/${itemId}`);
+    return response.data;
+  },
+
+  reorderDashboardItems: async (sessionId, section, ids) => {
+    const response = await api.put(`/api/session/${sessionId}/dashboard-config/${section}/order`, { ids });
+    return response.data;
+  },
+
+  // Add a chart or KPI described in plain language, e.g. "show revenue by region as a pie"
+  requestChart: async (sessionId, request) => {
+    const response = await api.post(`/api/session/${sessionId}/chart-request`, { request });
+    return response.data;
+  },
+
+  // Chat about a session: answers are grounded in its extracted data and text
+  getChatHistory: async (sessionId) => {
+    const response = await api.get(`/api/session/${sessionId}/chat`);
+    return response.data;
+  },
+
+  askQuestion: async (sessionId, question) => {
+    const response = await api.post(`/api/session/${sessionId}/chat`, { question });
+    return response.data;
+  },
+
+  clearChatHistory: async (sessionId) => {
+    const response = await api.delete(`/api/session/${sessionId}/chat`);
+    return response.data;
+  },
+
+  // Merge the data of several sessions into a new session with one dashboard over all documents:
+  // starts a job and returns its jobId
+  combineSessions: async (sessionIds, columnMapping) => {
+    const response = await api.post('/api/sessions/combine', {
+      sessionIds,
+      columnMapping
+    });
+    return response.data;
+  },
+
   // Generate dashboard
-  generateDashboard: async (sessionId) => {
+  // filters: optional global filter applied to every KPI, chart and insight
+  generateDashboard: async (sessionId, filters = null) => {
     const response = await api.post('/api/generate-dashboard', {
-      sessionId
+      sessionId,
+      ...(filters && { filters })
     });
     return response.data;
   },